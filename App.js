@@ -5,6 +5,10 @@ import { Asset } from 'expo-asset';
 import AppNavigator from './navigation/AppNavigator';
 import { RecipeProvider } from './contexts/RecipeContext';
 import { CookingProvider } from './contexts/CookingContext';
+import { PreferencesProvider } from './contexts/PreferencesContext';
+import { LocaleProvider } from './contexts/LocaleContext';
+import { ShoppingListProvider } from './contexts/ShoppingListContext';
+import { PantryProvider } from './contexts/PantryContext';
 import NotificationService from './services/NotificationService';
 import ErrorBoundary from './components/ErrorBoundary';
 import { debugLog, errorLog, logAssetLoad } from './utils/devTools';
@@ -54,12 +58,20 @@ export default function App() {
   return (
     <ErrorBoundary>
       <SafeAreaProvider>
-        <RecipeProvider>
-          <CookingProvider>
-            <AppNavigator />
-            <StatusBar style="light" />
-          </CookingProvider>
-        </RecipeProvider>
+        <PreferencesProvider>
+          <LocaleProvider>
+            <RecipeProvider>
+              <ShoppingListProvider>
+                <CookingProvider>
+                  <PantryProvider>
+                    <AppNavigator />
+                    <StatusBar style="light" />
+                  </PantryProvider>
+                </CookingProvider>
+              </ShoppingListProvider>
+            </RecipeProvider>
+          </LocaleProvider>
+        </PreferencesProvider>
       </SafeAreaProvider>
     </ErrorBoundary>
   );
@@ -2,7 +2,8 @@
  * CookingIndicator Component
  * 
  * Sticky cooking progress indicator that appears above the navigation bar
- * during active cooking sessions. Shows recipe name, step progress, and timer.
+ * during active cooking sessions. Shows recipe name, step progress, and timers
+ * (the one finishing first, plus how many others are running).
  * 
  * GitHub Issue #7: Sticky Cooking Progress Indicator
  */
@@ -21,7 +22,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useNavigationState } from '@react-navigation/native';
 import { useCookingSession } from '../hooks/useCookingSession';
-import { formatTimerDisplay } from '../utils/cookingSessionUtils';
+import { formatSessionTimer, getPrimaryTimer } from '../utils/cookingSessionUtils';
 import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
 
@@ -42,7 +43,7 @@ export default function CookingIndicator({ navigation, onPress }) {
     currentStep = 0, 
     totalSteps = 0, 
     progress = 0, 
-    timer = {} 
+    timers = [] 
   } = cookingSession || {};
   
   // Debug logging for timer (commented out to reduce noise)
@@ -119,6 +120,8 @@ export default function CookingIndicator({ navigation, onPress }) {
     return null;
   }
 
+  const primaryTimer = getPrimaryTimer(timers);
+
   // Calculate responsive text truncation
   const getDisplayText = () => {
     const maxRecipeNameLength = screenData.width < 375 ? 20 : 25; // Shorter on small screens
@@ -129,11 +132,12 @@ export default function CookingIndicator({ navigation, onPress }) {
     return {
       recipeName: truncatedName,
       stepInfo: `Step ${currentStep} of ${totalSteps}`,
-      timerText: timer.isActive ? formatTimerDisplay(timer.remainingTime) : null
+      timerText: primaryTimer ? formatSessionTimer(primaryTimer) : null,
+      otherTimersText: timers.length > 1 ? `+${timers.length - 1}` : null
     };
   };
 
-  const { recipeName: displayName, stepInfo, timerText } = getDisplayText();
+  const { recipeName: displayName, stepInfo, timerText, otherTimersText } = getDisplayText();
 
   // Handle tap to navigate to cooking screen
   const handlePress = () => {
@@ -186,7 +190,9 @@ export default function CookingIndicator({ navigation, onPress }) {
         onPress={handlePress}
         activeOpacity={0.8}
         accessibilityRole="button"
-        accessibilityLabel={`Cooking ${displayName}, ${stepInfo}${timerText ? `, timer ${timerText}` : ''}`}
+        accessibilityLabel={`Cooking ${displayName}, ${stepInfo}${timerText ? `, timer ${timerText}` : ''}${
+          otherTimersText ? `, ${timers.length} timers` : ''
+        }`}
         accessibilityHint="Tap to return to cooking screen"
       >
         {/* Progress Bar */}
@@ -215,12 +221,17 @@ export default function CookingIndicator({ navigation, onPress }) {
                   <Text style={styles.separator}>•</Text>
                   <View style={styles.timerContainer}>
                     <Ionicons 
-                      name="timer" 
+                      name={primaryTimer.isPaused ? 'pause' : 'timer'} 
                       size={14} 
-                      color={colors.primary} 
+                      color={primaryTimer.isExpired ? colors.error : colors.primary} 
                       style={styles.timerIcon}
                     />
-                    <Text style={styles.timerText}>{timerText}</Text>
+                    <Text style={[styles.timerText, primaryTimer.isExpired && styles.timerTextExpired]}>
+                      {timerText}
+                    </Text>
+                    {otherTimersText && (
+                      <Text style={styles.otherTimersText}>{otherTimersText}</Text>
+                    )}
                   </View>
                 </>
               )}
@@ -343,6 +354,18 @@ const styles = StyleSheet.create({
     fontWeight: '600',
   },
   
+  timerTextExpired: {
+    color: colors.error,
+  },
+  
+  otherTimersText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  
   iconContainer: {
     padding: 4, // Extra touch area
     minWidth: 28,
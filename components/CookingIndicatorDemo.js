@@ -220,7 +220,7 @@ export default function CookingIndicatorDemo({ navigation }) {
                 </TouchableOpacity>
               )}
               
-              <TouchableOpacity style={styles.button} onPress={cookingSession.toggleTimer}>
+              <TouchableOpacity style={styles.button} onPress={() => cookingSession.toggleTimer()}>
                 <Ionicons 
                   name={cookingSession.timer.isPaused ? "play" : "pause"} 
                   size={20} 
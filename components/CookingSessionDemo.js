@@ -224,7 +224,7 @@ export default function CookingSessionDemo() {
           {timer.isActive && (
             <TouchableOpacity 
               style={styles.button}
-              onPress={toggleTimer}
+              onPress={() => toggleTimer()}
             >
               <Text style={styles.buttonText}>
                 {timer.isPaused ? 'Resume' : 'Pause'}
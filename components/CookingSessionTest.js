@@ -80,7 +80,7 @@ export default function CookingSessionTest({ navigation }) {
     await runTest('1.2_StateStructure', () => {
       const requiredFields = [
         'sessionId', 'isActiveCookingSession', 'activeRecipe',
-        'recipeName', 'totalSteps', 'currentStep', 'timer'
+        'recipeName', 'totalSteps', 'currentStep', 'timers'
       ];
       
       for (const field of requiredFields) {
@@ -96,7 +96,7 @@ export default function CookingSessionTest({ navigation }) {
       // Verify all actions exist
       const requiredActions = [
         'START_COOKING', 'END_COOKING', 'UPDATE_STEP', 
-        'START_TIMER', 'UPDATE_TIMER', 'STOP_TIMER'
+        'SYNC_TIMERS'
       ];
       
       for (const action of requiredActions) {
@@ -180,8 +180,9 @@ export default function CookingSessionTest({ navigation }) {
     
     // Test 4.1: Timer State
     await runTest('4.1_TimerState', () => {
-      const timer = rawContext.cookingState.timer;
+      const timer = rawContext.timer;
       if (!timer) throw new Error('Timer state not found');
+      if (!Array.isArray(rawContext.cookingState.timers)) throw new Error('Timers list not found');
       
       const requiredTimerFields = [
         'isActive', 'isPaused', 'remainingTime', 'duration'
@@ -193,7 +194,7 @@ export default function CookingSessionTest({ navigation }) {
         }
       }
       
-      return `Timer active: ${timer.isActive}, Time: ${formatTimerDisplay(timer.remainingTime)}`;
+      return `Timers: ${rawContext.cookingState.timers.length}, Time: ${formatTimerDisplay(timer.remainingTime)}`;
     });
 
     // Test 4.2: Timer Operations
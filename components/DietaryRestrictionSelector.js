@@ -0,0 +1,80 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLocale } from '../contexts/LocaleContext';
+import { ALLERGENS, DIETS } from '../data/ingredientDatabase';
+
+/**
+ * DietaryRestrictionSelector Component
+ *
+ * Toggle chips for the allergens the user avoids and the diets they follow.
+ * Recipes and ingredients that conflict with these are flagged across the app.
+ */
+export default function DietaryRestrictionSelector({ style }) {
+  const { dietaryRestrictions, toggleDietaryRestriction } = usePreferences();
+  const { t, getName } = useLocale();
+
+  const renderChips = (type, options) => (
+    <View style={styles.chips}>
+      {Object.values(options).map(option => {
+        const isSelected = (dietaryRestrictions[type] || []).includes(option.id);
+        return (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.chip, isSelected && styles.chipSelected]}
+            onPress={() => toggleDietaryRestriction(type, option.id)}
+          >
+            <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+              {getName(option)}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  return (
+    <View style={style}>
+      <Text style={styles.groupLabel}>{t('dietary.allergies')}</Text>
+      {renderChips('allergens', ALLERGENS)}
+      <Text style={styles.groupLabel}>{t('dietary.diets')}</Text>
+      {renderChips('diets', DIETS)}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  groupLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    backgroundColor: colors.surface,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  chipTextSelected: {
+    color: colors.surface,
+  },
+});
@@ -0,0 +1,62 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+import { useLocale } from '../contexts/LocaleContext';
+
+/**
+ * LanguageSelector Component
+ *
+ * Segmented control for choosing the app language. Each option is shown
+ * in its own language. Saves the choice to user preferences.
+ */
+export default function LanguageSelector({ style }) {
+  const { locale, setLocale, availableLocales } = useLocale();
+
+  return (
+    <View style={[styles.container, style]}>
+      {availableLocales.map(option => {
+        const isSelected = option.code === locale;
+        return (
+          <TouchableOpacity
+            key={option.code}
+            style={[styles.option, isSelected && styles.optionSelected]}
+            onPress={() => setLocale(option.code)}
+          >
+            <Text style={[styles.optionText, isSelected && styles.optionTextSelected]}>
+              {option.name}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  option: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+  },
+  optionSelected: {
+    backgroundColor: colors.primary,
+  },
+  optionText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  optionTextSelected: {
+    color: colors.surface,
+  },
+});
@@ -0,0 +1,65 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLocale } from '../contexts/LocaleContext';
+import { MEASUREMENT_SYSTEM_OPTIONS } from '../utils/measurementDisplay';
+
+/**
+ * MeasurementSystemSelector Component
+ * 
+ * Segmented control for choosing how recipe amounts are displayed
+ * (as written, metric or US). Saves the choice to user preferences.
+ */
+export default function MeasurementSystemSelector({ style }) {
+  const { measurementSystem, setMeasurementSystem } = usePreferences();
+  const { t } = useLocale();
+
+  return (
+    <View style={[styles.container, style]}>
+      {MEASUREMENT_SYSTEM_OPTIONS.map(option => {
+        const isSelected = option.value === measurementSystem;
+        return (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.option, isSelected && styles.optionSelected]}
+            onPress={() => setMeasurementSystem(option.value)}
+          >
+            <Text style={[styles.optionText, isSelected && styles.optionTextSelected]}>
+              {t(option.labelKey, {}, option.label)}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  option: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+  },
+  optionSelected: {
+    backgroundColor: colors.primary,
+  },
+  optionText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  optionTextSelected: {
+    color: colors.surface,
+  },
+});
@@ -0,0 +1,137 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+import { NUTRIENTS } from '../data/ingredientDatabase';
+import { useLocale } from '../contexts/LocaleContext';
+import {
+  calculateRecipeNutrition,
+  formatNutrientValue,
+  describeUnresolvedReason,
+} from '../utils/nutrition';
+
+/**
+ * NutritionSummary Component
+ *
+ * Shows a recipe's nutrition per serving and per 100 g, and lists the
+ * ingredients that couldn't be counted so the numbers aren't taken as complete.
+ */
+export default function NutritionSummary({ recipe, servings, style }) {
+  const { getName } = useLocale();
+  const nutrition = useMemo(
+    () => calculateRecipeNutrition(recipe, servings),
+    [recipe, servings]
+  );
+
+  if (nutrition.resolved.length === 0 && nutrition.unresolved.length === 0) {
+    return null;
+  }
+
+  const nutrientIds = Object.keys(NUTRIENTS);
+
+  return (
+    <View style={[styles.container, style]}>
+      {nutrition.resolved.length === 0 ? (
+        <Text style={styles.emptyText}>
+          None of these ingredients have nutrition data yet.
+        </Text>
+      ) : (
+        <View style={styles.table}>
+          <View style={styles.row}>
+            <Text style={[styles.cell, styles.nameCell]} />
+            {nutrition.perServing && (
+              <Text style={[styles.cell, styles.headerCell]}>Per serving</Text>
+            )}
+            <Text style={[styles.cell, styles.headerCell]}>Per 100 g</Text>
+          </View>
+          {nutrientIds.map(nutrientId => (
+            <View key={nutrientId} style={styles.row}>
+              <Text style={[styles.cell, styles.nameCell]}>{getName(NUTRIENTS[nutrientId])}</Text>
+              {nutrition.perServing && (
+                <Text style={styles.cell}>
+                  {formatNutrientValue(nutrition.perServing[nutrientId], nutrientId)}
+                </Text>
+              )}
+              <Text style={styles.cell}>
+                {formatNutrientValue(nutrition.per100g[nutrientId], nutrientId)}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {nutrition.unresolved.length > 0 && (
+        <View style={styles.unresolved}>
+          <View style={styles.unresolvedHeader}>
+            <Ionicons name="alert-circle-outline" size={16} color={colors.warning} />
+            <Text style={styles.unresolvedTitle}>
+              Not included ({nutrition.unresolved.length})
+            </Text>
+          </View>
+          {nutrition.unresolved.map((item, index) => (
+            <Text key={item.id || index} style={styles.unresolvedItem}>
+              {item.text} · {describeUnresolvedReason(item.reason)}
+            </Text>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: 16,
+  },
+  table: {
+    gap: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  cell: {
+    ...typography.body,
+    flex: 1,
+    color: colors.text,
+    textAlign: 'right',
+  },
+  nameCell: {
+    textAlign: 'left',
+    color: colors.textSecondary,
+  },
+  headerCell: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  unresolved: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  unresolvedHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 4,
+  },
+  unresolvedTitle: {
+    ...typography.caption,
+    color: colors.warning,
+    fontWeight: '600',
+  },
+  unresolvedItem: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+});
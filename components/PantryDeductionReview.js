@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { usePantry } from '../contexts/PantryContext';
+import { DEDUCTION_STATUS, formatPantryQuantity } from '../utils/pantry';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+
+const STATUS_NOTES = {
+  [DEDUCTION_STATUS.INSUFFICIENT]: 'More than you have - will be set to 0',
+  [DEDUCTION_STATUS.UNCONVERTIBLE]: "Can't convert to the pantry's unit",
+  [DEDUCTION_STATUS.NOT_STOCKED]: 'Not in your pantry',
+};
+
+const isDeductible = (deduction) =>
+  deduction.status === DEDUCTION_STATUS.OK || deduction.status === DEDUCTION_STATUS.INSUFFICIENT;
+
+/**
+ * Review sheet shown after a cooking session is finished
+ * Lets the user choose which pantry items to deduct before anything changes
+ */
+export default function PantryDeductionReview() {
+  const { pendingDeduction, applyPendingDeduction, dismissPendingDeduction } = usePantry();
+  const [selectedKeys, setSelectedKeys] = useState([]);
+
+  // Every deductible item starts selected
+  useEffect(() => {
+    if (pendingDeduction) {
+      setSelectedKeys(pendingDeduction.deductions.filter(isDeductible).map(deduction => deduction.key));
+    }
+  }, [pendingDeduction]);
+
+  if (!pendingDeduction) return null;
+
+  const toggleDeduction = (key) => {
+    setSelectedKeys(prev => (
+      prev.includes(key) ? prev.filter(selected => selected !== key) : [...prev, key]
+    ));
+  };
+
+  const renderDeduction = (deduction) => {
+    const canDeduct = isDeductible(deduction);
+    const isSelected = canDeduct && selectedKeys.includes(deduction.key);
+
+    return (
+      <TouchableOpacity
+        key={deduction.key}
+        style={styles.deductionRow}
+        onPress={() => canDeduct && toggleDeduction(deduction.key)}
+        disabled={!canDeduct}
+      >
+        <Ionicons
+          name={isSelected ? 'checkbox' : 'square-outline'}
+          size={22}
+          color={canDeduct ? colors.primary : colors.border}
+        />
+        <View style={styles.deductionContent}>
+          <Text style={[styles.deductionName, !canDeduct && styles.disabledText]}>
+            {deduction.pantryName || deduction.ingredientName}
+          </Text>
+          <Text style={styles.deductionDetail}>Used: {deduction.recipeText}</Text>
+          {canDeduct && (
+            <Text style={styles.deductionDetail}>
+              −{formatPantryQuantity(deduction.quantity, deduction.unitId)} · {formatPantryQuantity(deduction.remaining, deduction.unitId)} left
+            </Text>
+          )}
+          {STATUS_NOTES[deduction.status] && (
+            <Text style={[styles.statusNote, deduction.status === DEDUCTION_STATUS.INSUFFICIENT && styles.warningText]}>
+              {STATUS_NOTES[deduction.status]}
+            </Text>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={true}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={dismissPendingDeduction}
+    >
+      <View style={styles.modalContainer}>
+        <ScrollView style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Update Pantry</Text>
+          <Text style={styles.modalSubtitle}>
+            You finished {pendingDeduction.recipeName}. Choose what to take out of your pantry.
+          </Text>
+          {pendingDeduction.deductions.map(renderDeduction)}
+        </ScrollView>
+
+        <View style={styles.modalButtons}>
+          <TouchableOpacity
+            style={[styles.modalButton, styles.modalButtonSecondary]}
+            onPress={dismissPendingDeduction}
+          >
+            <Text style={styles.modalButtonTextSecondary}>Skip</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.modalButton, styles.modalButtonPrimary]}
+            onPress={() => applyPendingDeduction(selectedKeys)}
+          >
+            <Text style={styles.modalButtonTextPrimary}>
+              Deduct {selectedKeys.length} {selectedKeys.length === 1 ? 'item' : 'items'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  modalContent: {
+    flex: 1,
+    padding: 20,
+  },
+  modalTitle: {
+    ...typography.h1,
+    color: colors.text,
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  modalSubtitle: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  deductionRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  deductionContent: {
+    flex: 1,
+  },
+  deductionName: {
+    ...typography.body,
+    color: colors.text,
+    fontWeight: '600',
+  },
+  deductionDetail: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  statusNote: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  warningText: {
+    color: colors.warning,
+  },
+  disabledText: {
+    color: colors.textSecondary,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    padding: 20,
+    gap: 12,
+  },
+  modalButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  modalButtonPrimary: {
+    backgroundColor: colors.primary,
+  },
+  modalButtonSecondary: {
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  modalButtonTextPrimary: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: '600',
+  },
+  modalButtonTextSecondary: {
+    ...typography.body,
+    color: colors.text,
+    fontWeight: '600',
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -6,11 +6,16 @@ import {
   TouchableOpacity,
   StyleSheet,
   Alert,
+  Switch,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
 import { commonStyles } from '../styles/common';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { convertMeasurementsInText, formatIngredientForSystem } from '../utils/measurementDisplay';
+import { estimateStepTiming } from '../utils/cookingSchedule';
+import { extractStepTemperatures } from '../utils/temperature';
 
 export default function StepEditor({ 
   step, 
@@ -21,12 +26,30 @@ export default function StepEditor({
   onReorder,
   isFirst,
   isLast,
-  ingredients 
+  ingredients,
+  steps = []
 }) {
   const [isEditing, setIsEditing] = useState(!step.content);
   const [content, setContent] = useState(step.content);
   const [timing, setTiming] = useState(step.timing || '');
   const [timingControls, setTimingControls] = useState({});
+  // Scheduling: how long the step takes, whether it's hands-off and which steps it waits for
+  const [duration, setDuration] = useState(String(step.durationMinutes ?? ''));
+  const [isPassive, setIsPassive] = useState(!!step.isPassive);
+  const [dependsOn, setDependsOn] = useState(step.dependsOn || []);
+  const { measurementSystem } = usePreferences();
+
+  // Pick up changes made outside the editor (undo/redo) while not editing,
+  // so reopening the editor starts from the current step text
+  useEffect(() => {
+    if (!isEditing) {
+      setContent(step.content);
+      setTiming(step.timing || '');
+      setDuration(String(step.durationMinutes ?? ''));
+      setIsPassive(!!step.isPassive);
+      setDependsOn(step.dependsOn || []);
+    }
+  }, [step.content, step.timing, step.durationMinutes, step.isPassive, step.dependsOn]);
 
   const handleSave = () => {
     if (!content.trim()) {
@@ -34,10 +57,22 @@ export default function StepEditor({
       return;
     }
 
+    // Rewording a step re-estimates the scheduling fields that weren't edited by hand
+    const contentChanged = content.trim() !== step.content;
+    const estimate = estimateStepTiming({ content: content.trim(), timing: timing.trim() });
+    const durationEdited = duration !== String(step.durationMinutes ?? '');
+    const passiveEdited = isPassive !== !!step.isPassive;
+
     onUpdate(step.id, {
       ...step,
       content: content.trim(),
       timing: timing.trim() || null,
+      durationMinutes: durationEdited || !contentChanged
+        ? Math.max(0, parseInt(duration) || 0)
+        : estimate.durationMinutes,
+      isPassive: passiveEdited || !contentChanged ? isPassive : estimate.isPassive,
+      dependsOn,
+      ...extractStepTemperatures(content.trim()),
     });
     setIsEditing(false);
   };
@@ -45,9 +80,27 @@ export default function StepEditor({
   const handleCancel = () => {
     setContent(step.content);
     setTiming(step.timing || '');
+    setDuration(String(step.durationMinutes ?? ''));
+    setIsPassive(!!step.isPassive);
+    setDependsOn(step.dependsOn || []);
     setIsEditing(false);
   };
 
+  const toggleDependency = (stepId) => {
+    setDependsOn(current => current.includes(stepId)
+      ? current.filter(id => id !== stepId)
+      : [...current, stepId]);
+  };
+
+  const describeDependencies = () => {
+    const numbers = (step.dependsOn || [])
+      .map(id => steps.findIndex(other => other.id === id))
+      .filter(otherIndex => otherIndex !== -1)
+      .map(otherIndex => otherIndex + 1)
+      .sort((a, b) => a - b);
+    return numbers.length > 0 ? `after ${numbers.join(', ')}` : 'can start anytime';
+  };
+
   const formatIngredients = (stepIngredients) => {
     if (!stepIngredients || stepIngredients.length === 0 || !ingredients) return null;
     
@@ -60,7 +113,10 @@ export default function StepEditor({
           // New format with tracking info
           if (ingredientRef.isFirstMention) {
             // Show full text with amount on first mention
-            displayText = ingredientRef.text || ingredientRef.fullText || 'Unknown ingredient';
+            displayText = convertMeasurementsInText(
+              ingredientRef.text || ingredientRef.fullText || 'Unknown ingredient',
+              measurementSystem
+            );
           } else {
             // Show only ingredient name on subsequent mentions
             displayText = ingredientRef.text || 'Unknown ingredient';
@@ -76,7 +132,7 @@ export default function StepEditor({
                        ingredientRef;
         } else if (typeof ingredientRef === 'string') {
           // Text-based ingredient
-          displayText = ingredientRef;
+          displayText = convertMeasurementsInText(ingredientRef, measurementSystem);
         } else {
           // Unknown format - skip
           return null;
@@ -249,6 +305,11 @@ export default function StepEditor({
             {step.timing && (
               <Text style={styles.timing}>{step.timing}</Text>
             )}
+            {typeof step.durationMinutes === 'number' && (
+              <Text style={styles.scheduling}>
+                {step.timing ? ' · ' : ''}{step.durationMinutes} min{step.isPassive ? ' hands-off' : ''} · {describeDependencies()}
+              </Text>
+            )}
           </View>
           
           <View style={styles.actions}>
@@ -298,6 +359,49 @@ export default function StepEditor({
               placeholder="Timing (e.g., 5 minutes)"
               placeholderTextColor={colors.textSecondary}
             />
+
+            <View style={styles.schedulingRow}>
+              <Text style={styles.schedulingLabel}>Takes</Text>
+              <TextInput
+                style={styles.durationInput}
+                value={duration}
+                onChangeText={setDuration}
+                keyboardType="numeric"
+                placeholder="0"
+                placeholderTextColor={colors.textSecondary}
+              />
+              <Text style={styles.schedulingLabel}>min</Text>
+              <View style={styles.passiveToggle}>
+                <Text style={styles.schedulingLabel}>Hands-off</Text>
+                <Switch
+                  value={isPassive}
+                  onValueChange={setIsPassive}
+                  trackColor={{ true: colors.primary }}
+                />
+              </View>
+            </View>
+
+            {steps.length > 1 && (
+              <View style={styles.dependencies}>
+                <Text style={styles.schedulingLabel}>Waits for</Text>
+                <View style={styles.dependencyChips}>
+                  {steps.map((other, otherIndex) => other.id !== step.id && (
+                    <TouchableOpacity
+                      key={other.id}
+                      style={[styles.dependencyChip, dependsOn.includes(other.id) && styles.dependencyChipSelected]}
+                      onPress={() => toggleDependency(other.id)}
+                    >
+                      <Text style={[
+                        styles.dependencyChipText,
+                        dependsOn.includes(other.id) && styles.dependencyChipTextSelected
+                      ]}>
+                        Step {otherIndex + 1}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
             
             <View style={styles.editActions}>
               <TouchableOpacity 
@@ -325,7 +429,7 @@ export default function StepEditor({
                 return (
                   <View key={sentenceIndex} style={styles.sentenceWithTiming}>
                     <Text style={styles.stepText}>
-                      {sentence}
+                      {convertMeasurementsInText(sentence, measurementSystem)}
                     </Text>
                     
                     {timingInfo && (
@@ -441,6 +545,68 @@ const styles = StyleSheet.create({
     color: colors.primary,
     fontWeight: '600',
   },
+  scheduling: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  schedulingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 12,
+  },
+  schedulingLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  durationInput: {
+    ...typography.body,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    minWidth: 50,
+    textAlign: 'center',
+    color: colors.text,
+    backgroundColor: colors.background,
+  },
+  passiveToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginLeft: 'auto',
+  },
+  dependencies: {
+    marginBottom: 12,
+  },
+  dependencyChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 6,
+  },
+  dependencyChip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+  },
+  dependencyChipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  dependencyChipText: {
+    ...typography.caption,
+    color: colors.text,
+  },
+  dependencyChipTextSelected: {
+    color: colors.surface,
+    fontWeight: '600',
+  },
   actions: {
     flexDirection: 'row',
     gap: 8,
@@ -5,14 +5,18 @@ import { Picker } from '@react-native-picker/picker';
 import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
 import { commonStyles } from '../styles/common';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { convertStructuredQuantity, convertPackageSize, convertMeasurementsInText } from '../utils/measurementDisplay';
+import { matchLeadingQuantity, matchLeadingQuantityRange } from '../utils/quantity';
 
 /**
  * StructuredIngredient Component
  * 
  * Displays ingredients with clear visual separation of components:
  * - Quantity (highlighted)
+ * - Package size, for counts of packaged items ("2 (5 oz) chicken breasts")
  * - Unit 
- * - Base ingredient name
+ * - Base ingredient name, with linked ingredients and alternates
  * - Preparation method (if any)
  */
 // Common measurement units for dropdown
@@ -38,6 +42,7 @@ export default function StructuredIngredient({
   onEdit, 
   onDelete, 
   onCreateStep,
+  onSubstitute,
   showActions = true,
   compact = false,
   forceEditMode = false
@@ -48,8 +53,10 @@ export default function StructuredIngredient({
   const [editUnit, setEditUnit] = useState('');
   const [editIngredient, setEditIngredient] = useState('');
   const [editPreparation, setEditPreparation] = useState('');
+  const [editPackageSize, setEditPackageSize] = useState('');
   const [showManualParsing, setShowManualParsing] = useState(false);
   const [manualParts, setManualParts] = useState([]);
+  const { measurementSystem } = usePreferences();
 
   // Initialize edit fields if starting in edit mode
   React.useEffect(() => {
@@ -60,11 +67,13 @@ export default function StructuredIngredient({
         setEditUnit(structured.unit?.value || 'n/a');
         setEditIngredient(structured.ingredient?.name || displayText || originalText || '');
         setEditPreparation(structured.preparation?.name || '');
+        setEditPackageSize(formatPackageSize(structured.packageSize));
       } else {
         setEditQuantity('1');
         setEditUnit('n/a');
         setEditIngredient(displayText || originalText || '');
         setEditPreparation('');
+        setEditPackageSize('');
       }
     }
   }, [forceEditMode, structured, displayText, originalText, editQuantity]);
@@ -76,12 +85,14 @@ export default function StructuredIngredient({
       setEditUnit(structured.unit?.value || 'n/a');
       setEditIngredient(structured.ingredient?.name || displayText || originalText || '');
       setEditPreparation(structured.preparation?.name || '');
+      setEditPackageSize(formatPackageSize(structured.packageSize));
     } else {
       // For unstructured ingredients, try to parse basic info
       setEditQuantity('1');
       setEditUnit('n/a');
       setEditIngredient(displayText || originalText || '');
       setEditPreparation('');
+      setEditPackageSize('');
     }
     setIsEditing(true);
   };
@@ -97,6 +108,7 @@ export default function StructuredIngredient({
       setEditUnit('');
       setEditIngredient('');
       setEditPreparation('');
+      setEditPackageSize('');
     }
   };
 
@@ -113,13 +125,16 @@ export default function StructuredIngredient({
     
     let newText = '';
     
+    // Package size sits in parentheses after the count: "2 (5 ounce) cans"
+    const packageText = editPackageSize.trim() ? ` (${editPackageSize.trim()})` : '';
+    
     // Check if this is a parenthetical quantity format like "2 (5 ounce) cans"
     const parentheticalMatch = originalIngredientText.match(/^\d+\s*\(([^)]+)\)\s*(.+)/);
     
     if (parentheticalMatch) {
-      // Preserve parenthetical format
-      const [, parentheticalContent, restOfIngredient] = parentheticalMatch;
-      newText = `${editQuantity} (${parentheticalContent}) ${restOfIngredient}`;
+      // Preserve parenthetical format, with the package size as edited
+      const [, , restOfIngredient] = parentheticalMatch;
+      newText = `${editQuantity}${packageText} ${restOfIngredient}`;
     } else {
       // Regular format - try to preserve everything after quantity and unit
       let remainingText = originalIngredientText;
@@ -135,10 +150,10 @@ export default function StructuredIngredient({
       
       // Build new text with edited quantity and unit
       if (unitLabel) {
-        newText = `${editQuantity} ${unitLabel}`;
+        newText = `${editQuantity}${packageText} ${unitLabel}`;
       } else {
         // No unit (n/a selected)
-        newText = editQuantity;
+        newText = `${editQuantity}${packageText}`;
       }
       
       // Add the edited ingredient name
@@ -172,6 +187,7 @@ export default function StructuredIngredient({
       originalText: originalIngredientText,
       newText,
       editQuantity,
+      editPackageSize,
       unitLabel
     });
     
@@ -229,7 +245,8 @@ export default function StructuredIngredient({
         (u.label && u.label.toLowerCase() === unit.toLowerCase()) || 
         (u.plural && u.plural.toLowerCase() === unit.toLowerCase())
       ) : null;
-      const parsedQuantity = quantity ? parseFloat(quantity.match(/[\d.]+/)?.[0] || '1') : null;
+      const quantityRange = quantity ? matchLeadingQuantityRange(quantity) : null;
+      const parsedQuantity = quantity ? (quantityRange ? quantityRange.min.value : 1) : null;
       
       // Fix unit pluralization - if unit not found in standard units, create proper plural
       const finalUnit = unitData || (unit ? { 
@@ -252,7 +269,10 @@ export default function StructuredIngredient({
           requiresStep: true 
         } : null,
         originalText: newText.trim(),
-        isStructured: true
+        isStructured: true,
+        quantityMax: quantityRange?.max ? quantityRange.max.value : null,
+        isToTaste: !!ingredient.structured?.isToTaste,
+        isOptional: !!ingredient.structured?.isOptional
       };
 
       // Save the manual parsing as training data
@@ -336,33 +356,61 @@ export default function StructuredIngredient({
   const renderStructuredView = () => {
     if (!structured || !structured.isStructured) {
       return (
-        <Text style={styles.ingredientText}>{displayText || originalText}</Text>
+        <Text style={styles.ingredientText}>
+          {convertMeasurementsInText(displayText || originalText, measurementSystem)}
+        </Text>
       );
     }
     
-    const { quantity, unit, ingredient: baseIngredient, preparation } = structured;
+    const { ingredient: baseIngredient, preparation } = structured;
+    
+    // Show amounts in the preferred measurement system; the stored quantity is unchanged
+    const converted = convertStructuredQuantity(structured, measurementSystem);
+    const quantity = converted ? converted.quantity : structured.quantity;
+    const unit = converted ? converted.unit : structured.unit;
+    const isRange = typeof structured.quantityMax === 'number';
+    const convertedPackage = convertPackageSize(structured, measurementSystem);
+    const packageText = convertedPackage
+      ? `${convertedPackage.displayQuantity} ${convertedPackage.quantity <= 1 ? convertedPackage.unit.name : convertedPackage.unit.plural}`
+      : formatPackageSize(structured.packageSize);
     
     return (
       <View style={styles.structuredContainer}>
         {/* Quantity - highlighted */}
         {quantity !== null && (
           <Text style={styles.quantityText}>
-            {typeof quantity === 'number' ? formatQuantity(quantity) : quantity}
+            {converted
+              ? converted.displayQuantity
+              : isRange
+                ? `${formatQuantity(quantity)}-${formatQuantity(structured.quantityMax)}`
+                : (typeof quantity === 'number' ? formatQuantity(quantity) : quantity)}
           </Text>
         )}
         
+        {/* Size of each package */}
+        {packageText ? (
+          <Text style={styles.packageText}>({packageText})</Text>
+        ) : null}
+        
         {/* Unit */}
         {unit && (
           <Text style={styles.unitText}>
-            {quantity === 1 ? (unit.name || unit.value || '') : (unit.plural || unit.value || '')}
+            {quantity === 1 && !isRange ? (unit.name || unit.value || '') : (unit.plural || unit.value || '')}
           </Text>
         )}
         
-        {/* Base ingredient name */}
+        {/* Base ingredient name, with any linked ingredients ("salt and pepper") */}
         <Text style={styles.ingredientName}>
-          {baseIngredient?.name || 'ingredient'}
+          {[baseIngredient?.name || 'ingredient', ...(structured.linkedIngredients || []).map(linked => linked.name)].join(' and ')}
         </Text>
         
+        {/* Alternates ("or water") */}
+        {structured.alternatives?.length > 0 && (
+          <Text style={styles.alternativesText}>
+            or {structured.alternatives.map(alternate => alternate.name).join(' or ')}
+          </Text>
+        )}
+        
         {/* Preparation method */}
         {preparation && (
           <View style={styles.preparationContainer}>
@@ -392,6 +440,30 @@ export default function StructuredIngredient({
             <Text style={styles.dividedText}>divided</Text>
           </View>
         )}
+        
+        {/* To taste / optional indicators */}
+        {structured.isToTaste && (
+          <View style={styles.dividedContainer}>
+            <Ionicons 
+              name="restaurant-outline" 
+              size={12} 
+              color={colors.textSecondary} 
+              style={styles.dividedIcon}
+            />
+            <Text style={styles.flagText}>to taste</Text>
+          </View>
+        )}
+        {structured.isOptional && (
+          <View style={styles.dividedContainer}>
+            <Ionicons 
+              name="help-circle-outline" 
+              size={12} 
+              color={colors.textSecondary} 
+              style={styles.dividedIcon}
+            />
+            <Text style={styles.flagText}>optional</Text>
+          </View>
+        )}
       </View>
     );
   };
@@ -499,6 +571,19 @@ export default function StructuredIngredient({
     );
   };
 
+  // "2 × 5 oz = 10 oz total" under the package size field
+  const renderPackageTotal = () => {
+    const count = parseFloat(editQuantity);
+    const size = matchLeadingQuantity(editPackageSize);
+    if (!size || !size.rest || isNaN(count)) return null;
+    
+    return (
+      <Text style={styles.packageTotalText}>
+        {`${formatQuantity(count)} × ${formatQuantity(size.value)} ${size.rest} = ${formatQuantity(count * size.value)} ${size.rest} total`}
+      </Text>
+    );
+  };
+
   const renderEditMode = () => {
     return (
       <View style={styles.editContainer}>
@@ -543,6 +628,16 @@ export default function StructuredIngredient({
           </View>
         </View>
         
+        {/* Size of each item, for counts of packages */}
+        <TextInput
+          style={styles.preparationInput}
+          value={editPackageSize}
+          onChangeText={setEditPackageSize}
+          placeholder="size of each (e.g. 5 oz)..."
+          placeholderTextColor={colors.textSecondary}
+        />
+        {renderPackageTotal()}
+        
         {/* Ingredient name on its own line */}
         <TextInput
           style={styles.ingredientNameInput}
@@ -600,12 +695,29 @@ export default function StructuredIngredient({
         renderEditMode()
       ) : (
         <>
-          <View style={styles.ingredientContent}>
+          {/* Tapping the ingredient opens substitutes when the parent supports them */}
+          <TouchableOpacity
+            style={styles.ingredientContent}
+            onPress={() => onSubstitute?.(ingredient)}
+            disabled={!onSubstitute}
+            activeOpacity={0.6}
+          >
             {renderStructuredView()}
-          </View>
+            {ingredient.substitutedFrom && (
+              <Text style={styles.substitutedText}>Instead of {ingredient.substitutedFrom}</Text>
+            )}
+          </TouchableOpacity>
           
           {showActions && (
             <View style={styles.ingredientActions}>
+              {onSubstitute && (
+                <TouchableOpacity 
+                  onPress={() => onSubstitute(ingredient)}
+                  style={styles.actionButton}
+                >
+                  <Ionicons name="swap-horizontal" size={18} color={colors.primary} />
+                </TouchableOpacity>
+              )}
               <TouchableOpacity 
                 onPress={handleEditStart}
                 style={styles.actionButton}
@@ -728,6 +840,15 @@ function convertToPresentTense(action) {
   return convertedWords.join(' ');
 }
 
+/**
+ * Format a per-item package size ("5 oz"), empty when there isn't one
+ */
+function formatPackageSize(packageSize) {
+  if (!packageSize?.unit || typeof packageSize.quantity !== 'number') return '';
+  const { quantity, unit } = packageSize;
+  return `${formatQuantity(quantity)} ${quantity === 1 ? (unit.name || unit.value) : (unit.plural || unit.name || unit.value)}`;
+}
+
 /**
  * Format quantity for display (convert decimals to fractions when appropriate)
  */
@@ -805,12 +926,23 @@ const styles = StyleSheet.create({
     color: colors.text,
     fontWeight: '500',
   },
+
+  packageText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
   
   ingredientName: {
     ...typography.body,
     color: colors.text,
     fontWeight: '400',
   },
+
+  alternativesText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+  },
   
   preparationContainer: {
     flexDirection: 'row',
@@ -845,6 +977,14 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     textTransform: 'uppercase',
   },
+
+  flagText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontSize: 10,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+  },
   
   // Fallback for unstructured ingredients
   ingredientText: {
@@ -855,6 +995,12 @@ const styles = StyleSheet.create({
   },
   
   // Actions
+  substitutedText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
   ingredientActions: {
     flexDirection: 'row',
     gap: 8,
@@ -965,6 +1111,13 @@ const styles = StyleSheet.create({
     color: colors.text,
   },
 
+  packageTotalText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: -8,
+    marginBottom: 12,
+  },
+
   editActions: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
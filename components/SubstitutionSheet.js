@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { usePreferences } from '../contexts/PreferencesContext';
+import ingredientService from '../services/ingredientServiceInstance';
+import { findSubstitutions, SUBSTITUTION_SOURCES } from '../utils/substitutions';
+import { describeConflicts } from '../utils/dietaryRestrictions';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+
+/**
+ * Sheet listing substitutes for one ingredient, with amounts worked out for the recipe
+ * Substitutes that conflict with the user's dietary restrictions are listed last and flagged
+ */
+export default function SubstitutionSheet({ ingredient, onApply, onClose }) {
+  const { dietaryRestrictions } = usePreferences();
+  const [substitutions, setSubstitutions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!ingredient) return;
+
+    let cancelled = false;
+    const loadSubstitutions = async () => {
+      setIsLoading(true);
+      try {
+        const results = await findSubstitutions(ingredient, {
+          restrictions: dietaryRestrictions,
+          ingredientService,
+        });
+        if (!cancelled) setSubstitutions(results);
+      } catch (error) {
+        console.error('Error loading substitutions:', error);
+        if (!cancelled) setSubstitutions([]);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadSubstitutions();
+    return () => {
+      cancelled = true;
+    };
+  }, [ingredient, dietaryRestrictions]);
+
+  if (!ingredient) return null;
+
+  const renderSubstitution = (substitution) => (
+    <TouchableOpacity
+      key={substitution.id}
+      style={styles.option}
+      onPress={() => onApply(substitution)}
+    >
+      <Ionicons name="swap-horizontal" size={20} color={colors.primary} />
+      <View style={styles.optionContent}>
+        <Text style={styles.optionText}>{substitution.text}</Text>
+        {substitution.note && <Text style={styles.optionNote}>{substitution.note}</Text>}
+        {substitution.hasUnknownAmount && (
+          <Text style={styles.optionNote}>Adjust the amount to taste</Text>
+        )}
+        {substitution.conflicts.length > 0 && (
+          <Text style={styles.conflictText}>{describeConflicts(substitution.conflicts)}</Text>
+        )}
+      </View>
+      {substitution.source === SUBSTITUTION_SOURCES.SIMILAR && (
+        <Text style={styles.similarBadge}>Similar</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={true}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalContainer}>
+        <ScrollView style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Substitutes</Text>
+          <Text style={styles.modalSubtitle}>
+            Instead of {ingredient.displayText || ingredient.originalText}
+          </Text>
+
+          {isLoading ? (
+            <ActivityIndicator color={colors.primary} style={styles.loading} />
+          ) : substitutions.length === 0 ? (
+            <Text style={styles.emptyText}>No substitutes found for this ingredient.</Text>
+          ) : (
+            substitutions.map(renderSubstitution)
+          )}
+        </ScrollView>
+
+        <View style={styles.modalButtons}>
+          <TouchableOpacity
+            style={[styles.modalButton, styles.modalButtonSecondary]}
+            onPress={onClose}
+          >
+            <Text style={styles.modalButtonTextSecondary}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  modalContent: {
+    flex: 1,
+    padding: 20,
+  },
+  modalTitle: {
+    ...typography.h1,
+    color: colors.text,
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  modalSubtitle: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  loading: {
+    marginTop: 20,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  optionContent: {
+    flex: 1,
+  },
+  optionText: {
+    ...typography.body,
+    color: colors.text,
+    fontWeight: '600',
+  },
+  optionNote: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  conflictText: {
+    ...typography.caption,
+    color: colors.warning,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  similarBadge: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    padding: 20,
+    gap: 12,
+  },
+  modalButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  modalButtonSecondary: {
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  modalButtonTextSecondary: {
+    ...typography.body,
+    color: colors.text,
+    fontWeight: '600',
+  },
+});
@@ -5,8 +5,10 @@
  * Manages cooking state, timers, and session persistence across app navigation
  */
 
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import TimerService from '../services/TimerService';
+import { createTimerId, getPrimaryTimer, getRecipeProgress, toSessionTimer } from '../utils/cookingSessionUtils';
 
 // Storage keys for persisting cooking sessions
 const COOKING_SESSION_STORAGE_KEY = 'chef-flow-cooking-session';
@@ -23,7 +25,7 @@ const initialCookingState = {
   activeRecipe: null,          // Recipe ID being cooked
   recipeName: '',              // Recipe name for display
   totalSteps: 0,               // Total number of steps
-  fullRecipe: null,            // Full recipe object
+  fullRecipe: null,            // Full recipe object, or several interleaved (isMultiRecipe, see interleaveRecipes)
   
   // Progress Tracking
   currentStep: 0,              // Current step index (0-based)
@@ -35,16 +37,23 @@ const initialCookingState = {
   status: 'inactive',           // 'inactive' | 'active' | 'paused' | 'completed'
   
   // Timer State
-  timer: {
-    stepId: null,              // Which step the timer belongs to
-    stepName: '',              // Display name for timer
-    duration: 0,               // Original timer duration (seconds)
-    remainingTime: 0,          // Seconds remaining
-    isActive: false,           // Timer running status
-    isPaused: false,           // Timer is paused
-    startedAt: null,           // When timer was started
-    expiresAt: null            // When timer will expire
-  }
+  // Mirrors TimerService, which runs the countdowns, notifications and timer storage.
+  // Each timer: { id, name, stepIndex, sentenceIndex, duration, remainingTime, overtime,
+  // isActive, isPaused, isExpired, expiresAt } (times in seconds, see toSessionTimer)
+  timers: []
+};
+
+// Shape of the single `timer` exposed for screens that only show one
+const EMPTY_TIMER = {
+  id: null,
+  stepId: null,
+  stepName: '',
+  duration: 0,
+  remainingTime: 0,
+  isActive: false,
+  isPaused: false,
+  isExpired: false,
+  expiresAt: null
 };
 
 // Action types for cooking state management
@@ -62,12 +71,7 @@ export const COOKING_ACTIONS = {
   GO_TO_STEP: 'GO_TO_STEP',
   
   // Timer Management
-  START_TIMER: 'START_TIMER',
-  UPDATE_TIMER: 'UPDATE_TIMER',
-  PAUSE_TIMER: 'PAUSE_TIMER',
-  RESUME_TIMER: 'RESUME_TIMER',
-  STOP_TIMER: 'STOP_TIMER',
-  TIMER_EXPIRED: 'TIMER_EXPIRED'
+  SYNC_TIMERS: 'SYNC_TIMERS'
 };
 
 /**
@@ -111,6 +115,13 @@ function cookingReducer(state, action) {
     }
     
     case COOKING_ACTIONS.END_COOKING: {
+      // Finishing from the last step completes it; stopping early does not
+      const { completed = false } = action.payload || {};
+      const completedSteps = completed && !state.completedSteps.includes(state.currentStep) ?
+        [...state.completedSteps, state.currentStep] : state.completedSteps;
+      const allStepsCompleted = state.totalSteps > 0 &&
+        completedSteps.filter(stepIndex => stepIndex < state.totalSteps).length >= state.totalSteps;
+
       return {
         ...initialCookingState,
         // Keep some session info for history
@@ -120,23 +131,24 @@ function cookingReducer(state, action) {
           recipeName: state.recipeName,
           completedAt: timestamp,
           totalSteps: state.totalSteps,
-          completedSteps: state.completedSteps.length,
+          completedSteps: completedSteps.length,
+          allStepsCompleted,
+          // Per dish when several recipes were cooked together
+          recipes: getRecipeProgress(state.fullRecipe, completedSteps)
+            .map(({ timers, ...progress }) => progress),
+          // Recipe as cooked (scaled), used to update the pantry
+          recipe: allStepsCompleted ? state.fullRecipe : null,
           duration: timestamp - state.startedAt
         }
       };
     }
     
     case COOKING_ACTIONS.PAUSE_COOKING: {
+      // Running timers are paused by the provider
       return {
         ...state,
         status: 'paused',
-        lastActiveAt: timestamp,
-        // Pause any active timer
-        timer: state.timer.isActive ? {
-          ...state.timer,
-          isPaused: true,
-          isActive: false
-        } : state.timer
+        lastActiveAt: timestamp
       };
     }
     
@@ -144,15 +156,7 @@ function cookingReducer(state, action) {
       return {
         ...state,
         status: 'active',
-        lastActiveAt: timestamp,
-        // Resume timer if it was paused
-        timer: state.timer.isPaused ? {
-          ...state.timer,
-          isPaused: false,
-          isActive: true,
-          startedAt: timestamp,
-          expiresAt: timestamp + (state.timer.remainingTime * 1000)
-        } : state.timer
+        lastActiveAt: timestamp
       };
     }
     
@@ -187,9 +191,8 @@ function cookingReducer(state, action) {
         currentStep: newStepIndex,
         completedSteps: newCompletedSteps,
         stepHistory: newStepHistory,
-        lastActiveAt: timestamp,
-        // Stop any active timer when changing steps
-        timer: initialCookingState.timer
+        // Timers keep running across steps ("simmer 20 minutes" while chopping)
+        lastActiveAt: timestamp
       };
     }
     
@@ -218,91 +221,11 @@ function cookingReducer(state, action) {
       return state;
     }
     
-    case COOKING_ACTIONS.START_TIMER: {
-      const { stepId, stepName, duration } = action.payload;
-      const expiresAt = timestamp + (duration * 1000);
-      
-      return {
-        ...state,
-        timer: {
-          stepId: stepId !== undefined ? stepId : state.currentStep,
-          stepName: stepName || `Step ${(stepId || state.currentStep) + 1}`,
-          duration,
-          remainingTime: duration,
-          isActive: true,
-          isPaused: false,
-          startedAt: timestamp,
-          expiresAt
-        },
-        lastActiveAt: timestamp
-      };
-    }
-    
-    case COOKING_ACTIONS.UPDATE_TIMER: {
-      const { remainingTime } = action.payload;
-      
-      if (state.timer.isActive && !state.timer.isPaused) {
-        return {
-          ...state,
-          timer: {
-            ...state.timer,
-            remainingTime: Math.max(0, remainingTime)
-          }
-        };
-      }
-      return state;
-    }
-    
-    case COOKING_ACTIONS.PAUSE_TIMER: {
-      if (state.timer.isActive) {
-        return {
-          ...state,
-          timer: {
-            ...state.timer,
-            isActive: false,
-            isPaused: true
-          },
-          lastActiveAt: timestamp
-        };
-      }
-      return state;
-    }
-    
-    case COOKING_ACTIONS.RESUME_TIMER: {
-      if (state.timer.isPaused) {
-        const newExpiresAt = timestamp + (state.timer.remainingTime * 1000);
-        return {
-          ...state,
-          timer: {
-            ...state.timer,
-            isActive: true,
-            isPaused: false,
-            startedAt: timestamp,
-            expiresAt: newExpiresAt
-          },
-          lastActiveAt: timestamp
-        };
-      }
-      return state;
-    }
-    
-    case COOKING_ACTIONS.STOP_TIMER: {
+    case COOKING_ACTIONS.SYNC_TIMERS: {
+      const { timers } = action.payload;
       return {
         ...state,
-        timer: initialCookingState.timer,
-        lastActiveAt: timestamp
-      };
-    }
-    
-    case COOKING_ACTIONS.TIMER_EXPIRED: {
-      return {
-        ...state,
-        timer: {
-          ...state.timer,
-          isActive: false,
-          remainingTime: 0
-        },
-        lastActiveAt: timestamp
+        timers
       };
     }
     
@@ -314,14 +237,10 @@ function cookingReducer(state, action) {
         return {
           ...state,
           ...sessionData,
+          // Timers are restored by TimerService, not from the saved session
+          timers: state.timers,
           // Update last active time
-          lastActiveAt: timestamp,
-          // Reset timer if it was active (will need to be restarted manually)
-          timer: sessionData.timer?.isActive ? {
-            ...sessionData.timer,
-            isActive: false,
-            remainingTime: Math.max(0, sessionData.timer.remainingTime)
-          } : sessionData.timer || initialCookingState.timer
+          lastActiveAt: timestamp
         };
       }
       return state;
@@ -358,8 +277,8 @@ export function CookingProvider({ children }) {
                 await AsyncStorage.setItem(ACTIVE_RECIPE_STORAGE_KEY, JSON.stringify(cookingState.fullRecipe));
               }
               
-              // Store session state without the full recipe
-              const { fullRecipe, ...sessionStateWithoutRecipe } = cookingState;
+              // Store session state without the full recipe or timers (TimerService stores those)
+              const { fullRecipe, timers, ...sessionStateWithoutRecipe } = cookingState;
               const serializedState = JSON.stringify(sessionStateWithoutRecipe);
               await AsyncStorage.setItem(COOKING_SESSION_STORAGE_KEY, serializedState);
             } catch (serializeError) {
@@ -414,9 +333,10 @@ export function CookingProvider({ children }) {
             });
             console.log('Restored cooking session:', sessionData.recipeName);
           } else {
-            // Clean up old session
+            // Clean up old session and its timers
             await AsyncStorage.removeItem(COOKING_SESSION_STORAGE_KEY);
             await AsyncStorage.removeItem(ACTIVE_RECIPE_STORAGE_KEY);
+            await TimerService.clearAllTimers();
           }
         }
       } catch (error) {
@@ -427,6 +347,69 @@ export function CookingProvider({ children }) {
     restoreSession();
   }, []);
 
+  // Mirror TimerService into the session so every screen sees every timer
+  useEffect(() => {
+    const syncTimers = (serviceTimers) => {
+      dispatch({
+        type: COOKING_ACTIONS.SYNC_TIMERS,
+        payload: { timers: serviceTimers.map(toSessionTimer) }
+      });
+    };
+
+    syncTimers(TimerService.getAllTimers());
+    const unsubscribe = TimerService.addListener(syncTimers);
+    return () => {
+      unsubscribe();
+    };
+  }, []);
+
+  // Pausing the session pauses its running timers; resuming restarts the same ones
+  const timersPausedWithSessionRef = useRef([]);
+  useEffect(() => {
+    if (cookingState.status === 'paused') {
+      const runningTimerIds = cookingState.timers.filter(timer => timer.isActive).map(timer => timer.id);
+      timersPausedWithSessionRef.current = runningTimerIds;
+      runningTimerIds.forEach(id => TimerService.pauseTimer(id));
+    } else if (cookingState.status === 'active' && timersPausedWithSessionRef.current.length > 0) {
+      timersPausedWithSessionRef.current.forEach(id => TimerService.resumeTimer(id));
+      timersPausedWithSessionRef.current = [];
+    }
+  }, [cookingState.status]);
+
+  // Timers belong to the session, so they end with it
+  const previousSessionIdRef = useRef(null);
+  useEffect(() => {
+    if (previousSessionIdRef.current && !cookingState.sessionId) {
+      TimerService.clearAllTimers();
+    }
+    previousSessionIdRef.current = cookingState.sessionId;
+  }, [cookingState.sessionId]);
+
+  const timers = cookingState?.timers || [];
+  const primaryTimer = getPrimaryTimer(timers);
+
+  /**
+   * Start a named timer
+   * @param {number} duration - Duration in seconds
+   * @param {Object} options - { id, name, stepIndex, sentenceIndex }; id defaults to one
+   *   built from the step and sentence, so starting it again restarts the same timer
+   */
+  const startTimer = (duration, options = {}) => {
+    const stepIndex = options.stepIndex ?? cookingState.currentStep;
+    const sentenceIndex = options.sentenceIndex ?? null;
+    const id = options.id || createTimerId(stepIndex, sentenceIndex);
+    const name = options.name || options.stepName || `Step ${stepIndex + 1}`;
+
+    // In an interleaved session the timer belongs to the step's own recipe
+    const step = cookingState.fullRecipe?.steps?.[stepIndex];
+    TimerService.startTimer(id, duration / 60, name, {
+      recipeId: step?.recipeId || cookingState.activeRecipe,
+      stepIndex,
+      sentenceIndex
+    });
+    return id;
+  };
+
   const contextValue = {
     // State
     cookingState: cookingState || initialCookingState,
@@ -437,7 +420,14 @@ export function CookingProvider({ children }) {
     currentStep: cookingState?.currentStep || 0,
     totalSteps: cookingState?.totalSteps || 0,
     recipeName: cookingState?.recipeName || '',
-    timer: cookingState?.timer || initialCookingState.timer,
+    isMultiRecipe: !!cookingState?.fullRecipe?.isMultiRecipe,
+    // Steps done and timers running for each dish
+    recipeProgress: getRecipeProgress(cookingState?.fullRecipe, cookingState?.completedSteps, timers),
+    timers,
+    // The timer to show when there's only room for one
+    timer: primaryTimer
+      ? { ...primaryTimer, stepId: primaryTimer.stepIndex, stepName: primaryTimer.name }
+      : EMPTY_TIMER,
     
     // Actions
     dispatch,
@@ -458,9 +448,12 @@ export function CookingProvider({ children }) {
       }
     },
     
-    endCooking: () => {
+    endCooking: (options = {}) => {
       if (dispatch && typeof dispatch === 'function') {
-        dispatch({ type: COOKING_ACTIONS.END_COOKING });
+        dispatch({
+          type: COOKING_ACTIONS.END_COOKING,
+          payload: { completed: options.completed }
+        });
       }
     },
     
@@ -491,24 +484,36 @@ export function CookingProvider({ children }) {
       }
     },
     
-    startTimer: (duration, options = {}) => {
-      if (dispatch && typeof dispatch === 'function') {
-        dispatch({
-          type: COOKING_ACTIONS.START_TIMER,
-          payload: {
-            stepId: options.stepId,
-            stepName: options.stepName,
-            duration
-          }
-        });
-      }
+    startTimer,
+    
+    // Timer actions take a timer ID and default to the primary timer
+    pauseTimer: (timerId = primaryTimer?.id) => {
+      if (timerId) TimerService.pauseTimer(timerId);
     },
     
-    stopTimer: () => {
-      if (dispatch && typeof dispatch === 'function') {
-        dispatch({ type: COOKING_ACTIONS.STOP_TIMER });
+    resumeTimer: (timerId = primaryTimer?.id) => {
+      if (timerId) TimerService.resumeTimer(timerId);
+    },
+    
+    toggleTimer: (timerId = primaryTimer?.id) => {
+      const timer = timers.find(t => t.id === timerId);
+      if (!timer) return;
+      if (timer.isActive) {
+        TimerService.pauseTimer(timerId);
+      } else if (timer.isPaused) {
+        TimerService.resumeTimer(timerId);
       }
-    }
+    },
+    
+    resetTimer: (timerId = primaryTimer?.id) => {
+      if (timerId) TimerService.resetTimer(timerId);
+    },
+    
+    stopTimer: (timerId = primaryTimer?.id) => {
+      if (timerId) TimerService.stopTimer(timerId);
+    },
+    
+    clearTimers: () => TimerService.clearAllTimers()
   };
 
   return (
@@ -536,14 +541,22 @@ export function useCooking() {
       currentStep: 0,
       totalSteps: 0,
       recipeName: '',
-      timer: initialCookingState.timer,
+      isMultiRecipe: false,
+      recipeProgress: [],
+      timers: [],
+      timer: EMPTY_TIMER,
       startCooking: () => false,
       endCooking: () => false,
       goToStep: () => false,
       nextStep: () => false,
       previousStep: () => false,
       startTimer: () => false,
-      stopTimer: () => false
+      pauseTimer: () => false,
+      resumeTimer: () => false,
+      toggleTimer: () => false,
+      resetTimer: () => false,
+      stopTimer: () => false,
+      clearTimers: () => false
     };
   }
   
@@ -555,7 +568,7 @@ export function useCooking() {
  * Returns just the essential session information
  */
 export function useBasicCookingSession() {
-  const { cookingState } = useCooking();
+  const { cookingState, timer } = useCooking();
   
   return {
     isActive: cookingState.isActiveCookingSession,
@@ -563,7 +576,8 @@ export function useBasicCookingSession() {
     currentStep: cookingState.currentStep,
     totalSteps: cookingState.totalSteps,
     progress: cookingState.totalSteps > 0 ? (cookingState.currentStep + 1) / cookingState.totalSteps : 0,
-    timer: cookingState.timer
+    timer,
+    timers: cookingState.timers
   };
 }
 
@@ -0,0 +1,45 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { usePreferences } from './PreferencesContext';
+import {
+  getAvailableLocales,
+  getDeviceLocale,
+  resolveLocale,
+  translate,
+  translateName,
+} from '../utils/i18n';
+
+const LocaleContext = createContext();
+
+export const useLocale = () => {
+  const context = useContext(LocaleContext);
+  if (!context) {
+    throw new Error('useLocale must be used within a LocaleProvider');
+  }
+  return context;
+};
+
+/**
+ * Provides translations for the chosen language
+ * The choice is saved with the other preferences; until the user picks one the
+ * device language is used. Must be rendered inside PreferencesProvider.
+ */
+export const LocaleProvider = ({ children }) => {
+  const { locale: preferredLocale, setLocale } = usePreferences();
+  const locale = preferredLocale ? resolveLocale(preferredLocale) : getDeviceLocale();
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale,
+    availableLocales: getAvailableLocales(),
+    // t('profile.title'), t('unit.cup', { count: 2 })
+    t: (key, params, fallback) => translate(locale, key, params, fallback),
+    // Name of a category, unit, ingredient, allergen, ... in the current language
+    getName: (entity, count) => translateName(locale, entity, count),
+  }), [locale, setLocale]);
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+};
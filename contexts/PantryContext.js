@@ -0,0 +1,160 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useCooking } from './CookingContext';
+import {
+  createPantryItem,
+  planPantryDeduction,
+  applyPantryDeduction,
+  getLowStockItems,
+  getExpiringItems,
+} from '../utils/pantry';
+
+const PantryContext = createContext();
+const PANTRY_STORAGE_KEY = 'chef-flow-pantry';
+
+const EMPTY_PANTRY = {
+  items: [],
+  // Deduction waiting for the user to review: { sessionId, recipeName, deductions }
+  pendingDeduction: null,
+};
+
+export const usePantry = () => {
+  const context = useContext(PantryContext);
+  if (!context) {
+    throw new Error('usePantry must be used within a PantryProvider');
+  }
+  return context;
+};
+
+export const PantryProvider = ({ children }) => {
+  const [pantry, setPantry] = useState(EMPTY_PANTRY);
+  const [isLoading, setIsLoading] = useState(true);
+  const { cookingState } = useCooking();
+
+  // Sessions already turned into a deduction, so re-renders don't plan one twice
+  const handledSessionIds = useRef(new Set());
+
+  // Load the pantry from AsyncStorage on mount
+  useEffect(() => {
+    loadPantry();
+  }, []);
+
+  // Save the pantry to AsyncStorage whenever it changes
+  useEffect(() => {
+    if (!isLoading) {
+      savePantry();
+    }
+  }, [pantry, isLoading]);
+
+  const loadPantry = async () => {
+    try {
+      const saved = await AsyncStorage.getItem(PANTRY_STORAGE_KEY);
+      if (saved) {
+        const loaded = { ...EMPTY_PANTRY, ...JSON.parse(saved) };
+        if (loaded.pendingDeduction) {
+          handledSessionIds.current.add(loaded.pendingDeduction.sessionId);
+        }
+        setPantry(loaded);
+      }
+    } catch (error) {
+      console.error('Error loading pantry:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const savePantry = async () => {
+    try {
+      await AsyncStorage.setItem(PANTRY_STORAGE_KEY, JSON.stringify(pantry));
+    } catch (error) {
+      console.error('Error saving pantry:', error);
+    }
+  };
+
+  // When a cooking session ends with every step completed, plan what it used up
+  const lastSession = cookingState.lastCompletedSession;
+  useEffect(() => {
+    if (isLoading || !lastSession?.allStepsCompleted || !lastSession.recipe) return;
+    if (handledSessionIds.current.has(lastSession.sessionId)) return;
+    handledSessionIds.current.add(lastSession.sessionId);
+
+    setPantry(prev => {
+      if (prev.items.length === 0) return prev;
+
+      const deductions = planPantryDeduction(lastSession.recipe, prev.items);
+      if (!deductions.some(deduction => deduction.pantryItemId)) return prev;
+
+      return {
+        ...prev,
+        pendingDeduction: {
+          sessionId: lastSession.sessionId,
+          recipeName: lastSession.recipeName,
+          createdAt: new Date().toISOString(),
+          deductions,
+        },
+      };
+    });
+  }, [lastSession, isLoading]);
+
+  const addItem = (fields) => {
+    const item = createPantryItem(fields);
+    setPantry(prev => ({ ...prev, items: [...prev.items, item] }));
+    return item;
+  };
+
+  const updateItem = (itemId, updates) => {
+    setPantry(prev => ({
+      ...prev,
+      items: prev.items.map(item =>
+        item.id === itemId ? { ...item, ...updates, updatedAt: new Date().toISOString() } : item
+      ),
+    }));
+  };
+
+  const removeItem = (itemId) => {
+    setPantry(prev => ({ ...prev, items: prev.items.filter(item => item.id !== itemId) }));
+  };
+
+  /**
+   * Apply the pending deduction after review
+   * @param {Array} deductionKeys - Keys of the deductions the user kept
+   */
+  const applyPendingDeduction = (deductionKeys) => {
+    setPantry(prev => {
+      if (!prev.pendingDeduction) return prev;
+
+      const kept = prev.pendingDeduction.deductions.filter(deduction => deductionKeys.includes(deduction.key));
+      return {
+        ...prev,
+        items: applyPantryDeduction(prev.items, kept),
+        pendingDeduction: null,
+      };
+    });
+  };
+
+  const dismissPendingDeduction = () => {
+    setPantry(prev => ({ ...prev, pendingDeduction: null }));
+  };
+
+  const lowStockItems = useMemo(() => getLowStockItems(pantry.items), [pantry.items]);
+  const expiringItems = useMemo(() => getExpiringItems(pantry.items), [pantry.items]);
+
+  const value = {
+    items: pantry.items,
+    pendingDeduction: pantry.pendingDeduction,
+    lowStockItems,
+    expiringItems,
+    addItem,
+    updateItem,
+    removeItem,
+    applyPendingDeduction,
+    dismissPendingDeduction,
+    isLoading,
+  };
+
+  return (
+    <PantryContext.Provider value={value}>
+      {children}
+    </PantryContext.Provider>
+  );
+};
@@ -0,0 +1,110 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { MEASUREMENT_SYSTEMS } from '../utils/measurementDisplay';
+import { EMPTY_RESTRICTIONS } from '../utils/dietaryRestrictions';
+
+const PreferencesContext = createContext();
+const PREFERENCES_STORAGE_KEY = 'chef-flow-preferences';
+
+const DEFAULT_PREFERENCES = {
+  measurementSystem: MEASUREMENT_SYSTEMS.AS_WRITTEN,
+  // { allergens: [ALLERGENS keys], diets: [DIETS keys] }
+  dietaryRestrictions: EMPTY_RESTRICTIONS,
+  // SUPPORTED_LOCALES code, or null to follow the device language
+  locale: null,
+};
+
+export const usePreferences = () => {
+  const context = useContext(PreferencesContext);
+  if (!context) {
+    throw new Error('usePreferences must be used within a PreferencesProvider');
+  }
+  return context;
+};
+
+export const PreferencesProvider = ({ children }) => {
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Load preferences from AsyncStorage on mount
+  useEffect(() => {
+    loadPreferences();
+  }, []);
+
+  // Save preferences to AsyncStorage whenever they change
+  useEffect(() => {
+    if (!isLoading) {
+      savePreferences();
+    }
+  }, [preferences, isLoading]);
+
+  const loadPreferences = async () => {
+    try {
+      const savedPreferences = await AsyncStorage.getItem(PREFERENCES_STORAGE_KEY);
+      if (savedPreferences) {
+        // Merge with defaults so newly added preferences get a value
+        setPreferences({ ...DEFAULT_PREFERENCES, ...JSON.parse(savedPreferences) });
+      }
+    } catch (error) {
+      console.error('Error loading preferences:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const savePreferences = async () => {
+    try {
+      await AsyncStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+      console.error('Error saving preferences:', error);
+    }
+  };
+
+  const updatePreferences = (updates) => {
+    setPreferences(prev => ({ ...prev, ...updates }));
+  };
+
+  const setMeasurementSystem = (measurementSystem) => {
+    updatePreferences({ measurementSystem });
+  };
+
+  const setLocale = (locale) => {
+    updatePreferences({ locale });
+  };
+
+  /**
+   * Add or remove one allergen or diet from the user's restrictions
+   * @param {string} type - 'allergens' or 'diets'
+   * @param {string} id - ALLERGENS or DIETS key
+   */
+  const toggleDietaryRestriction = (type, id) => {
+    setPreferences(prev => {
+      const current = prev.dietaryRestrictions[type] || [];
+      return {
+        ...prev,
+        dietaryRestrictions: {
+          ...prev.dietaryRestrictions,
+          [type]: current.includes(id) ? current.filter(existing => existing !== id) : [...current, id],
+        },
+      };
+    });
+  };
+
+  const value = {
+    preferences,
+    measurementSystem: preferences.measurementSystem,
+    setMeasurementSystem,
+    dietaryRestrictions: preferences.dietaryRestrictions,
+    toggleDietaryRestriction,
+    locale: preferences.locale,
+    setLocale,
+    updatePreferences,
+    isLoading,
+  };
+
+  return (
+    <PreferencesContext.Provider value={value}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+};
@@ -1,8 +1,9 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { getRecipeRepository } from '../storage/RecipeRepository';
+import { diffRecipes, summarizeDiff } from '../utils/recipeDiff';
+import { CURRENT_SCHEMA_VERSION, runMigrations } from '../utils/recipeMigration';
 
 const RecipeContext = createContext();
-const RECIPES_STORAGE_KEY = 'chef-flow-recipes';
 
 export const useRecipes = () => {
   const context = useContext(RecipeContext);
@@ -39,9 +40,10 @@ Garnish chicken with parsley to serve.`,
       structured: {
         isStructured: true,
         quantity: 2,
-        unit: { value: 'piece', name: 'piece', plural: 'pieces' },
+        unit: null,
+        packageSize: { quantity: 5, unit: { id: 'oz', value: 'oz', name: 'oz', plural: 'oz' } },
         ingredient: { id: 'chicken-breast', name: 'chicken breast halves', category: 'meat' },
-        preparation: { id: 'prep-1', name: 'skinless, boneless (5 ounce)', requiresStep: false }
+        preparation: { id: 'prep-1', name: 'skinless, boneless', requiresStep: false }
       }
     },
     {
@@ -134,66 +136,150 @@ Garnish chicken with parsley to serve.`,
   ]
 };
 
+// Revisions saved before they recorded a schema version were all written at version 2
+const UNVERSIONED_REVISION_SCHEMA_VERSION = 2;
+
+/**
+ * Build a revision entry for the revision history
+ * schemaVersion lets a later revert migrate the snapshot up to the current schema
+ */
+const createRevision = (recipe, note, summary = null) => ({
+  id: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+  createdAt: new Date().toISOString(),
+  note,
+  summary,
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+  snapshot: recipe
+});
+
 export const RecipeProvider = ({ children }) => {
   const [recipes, setRecipes] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  
+  // Latest recipes, so each change can pass the full ordering to the repository
+  const recipesRef = useRef([]);
+  // Set when loading fails - changes then stay in memory so the stored recipes aren't overwritten
+  const isReadOnlyRef = useRef(false);
+  const repository = getRecipeRepository();
 
-  // Load recipes from AsyncStorage on mount
+  // Load recipes from the repository on mount
   useEffect(() => {
     loadRecipes();
   }, []);
 
-  // Save recipes to AsyncStorage whenever they change
-  useEffect(() => {
-    if (!isLoading && recipes.length > 0) {
-      saveRecipes();
-    }
-  }, [recipes, isLoading]);
+  const applyRecipes = (nextRecipes) => {
+    recipesRef.current = nextRecipes;
+    setRecipes(nextRecipes);
+  };
 
   const loadRecipes = async () => {
     try {
-      const savedRecipes = await AsyncStorage.getItem(RECIPES_STORAGE_KEY);
-      if (savedRecipes) {
-        const parsedRecipes = JSON.parse(savedRecipes);
-        console.log(`Loaded ${parsedRecipes.length} recipes from storage`);
-        setRecipes(parsedRecipes);
-      } else {
+      const { recipes: storedRecipes, isFirstRun } = await repository.loadAll();
+      if (isFirstRun) {
         // First time - use sample recipe
         console.log('No saved recipes found, using sample recipe');
-        setRecipes([sampleRecipe]);
+        applyRecipes([sampleRecipe]);
+        await repository.saveAll([sampleRecipe]);
+      } else {
+        console.log(`Loaded ${storedRecipes.length} recipes from storage`);
+        applyRecipes(storedRecipes);
       }
     } catch (error) {
       console.error('Error loading recipes:', error);
-      // Fallback to sample recipe on error
-      setRecipes([sampleRecipe]);
+      // Fallback to sample recipe on error, and stop saving so nothing stored is overwritten
+      isReadOnlyRef.current = true;
+      applyRecipes([sampleRecipe]);
     } finally {
       setIsLoading(false);
     }
   };
 
-  const saveRecipes = async () => {
+  /**
+   * Check whether changes can be written, warning when they can't
+   */
+  const canSave = () => {
+    if (isReadOnlyRef.current) {
+      console.warn('Recipes failed to load - not saving changes so stored recipes are kept');
+    }
+    return !isReadOnlyRef.current;
+  };
+
+  const addRecipe = async (recipe) => {
+    const nextRecipes = [recipe, ...recipesRef.current.filter(r => r.id !== recipe.id)];
+    applyRecipes(nextRecipes);
+    if (!canSave()) return;
+    
+    try {
+      await repository.saveRecipe(recipe, nextRecipes.map(r => r.id), {
+        revision: createRevision(recipe, 'Created')
+      });
+    } catch (error) {
+      console.error('Error saving recipe:', error);
+    }
+  };
+
+  const updateRecipe = async (updatedRecipe, options = {}) => {
+    const previousRecipe = recipesRef.current.find(recipe => recipe.id === updatedRecipe.id);
+    const nextRecipes = recipesRef.current.map(recipe => 
+      recipe.id === updatedRecipe.id ? updatedRecipe : recipe
+    );
+    applyRecipes(nextRecipes);
+
+    // Record a revision only when something the user can see has changed
+    const diff = diffRecipes(previousRecipe, updatedRecipe);
+    const revision = diff.hasChanges || options.note
+      ? {
+          revision: createRevision(updatedRecipe, options.note || 'Edited', summarizeDiff(diff)),
+          // Recipes saved before history existed keep their previous version as the first revision
+          baseline: previousRecipe ? createRevision(previousRecipe, 'Original version') : null
+        }
+      : null;
+    if (!canSave()) return;
+    
     try {
-      await AsyncStorage.setItem(RECIPES_STORAGE_KEY, JSON.stringify(recipes));
-      console.log(`Saved ${recipes.length} recipes to storage`);
+      await repository.saveRecipe(updatedRecipe, nextRecipes.map(r => r.id), revision);
     } catch (error) {
-      console.error('Error saving recipes:', error);
+      console.error('Error saving recipe:', error);
     }
   };
 
-  const addRecipe = (recipe) => {
-    setRecipes(prev => [recipe, ...prev]);
+  const getRevisions = async (recipeId) => {
+    try {
+      return await repository.loadRevisions(recipeId);
+    } catch (error) {
+      console.error('Error loading recipe history:', error);
+      return [];
+    }
   };
 
-  const updateRecipe = (updatedRecipe) => {
-    setRecipes(prev => 
-      prev.map(recipe => 
-        recipe.id === updatedRecipe.id ? updatedRecipe : recipe
-      )
-    );
+  const revertRecipe = async (recipeId, revisionId) => {
+    const revisions = await getRevisions(recipeId);
+    const target = revisions.find(revision => revision.id === revisionId);
+    if (!target) {
+      throw new Error('Revision not found');
+    }
+
+    // Snapshots keep the schema they were saved with, so bring them up to date first
+    const [migratedSnapshot] = runMigrations(
+      [target.snapshot],
+      target.schemaVersion ?? UNVERSIONED_REVISION_SCHEMA_VERSION
+    ).recipes;
+    const revertedRecipe = { ...migratedSnapshot, id: recipeId };
+    const savedAt = new Date(target.createdAt).toLocaleString();
+    await updateRecipe(revertedRecipe, { note: `Reverted to version from ${savedAt}` });
+    return revertedRecipe;
   };
 
-  const deleteRecipe = (recipeId) => {
-    setRecipes(prev => prev.filter(recipe => recipe.id !== recipeId));
+  const deleteRecipe = async (recipeId) => {
+    const nextRecipes = recipesRef.current.filter(recipe => recipe.id !== recipeId);
+    applyRecipes(nextRecipes);
+    if (!canSave()) return;
+    
+    try {
+      await repository.deleteRecipe(recipeId, nextRecipes.map(r => r.id));
+    } catch (error) {
+      console.error('Error deleting recipe:', error);
+    }
   };
 
   const value = {
@@ -201,6 +287,8 @@ export const RecipeProvider = ({ children }) => {
     addRecipe,
     updateRecipe,
     deleteRecipe,
+    getRevisions,
+    revertRecipe,
     isLoading,
   };
 
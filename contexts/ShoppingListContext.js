@@ -0,0 +1,116 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const ShoppingListContext = createContext();
+const SHOPPING_LIST_STORAGE_KEY = 'chef-flow-shopping-list';
+
+const EMPTY_SHOPPING_LIST = {
+  // [{ recipeId, servings }] - servings is null to use the recipe's own count
+  selections: [],
+  // Checked item keys (see buildShoppingList), kept across restarts
+  checkedItems: {},
+};
+
+export const useShoppingList = () => {
+  const context = useContext(ShoppingListContext);
+  if (!context) {
+    throw new Error('useShoppingList must be used within a ShoppingListProvider');
+  }
+  return context;
+};
+
+export const ShoppingListProvider = ({ children }) => {
+  const [shoppingList, setShoppingList] = useState(EMPTY_SHOPPING_LIST);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Load the shopping list from AsyncStorage on mount
+  useEffect(() => {
+    loadShoppingList();
+  }, []);
+
+  // Save the shopping list to AsyncStorage whenever it changes
+  useEffect(() => {
+    if (!isLoading) {
+      saveShoppingList();
+    }
+  }, [shoppingList, isLoading]);
+
+  const loadShoppingList = async () => {
+    try {
+      const saved = await AsyncStorage.getItem(SHOPPING_LIST_STORAGE_KEY);
+      if (saved) {
+        setShoppingList({ ...EMPTY_SHOPPING_LIST, ...JSON.parse(saved) });
+      }
+    } catch (error) {
+      console.error('Error loading shopping list:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const saveShoppingList = async () => {
+    try {
+      await AsyncStorage.setItem(SHOPPING_LIST_STORAGE_KEY, JSON.stringify(shoppingList));
+    } catch (error) {
+      console.error('Error saving shopping list:', error);
+    }
+  };
+
+  const toggleRecipe = (recipeId) => {
+    setShoppingList(prev => {
+      const isSelected = prev.selections.some(selection => selection.recipeId === recipeId);
+      return {
+        ...prev,
+        selections: isSelected
+          ? prev.selections.filter(selection => selection.recipeId !== recipeId)
+          : [...prev.selections, { recipeId, servings: null }],
+      };
+    });
+  };
+
+  const setRecipeServings = (recipeId, servings) => {
+    setShoppingList(prev => ({
+      ...prev,
+      selections: prev.selections.map(selection =>
+        selection.recipeId === recipeId ? { ...selection, servings } : selection
+      ),
+    }));
+  };
+
+  const toggleItem = (itemKey) => {
+    setShoppingList(prev => {
+      const checkedItems = { ...prev.checkedItems };
+      if (checkedItems[itemKey]) {
+        delete checkedItems[itemKey];
+      } else {
+        checkedItems[itemKey] = true;
+      }
+      return { ...prev, checkedItems };
+    });
+  };
+
+  const clearCheckedItems = () => {
+    setShoppingList(prev => ({ ...prev, checkedItems: {} }));
+  };
+
+  const clearShoppingList = () => {
+    setShoppingList(EMPTY_SHOPPING_LIST);
+  };
+
+  const value = {
+    selections: shoppingList.selections,
+    checkedItems: shoppingList.checkedItems,
+    toggleRecipe,
+    setRecipeServings,
+    toggleItem,
+    clearCheckedItems,
+    clearShoppingList,
+    isLoading,
+  };
+
+  return (
+    <ShoppingListContext.Provider value={value}>
+      {children}
+    </ShoppingListContext.Provider>
+  );
+};
@@ -28,6 +28,9 @@ export const UNITS = {
   tsp: { id: 'tsp', nameKey: 'unit.tsp', name: 'tsp', plural: 'tsp', type: 'volume' },
   ml: { id: 'ml', nameKey: 'unit.ml', name: 'ml', plural: 'ml', type: 'volume' },
   liter: { id: 'liter', nameKey: 'unit.liter', name: 'liter', plural: 'liters', type: 'volume' },
+  pint: { id: 'pint', nameKey: 'unit.pint', name: 'pint', plural: 'pints', type: 'volume' },
+  quart: { id: 'quart', nameKey: 'unit.quart', name: 'quart', plural: 'quarts', type: 'volume' },
+  gallon: { id: 'gallon', nameKey: 'unit.gallon', name: 'gallon', plural: 'gallons', type: 'volume' },
   
   // Weight
   oz: { id: 'oz', nameKey: 'unit.oz', name: 'oz', plural: 'oz', type: 'weight' },
@@ -99,6 +102,10 @@ export const INGREDIENTS = {
     category: 'vegetables',
     commonUnits: ['piece', 'whole', 'cup', 'medium', 'large', 'small'],
     commonPreparations: ['chopped', 'diced', 'sliced', 'minced', 'quartered', 'halved'],
+    nutrition: { calories: 40, protein: 1.1, fat: 0.1, carbs: 9.3, fiber: 1.7, sodium: 4 }, // per 100 g; sodium in mg, the rest in g (calories in kcal)
+    unitWeights: { piece: 110, whole: 110, medium: 110, large: 150, small: 70, cup: 160 }, // grams per unit, for units density can't convert
+    allergens: [], // ALLERGENS keys
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian', 'keto', 'paleo'], // DIETS the ingredient fits
     searchTerms: ['onion', 'onions', 'yellow onion', 'white onion']
   },
   
@@ -109,7 +116,12 @@ export const INGREDIENTS = {
     plural: 'garlic',
     category: 'vegetables',
     commonUnits: ['clove', 'tbsp', 'tsp'],
+    density: 0.56, // grams per ml, used for volume-to-weight conversion
     commonPreparations: ['minced', 'chopped', 'crushed', 'whole'],
+    nutrition: { calories: 149, protein: 6.4, fat: 0.5, carbs: 33.1, fiber: 2.1, sodium: 17 },
+    unitWeights: { clove: 3 },
+    allergens: [],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian', 'keto', 'paleo'],
     searchTerms: ['garlic', 'garlic clove', 'garlic cloves']
   },
   
@@ -121,6 +133,10 @@ export const INGREDIENTS = {
     category: 'vegetables',
     commonUnits: ['piece', 'cup', 'can', 'medium', 'large'],
     commonPreparations: ['chopped', 'diced', 'sliced', 'quartered', 'crushed'],
+    nutrition: { calories: 18, protein: 0.9, fat: 0.2, carbs: 3.9, fiber: 1.2, sodium: 5 },
+    unitWeights: { piece: 123, medium: 123, large: 182, cup: 180, can: 400 },
+    allergens: [],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian', 'keto', 'paleo'],
     searchTerms: ['tomato', 'tomatoes', 'fresh tomato', 'canned tomato']
   },
   
@@ -132,9 +148,29 @@ export const INGREDIENTS = {
     category: 'vegetables',
     commonUnits: ['piece', 'cup', 'medium', 'large'],
     commonPreparations: ['chopped', 'diced', 'sliced', 'julienned', 'grated', 'peeled'],
+    nutrition: { calories: 41, protein: 0.9, fat: 0.2, carbs: 9.6, fiber: 2.8, sodium: 69 },
+    unitWeights: { piece: 61, medium: 61, large: 72, cup: 128 },
+    allergens: [],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian', 'paleo'],
     searchTerms: ['carrot', 'carrots']
   },
   
+  // Fruits
+  lemon_juice: {
+    id: 'lemon_juice',
+    nameKey: 'ingredient.lemon_juice',
+    name: 'lemon juice',
+    plural: 'lemon juice',
+    category: 'fruits',
+    commonUnits: ['tbsp', 'tsp', 'cup'],
+    density: 1.03,
+    commonPreparations: ['fresh', 'freshly squeezed'],
+    nutrition: { calories: 22, protein: 0.4, fat: 0.2, carbs: 6.9, fiber: 0.3, sodium: 1 },
+    allergens: [],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian', 'keto', 'paleo'],
+    searchTerms: ['lemon juice', 'fresh lemon juice', 'juice of lemon']
+  },
+  
   // Proteins
   chicken_breast: {
     id: 'chicken_breast',
@@ -144,6 +180,10 @@ export const INGREDIENTS = {
     category: 'proteins',
     commonUnits: ['piece', 'lb', 'oz'],
     commonPreparations: ['cubed', 'sliced', 'whole'],
+    nutrition: { calories: 120, protein: 22.5, fat: 2.6, carbs: 0, fiber: 0, sodium: 45 },
+    unitWeights: { piece: 174, whole: 174 },
+    allergens: [],
+    dietaryTags: ['keto', 'paleo'],
     searchTerms: ['chicken breast', 'chicken breasts', 'chicken']
   },
   
@@ -155,9 +195,27 @@ export const INGREDIENTS = {
     category: 'proteins',
     commonUnits: ['lb', 'oz'],
     commonPreparations: ['cooked', 'fresh'],
+    nutrition: { calories: 254, protein: 17.2, fat: 20, carbs: 0, fiber: 0, sodium: 66 },
+    allergens: [],
+    dietaryTags: ['keto', 'paleo'],
     searchTerms: ['ground beef', 'beef', 'hamburger']
   },
   
+  egg: {
+    id: 'egg',
+    nameKey: 'ingredient.egg',
+    name: 'egg',
+    plural: 'eggs',
+    category: 'proteins',
+    commonUnits: ['piece', 'whole', 'large', 'medium'],
+    commonPreparations: ['beaten', 'whisked', 'separated', 'room temperature'],
+    nutrition: { calories: 143, protein: 12.6, fat: 9.5, carbs: 0.7, fiber: 0, sodium: 142 },
+    unitWeights: { piece: 50, whole: 50, large: 50, medium: 44, small: 38 },
+    allergens: ['egg'],
+    dietaryTags: ['vegetarian', 'pescatarian', 'keto', 'paleo'],
+    searchTerms: ['egg', 'eggs', 'large egg', 'large eggs']
+  },
+  
   // Dairy
   milk: {
     id: 'milk',
@@ -166,7 +224,11 @@ export const INGREDIENTS = {
     plural: 'milk',
     category: 'dairy',
     commonUnits: ['cup', 'tbsp', 'ml'],
+    density: 1.03,
     commonPreparations: ['whole', 'skim', '2%'],
+    nutrition: { calories: 61, protein: 3.2, fat: 3.3, carbs: 4.8, fiber: 0, sodium: 43 },
+    allergens: ['dairy'],
+    dietaryTags: ['vegetarian', 'pescatarian'],
     searchTerms: ['milk', 'whole milk', 'skim milk']
   },
   
@@ -177,10 +239,29 @@ export const INGREDIENTS = {
     plural: 'butter',
     category: 'dairy',
     commonUnits: ['tbsp', 'cup', 'oz'],
+    density: 0.96,
     commonPreparations: ['softened', 'melted', 'cold'],
+    nutrition: { calories: 717, protein: 0.9, fat: 81.1, carbs: 0.1, fiber: 0, sodium: 11 },
+    allergens: ['dairy'],
+    dietaryTags: ['vegetarian', 'pescatarian', 'keto'],
     searchTerms: ['butter', 'unsalted butter', 'salted butter']
   },
   
+  buttermilk: {
+    id: 'buttermilk',
+    nameKey: 'ingredient.buttermilk',
+    name: 'buttermilk',
+    plural: 'buttermilk',
+    category: 'dairy',
+    commonUnits: ['cup', 'tbsp', 'ml'],
+    density: 1.03,
+    commonPreparations: ['low-fat', 'cold'],
+    nutrition: { calories: 40, protein: 3.3, fat: 0.9, carbs: 4.8, fiber: 0, sodium: 105 },
+    allergens: ['dairy'],
+    dietaryTags: ['vegetarian', 'pescatarian'],
+    searchTerms: ['buttermilk', 'cultured buttermilk']
+  },
+  
   // Grains
   flour: {
     id: 'flour',
@@ -189,7 +270,11 @@ export const INGREDIENTS = {
     plural: 'flour',
     category: 'grains',
     commonUnits: ['cup', 'tbsp', 'oz'],
+    density: 0.53,
     commonPreparations: ['sifted', 'all-purpose', 'whole wheat'],
+    nutrition: { calories: 364, protein: 10.3, fat: 1, carbs: 76.3, fiber: 2.7, sodium: 2 },
+    allergens: ['gluten'],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian'],
     searchTerms: ['flour', 'all-purpose flour', 'wheat flour']
   },
   
@@ -200,7 +285,11 @@ export const INGREDIENTS = {
     plural: 'rice',
     category: 'grains',
     commonUnits: ['cup', 'oz'],
+    density: 0.85,
     commonPreparations: ['rinsed', 'cooked', 'uncooked'],
+    nutrition: { calories: 365, protein: 7.1, fat: 0.7, carbs: 80, fiber: 1.3, sodium: 5 },
+    allergens: [],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian'],
     searchTerms: ['rice', 'white rice', 'brown rice', 'jasmine rice']
   },
   
@@ -212,7 +301,11 @@ export const INGREDIENTS = {
     plural: 'salt',
     category: 'spices',
     commonUnits: ['tsp', 'tbsp'],
+    density: 1.22,
     commonPreparations: ['kosher', 'sea salt', 'table salt'],
+    nutrition: { calories: 0, protein: 0, fat: 0, carbs: 0, fiber: 0, sodium: 38758 },
+    allergens: [],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian', 'keto', 'paleo'],
     searchTerms: ['salt', 'kosher salt', 'sea salt', 'table salt']
   },
   
@@ -223,7 +316,11 @@ export const INGREDIENTS = {
     plural: 'black pepper',
     category: 'spices',
     commonUnits: ['tsp', 'tbsp'],
+    density: 0.46,
     commonPreparations: ['ground', 'freshly ground', 'whole'],
+    nutrition: { calories: 251, protein: 10.4, fat: 3.3, carbs: 64, fiber: 25.3, sodium: 20 },
+    allergens: [],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian', 'keto', 'paleo'],
     searchTerms: ['black pepper', 'pepper', 'ground pepper']
   },
   
@@ -235,7 +332,11 @@ export const INGREDIENTS = {
     plural: 'olive oil',
     category: 'oils',
     commonUnits: ['tbsp', 'tsp', 'cup'],
+    density: 0.92,
     commonPreparations: ['extra virgin', 'virgin', 'light'],
+    nutrition: { calories: 884, protein: 0, fat: 100, carbs: 0, fiber: 0, sodium: 2 },
+    allergens: [],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian', 'keto', 'paleo'],
     searchTerms: ['olive oil', 'extra virgin olive oil', 'evoo']
   },
   
@@ -247,7 +348,11 @@ export const INGREDIENTS = {
     plural: 'sugar',
     category: 'pantry',
     commonUnits: ['cup', 'tbsp', 'tsp'],
+    density: 0.85,
     commonPreparations: ['granulated', 'brown', 'powdered'],
+    nutrition: { calories: 387, protein: 0, fat: 0, carbs: 100, fiber: 0, sodium: 1 },
+    allergens: [],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian'],
     searchTerms: ['sugar', 'granulated sugar', 'white sugar', 'brown sugar']
   },
   
@@ -258,7 +363,11 @@ export const INGREDIENTS = {
     plural: 'vanilla extract',
     category: 'pantry',
     commonUnits: ['tsp', 'tbsp'],
+    density: 0.88,
     commonPreparations: ['pure', 'imitation'],
+    nutrition: { calories: 288, protein: 0.1, fat: 0.1, carbs: 12.7, fiber: 0, sodium: 9 },
+    allergens: [],
+    dietaryTags: ['vegan', 'vegetarian', 'pescatarian', 'paleo'],
     searchTerms: ['vanilla extract', 'vanilla', 'pure vanilla']
   }
 };
@@ -267,16 +376,192 @@ export const INGREDIENTS = {
 export const UNIT_CONVERSIONS = {
   // Volume conversions
   volume: {
-    tsp: { tbsp: 0.333, cup: 0.0208 },
-    tbsp: { tsp: 3, cup: 0.0625 },
-    cup: { tbsp: 16, tsp: 48 }
+    tsp: { tbsp: 1 / 3, ml: 4.92892 },
+    tbsp: { tsp: 3, cup: 1 / 16 },
+    cup: { tbsp: 16, pint: 0.5, ml: 236.588 },
+    pint: { cup: 2, quart: 0.5 },
+    quart: { pint: 2, gallon: 0.25, liter: 0.946353 },
+    gallon: { quart: 4 },
+    ml: { liter: 0.001 },
+    liter: { ml: 1000 }
   },
   
   // Weight conversions
   weight: {
-    oz: { lb: 0.0625, gram: 28.35 },
-    lb: { oz: 16, kg: 0.453 },
-    gram: { oz: 0.035, kg: 0.001 },
-    kg: { gram: 1000, lb: 2.205 }
+    oz: { lb: 1 / 16, gram: 28.3495 },
+    lb: { oz: 16, kg: 0.453592 },
+    gram: { kg: 0.001 },
+    kg: { gram: 1000 }
+  },
+
+  // Count conversions
+  count: {
+    piece: { whole: 1 },
+    whole: { piece: 1 }
   }
-};
\ No newline at end of file
+};
+
+// Units that volume and weight pass through when converting with an ingredient density
+export const DENSITY_BASE_UNITS = {
+  volume: 'ml',
+  weight: 'gram'
+};
+
+// Measurement system of each convertible unit, used when choosing display units
+export const UNIT_SYSTEMS = {
+  metric: ['ml', 'liter', 'gram', 'kg'],
+  us: ['tsp', 'tbsp', 'cup', 'pint', 'quart', 'gallon', 'oz', 'lb']
+};
+
+// Quantity range in which each unit reads naturally in a recipe
+export const READABLE_UNIT_RANGES = {
+  tsp: { min: 0.125, max: 3 },
+  tbsp: { min: 1, max: 4 },
+  cup: { min: 0.25, max: 4 },
+  pint: { min: 1, max: 2 },
+  quart: { min: 1, max: 4 },
+  gallon: { min: 1, max: 10 },
+  ml: { min: 1, max: 1000 },
+  liter: { min: 1, max: 20 },
+  oz: { min: 0.5, max: 16 },
+  lb: { min: 1, max: 20 },
+  gram: { min: 1, max: 1000 },
+  kg: { min: 1, max: 20 }
+};
+
+// Nutrients tracked in INGREDIENTS[].nutrition, in display order
+export const NUTRIENTS = {
+  calories: { id: 'calories', nameKey: 'nutrient.calories', name: 'Calories', unit: 'kcal' },
+  protein: { id: 'protein', nameKey: 'nutrient.protein', name: 'Protein', unit: 'g' },
+  fat: { id: 'fat', nameKey: 'nutrient.fat', name: 'Fat', unit: 'g' },
+  carbs: { id: 'carbs', nameKey: 'nutrient.carbs', name: 'Carbs', unit: 'g' },
+  fiber: { id: 'fiber', nameKey: 'nutrient.fiber', name: 'Fiber', unit: 'g' },
+  sodium: { id: 'sodium', nameKey: 'nutrient.sodium', name: 'Sodium', unit: 'mg' }
+};
+
+// Allergens tracked in INGREDIENTS[].allergens
+// keywords catch ingredients that aren't in the catalog; excludeKeywords avoid obvious false matches
+export const ALLERGENS = {
+  gluten: { id: 'gluten', nameKey: 'allergen.gluten', name: 'Gluten', keywords: ['flour', 'wheat', 'bread', 'breadcrumb', 'pasta', 'spaghetti', 'noodle', 'barley', 'rye', 'couscous', 'semolina'], excludeKeywords: ['rice flour', 'almond flour', 'coconut flour', 'rice noodle'] },
+  dairy: { id: 'dairy', nameKey: 'allergen.dairy', name: 'Dairy', keywords: ['milk', 'butter', 'cream', 'cheese', 'yogurt', 'ghee', 'parmesan', 'mozzarella', 'buttermilk'], excludeKeywords: ['peanut butter', 'almond butter', 'cocoa butter', 'vegan butter', 'coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk'] },
+  egg: { id: 'egg', nameKey: 'allergen.egg', name: 'Egg', keywords: ['egg', 'yolk', 'mayonnaise'] },
+  peanuts: { id: 'peanuts', nameKey: 'allergen.peanuts', name: 'Peanuts', keywords: ['peanut'] },
+  tree_nuts: { id: 'tree_nuts', nameKey: 'allergen.tree_nuts', name: 'Tree Nuts', keywords: ['almond', 'walnut', 'pecan', 'cashew', 'pistachio', 'hazelnut', 'macadamia'] },
+  soy: { id: 'soy', nameKey: 'allergen.soy', name: 'Soy', keywords: ['soy', 'tofu', 'edamame', 'miso', 'tempeh'] },
+  fish: { id: 'fish', nameKey: 'allergen.fish', name: 'Fish', keywords: ['fish', 'salmon', 'tuna', 'cod', 'anchovy', 'sardine', 'tilapia'] },
+  shellfish: { id: 'shellfish', nameKey: 'allergen.shellfish', name: 'Shellfish', keywords: ['shrimp', 'prawn', 'crab', 'lobster', 'clam', 'mussel', 'oyster', 'scallop'] },
+  sesame: { id: 'sesame', nameKey: 'allergen.sesame', name: 'Sesame', keywords: ['sesame', 'tahini'] }
+};
+
+const MEAT_KEYWORDS = ['chicken', 'beef', 'pork', 'bacon', 'ham', 'lamb', 'turkey', 'sausage', 'veal', 'duck', 'gelatin', 'prosciutto', 'chorizo'];
+
+// Diets tracked in INGREDIENTS[].dietaryTags
+// For ingredients outside the catalog, excludesAllergens and excludesKeywords decide conflicts
+export const DIETS = {
+  vegetarian: { id: 'vegetarian', nameKey: 'diet.vegetarian', name: 'Vegetarian', excludesAllergens: ['fish', 'shellfish'], excludesKeywords: MEAT_KEYWORDS },
+  vegan: { id: 'vegan', nameKey: 'diet.vegan', name: 'Vegan', excludesAllergens: ['dairy', 'egg', 'fish', 'shellfish'], excludesKeywords: [...MEAT_KEYWORDS, 'honey'] },
+  pescatarian: { id: 'pescatarian', nameKey: 'diet.pescatarian', name: 'Pescatarian', excludesAllergens: [], excludesKeywords: MEAT_KEYWORDS },
+  keto: { id: 'keto', nameKey: 'diet.keto', name: 'Keto', excludesAllergens: ['gluten'], excludesKeywords: ['sugar', 'rice', 'potato', 'honey', 'syrup'] },
+  paleo: { id: 'paleo', nameKey: 'diet.paleo', name: 'Paleo', excludesAllergens: ['gluten', 'dairy', 'peanuts', 'soy'], excludesKeywords: ['sugar', 'rice', 'bean', 'lentil'] }
+};
+
+// Curated substitutions keyed by INGREDIENTS id
+// Each part is either { ratio } - the original amount in the original unit times ratio - or
+// { quantity, unit, per } - quantity of unit for every per.quantity of per.unit (per.unit
+// omitted means per whole item). Parts name a catalog ingredientId or a free-text name.
+export const SUBSTITUTIONS = {
+  buttermilk: [
+    {
+      id: 'buttermilk_milk_lemon',
+      note: 'Stir together and let stand 5 minutes',
+      parts: [
+        { ingredientId: 'milk', ratio: 1 },
+        { ingredientId: 'lemon_juice', quantity: 1, unit: 'tbsp', per: { quantity: 1, unit: 'cup' } }
+      ]
+    },
+    {
+      id: 'buttermilk_yogurt',
+      parts: [
+        { name: 'plain yogurt', ratio: 0.75 },
+        { ingredientId: 'milk', ratio: 0.25 }
+      ]
+    }
+  ],
+  milk: [
+    { id: 'milk_oat', parts: [{ name: 'oat milk', ratio: 1 }] },
+    { id: 'milk_soy', parts: [{ name: 'soy milk', ratio: 1 }] },
+    { id: 'milk_almond', parts: [{ name: 'almond milk', ratio: 1 }] }
+  ],
+  butter: [
+    { id: 'butter_vegan', parts: [{ name: 'vegan butter', ratio: 1 }] },
+    { id: 'butter_coconut_oil', parts: [{ name: 'coconut oil', ratio: 1 }] },
+    {
+      id: 'butter_olive_oil',
+      note: 'Best for sautéing and roasting, not for creaming',
+      parts: [{ ingredientId: 'olive_oil', ratio: 0.75 }]
+    }
+  ],
+  egg: [
+    {
+      id: 'egg_flax',
+      note: 'Mix and let thicken for 5 minutes',
+      parts: [
+        { name: 'ground flaxseed', quantity: 1, unit: 'tbsp', per: { quantity: 1 } },
+        { name: 'water', quantity: 3, unit: 'tbsp', per: { quantity: 1 } }
+      ]
+    },
+    {
+      id: 'egg_applesauce',
+      note: 'Works best in sweet baking',
+      parts: [{ name: 'unsweetened applesauce', quantity: 0.25, unit: 'cup', per: { quantity: 1 } }]
+    }
+  ],
+  flour: [
+    { id: 'flour_gluten_free', parts: [{ name: 'gluten-free flour blend', ratio: 1 }] }
+  ],
+  sugar: [
+    {
+      id: 'sugar_honey',
+      note: 'Reduce other liquids by 3 tbsp per cup of honey',
+      parts: [{ name: 'honey', ratio: 0.75 }]
+    },
+    {
+      id: 'sugar_maple',
+      note: 'Reduce other liquids by 3 tbsp per cup of syrup',
+      parts: [{ name: 'maple syrup', ratio: 0.75 }]
+    }
+  ],
+  olive_oil: [
+    { id: 'olive_oil_vegetable', parts: [{ name: 'vegetable oil', ratio: 1 }] }
+  ],
+  lemon_juice: [
+    { id: 'lemon_juice_lime', parts: [{ name: 'lime juice', ratio: 1 }] },
+    { id: 'lemon_juice_vinegar', parts: [{ name: 'white wine vinegar', ratio: 0.5 }] }
+  ],
+  garlic: [
+    {
+      id: 'garlic_powder',
+      parts: [{ name: 'garlic powder', quantity: 0.125, unit: 'tsp', per: { quantity: 1, unit: 'clove' } }]
+    }
+  ],
+  onion: [
+    {
+      id: 'onion_powder',
+      parts: [{ name: 'onion powder', quantity: 1, unit: 'tbsp', per: { quantity: 1 } }]
+    }
+  ],
+  ground_beef: [
+    { id: 'ground_beef_turkey', parts: [{ name: 'ground turkey', ratio: 1 }] },
+    { id: 'ground_beef_lentils', parts: [{ name: 'cooked lentils', ratio: 1 }] }
+  ],
+  rice: [
+    { id: 'rice_quinoa', parts: [{ name: 'quinoa', ratio: 1 }] },
+    { id: 'rice_cauliflower', note: 'Cooks in about 5 minutes', parts: [{ name: 'cauliflower rice', ratio: 1 }] }
+  ],
+  vanilla_extract: [
+    { id: 'vanilla_maple', parts: [{ name: 'maple syrup', ratio: 1 }] }
+  ],
+  black_pepper: [
+    { id: 'black_pepper_white', parts: [{ name: 'white pepper', ratio: 1 }] }
+  ]
+};
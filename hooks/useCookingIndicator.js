@@ -10,7 +10,7 @@
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import { AppState, Dimensions } from 'react-native';
 import { useCookingSession } from './useCookingSession';
-import { formatTimerDisplay } from '../utils/cookingSessionUtils';
+import { formatSessionTimer } from '../utils/cookingSessionUtils';
 
 // Configuration for indicator behavior
 const INDICATOR_CONFIG = {
@@ -45,6 +45,7 @@ export function useCookingIndicator(options = {}) {
     totalSteps,
     progress,
     timer,
+    timers = [],
     rawState
   } = cookingSession;
 
@@ -112,7 +113,7 @@ export function useCookingIndicator(options = {}) {
     return {
       recipeName: truncatedName,
       stepInfo: `Step ${currentStep} of ${totalSteps}`,
-      timerText: timer?.isActive ? formatTimerDisplay(timer.remainingTime) : null
+      timerText: timer?.id ? formatSessionTimer(timer) : null
     };
   }, [recipeName, currentStep, totalSteps, timer, screenData.width]);
 
@@ -125,11 +126,12 @@ export function useCookingIndicator(options = {}) {
     return {
       ...textData,
       progress: Math.round(progress || 0),
-      hasTimer: timer?.isActive || false,
-      timerStatus: timer?.isActive ? (timer?.isPaused ? 'paused' : 'running') : 'inactive',
+      hasTimer: timers.length > 0,
+      timerCount: timers.length,
+      timerStatus: timer?.isActive ? 'running' : timer?.isExpired ? 'expired' : timer?.isPaused ? 'paused' : 'inactive',
       urgentTimer: timer?.isActive && timer?.remainingTime <= 60, // Last minute warning
     };
-  }, [isActive, getDisplayText, progress, timer]);
+  }, [isActive, getDisplayText, progress, timer, timers]);
 
   // Navigation helpers
   const navigateToCooking = useCallback((navigation) => {
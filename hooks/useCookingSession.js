@@ -8,10 +8,8 @@
 import { useEffect, useRef, useCallback } from 'react';
 import { useCooking, COOKING_ACTIONS } from '../contexts/CookingContext';
 import { 
-  calculateTimerRemaining, 
   createSessionSummary,
-  saveSessionToHistory,
-  SESSION_CONFIG
+  saveSessionToHistory
 } from '../utils/cookingSessionUtils';
 
 /**
@@ -31,6 +29,9 @@ function getDefaultSessionValues() {
       remainingTime: 0,
       duration: 0
     },
+    timers: [],
+    isMultiRecipe: false,
+    recipeProgress: [],
     sessionSummary: null,
     progress: 0,
     canGoNext: false,
@@ -45,6 +46,10 @@ function getDefaultSessionValues() {
     startStepTimer: () => false,
     stopStepTimer: () => false,
     toggleTimer: () => false,
+    pauseTimer: () => false,
+    resumeTimer: () => false,
+    resetTimer: () => false,
+    clearTimers: () => false,
     rawState: {}
   };
 }
@@ -72,10 +77,12 @@ export function useCookingSession() {
       currentStep = 0,
       totalSteps = 0,
       recipeName = '',
-      timer = {}
+      timer = {},
+      timers = [],
+      isMultiRecipe = false,
+      recipeProgress = []
     } = context || {};
 
-  const timerIntervalRef = useRef(null);
   const autoSaveIntervalRef = useRef(null);
 
   /**
@@ -134,13 +141,11 @@ export function useCookingSession() {
         });
       }
 
-      // Clear any active timers
-      if (timerIntervalRef.current) {
-        clearInterval(timerIntervalRef.current);
-        timerIntervalRef.current = null;
-      }
-
-      dispatch({ type: COOKING_ACTIONS.END_COOKING });
+      // A session saved to history was finished, not abandoned
+      dispatch({
+        type: COOKING_ACTIONS.END_COOKING,
+        payload: { completed: saveToHistory }
+      });
       
       console.log('Ended cooking session for:', recipeName);
       return true;
@@ -219,9 +224,10 @@ export function useCookingSession() {
   }, [isActiveCookingSession, currentStep, dispatch]);
 
   /**
-   * Start a timer for the current step
+   * Start a named timer; other running timers keep going
    * @param {number} duration - Timer duration in seconds
-   * @param {Object} options - Timer options
+   * @param {Object} options - { id, name, stepIndex, sentenceIndex } (stepIndex defaults to the current step)
+   * @returns {string|false} - Timer ID
    */
   const startStepTimer = useCallback((duration, options = {}) => {
     if (!isActiveCookingSession) {
@@ -229,98 +235,45 @@ export function useCookingSession() {
       return false;
     }
 
-    if (timer.isActive) {
-      console.warn('Timer already active, stopping current timer first');
-      dispatch({ type: COOKING_ACTIONS.STOP_TIMER });
-    }
-
-    dispatch({
-      type: COOKING_ACTIONS.START_TIMER,
-      payload: {
-        stepId: options.stepId || currentStep,
-        stepName: options.stepName || `Step ${currentStep + 1}`,
-        duration
-      }
+    return context.startTimer(duration, {
+      ...options,
+      stepIndex: options.stepIndex ?? currentStep,
+      name: options.name || options.stepName || `Step ${currentStep + 1}`
     });
-
-    return true;
-  }, [isActiveCookingSession, timer.isActive, currentStep, dispatch]);
+  }, [isActiveCookingSession, currentStep, context]);
 
   /**
-   * Stop the current timer
+   * Stop a timer
+   * @param {string} timerId - Timer ID (defaults to the primary timer)
    */
-  const stopStepTimer = useCallback(() => {
-    if (!timer.isActive) {
-      console.warn('No active timer to stop');
+  const stopStepTimer = useCallback((timerId = timer.id) => {
+    if (!timers.some(t => t.id === timerId)) {
+      console.warn('No timer to stop');
       return false;
     }
 
-    dispatch({ type: COOKING_ACTIONS.STOP_TIMER });
+    context.stopTimer(timerId);
     return true;
-  }, [timer.isActive, dispatch]);
+  }, [timer.id, timers, context]);
 
   /**
-   * Pause/resume timer
+   * Pause/resume a timer
+   * @param {string} timerId - Timer ID (defaults to the primary timer)
    */
-  const toggleTimer = useCallback(() => {
-    if (!timer.isActive && !timer.isPaused) {
+  const toggleTimer = useCallback((timerId = timer.id) => {
+    const target = timers.find(t => t.id === timerId);
+    if (!target || target.isExpired) {
       console.warn('No timer to pause/resume');
       return false;
     }
 
-    if (timer.isPaused) {
-      dispatch({ type: COOKING_ACTIONS.RESUME_TIMER });
-    } else {
-      dispatch({ type: COOKING_ACTIONS.PAUSE_TIMER });
-    }
-
+    context.toggleTimer(timerId);
     return true;
-  }, [timer.isActive, timer.isPaused, dispatch]);
-
-  // Timer countdown effect
-  useEffect(() => {
-    if (timer.isActive && !timer.isPaused) {
-      timerIntervalRef.current = setInterval(() => {
-        const remaining = calculateTimerRemaining(timer);
-        
-        if (remaining <= 0) {
-          // Timer expired
-          dispatch({ type: COOKING_ACTIONS.TIMER_EXPIRED });
-          clearInterval(timerIntervalRef.current);
-          timerIntervalRef.current = null;
-          
-          // TODO: Trigger notification and navigation
-          console.log('Timer expired for step:', timer.stepName);
-        } else {
-          // Update remaining time
-          dispatch({
-            type: COOKING_ACTIONS.UPDATE_TIMER,
-            payload: { remainingTime: remaining }
-          });
-        }
-      }, SESSION_CONFIG.TIMER_UPDATE_INTERVAL);
-    } else {
-      // Clear interval if timer is not active
-      if (timerIntervalRef.current) {
-        clearInterval(timerIntervalRef.current);
-        timerIntervalRef.current = null;
-      }
-    }
-
-    // Cleanup on unmount
-    return () => {
-      if (timerIntervalRef.current) {
-        clearInterval(timerIntervalRef.current);
-      }
-    };
-  }, [timer.isActive, timer.isPaused, timer.expiresAt, dispatch]);
+  }, [timer.id, timers, context]);
 
   // Cleanup intervals on unmount
   useEffect(() => {
     return () => {
-      if (timerIntervalRef.current) {
-        clearInterval(timerIntervalRef.current);
-      }
       if (autoSaveIntervalRef.current) {
         clearInterval(autoSaveIntervalRef.current);
       }
@@ -362,6 +315,9 @@ export function useCookingSession() {
       currentStepIndex: currentStep, // Keep 0-based for programming
       totalSteps,
       timer,
+      timers,
+      isMultiRecipe,
+      recipeProgress,
       sessionSummary,
       
       // Computed values
@@ -382,6 +338,10 @@ export function useCookingSession() {
       startStepTimer,
       stopStepTimer,
       toggleTimer,
+      pauseTimer: context.pauseTimer,
+      resumeTimer: context.resumeTimer,
+      resetTimer: context.resetTimer,
+      clearTimers: context.clearTimers,
       
       // Raw state for advanced usage
       rawState: cookingState
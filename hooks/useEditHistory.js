@@ -0,0 +1,99 @@
+/**
+ * useEditHistory Hook
+ *
+ * Command-based undo/redo for editor screens. Every mutation runs through
+ * execute(), which records a command holding the editor state before the
+ * change. Undo swaps that state back in and keeps the replaced state on the
+ * redo stack, so follow-up updates a mutation schedules (such as step content
+ * rewrites after an ingredient edit) are undone together with it.
+ */
+
+import { useState, useRef, useCallback } from 'react';
+
+const DEFAULT_HISTORY_LIMIT = 100;
+
+/**
+ * Custom hook for undo/redo of editor mutations
+ * @param {Object} options - { getState, restoreState, limit }
+ *   getState returns a snapshot of the current editor state,
+ *   restoreState puts a snapshot back into the editor
+ * @returns {Object} - { execute, undo, redo, clear, canUndo, canRedo, undoLabel, redoLabel }
+ */
+export function useEditHistory({ getState, restoreState, limit = DEFAULT_HISTORY_LIMIT }) {
+  const undoStack = useRef([]);
+  const redoStack = useRef([]);
+
+  // Stacks live in refs so a command can be recorded and restored in the same tick;
+  // the counter only re-renders the toolbar
+  const [, setVersion] = useState(0);
+  const refresh = () => setVersion(version => version + 1);
+
+  // Keep the latest callbacks without re-creating execute/undo/redo every render
+  const getStateRef = useRef(getState);
+  const restoreStateRef = useRef(restoreState);
+  getStateRef.current = getState;
+  restoreStateRef.current = restoreState;
+
+  /**
+   * Record a command and run the mutation
+   * @param {string} label - What the command does ("Delete step")
+   * @param {Function} mutate - Applies the change; may be async
+   * @returns {*} Result of mutate
+   */
+  const execute = useCallback((label, mutate) => {
+    undoStack.current = [
+      ...undoStack.current.slice(-(limit - 1)),
+      { label, snapshot: getStateRef.current() }
+    ];
+    redoStack.current = [];
+    refresh();
+
+    return mutate ? mutate() : undefined;
+  }, [limit]);
+
+  const undo = useCallback(() => {
+    const command = undoStack.current[undoStack.current.length - 1];
+    if (!command) return null;
+
+    undoStack.current = undoStack.current.slice(0, -1);
+    redoStack.current = [...redoStack.current, { label: command.label, snapshot: getStateRef.current() }];
+    restoreStateRef.current(command.snapshot);
+    refresh();
+
+    return command.label;
+  }, []);
+
+  const redo = useCallback(() => {
+    const command = redoStack.current[redoStack.current.length - 1];
+    if (!command) return null;
+
+    redoStack.current = redoStack.current.slice(0, -1);
+    undoStack.current = [...undoStack.current, { label: command.label, snapshot: getStateRef.current() }];
+    restoreStateRef.current(command.snapshot);
+    refresh();
+
+    return command.label;
+  }, []);
+
+  const clear = useCallback(() => {
+    undoStack.current = [];
+    redoStack.current = [];
+    refresh();
+  }, []);
+
+  const lastUndo = undoStack.current[undoStack.current.length - 1];
+  const lastRedo = redoStack.current[redoStack.current.length - 1];
+
+  return {
+    execute,
+    undo,
+    redo,
+    clear,
+    canUndo: Boolean(lastUndo),
+    canRedo: Boolean(lastRedo),
+    undoLabel: lastUndo?.label || null,
+    redoLabel: lastRedo?.label || null
+  };
+}
+
+export default useEditHistory;
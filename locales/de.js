@@ -0,0 +1,156 @@
+/**
+ * German Locale Catalog
+ */
+
+export default {
+  code: 'de',
+  name: 'Deutsch',
+  messages: {
+    // Profile
+    'profile.title': 'Profil',
+    'profile.subtitle': 'Hier erscheint bald dein Kochprofil',
+    'profile.measurements': 'Maßeinheiten',
+    'profile.measurementsHint': 'Rezepte behalten ihre ursprünglichen Mengen – das ändert nur die Anzeige',
+    'profile.dietaryRestrictions': 'Ernährungseinschränkungen',
+    'profile.dietaryRestrictionsHint': 'Rezepte und Zutaten, die nicht passen, werden mit einer Warnung markiert',
+    'profile.language': 'Sprache',
+    'profile.languageHint': 'Zutaten in jeder dieser Sprachen werden beim Hinzufügen eines Rezepts erkannt',
+
+    // Measurement systems
+    'measurement.asWritten': 'Wie im Rezept',
+    'measurement.metric': 'Metrisch',
+    'measurement.us': 'US',
+
+    // Dietary restrictions
+    'dietary.allergies': 'Allergien',
+    'dietary.diets': 'Ernährungsweisen',
+
+    // Categories
+    'category.vegetables': 'Gemüse',
+    'category.fruits': 'Obst',
+    'category.proteins': 'Proteine',
+    'category.dairy': 'Milchprodukte',
+    'category.grains': 'Getreide',
+    'category.spices': 'Gewürze & Kräuter',
+    'category.condiments': 'Würzmittel',
+    'category.oils': 'Öle & Fette',
+    'category.nuts': 'Nüsse & Samen',
+    'category.pantry': 'Grundvorrat',
+
+    // Units
+    'unit.cup': { one: 'Tasse', other: 'Tassen' },
+    'unit.tbsp': 'EL',
+    'unit.tsp': 'TL',
+    'unit.ml': 'ml',
+    'unit.liter': 'Liter',
+    'unit.pint': { one: 'Pint', other: 'Pints' },
+    'unit.quart': 'Quart',
+    'unit.gallon': { one: 'Gallone', other: 'Gallonen' },
+    'unit.oz': { one: 'Unze', other: 'Unzen' },
+    'unit.lb': 'Pfund',
+    'unit.gram': 'Gramm',
+    'unit.kg': 'kg',
+    'unit.piece': 'Stück',
+    'unit.whole': 'ganz',
+    'unit.clove': { one: 'Zehe', other: 'Zehen' },
+    'unit.small': 'klein',
+    'unit.medium': 'mittelgroß',
+    'unit.large': 'groß',
+    'unit.can': { one: 'Dose', other: 'Dosen' },
+    'unit.package': { one: 'Packung', other: 'Packungen' },
+    'unit.box': { one: 'Schachtel', other: 'Schachteln' },
+
+    // Preparation methods
+    'prep.chopped': 'gehackt',
+    'prep.diced': 'gewürfelt',
+    'prep.sliced': 'in Scheiben geschnitten',
+    'prep.minced': 'fein gehackt',
+    'prep.julienned': 'in Streifen geschnitten',
+    'prep.cubed': 'in Würfel geschnitten',
+    'prep.halved': 'halbiert',
+    'prep.quartered': 'geviertelt',
+    'prep.grated': 'gerieben',
+    'prep.shredded': 'geraspelt',
+    'prep.peeled': 'geschält',
+    'prep.crushed': 'zerdrückt',
+    'prep.juiced': 'ausgepresst',
+    'prep.sifted': 'gesiebt',
+    'prep.drained': 'abgetropft',
+    'prep.rinsed': 'abgespült',
+    'prep.fresh': 'frisch',
+    'prep.frozen': 'tiefgekühlt',
+    'prep.dried': 'getrocknet',
+    'prep.cooked': 'gekocht',
+    'prep.halves': 'Hälften',
+    'prep.quarters': 'Viertel',
+    'prep.pieces': 'Stücke',
+    'prep.slices': 'Scheiben',
+
+    // Ingredients
+    'ingredient.onion': { one: 'Zwiebel', other: 'Zwiebeln' },
+    'ingredient.garlic': 'Knoblauch',
+    'ingredient.tomato': { one: 'Tomate', other: 'Tomaten' },
+    'ingredient.carrot': { one: 'Karotte', other: 'Karotten' },
+    'ingredient.lemon_juice': 'Zitronensaft',
+    'ingredient.chicken_breast': { one: 'Hähnchenbrust', other: 'Hähnchenbrüste' },
+    'ingredient.ground_beef': 'Rinderhackfleisch',
+    'ingredient.egg': { one: 'Ei', other: 'Eier' },
+    'ingredient.milk': 'Milch',
+    'ingredient.butter': 'Butter',
+    'ingredient.buttermilk': 'Buttermilch',
+    'ingredient.flour': 'Mehl',
+    'ingredient.rice': 'Reis',
+    'ingredient.salt': 'Salz',
+    'ingredient.black_pepper': 'schwarzer Pfeffer',
+    'ingredient.olive_oil': 'Olivenöl',
+    'ingredient.sugar': 'Zucker',
+    'ingredient.vanilla_extract': 'Vanilleextrakt',
+
+    // Nutrients
+    'nutrient.calories': 'Kalorien',
+    'nutrient.protein': 'Eiweiß',
+    'nutrient.fat': 'Fett',
+    'nutrient.carbs': 'Kohlenhydrate',
+    'nutrient.fiber': 'Ballaststoffe',
+    'nutrient.sodium': 'Natrium',
+
+    // Allergens
+    'allergen.gluten': 'Gluten',
+    'allergen.dairy': 'Milchprodukte',
+    'allergen.egg': 'Ei',
+    'allergen.peanuts': 'Erdnüsse',
+    'allergen.tree_nuts': 'Schalenfrüchte',
+    'allergen.soy': 'Soja',
+    'allergen.fish': 'Fisch',
+    'allergen.shellfish': 'Krebstiere',
+    'allergen.sesame': 'Sesam',
+
+    // Diets
+    'diet.vegetarian': 'Vegetarisch',
+    'diet.vegan': 'Vegan',
+    'diet.pescatarian': 'Pescetarisch',
+    'diet.keto': 'Keto',
+    'diet.paleo': 'Paleo'
+  },
+  // Extra spellings recognised when parsing ingredient lines, keyed by nameKey
+  aliases: {
+    'unit.tbsp': ['Esslöffel', 'Essl.'],
+    'unit.tsp': ['Teelöffel', 'Teel.'],
+    'unit.liter': ['l'],
+    'unit.gram': ['g'],
+    'unit.kg': ['Kilogramm', 'Kilo'],
+    'unit.whole': ['ganze', 'ganzer'],
+    'unit.small': ['kleine', 'kleiner'],
+    'unit.medium': ['mittelgroße', 'mittelgroßer', 'mittlere'],
+    'unit.large': ['große', 'großer'],
+    'unit.package': ['Päckchen', 'Pck.'],
+    'prep.frozen': ['gefroren'],
+    'ingredient.garlic': ['Knoblauchzehe', 'Knoblauchzehen'],
+    'ingredient.carrot': ['Möhre', 'Möhren'],
+    'ingredient.chicken_breast': ['Hühnerbrust'],
+    'ingredient.ground_beef': ['Hackfleisch'],
+    'ingredient.black_pepper': ['Pfeffer']
+  },
+  // Words between the amount and the ingredient
+  connectors: []
+};
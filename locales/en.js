@@ -0,0 +1,35 @@
+/**
+ * English Locale Catalog
+ *
+ * English catalog names live on the entities in data/ingredientDatabase.js
+ * (name/plural), so only UI strings are listed here.
+ */
+
+export default {
+  code: 'en',
+  name: 'English',
+  messages: {
+    // Profile
+    'profile.title': 'Profile',
+    'profile.subtitle': 'Your chef profile will appear here',
+    'profile.measurements': 'Measurements',
+    'profile.measurementsHint': 'Recipes keep their original amounts; this only changes how they are shown',
+    'profile.dietaryRestrictions': 'Dietary Restrictions',
+    'profile.dietaryRestrictionsHint': "Recipes and ingredients that don't fit are flagged with a warning",
+    'profile.language': 'Language',
+    'profile.languageHint': 'Ingredients written in any of these languages are recognised when you add a recipe',
+
+    // Measurement systems
+    'measurement.asWritten': 'As written',
+    'measurement.metric': 'Metric',
+    'measurement.us': 'US',
+
+    // Dietary restrictions
+    'dietary.allergies': 'Allergies',
+    'dietary.diets': 'Diets'
+  },
+  // Extra spellings recognised when parsing ingredient lines, keyed by nameKey
+  aliases: {},
+  // Words between the amount and the ingredient ("1 cup of flour")
+  connectors: ['of']
+};
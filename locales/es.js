@@ -0,0 +1,158 @@
+/**
+ * Spanish Locale Catalog
+ */
+
+export default {
+  code: 'es',
+  name: 'Español',
+  messages: {
+    // Profile
+    'profile.title': 'Perfil',
+    'profile.subtitle': 'Aquí aparecerá tu perfil de chef',
+    'profile.measurements': 'Medidas',
+    'profile.measurementsHint': 'Las recetas conservan sus cantidades originales; esto solo cambia cómo se muestran',
+    'profile.dietaryRestrictions': 'Restricciones alimentarias',
+    'profile.dietaryRestrictionsHint': 'Las recetas e ingredientes que no encajen se marcan con un aviso',
+    'profile.language': 'Idioma',
+    'profile.languageHint': 'Los ingredientes escritos en cualquiera de estos idiomas se reconocen al añadir una receta',
+
+    // Measurement systems
+    'measurement.asWritten': 'Tal como está',
+    'measurement.metric': 'Métrico',
+    'measurement.us': 'EE. UU.',
+
+    // Dietary restrictions
+    'dietary.allergies': 'Alergias',
+    'dietary.diets': 'Dietas',
+
+    // Categories
+    'category.vegetables': 'Verduras',
+    'category.fruits': 'Frutas',
+    'category.proteins': 'Proteínas',
+    'category.dairy': 'Lácteos',
+    'category.grains': 'Cereales',
+    'category.spices': 'Especias y hierbas',
+    'category.condiments': 'Condimentos',
+    'category.oils': 'Aceites y grasas',
+    'category.nuts': 'Frutos secos y semillas',
+    'category.pantry': 'Despensa',
+
+    // Units
+    'unit.cup': { one: 'taza', other: 'tazas' },
+    'unit.tbsp': { one: 'cucharada', other: 'cucharadas' },
+    'unit.tsp': { one: 'cucharadita', other: 'cucharaditas' },
+    'unit.ml': 'ml',
+    'unit.liter': { one: 'litro', other: 'litros' },
+    'unit.pint': { one: 'pinta', other: 'pintas' },
+    'unit.quart': { one: 'cuarto de galón', other: 'cuartos de galón' },
+    'unit.gallon': { one: 'galón', other: 'galones' },
+    'unit.oz': { one: 'onza', other: 'onzas' },
+    'unit.lb': { one: 'libra', other: 'libras' },
+    'unit.gram': { one: 'gramo', other: 'gramos' },
+    'unit.kg': 'kg',
+    'unit.piece': { one: 'unidad', other: 'unidades' },
+    'unit.whole': { one: 'entero', other: 'enteros' },
+    'unit.clove': { one: 'diente', other: 'dientes' },
+    'unit.small': { one: 'pequeño', other: 'pequeños' },
+    'unit.medium': { one: 'mediano', other: 'medianos' },
+    'unit.large': { one: 'grande', other: 'grandes' },
+    'unit.can': { one: 'lata', other: 'latas' },
+    'unit.package': { one: 'paquete', other: 'paquetes' },
+    'unit.box': { one: 'caja', other: 'cajas' },
+
+    // Preparation methods
+    'prep.chopped': 'picado',
+    'prep.diced': 'cortado en dados',
+    'prep.sliced': 'en rodajas',
+    'prep.minced': 'picado fino',
+    'prep.julienned': 'en juliana',
+    'prep.cubed': 'en cubos',
+    'prep.halved': 'partido por la mitad',
+    'prep.quartered': 'en cuartos',
+    'prep.grated': 'rallado',
+    'prep.shredded': 'desmenuzado',
+    'prep.peeled': 'pelado',
+    'prep.crushed': 'machacado',
+    'prep.juiced': 'exprimido',
+    'prep.sifted': 'tamizado',
+    'prep.drained': 'escurrido',
+    'prep.rinsed': 'enjuagado',
+    'prep.fresh': 'fresco',
+    'prep.frozen': 'congelado',
+    'prep.dried': 'seco',
+    'prep.cooked': 'cocido',
+    'prep.halves': 'mitades',
+    'prep.quarters': 'cuartos',
+    'prep.pieces': 'trozos',
+    'prep.slices': 'rodajas',
+
+    // Ingredients
+    'ingredient.onion': { one: 'cebolla', other: 'cebollas' },
+    'ingredient.garlic': 'ajo',
+    'ingredient.tomato': { one: 'tomate', other: 'tomates' },
+    'ingredient.carrot': { one: 'zanahoria', other: 'zanahorias' },
+    'ingredient.lemon_juice': 'zumo de limón',
+    'ingredient.chicken_breast': { one: 'pechuga de pollo', other: 'pechugas de pollo' },
+    'ingredient.ground_beef': 'carne picada',
+    'ingredient.egg': { one: 'huevo', other: 'huevos' },
+    'ingredient.milk': 'leche',
+    'ingredient.butter': 'mantequilla',
+    'ingredient.buttermilk': 'suero de leche',
+    'ingredient.flour': 'harina',
+    'ingredient.rice': 'arroz',
+    'ingredient.salt': 'sal',
+    'ingredient.black_pepper': 'pimienta negra',
+    'ingredient.olive_oil': 'aceite de oliva',
+    'ingredient.sugar': 'azúcar',
+    'ingredient.vanilla_extract': 'extracto de vainilla',
+
+    // Nutrients
+    'nutrient.calories': 'Calorías',
+    'nutrient.protein': 'Proteínas',
+    'nutrient.fat': 'Grasas',
+    'nutrient.carbs': 'Carbohidratos',
+    'nutrient.fiber': 'Fibra',
+    'nutrient.sodium': 'Sodio',
+
+    // Allergens
+    'allergen.gluten': 'Gluten',
+    'allergen.dairy': 'Lácteos',
+    'allergen.egg': 'Huevo',
+    'allergen.peanuts': 'Cacahuetes',
+    'allergen.tree_nuts': 'Frutos de cáscara',
+    'allergen.soy': 'Soja',
+    'allergen.fish': 'Pescado',
+    'allergen.shellfish': 'Mariscos',
+    'allergen.sesame': 'Sésamo',
+
+    // Diets
+    'diet.vegetarian': 'Vegetariana',
+    'diet.vegan': 'Vegana',
+    'diet.pescatarian': 'Pescetariana',
+    'diet.keto': 'Keto',
+    'diet.paleo': 'Paleo'
+  },
+  // Extra spellings recognised when parsing ingredient lines, keyed by nameKey
+  aliases: {
+    'unit.tbsp': ['cda', 'cdas'],
+    'unit.tsp': ['cdta', 'cdtas', 'cdita'],
+    'unit.liter': ['l'],
+    'unit.gram': ['g', 'gr'],
+    'unit.kg': ['kilo', 'kilos', 'kilogramo', 'kilogramos'],
+    'unit.whole': ['entera', 'enteras'],
+    'unit.small': ['pequeña', 'pequeñas'],
+    'unit.medium': ['mediana', 'medianas'],
+    'prep.chopped': ['picada', 'picados', 'picadas'],
+    'prep.grated': ['rallada', 'rallados', 'ralladas'],
+    'prep.peeled': ['pelada', 'pelados', 'peladas'],
+    'prep.fresh': ['fresca', 'frescos', 'frescas'],
+    'prep.sliced': ['rebanado', 'cortado en rodajas'],
+    'ingredient.lemon_juice': ['jugo de limón'],
+    'ingredient.ground_beef': ['carne molida'],
+    'ingredient.black_pepper': ['pimienta'],
+    'ingredient.sugar': ['azucar'],
+    'ingredient.vanilla_extract': ['esencia de vainilla']
+  },
+  // Words between the amount and the ingredient ("2 dientes de ajo")
+  connectors: ['de', 'del']
+};
@@ -0,0 +1,18 @@
+/**
+ * Locale Catalogs
+ *
+ * Each catalog has:
+ * - messages: UI strings and translations for the nameKey of every category, unit,
+ *   preparation method, ingredient, nutrient, allergen and diet in data/ingredientDatabase.js.
+ *   Countable entries give plural forms ({ one, other }), selected by the locale's plural rule.
+ * - aliases: extra spellings accepted when parsing ingredient lines ("EL", "cdas")
+ * - connectors: filler words between the amount and the ingredient ("de", "of")
+ */
+
+import en from './en.js';
+import de from './de.js';
+import es from './es.js';
+
+export const LOCALES = { en, de, es };
+
+export default LOCALES;
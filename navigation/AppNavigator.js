@@ -14,9 +14,13 @@ import ParsingTrainingScreen from '../screens/ParsingTrainingScreen';
 import ProfileScreen from '../screens/ProfileScreen';
 import AddRecipeScreen from '../screens/AddRecipeScreen';
 import EditRecipeScreen from '../screens/EditRecipeScreen';
+import RecipeHistoryScreen from '../screens/RecipeHistoryScreen';
+import ShoppingListScreen from '../screens/ShoppingListScreen';
+import PantryScreen from '../screens/PantryScreen';
 import CookRecipeScreen from '../screens/CookRecipeScreen';
 import CookingFlowScreen from '../screens/CookingFlowScreen';
 import CookingIndicator from '../components/CookingIndicator';
+import PantryDeductionReview from '../components/PantryDeductionReview';
 import { colors } from '../styles/colors';
 
 const Tab = createBottomTabNavigator();
@@ -50,6 +54,21 @@ function RecipesStack() {
         component={EditRecipeScreen}
         options={{ title: 'Edit Recipe' }}
       />
+      <Stack.Screen 
+        name="RecipeHistory" 
+        component={RecipeHistoryScreen}
+        options={{ title: 'Recipe History' }}
+      />
+      <Stack.Screen 
+        name="ShoppingList" 
+        component={ShoppingListScreen}
+        options={{ title: 'Shopping List' }}
+      />
+      <Stack.Screen 
+        name="Pantry" 
+        component={PantryScreen}
+        options={{ title: 'Pantry' }}
+      />
       <Stack.Screen 
         name="CookRecipe" 
         component={CookRecipeScreen}
@@ -189,6 +208,7 @@ function AppContent() {
     <>
       <TabNavigator />
       <CookingIndicator navigation={navigation} />
+      <PantryDeductionReview />
     </>
   );
 }
@@ -15,6 +15,8 @@ import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
 import { commonStyles } from '../styles/common';
 import { parseRecipe } from '../utils/recipeParser';
+import { importRecipe } from '../utils/recipeImporter';
+import { importCooklang, looksLikeCooklang } from '../utils/cooklang';
 import { useRecipeCreationTracking } from '../hooks/useIngredientTracking';
 
 export default function AddRecipeScreen({ navigation }) {
@@ -22,6 +24,8 @@ export default function AddRecipeScreen({ navigation }) {
   const [ingredients, setIngredients] = useState('');
   const [steps, setSteps] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState('');
   
   // Initialize ingredient tracking for recipe creation
   const tracking = useRecipeCreationTracking();
@@ -72,8 +76,42 @@ export default function AddRecipeScreen({ navigation }) {
     }
   };
 
+  const handleImport = async () => {
+    if (!importText.trim()) return;
+
+    setIsProcessing(true);
+    
+    try {
+      // Cooklang text, or schema.org Recipe data in pasted JSON-LD / page source
+      const { recipe: importedRecipe, originalContent } = looksLikeCooklang(importText)
+        ? await importCooklang(importText, recipeTitle.trim() || undefined)
+        : await importRecipe(importText);
+      
+      if (tracking.isInitialized && importedRecipe.ingredients) {
+        await tracking.trackRecipeCompleted(importedRecipe.ingredients, {
+          name: importedRecipe.title,
+          id: importedRecipe.id || `recipe_${Date.now()}`,
+          totalIngredients: importedRecipe.ingredients.length,
+          isComplete: false,
+          source: 'recipe_import'
+        });
+      }
+      
+      navigation.navigate('EditRecipe', {
+        recipe: importedRecipe,
+        originalContent,
+        isNew: true
+      });
+    } catch (error) {
+      console.error('Recipe import error:', error);
+      Alert.alert('Import Failed', error.message || 'Could not import this recipe.');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
   const handleCancel = () => {
-    if (recipeTitle.trim() || ingredients.trim() || steps.trim()) {
+    if (recipeTitle.trim() || ingredients.trim() || steps.trim() || importText.trim()) {
       Alert.alert(
         'Discard Recipe?',
         'You have unsaved changes. Are you sure you want to go back?',
@@ -101,51 +139,81 @@ export default function AddRecipeScreen({ navigation }) {
             </Text>
           </View>
 
-          <View style={styles.form}>
-            <View style={styles.fieldContainer}>
-              <Text style={styles.label}>Recipe Title</Text>
-              <TextInput
-                style={styles.titleInput}
-                value={recipeTitle}
-                onChangeText={setRecipeTitle}
-                placeholder="Enter recipe name..."
-                placeholderTextColor={colors.textSecondary}
-                maxLength={100}
-              />
-            </View>
+          <View style={styles.importContainer}>
+            <Button
+              title={showImport ? 'Enter Recipe Manually' : 'Import Recipe'}
+              onPress={() => setShowImport(!showImport)}
+              variant="secondary"
+            />
+          </View>
 
-            <View style={styles.fieldContainer}>
-              <Text style={styles.label}>Ingredients</Text>
-              <Text style={styles.helpText}>
-                List your ingredients with quantities (e.g., "2 cups flour, 1 tsp salt")
-              </Text>
-              <TextInput
-                style={styles.contentInput}
-                value={ingredients}
-                onChangeText={setIngredients}
-                placeholder="2 cups flour&#10;1 tsp salt&#10;1 cup sugar..."
-                placeholderTextColor={colors.textSecondary}
-                multiline
-                textAlignVertical="top"
-              />
+          {showImport ? (
+            <View style={styles.form}>
+              <View style={styles.fieldContainer}>
+                <Text style={styles.label}>Recipe to Import</Text>
+                <Text style={styles.helpText}>
+                  Paste the page source of a recipe website, its schema.org Recipe JSON-LD, or a Cooklang (.cook) recipe
+                </Text>
+                <TextInput
+                  style={styles.contentInput}
+                  value={importText}
+                  onChangeText={setImportText}
+                  placeholder='<script type="application/ld+json">...'
+                  placeholderTextColor={colors.textSecondary}
+                  multiline
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  textAlignVertical="top"
+                />
+              </View>
             </View>
+          ) : (
+            <View style={styles.form}>
+              <View style={styles.fieldContainer}>
+                <Text style={styles.label}>Recipe Title</Text>
+                <TextInput
+                  style={styles.titleInput}
+                  value={recipeTitle}
+                  onChangeText={setRecipeTitle}
+                  placeholder="Enter recipe name..."
+                  placeholderTextColor={colors.textSecondary}
+                  maxLength={100}
+                />
+              </View>
 
-            <View style={styles.fieldContainer}>
-              <Text style={styles.label}>Steps</Text>
-              <Text style={styles.helpText}>
-                Enter your cooking steps in order
-              </Text>
-              <TextInput
-                style={styles.contentInput}
-                value={steps}
-                onChangeText={setSteps}
-                placeholder="1. Preheat oven to 350°F&#10;2. Mix dry ingredients&#10;3. Add wet ingredients..."
-                placeholderTextColor={colors.textSecondary}
-                multiline
-                textAlignVertical="top"
-              />
+              <View style={styles.fieldContainer}>
+                <Text style={styles.label}>Ingredients</Text>
+                <Text style={styles.helpText}>
+                  List your ingredients with quantities (e.g., "2 cups flour, 1 tsp salt")
+                </Text>
+                <TextInput
+                  style={styles.contentInput}
+                  value={ingredients}
+                  onChangeText={setIngredients}
+                  placeholder="2 cups flour&#10;1 tsp salt&#10;1 cup sugar..."
+                  placeholderTextColor={colors.textSecondary}
+                  multiline
+                  textAlignVertical="top"
+                />
+              </View>
+
+              <View style={styles.fieldContainer}>
+                <Text style={styles.label}>Steps</Text>
+                <Text style={styles.helpText}>
+                  Enter your cooking steps in order
+                </Text>
+                <TextInput
+                  style={styles.contentInput}
+                  value={steps}
+                  onChangeText={setSteps}
+                  placeholder="1. Preheat oven to 350°F&#10;2. Mix dry ingredients&#10;3. Add wet ingredients..."
+                  placeholderTextColor={colors.textSecondary}
+                  multiline
+                  textAlignVertical="top"
+                />
+              </View>
             </View>
-          </View>
+          )}
 
           <View style={styles.buttonContainer}>
             <Button
@@ -154,12 +222,21 @@ export default function AddRecipeScreen({ navigation }) {
               variant="secondary"
               style={styles.button}
             />
-            <Button
-              title={isProcessing ? "Processing..." : "Next"}
-              onPress={handleNext}
-              disabled={!isFormValid || isProcessing}
-              style={[styles.button, !isFormValid && styles.disabledButton]}
-            />
+            {showImport ? (
+              <Button
+                title={isProcessing ? "Importing..." : "Import"}
+                onPress={handleImport}
+                disabled={!importText.trim() || isProcessing}
+                style={[styles.button, !importText.trim() && styles.disabledButton]}
+              />
+            ) : (
+              <Button
+                title={isProcessing ? "Processing..." : "Next"}
+                onPress={handleNext}
+                disabled={!isFormValid || isProcessing}
+                style={[styles.button, !isFormValid && styles.disabledButton]}
+              />
+            )}
           </View>
         </ScrollView>
     </View>
@@ -195,6 +272,9 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     lineHeight: 22,
   },
+  importContainer: {
+    marginBottom: 24,
+  },
   form: {
     marginBottom: 20,
   },
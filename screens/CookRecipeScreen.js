@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -6,19 +6,74 @@ import {
   StyleSheet,
   TouchableOpacity,
   Alert,
+  Share,
+  Switch,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import Button from '../components/Button';
 import StructuredIngredient from '../components/StructuredIngredient';
+import MeasurementSystemSelector from '../components/MeasurementSystemSelector';
+import NutritionSummary from '../components/NutritionSummary';
+import SubstitutionSheet from '../components/SubstitutionSheet';
 import { useCookingSession } from '../hooks/useCookingSession';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { scaleRecipe, getRecipeServings } from '../utils/recipeScaling';
+import { exportCooklang } from '../utils/cooklang';
+import { findRecipeConflicts, describeConflicts } from '../utils/dietaryRestrictions';
+import { applySubstitution } from '../utils/substitutions';
+import { planCookingSchedule, getEarliestReadyTime, formatScheduleTime } from '../utils/cookingSchedule';
+import { formatEquipment } from '../utils/equipment';
+import { groupIngredients, getStepGroups } from '../utils/ingredientGroups';
+import NotificationService from '../services/NotificationService';
 import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
 import { commonStyles } from '../styles/common';
 
 export default function CookRecipeScreen({ route, navigation }) {
-  const { recipe } = route.params;
-  const [readyByTime, setReadyByTime] = useState('');
+  const { recipe: originalRecipe } = route.params;
+  // Target serving time - null means as soon as possible
+  const [readyAt, setReadyAt] = useState(null);
+  const [remindersEnabled, setRemindersEnabled] = useState(false);
+
+  // Servings stepper - recipes without a serving count scale from 1
+  const baseServings = getRecipeServings(originalRecipe) || 1;
+  const [servings, setServings] = useState(baseServings);
+
+  // Substitutions for this cook only - re-applied after scaling so amounts follow the servings
+  const [substitutions, setSubstitutions] = useState([]);
+  const [substitutingIngredient, setSubstitutingIngredient] = useState(null);
+
+  // Equipment checklist - ids of the items the cook has ready
+  const [readyEquipment, setReadyEquipment] = useState([]);
+  const equipment = originalRecipe.equipment || [];
+
+  const recipe = useMemo(
+    () => substitutions.reduce(
+      (current, { ingredientId, substitution }) => applySubstitution(current, ingredientId, substitution),
+      scaleRecipe(originalRecipe, servings, { baseServings })
+    ),
+    [originalRecipe, servings, baseServings, substitutions]
+  );
+  
+  // Ingredients under their group headings, with the steps that use each group
+  const ingredientSections = useMemo(() => {
+    const groups = recipe?.ingredientGroups || [];
+    return groupIngredients(recipe?.ingredients || [], groups).map(section => ({
+      ...section,
+      stepNumbers: section.group
+        ? (recipe?.steps || [])
+            .map((step, index) => (getStepGroups(step, groups).some(group => group.id === section.group.id) ? index + 1 : null))
+            .filter(Boolean)
+        : []
+    }));
+  }, [recipe]);
+
+  const { dietaryRestrictions } = usePreferences();
+  const dietaryConflicts = useMemo(
+    () => findRecipeConflicts(recipe, dietaryRestrictions),
+    [recipe, dietaryRestrictions]
+  );
   
   // Get cooking session state
   const { isActive, recipeName, endCookingSession } = useCookingSession();
@@ -31,35 +86,69 @@ export default function CookRecipeScreen({ route, navigation }) {
           <Ionicons name="arrow-back" size={24} color={colors.surface} />
         </TouchableOpacity>
       ),
+      headerRight: () => (
+        <TouchableOpacity onPress={handleExport} style={styles.headerButton}>
+          <Ionicons name="share-outline" size={24} color={colors.surface} />
+        </TouchableOpacity>
+      ),
     });
-  }, [navigation]);
+  }, [navigation, recipe]);
 
+  const schedule = useMemo(() => planCookingSchedule(recipe, readyAt), [recipe, readyAt]);
+
+  // Keep step reminders in line with the plan
   useEffect(() => {
-    calculateReadyByTime();
-  }, [recipe]);
+    if (remindersEnabled) {
+      NotificationService.scheduleStepNotifications(schedule, recipe);
+    }
+  }, [remindersEnabled, schedule]);
 
-  const calculateReadyByTime = () => {
-    // Calculate total time from steps
-    const totalMinutes = recipe.steps.reduce((total, step) => {
-      if (step.timing) {
-        const timeMatch = step.timing.match(/(\d+)/);
-        return total + (timeMatch ? parseInt(timeMatch[1]) : 0);
-      }
-      return total;
-    }, 0);
+  const handleReadyByChange = (deltaMinutes) => {
+    const earliest = getEarliestReadyTime(recipe).getTime();
+    const current = Math.max(schedule.readyAt.getTime(), earliest);
+    // Snap to quarter hours so the times are easy to read
+    const quarter = 15 * 60000;
+    const next = Math.round((current + deltaMinutes * 60000) / quarter) * quarter;
+    setReadyAt(next <= earliest ? null : new Date(next));
+  };
 
-    // Add current time to total cooking time
-    const now = new Date();
-    const readyTime = new Date(now.getTime() + totalMinutes * 60000);
-    
-    // Format time (e.g., "6:30 PM")
-    const timeString = readyTime.toLocaleTimeString([], { 
-      hour: 'numeric', 
-      minute: '2-digit',
-      hour12: true 
-    });
-    
-    setReadyByTime(timeString);
+  const handleRemindersToggle = (enabled) => {
+    if (enabled) {
+      // Pin the target so reminders don't drift while the screen is open
+      setReadyAt(schedule.readyAt);
+    } else {
+      NotificationService.cancelStepNotifications();
+    }
+    setRemindersEnabled(enabled);
+  };
+
+  const handleExport = async () => {
+    try {
+      // Share the recipe as Cooklang text at the selected serving size
+      await Share.share({
+        title: `${recipe.title}.cook`,
+        message: exportCooklang(recipe),
+      });
+    } catch (error) {
+      console.error('Error exporting recipe:', error);
+      Alert.alert('Export Failed', 'Could not export this recipe.');
+    }
+  };
+
+  const handleServingsChange = (delta) => {
+    setServings(current => Math.max(1, current + delta));
+  };
+
+  const toggleEquipment = (itemId) => {
+    setReadyEquipment(current => current.includes(itemId)
+      ? current.filter(id => id !== itemId)
+      : [...current, itemId]);
+  };
+
+  const handleApplySubstitution = (substitution) => {
+    const ingredientId = substitutingIngredient.id;
+    setSubstitutingIngredient(null);
+    setSubstitutions(current => [...current, { ingredientId, substitution }]);
   };
 
   const handleLetsCook = () => {
@@ -101,27 +190,186 @@ export default function CookRecipeScreen({ route, navigation }) {
             <View style={styles.readyByContainer}>
               <Ionicons name="restaurant" size={20} color={colors.primary} />
               <Text style={styles.readyByLabel}>Ready by:</Text>
-              <Text style={styles.readyByTime}>{readyByTime}</Text>
+              <Text style={styles.readyByTime}>{formatScheduleTime(schedule.readyAt)}</Text>
+            </View>
+            <View style={styles.readyByStepper}>
+              <TouchableOpacity
+                style={[styles.stepperButton, !readyAt && styles.stepperButtonDisabled]}
+                onPress={() => handleReadyByChange(-15)}
+                disabled={!readyAt}
+              >
+                <Ionicons name="remove" size={20} color={!readyAt ? colors.textSecondary : colors.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.stepperButton} onPress={() => handleReadyByChange(15)}>
+                <Ionicons name="add" size={20} color={colors.primary} />
+              </TouchableOpacity>
+            </View>
+          </View>
+          <Text style={[styles.startAtText, schedule.isLate && styles.startAtLate]}>
+            {schedule.isLate
+              ? `Should have started at ${formatScheduleTime(schedule.startAt)}`
+              : readyAt
+                ? `Start at ${formatScheduleTime(schedule.startAt)}`
+                : 'Start now'}
+            {` · ${schedule.totalMinutes} min total, ${schedule.activeMinutes} min hands-on`}
+          </Text>
+          <View style={styles.servingsContainer}>
+            <Text style={styles.servingsLabel}>Servings</Text>
+            <View style={styles.servingsStepper}>
+              <TouchableOpacity
+                style={[styles.stepperButton, servings <= 1 && styles.stepperButtonDisabled]}
+                onPress={() => handleServingsChange(-1)}
+                disabled={servings <= 1}
+              >
+                <Ionicons name="remove" size={20} color={servings <= 1 ? colors.textSecondary : colors.primary} />
+              </TouchableOpacity>
+              <Text style={styles.servingsValue}>{servings}</Text>
+              <TouchableOpacity
+                style={styles.stepperButton}
+                onPress={() => handleServingsChange(1)}
+              >
+                <Ionicons name="add" size={20} color={colors.primary} />
+              </TouchableOpacity>
             </View>
           </View>
+          {servings !== baseServings && (
+            <Text style={styles.scaledNote}>
+              Scaled from {baseServings} {baseServings === 1 ? 'serving' : 'servings'}
+            </Text>
+          )}
         </View>
 
+        {dietaryConflicts.length > 0 && (
+          <View style={styles.dietaryBanner}>
+            <View style={styles.dietaryBannerHeader}>
+              <Ionicons name="warning" size={20} color={colors.warning} />
+              <Text style={styles.dietaryBannerTitle}>Doesn't fit your dietary restrictions</Text>
+            </View>
+            {dietaryConflicts.map(conflict => (
+              <Text key={conflict.ingredientId} style={styles.dietaryBannerText}>
+                {conflict.text} · {describeConflicts(conflict.conflicts)}
+              </Text>
+            ))}
+          </View>
+        )}
+
         <View style={styles.ingredientsContainer}>
           <Text style={styles.sectionTitle}>Ingredients</Text>
           <Text style={styles.sectionSubtitle}>
             Collect your ingredients to cook
           </Text>
           
-          {recipe.ingredients && recipe.ingredients.map((ingredient) => (
-            <StructuredIngredient
-              key={ingredient.id}
-              ingredient={ingredient}
-              showActions={false}
-              compact={false}
-            />
+          <MeasurementSystemSelector style={styles.measurementSelector} />
+
+          <Text style={styles.substitutionHint}>Tap an ingredient to see substitutes</Text>
+          
+          {ingredientSections.map(({ group, ingredients, stepNumbers }) => (
+            <View key={group ? group.id : 'ungrouped'}>
+              {group && (
+                <View style={styles.ingredientGroupHeader}>
+                  <Text style={styles.ingredientGroupName}>{group.name}</Text>
+                  {stepNumbers.length > 0 && (
+                    <Text style={styles.ingredientGroupSteps}>
+                      Used in step{stepNumbers.length > 1 ? 's' : ''} {stepNumbers.join(', ')}
+                    </Text>
+                  )}
+                </View>
+              )}
+              {ingredients.map((ingredient) => (
+                <StructuredIngredient
+                  key={ingredient.id}
+                  ingredient={ingredient}
+                  onSubstitute={setSubstitutingIngredient}
+                  showActions={false}
+                  compact={false}
+                />
+              ))}
+            </View>
           ))}
+
+          {substitutions.length > 0 && (
+            <TouchableOpacity onPress={() => setSubstitutions([])} style={styles.resetSubstitutions}>
+              <Ionicons name="refresh" size={16} color={colors.primary} />
+              <Text style={styles.resetSubstitutionsText}>Undo substitutions</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
+        {equipment.length > 0 && (
+          <View style={styles.equipmentContainer}>
+            <Text style={styles.sectionTitle}>Equipment</Text>
+            <Text style={styles.sectionSubtitle}>
+              Get your equipment out · {readyEquipment.length} of {equipment.length} ready
+            </Text>
+
+            {equipment.map(item => {
+              const isReady = readyEquipment.includes(item.id);
+              return (
+                <TouchableOpacity
+                  key={item.id}
+                  style={styles.equipmentRow}
+                  onPress={() => toggleEquipment(item.id)}
+                >
+                  <Ionicons
+                    name={isReady ? 'checkbox' : 'square-outline'}
+                    size={22}
+                    color={isReady ? colors.success : colors.textSecondary}
+                  />
+                  <Text style={[styles.equipmentText, isReady && styles.equipmentTextReady]}>
+                    {formatEquipment(item)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+
+        {recipe.ingredients?.length > 0 && (
+          <View style={styles.nutritionContainer}>
+            <Text style={styles.sectionTitle}>Nutrition</Text>
+            <Text style={styles.sectionSubtitle}>
+              Estimated from the ingredients we recognize
+            </Text>
+            <NutritionSummary recipe={recipe} servings={servings} />
+          </View>
+        )}
+
+        {schedule.steps.length > 0 && (
+          <View style={styles.scheduleContainer}>
+            <Text style={styles.sectionTitle}>Schedule</Text>
+            <Text style={styles.sectionSubtitle}>
+              When to start each step to be ready by {formatScheduleTime(schedule.readyAt)}
+            </Text>
+
+            {schedule.steps.map(step => (
+              <View key={step.stepId || step.index} style={styles.scheduleRow}>
+                <Text style={styles.scheduleTime}>{formatScheduleTime(step.startAt)}</Text>
+                <View style={styles.scheduleStep}>
+                  <Text style={styles.scheduleStepText} numberOfLines={2}>
+                    {step.index + 1}. {step.content}
+                  </Text>
+                  <Text style={styles.scheduleStepMeta}>
+                    {step.isPassive
+                      ? `${step.durationMinutes} min hands-off`
+                      : step.passiveMinutes > 0
+                        ? `${step.activeMinutes} min hands-on, then ${step.passiveMinutes} min hands-off`
+                        : `${step.activeMinutes} min`}
+                  </Text>
+                </View>
+              </View>
+            ))}
+
+            <View style={styles.remindersRow}>
+              <Text style={styles.remindersLabel}>Remind me when each step is due</Text>
+              <Switch
+                value={remindersEnabled}
+                onValueChange={handleRemindersToggle}
+                trackColor={{ true: colors.primary }}
+              />
+            </View>
+          </View>
+        )}
+
         {isActive && (
           <View style={styles.activeSessionBanner}>
             <View style={styles.activeSessionHeader}>
@@ -148,6 +396,12 @@ export default function CookRecipeScreen({ route, navigation }) {
           />
         </View>
       </ScrollView>
+
+      <SubstitutionSheet
+        ingredient={substitutingIngredient}
+        onApply={handleApplySubstitution}
+        onClose={() => setSubstitutingIngredient(null)}
+      />
     </View>
   );
 }
@@ -177,6 +431,7 @@ const styles = StyleSheet.create({
   metaInfo: {
     flexDirection: 'row',
     alignItems: 'center',
+    justifyContent: 'space-between',
   },
   readyByContainer: {
     flexDirection: 'row',
@@ -193,6 +448,60 @@ const styles = StyleSheet.create({
     color: colors.primary,
     fontWeight: '600',
   },
+  readyByStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  startAtText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: 6,
+  },
+  startAtLate: {
+    color: colors.error,
+  },
+  servingsContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  servingsLabel: {
+    ...typography.body,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  servingsStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+  },
+  stepperButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.surface,
+  },
+  stepperButtonDisabled: {
+    borderColor: colors.border,
+  },
+  servingsValue: {
+    ...typography.h3,
+    color: colors.text,
+    minWidth: 24,
+    textAlign: 'center',
+  },
+  scaledNote: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: 6,
+    textAlign: 'right',
+  },
   sectionTitle: {
     ...typography.h2,
     color: colors.text,
@@ -203,9 +512,108 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     marginBottom: 20,
   },
+  measurementSelector: {
+    marginBottom: 16,
+  },
+  substitutionHint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  resetSubstitutions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    alignSelf: 'flex-start',
+    paddingVertical: 8,
+  },
+  resetSubstitutionsText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+  },
   ingredientsContainer: {
     marginBottom: 30,
   },
+  ingredientGroupHeader: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    justifyContent: 'space-between',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  ingredientGroupName: {
+    ...typography.body,
+    color: colors.text,
+    fontWeight: '600',
+  },
+  ingredientGroupSteps: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  equipmentContainer: {
+    marginBottom: 30,
+  },
+  equipmentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  equipmentText: {
+    ...typography.body,
+    color: colors.text,
+    flex: 1,
+  },
+  equipmentTextReady: {
+    color: colors.textSecondary,
+    textDecorationLine: 'line-through',
+  },
+  nutritionContainer: {
+    marginBottom: 30,
+  },
+  scheduleContainer: {
+    marginBottom: 30,
+  },
+  scheduleRow: {
+    flexDirection: 'row',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    gap: 12,
+  },
+  scheduleTime: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '600',
+    width: 72,
+  },
+  scheduleStep: {
+    flex: 1,
+  },
+  scheduleStepText: {
+    ...typography.body,
+    color: colors.text,
+  },
+  scheduleStepMeta: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  remindersRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: 16,
+    gap: 12,
+  },
+  remindersLabel: {
+    ...typography.body,
+    color: colors.text,
+    flex: 1,
+  },
   buttonContainer: {
     paddingVertical: 20,
     paddingBottom: 30,
@@ -217,6 +625,31 @@ const styles = StyleSheet.create({
   headerButton: {
     padding: 8,
   },
+  dietaryBanner: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    borderLeftWidth: 4,
+    borderLeftColor: colors.warning,
+  },
+  dietaryBannerHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  dietaryBannerTitle: {
+    ...typography.h3,
+    color: colors.text,
+    fontWeight: '600',
+    flex: 1,
+  },
+  dietaryBannerText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
   activeSessionBanner: {
     backgroundColor: colors.surface,
     borderRadius: 12,
@@ -9,13 +9,17 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import Button from '../components/Button';
-import TimerService from '../services/TimerService';
 import { useCookingSession } from '../hooks/useCookingSession';
 import { useRecipes } from '../contexts/RecipeContext';
+import { usePreferences } from '../contexts/PreferencesContext';
 import { useCookingTracking } from '../hooks/useIngredientTracking';
 import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
 import { commonStyles } from '../styles/common';
+import { convertMeasurementsInText, getTemperatureScale } from '../utils/measurementDisplay';
+import { findUpcomingOvenTemperature, formatTemperature, getStepTemperatures } from '../utils/temperature';
+import { createTimerId, formatSessionTimer } from '../utils/cookingSessionUtils';
+import { getStepGroups } from '../utils/ingredientGroups';
 
 export default function CookingFlowScreen({ route, navigation }) {
   const { 
@@ -29,6 +33,9 @@ export default function CookingFlowScreen({ route, navigation }) {
   // Get recipes context to fetch recipe when resuming
   const { recipes } = useRecipes();
   
+  // Step text is shown in the user's preferred measurement system
+  const { measurementSystem } = usePreferences();
+  
   // Initialize cooking tracking
   const cookingTracking = useCookingTracking();
   
@@ -49,7 +56,11 @@ export default function CookingFlowScreen({ route, navigation }) {
     startStepTimer,
     stopStepTimer,
     toggleTimer,
-    timer: globalTimer
+    resetTimer,
+    clearTimers,
+    timers,
+    isMultiRecipe,
+    recipeProgress
   } = useCookingSession();
   
   // Handle case where we're resuming a session vs starting a new one
@@ -108,7 +119,10 @@ export default function CookingFlowScreen({ route, navigation }) {
     } else if (resumeSession && isActive && activeRecipe && !workingRecipe) {
       // When resuming, try to find the full recipe from the recipes list
       // console.log('Resuming session for recipe ID:', activeRecipe);
-      const fullRecipe = recipes.find(r => r.id === activeRecipe);
+      // Recipes cooked together only exist in the session
+      const fullRecipe = rawState?.fullRecipe?.isMultiRecipe
+        ? rawState.fullRecipe
+        : recipes.find(r => r.id === activeRecipe);
       
       if (fullRecipe) {
         // Found the full recipe
@@ -173,7 +187,7 @@ export default function CookingFlowScreen({ route, navigation }) {
       headerRight: () => (
         <TouchableOpacity 
           onPress={async () => {
-            await TimerService.clearAllTimers();
+            await clearTimers();
             endCookingSession(false); // End session without saving to history
             navigation.goBack();
           }} 
@@ -192,13 +206,6 @@ export default function CookingFlowScreen({ route, navigation }) {
     }
   }, [workingRecipe, currentStepIndex]);
 
-  useEffect(() => {
-    const unsubscribe = TimerService.addListener(setActiveTimers);
-    return () => {
-      unsubscribe();
-    };
-  }, []);
-
   const calculateTimes = () => {
     // Calculate total remaining time from current step onwards
     if (!workingRecipe || !workingRecipe.steps) return;
@@ -291,7 +298,6 @@ export default function CookingFlowScreen({ route, navigation }) {
   };
 
   const [sentenceTimers, setSentenceTimers] = useState({});
-  const [activeTimers, setActiveTimers] = useState([]);
 
   const handlePreviousStep = () => {
     if (isActive && canGoPrevious) {
@@ -343,59 +349,43 @@ export default function CookingFlowScreen({ route, navigation }) {
   };
 
   const getTimerId = (sentenceIndex) => {
-    return `step-${currentStepIndex}-sentence-${sentenceIndex}`;
+    return createTimerId(currentStepIndex, sentenceIndex);
   };
 
-  const handleStartTimer = async (sentenceIndex) => {
+  const findTimer = (timerId) => timers.find(timer => timer.id === timerId);
+
+  const handleStartTimer = (sentenceIndex) => {
     const sentences = splitIntoSentences(currentStep?.content || '');
     const sentence = sentences[sentenceIndex];
     const timingInfo = detectTiming(sentence);
     const currentTime = sentenceTimers[sentenceIndex] || timingInfo?.timeInMinutes;
+    const timerId = getTimerId(sentenceIndex);
+    const existingTimer = findTimer(timerId);
     
     console.log('Starting timer:', { sentenceIndex, currentTime, sentence });
     
-    // Check if this is the same timer that's already running globally
-    if (globalTimer?.isActive && globalTimer?.stepId === `${currentStepIndex}-${sentenceIndex}`) {
-      // Toggle the existing global timer
-      toggleTimer();
+    if (existingTimer?.isExpired) {
+      // Done - dismiss it
+      stopStepTimer(timerId);
+    } else if (existingTimer) {
+      // Pause or resume this sentence's timer; other timers keep running
+      toggleTimer(timerId);
     } else {
-      // Start a new global timer
-      const durationInSeconds = (currentTime || 5) * 60; // Convert minutes to seconds
-      startStepTimer(durationInSeconds, {
-        stepId: `${currentStepIndex}-${sentenceIndex}`,
-        stepName: sentence.substring(0, 30) + '...'
+      startStepTimer((currentTime || 5) * 60, {
+        id: timerId,
+        stepIndex: currentStepIndex,
+        sentenceIndex,
+        name: sentence.substring(0, 30) + '...'
       });
-      
-      // Also start local timer for UI display
-      const timerId = getTimerId(sentenceIndex);
-      const recipeData = {
-        recipeId: workingRecipe?.id || activeRecipe,
-        stepIndex: currentStepIndex
-      };
-      await TimerService.startTimer(timerId, currentTime, sentence.substring(0, 30) + '...', recipeData);
     }
   };
 
   const handleResetTimer = (sentenceIndex) => {
-    // Stop the global timer if it's for this sentence
-    if (globalTimer?.isActive && globalTimer?.stepId === `${currentStepIndex}-${sentenceIndex}`) {
-      stopStepTimer();
-    }
-    
-    // Reset local timer
-    const timerId = getTimerId(sentenceIndex);
-    TimerService.resetTimer(timerId);
+    resetTimer(getTimerId(sentenceIndex));
   };
 
-  const handleStopTimer = async (sentenceIndex) => {
-    // Stop the global timer if it's for this sentence
-    if (globalTimer?.isActive && globalTimer?.stepId === `${currentStepIndex}-${sentenceIndex}`) {
-      stopStepTimer();
-    }
-    
-    // Stop local timer
-    const timerId = getTimerId(sentenceIndex);
-    await TimerService.stopTimer(timerId);
+  const handleStopTimer = (sentenceIndex) => {
+    stopStepTimer(getTimerId(sentenceIndex));
   };
 
   const splitIntoSentences = (text) => {
@@ -435,6 +425,32 @@ export default function CookingFlowScreen({ route, navigation }) {
   // Calculate current step and total steps when workingRecipe is available
   const currentStep = workingRecipe.steps?.[currentStepIndex] || {};
   const totalSteps = workingRecipe.steps?.length || 0;
+  
+  // Timers started on other steps keep running; list them so they aren't forgotten
+  const otherStepTimers = timers.filter(timer => timer.stepIndex !== currentStepIndex);
+
+  // When cooking several recipes together, which dish this step belongs to
+  const currentDish = isMultiRecipe
+    ? recipeProgress.find(progress => progress.recipeId === currentStep.recipeId)
+    : null;
+  const getDishName = (stepIndex) => workingRecipe.steps?.[stepIndex]?.recipeTitle;
+
+  // Preheat cue: the next oven temperature, unless an earlier step already heated the oven to it
+  const temperatureScale = getTemperatureScale(measurementSystem);
+  const upcomingOven = findUpcomingOvenTemperature(workingRecipe.steps || [], currentStepIndex);
+  const ovenAlreadyOn = upcomingOven && (workingRecipe.steps || []).slice(0, currentStepIndex).some(step =>
+    getStepTemperatures(step).some(temperature => temperature.fahrenheit === upcomingOven.temperature.fahrenheit));
+  const ovenCue = upcomingOven && (upcomingOven.stepIndex === currentStepIndex || ovenAlreadyOn
+    ? `Oven at ${formatTemperature(upcomingOven.temperature, temperatureScale)}`
+    : `Preheat the oven to ${formatTemperature(upcomingOven.temperature, temperatureScale)} for step ${upcomingOven.stepIndex + 1}`);
+
+  // Ingredient groups this step uses ("pour the sauce over") and what's in them
+  const stepGroups = getStepGroups(currentStep, workingRecipe.ingredientGroups || []).map(group => ({
+    ...group,
+    ingredientNames: (workingRecipe.ingredients || [])
+      .filter(ingredient => ingredient.groupId === group.id)
+      .map(ingredient => ingredient.structured?.ingredient?.name || ingredient.displayText || ingredient.originalText)
+  }));
 
   return (
     <SafeAreaView style={styles.container}>
@@ -450,13 +466,95 @@ export default function CookingFlowScreen({ route, navigation }) {
         </Text>
       </View>
 
+      {isMultiRecipe && (
+        <View style={styles.dishProgress}>
+          {recipeProgress.map(progress => (
+            <View
+              key={progress.recipeId}
+              style={[
+                styles.dishChip,
+                progress.recipeId === currentStep.recipeId && styles.dishChipCurrent,
+              ]}
+            >
+              <Ionicons
+                name={progress.isComplete ? 'checkmark-circle' : 'restaurant-outline'}
+                size={14}
+                color={progress.isComplete ? colors.success : colors.primary}
+              />
+              <Text style={styles.dishChipText} numberOfLines={1}>
+                {progress.recipeName} {progress.completedSteps}/{progress.totalSteps}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+
       {/* Step Indicator */}
       <View style={styles.stepIndicator}>
         <Text style={styles.stepIndicatorText}>
           STEP {currentStepIndex + 1} OF {totalSteps}
         </Text>
+        {currentDish && (
+          <Text style={styles.dishLabel}>
+            {currentDish.recipeName} · step {currentStep.sourceStepIndex + 1} of {currentDish.totalSteps}
+          </Text>
+        )}
       </View>
 
+      {(ovenCue || currentStep.heatLevel) && (
+        <View style={styles.heatCues}>
+          {ovenCue && (
+            <View style={styles.heatCue}>
+              <Ionicons name="flame-outline" size={14} color={colors.warning} />
+              <Text style={styles.heatCueText}>{ovenCue}</Text>
+            </View>
+          )}
+          {currentStep.heatLevel && (
+            <View style={styles.heatCue}>
+              <Ionicons name="flame" size={14} color={colors.warning} />
+              <Text style={styles.heatCueText}>
+                {currentStep.heatLevel.charAt(0).toUpperCase() + currentStep.heatLevel.slice(1)} heat
+              </Text>
+            </View>
+          )}
+        </View>
+      )}
+
+      {stepGroups.length > 0 && (
+        <View style={styles.groupCues}>
+          {stepGroups.map(group => (
+            <Text key={group.id} style={styles.groupCueText}>
+              <Text style={styles.groupCueName}>{group.name}: </Text>
+              {group.ingredientNames.join(', ')}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {otherStepTimers.length > 0 && (
+        <View style={styles.otherTimers}>
+          {otherStepTimers.map(timer => (
+            <TouchableOpacity
+              key={timer.id}
+              style={[styles.otherTimer, timer.isExpired && styles.otherTimerExpired]}
+              onPress={() => timer.stepIndex !== null && goToStepIndex(timer.stepIndex)}
+            >
+              <Ionicons
+                name={timer.isPaused ? 'pause' : 'timer'}
+                size={14}
+                color={timer.isExpired ? colors.error : colors.primary}
+              />
+              <Text style={styles.otherTimerText} numberOfLines={1}>
+                {timer.stepIndex !== null ? `${getDishName(timer.stepIndex) || `Step ${timer.stepIndex + 1}`}: ` : ''}{timer.name}
+              </Text>
+              <Text style={[styles.otherTimerTime, timer.isExpired && styles.otherTimerTimeExpired]}>
+                {formatSessionTimer(timer)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
       {/* Main Content */}
       <View style={styles.mainContent}>
         <ScrollView 
@@ -472,18 +570,18 @@ export default function CookingFlowScreen({ route, navigation }) {
                 ? sentenceTimers[sentenceIndex] 
                 : timingInfo?.timeInMinutes;
               const timerId = getTimerId(sentenceIndex);
-              const activeTimer = TimerService.getTimer(timerId);
+              const activeTimer = findTimer(timerId);
               
               return (
                 <View key={sentenceIndex} style={styles.sentenceWithTiming}>
                   <Text style={styles.stepText}>
-                    {sentence}
+                    {convertMeasurementsInText(sentence, measurementSystem)}
                   </Text>
                   
                   {timingInfo && (
                     <View style={[
                       styles.timerBanner, 
-                      activeTimer?.isOverflow && styles.timerBannerOverflow
+                      activeTimer?.isExpired && styles.timerBannerOverflow
                     ]}>
                       <View style={styles.timingControlsContainer}>
                         {!activeTimer && (
@@ -510,20 +608,20 @@ export default function CookingFlowScreen({ route, navigation }) {
                         
                         {activeTimer && (
                           <Text style={styles.timingValue}>
-                            {TimerService.formatTime(activeTimer.remainingTime)}
+                            {formatSessionTimer(activeTimer)}
                           </Text>
                         )}
                         
                         <TouchableOpacity 
                           style={[
                             styles.startTimerButtonSmall,
-                            activeTimer?.isRunning && styles.pauseTimerButton
+                            activeTimer?.isActive && styles.pauseTimerButton
                           ]}
                           onPress={() => handleStartTimer(sentenceIndex)}
                         >
                           <Text style={styles.startTimerTextSmall}>
                             {activeTimer 
-                              ? (activeTimer.isRunning ? 'Pause' : 'Resume')
+                              ? (activeTimer.isExpired ? 'Done' : activeTimer.isActive ? 'Pause' : 'Resume')
                               : 'Start Timer'
                             }
                           </Text>
@@ -624,10 +722,108 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     fontWeight: '600',
   },
+  dishLabel: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  heatCues: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 20,
+    marginBottom: 12,
+    gap: 8,
+  },
+  heatCue: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.warning,
+    backgroundColor: colors.surface,
+  },
+  heatCueText: {
+    ...typography.caption,
+    color: colors.text,
+    fontWeight: '600',
+  },
+  groupCues: {
+    paddingHorizontal: 20,
+    marginBottom: 12,
+    gap: 4,
+  },
+  groupCueText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  groupCueName: {
+    color: colors.text,
+    fontWeight: '600',
+  },
+  dishProgress: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 20,
+    marginBottom: 12,
+    gap: 8,
+  },
+  dishChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+    maxWidth: '100%',
+  },
+  dishChipCurrent: {
+    borderColor: colors.primary,
+  },
+  dishChipText: {
+    ...typography.caption,
+    color: colors.text,
+  },
   mainContent: {
     flex: 1,
     paddingHorizontal: 20,
   },
+  otherTimers: {
+    paddingHorizontal: 20,
+    marginBottom: 12,
+    gap: 6,
+  },
+  otherTimer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#E5F7F0',
+    borderRadius: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  otherTimerExpired: {
+    backgroundColor: '#FFE5E5',
+  },
+  otherTimerText: {
+    ...typography.caption,
+    color: colors.text,
+    flex: 1,
+  },
+  otherTimerTime: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  otherTimerTimeExpired: {
+    color: colors.error,
+  },
   stepScrollView: {
     flex: 1,
   },
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -6,18 +6,27 @@ import {
   StyleSheet,
   Alert,
   TouchableOpacity,
+  TextInput,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import Button from '../components/Button';
 import StepEditor from '../components/StepEditor';
 import StructuredIngredient from '../components/StructuredIngredient';
+import SubstitutionSheet from '../components/SubstitutionSheet';
 import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
 import { commonStyles } from '../styles/common';
 import { useRecipes } from '../contexts/RecipeContext';
-import { updateIngredientTracking } from '../services/IngredientTrackingService';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { updateIngredientTracking, findUnusedIngredients } from '../services/IngredientTrackingService';
+import { groupIngredients, findStepGroupReferences } from '../utils/ingredientGroups';
 import { useRecipeCreationTracking } from '../hooks/useIngredientTracking';
+import { useEditHistory } from '../hooks/useEditHistory';
+import { findIngredientConflicts, describeConflicts, CONFLICT_TYPES } from '../utils/dietaryRestrictions';
+import { applySubstitution } from '../utils/substitutions';
+import { withSchedulingDefaults, calculateCriticalPath } from '../utils/cookingSchedule';
+import { parseEquipmentText, formatEquipment } from '../utils/equipment';
 
 // Helper functions for ingredient parsing
 const extractAmount = (ingredientText) => {
@@ -33,6 +42,7 @@ const extractName = (ingredientText) => {
 export default function EditRecipeScreen({ route, navigation }) {
   const { recipe, originalContent, isNew, fromHome } = route.params;
   const { updateRecipe, deleteRecipe } = useRecipes();
+  const { dietaryRestrictions } = usePreferences();
   const [editedRecipe, setEditedRecipe] = useState(recipe);
   const [ingredients, setIngredients] = useState(
     recipe.ingredients ? recipe.ingredients : []
@@ -41,10 +51,28 @@ export default function EditRecipeScreen({ route, navigation }) {
   const [originalStepContent, setOriginalStepContent] = useState(new Map());
   const [newIngredientEditing, setNewIngredientEditing] = useState(false);
   const [tempNewIngredient, setTempNewIngredient] = useState(null);
+  const [substitutingIngredient, setSubstitutingIngredient] = useState(null);
+  const [newEquipmentText, setNewEquipmentText] = useState('');
+  const [groupNameDrafts, setGroupNameDrafts] = useState({});
   
   // Initialize ingredient tracking for recipe editing
   const tracking = useRecipeCreationTracking();
 
+  // Undo/redo history - every editor mutation is recorded as a command
+  const editorStateRef = useRef(null);
+  editorStateRef.current = { editedRecipe, ingredients, originalStepContent };
+
+  const editHistory = useEditHistory({
+    getState: () => editorStateRef.current,
+    restoreState: (snapshot) => {
+      // Drop a pending step content rewrite so it can't re-apply an undone ingredient edit
+      clearTimeout(window.stepUpdateTimeout);
+      setEditedRecipe(snapshot.editedRecipe);
+      setIngredients(snapshot.ingredients);
+      setOriginalStepContent(snapshot.originalStepContent);
+    },
+  });
+
   useEffect(() => {
     navigation.setOptions({
       title: isNew ? 'Review Recipe' : 'Edit Recipe',
@@ -54,9 +82,17 @@ export default function EditRecipeScreen({ route, navigation }) {
         </TouchableOpacity>
       ),
       headerRight: !isNew ? () => (
-        <TouchableOpacity onPress={handleDeleteRecipe} style={styles.headerButton}>
-          <Ionicons name="trash" size={24} color={colors.surface} />
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity
+            onPress={() => navigation.navigate('RecipeHistory', { recipeId: editedRecipe.id })}
+            style={styles.headerButton}
+          >
+            <Ionicons name="time-outline" size={24} color={colors.surface} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleDeleteRecipe} style={styles.headerButton}>
+            <Ionicons name="trash" size={24} color={colors.surface} />
+          </TouchableOpacity>
+        </View>
       ) : undefined,
     });
     
@@ -155,12 +191,83 @@ export default function EditRecipeScreen({ route, navigation }) {
   }, [ingredients]);
 
   const handleStepUpdate = (stepId, updatedStep) => {
-    setEditedRecipe(prev => ({
-      ...prev,
-      steps: prev.steps.map(step => 
-        step.id === stepId ? updatedStep : step
-      ),
-    }));
+    editHistory.execute('Edit step', () => {
+      setEditedRecipe(prev => {
+        // Re-read which groups the step refers to ("the sauce") from its new text
+        const groups = prev.ingredientGroups || [];
+        const stepWithGroups = groups.length > 0
+          ? { ...updatedStep, ingredientGroupIds: findStepGroupReferences(updatedStep.content, groups) }
+          : updatedStep;
+
+        return {
+          ...prev,
+          steps: prev.steps.map(step => 
+            step.id === stepId ? stepWithGroups : step
+          ),
+        };
+      });
+    });
+  };
+
+  const handleAddEquipment = () => {
+    const item = parseEquipmentText(newEquipmentText);
+    if (!item) return;
+
+    editHistory.execute('Add equipment', () => {
+      setEditedRecipe(prev => ({
+        ...prev,
+        equipment: [...(prev.equipment || []), { id: `equipment_${Date.now()}`, ...item }],
+      }));
+    });
+    setNewEquipmentText('');
+  };
+
+  const handleDeleteEquipment = (itemId) => {
+    editHistory.execute('Remove equipment', () => {
+      setEditedRecipe(prev => ({
+        ...prev,
+        equipment: (prev.equipment || []).filter(item => item.id !== itemId),
+      }));
+    });
+  };
+
+  // Group names are edited as drafts and saved as one rename when editing ends
+  const handleRenameIngredientGroup = (groupId) => {
+    const draft = groupNameDrafts[groupId];
+    setGroupNameDrafts(prev => {
+      const { [groupId]: _, ...rest } = prev;
+      return rest;
+    });
+
+    const group = (editedRecipe.ingredientGroups || []).find(item => item.id === groupId);
+    const name = (draft || '').trim();
+    if (!group || !name || name === group.name) return;
+
+    editHistory.execute('Rename group', () => {
+      setEditedRecipe(prev => ({
+        ...prev,
+        ingredientGroups: (prev.ingredientGroups || []).map(item =>
+          item.id === groupId ? { ...item, name } : item
+        ),
+      }));
+    });
+  };
+
+  const handleMoveIngredientGroup = (groupId, offset) => {
+    const groups = [...(editedRecipe.ingredientGroups || [])];
+    const fromIndex = groups.findIndex(group => group.id === groupId);
+    const toIndex = fromIndex + offset;
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= groups.length) return;
+
+    const [moved] = groups.splice(fromIndex, 1);
+    groups.splice(toIndex, 0, moved);
+
+    editHistory.execute('Move group', () => {
+      setEditedRecipe(prev => ({
+        ...prev,
+        ingredientGroups: groups,
+      }));
+    });
   };
 
   const handleStepReorder = (fromIndex, toIndex) => {
@@ -168,10 +275,12 @@ export default function EditRecipeScreen({ route, navigation }) {
     const [removed] = newSteps.splice(fromIndex, 1);
     newSteps.splice(toIndex, 0, removed);
     
-    setEditedRecipe(prev => ({
-      ...prev,
-      steps: newSteps,
-    }));
+    editHistory.execute('Move step', () => {
+      setEditedRecipe(prev => ({
+        ...prev,
+        steps: newSteps,
+      }));
+    });
   };
 
   const handleAddStep = (afterIndex) => {
@@ -185,10 +294,12 @@ export default function EditRecipeScreen({ route, navigation }) {
     const newSteps = [...editedRecipe.steps];
     newSteps.splice(afterIndex + 1, 0, newStep);
     
-    setEditedRecipe(prev => ({
-      ...prev,
-      steps: newSteps,
-    }));
+    editHistory.execute('Add step', () => {
+      setEditedRecipe(prev => ({
+        ...prev,
+        steps: newSteps,
+      }));
+    });
   };
 
   const handleCreateStepFromAction = (stepContent, ingredientId) => {
@@ -199,17 +310,19 @@ export default function EditRecipeScreen({ route, navigation }) {
       ingredients: [ingredientId],
     };
 
-    // Store the original content for this new step BEFORE adding to recipe
-    setOriginalStepContent(prev => {
-      const updated = new Map(prev);
-      updated.set(newStep.id, stepContent);
-      return updated;
-    });
+    editHistory.execute('Create step', () => {
+      // Store the original content for this new step BEFORE adding to recipe
+      setOriginalStepContent(prev => {
+        const updated = new Map(prev);
+        updated.set(newStep.id, stepContent);
+        return updated;
+      });
 
-    setEditedRecipe(prev => ({
-      ...prev,
-      steps: [newStep, ...prev.steps],
-    }));
+      setEditedRecipe(prev => ({
+        ...prev,
+        steps: [newStep, ...prev.steps],
+      }));
+    });
     
     // Don't trigger updateAllStepsContent here since the step already has the right content
     // The step content from action parsing already includes the amount
@@ -225,10 +338,16 @@ export default function EditRecipeScreen({ route, navigation }) {
           text: 'Delete',
           style: 'destructive',
           onPress: () => {
-            setEditedRecipe(prev => ({
-              ...prev,
-              steps: prev.steps.filter(step => step.id !== stepId),
-            }));
+            editHistory.execute('Delete step', () => {
+              setEditedRecipe(prev => ({
+                ...prev,
+                steps: prev.steps
+                  .filter(step => step.id !== stepId)
+                  .map(step => step.dependsOn?.includes(stepId)
+                    ? { ...step, dependsOn: step.dependsOn.filter(id => id !== stepId) }
+                    : step),
+              }));
+            });
           },
         },
       ]
@@ -307,17 +426,67 @@ export default function EditRecipeScreen({ route, navigation }) {
     console.log('Recipe saved:', recipe.title);
   };
 
+  // Steps with their scheduling fields filled in, for steps added since parsing
+  const scheduledSteps = useMemo(
+    () => withSchedulingDefaults(editedRecipe.steps),
+    [editedRecipe.steps]
+  );
+
+  // Ingredients under their group headings; empty groups stay so they can be renamed
+  const ingredientSections = useMemo(
+    () => groupIngredients(ingredients, editedRecipe.ingredientGroups || [], { includeEmpty: true }),
+    [ingredients, editedRecipe.ingredientGroups]
+  );
+
+  // Ingredients no step uses yet; optional ones aren't flagged
+  const unusedIngredients = useMemo(
+    () => findUnusedIngredients(editedRecipe.steps || [], ingredients),
+    [editedRecipe.steps, ingredients]
+  );
+
+  // Steps that can run side by side overlap, so this is the critical path, not the sum
   const calculateTotalTime = () => {
-    return editedRecipe.steps.reduce((total, step) => {
-      if (step.timing) {
-        const timeMatch = step.timing.match(/(\d+)/);
-        return total + (timeMatch ? parseInt(timeMatch[1]) : 0);
-      }
-      return total;
-    }, 0);
+    return calculateCriticalPath(scheduledSteps).totalMinutes;
   };
 
 
+  /**
+   * Warn when an added or edited ingredient conflicts with the user's dietary restrictions
+   * @param {Object} ingredient - Ingredient as saved
+   * @param {Object} previous - Ingredient before the edit, so unchanged conflicts aren't repeated
+   */
+  const warnAboutDietaryConflicts = (ingredient, previous = null) => {
+    const getBaseIngredient = (item) => item?.structured?.ingredient?.name
+      ? item.structured.ingredient
+      : { name: item?.originalText || '' };
+
+    const conflicts = findIngredientConflicts(getBaseIngredient(ingredient), dietaryRestrictions);
+    if (conflicts.length === 0) return;
+
+    const previousConflicts = previous
+      ? describeConflicts(findIngredientConflicts(getBaseIngredient(previous), dietaryRestrictions))
+      : '';
+    const description = describeConflicts(conflicts);
+    if (description === previousConflicts) return;
+
+    const ingredientText = ingredient.displayText || ingredient.originalText;
+    Alert.alert('Dietary Warning', `${ingredientText}: ${description}`);
+
+    if (tracking.isInitialized) {
+      const hasAllergen = conflicts.some(conflict => conflict.type === CONFLICT_TYPES.ALLERGEN);
+      tracking.trackFeedback(
+        getBaseIngredient(ingredient),
+        hasAllergen ? tracking.FEEDBACK_TYPES.ALLERGEN : tracking.FEEDBACK_TYPES.DIETARY_RESTRICTION,
+        null,
+        {
+          contextType: tracking.CONTEXT_TYPES.DIETARY_RESTRICTION,
+          reason: description,
+          isExplicit: false
+        }
+      );
+    }
+  };
+
   const handleIngredientEdit = async (ingredient, newText) => {
     console.log('🔧 EditRecipeScreen handleIngredientEdit:', {
       ingredientId: ingredient.id,
@@ -328,6 +497,12 @@ export default function EditRecipeScreen({ route, navigation }) {
     
     try {
       let updatedIngredient;
+
+      // Record the command before any awaits so it holds the state the user saw;
+      // the step content rewrite scheduled below is undone along with it
+      if (newText && newText.trim()) {
+        editHistory.execute('Edit ingredient');
+      }
       
       // Track ingredient correction/edit
       if (tracking.isInitialized && newText && newText.trim() !== ingredient.originalText) {
@@ -478,6 +653,8 @@ export default function EditRecipeScreen({ route, navigation }) {
 
       // Schedule a comprehensive step content update after ingredient change
       if (updatedIngredient) {
+        warnAboutDietaryConflicts(updatedIngredient, ingredient);
+
         console.log('🔧 Scheduling step update with ingredient:', updatedIngredient.id);
         // Use a debounced update to handle multiple rapid changes
         clearTimeout(window.stepUpdateTimeout);
@@ -986,10 +1163,12 @@ export default function EditRecipeScreen({ route, navigation }) {
               });
             }
             
-            setIngredients(prev => prev.filter(ing => ing.id !== ingredient.id));
-            
-            // Remove ingredient from steps
-            removeIngredientFromSteps(ingredient);
+            editHistory.execute('Delete ingredient', () => {
+              setIngredients(prev => prev.filter(ing => ing.id !== ingredient.id));
+              
+              // Remove ingredient from steps
+              removeIngredientFromSteps(ingredient);
+            });
           },
         },
       ]
@@ -1061,7 +1240,10 @@ export default function EditRecipeScreen({ route, navigation }) {
       };
 
       // Add to ingredients list
-      setIngredients(prev => [...prev, finalIngredient]);
+      editHistory.execute('Add ingredient', () => {
+        setIngredients(prev => [...prev, finalIngredient]);
+      });
+      warnAboutDietaryConflicts(finalIngredient);
 
       // Track ingredient addition
       if (tracking.isInitialized) {
@@ -1086,6 +1268,28 @@ export default function EditRecipeScreen({ route, navigation }) {
     setTempNewIngredient(null);
   };
 
+  const handleApplySubstitution = (substitution) => {
+    const ingredientId = substitutingIngredient.id;
+    setSubstitutingIngredient(null);
+
+    editHistory.execute('Substitute ingredient', () => {
+      const updated = applySubstitution({ ...editedRecipe, ingredients }, ingredientId, substitution);
+      setIngredients(updated.ingredients);
+      setEditedRecipe(prev => ({ ...prev, steps: updated.steps }));
+
+      // Rewrite the stored originals too, or the next ingredient edit would bring the old ingredient back
+      const originals = applySubstitution(
+        {
+          ingredients,
+          steps: [...originalStepContent].map(([id, content]) => ({ id, content })),
+        },
+        ingredientId,
+        substitution
+      );
+      setOriginalStepContent(new Map(originals.steps.map(step => [step.id, step.content])));
+    });
+  };
+
   const removeIngredientFromSteps = (deletedIngredient) => {
     const ingredientName = getIngredientName(deletedIngredient);
     
@@ -1220,6 +1424,43 @@ export default function EditRecipeScreen({ route, navigation }) {
           </View>
         </View>
 
+        <View style={styles.editToolbar}>
+          <TouchableOpacity
+            style={[styles.toolbarButton, !editHistory.canUndo && styles.toolbarButtonDisabled]}
+            onPress={editHistory.undo}
+            disabled={!editHistory.canUndo}
+          >
+            <Ionicons
+              name="arrow-undo"
+              size={18}
+              color={editHistory.canUndo ? colors.primary : colors.border}
+            />
+            <Text
+              style={[styles.toolbarButtonText, !editHistory.canUndo && styles.toolbarButtonTextDisabled]}
+              numberOfLines={1}
+            >
+              {editHistory.undoLabel ? `Undo ${editHistory.undoLabel.toLowerCase()}` : 'Undo'}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.toolbarButton, !editHistory.canRedo && styles.toolbarButtonDisabled]}
+            onPress={editHistory.redo}
+            disabled={!editHistory.canRedo}
+          >
+            <Ionicons
+              name="arrow-redo"
+              size={18}
+              color={editHistory.canRedo ? colors.primary : colors.border}
+            />
+            <Text
+              style={[styles.toolbarButtonText, !editHistory.canRedo && styles.toolbarButtonTextDisabled]}
+              numberOfLines={1}
+            >
+              {editHistory.redoLabel ? `Redo ${editHistory.redoLabel.toLowerCase()}` : 'Redo'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
         <View style={styles.contentContainer}>
           <View style={styles.ingredientsContainer}>
                 <Text style={styles.sectionTitle}>Ingredients</Text>
@@ -1227,16 +1468,62 @@ export default function EditRecipeScreen({ route, navigation }) {
                   Manage your recipe ingredients
                 </Text>
                 
-                {ingredients.map((ingredient) => (
-                  <StructuredIngredient
-                    key={ingredient.id}
-                    ingredient={ingredient}
-                    onEdit={handleIngredientEdit}
-                    onDelete={handleIngredientDelete}
-                    onCreateStep={handleCreateStepFromAction}
-                    showActions={true}
-                  />
-                ))}
+                {ingredientSections.map(({ group, ingredients: sectionIngredients }) => {
+                  const groups = editedRecipe.ingredientGroups || [];
+                  const groupIndex = group ? groups.findIndex(item => item.id === group.id) : -1;
+
+                  return (
+                    <View key={group ? group.id : 'ungrouped'}>
+                      {group && (
+                        <View style={styles.ingredientGroupHeader}>
+                          <TextInput
+                            style={styles.ingredientGroupInput}
+                            value={groupNameDrafts[group.id] ?? group.name}
+                            onChangeText={text => setGroupNameDrafts(prev => ({ ...prev, [group.id]: text }))}
+                            onEndEditing={() => handleRenameIngredientGroup(group.id)}
+                            placeholder="Group name"
+                            placeholderTextColor={colors.textSecondary}
+                            returnKeyType="done"
+                          />
+                          <TouchableOpacity
+                            style={styles.actionButton}
+                            onPress={() => handleMoveIngredientGroup(group.id, -1)}
+                            disabled={groupIndex === 0}
+                          >
+                            <Ionicons
+                              name="chevron-up"
+                              size={18}
+                              color={groupIndex === 0 ? colors.border : colors.textSecondary}
+                            />
+                          </TouchableOpacity>
+                          <TouchableOpacity
+                            style={styles.actionButton}
+                            onPress={() => handleMoveIngredientGroup(group.id, 1)}
+                            disabled={groupIndex === groups.length - 1}
+                          >
+                            <Ionicons
+                              name="chevron-down"
+                              size={18}
+                              color={groupIndex === groups.length - 1 ? colors.border : colors.textSecondary}
+                            />
+                          </TouchableOpacity>
+                        </View>
+                      )}
+
+                      {sectionIngredients.map((ingredient) => (
+                        <StructuredIngredient
+                          key={ingredient.id}
+                          ingredient={ingredient}
+                          onEdit={handleIngredientEdit}
+                          onDelete={handleIngredientDelete}
+                          onCreateStep={handleCreateStepFromAction}
+                          onSubstitute={setSubstitutingIngredient}
+                          showActions={true}
+                        />
+                      ))}
+                    </View>
+                  );
+                })}
                 
                 {newIngredientEditing && tempNewIngredient && (
                   <StructuredIngredient
@@ -1253,6 +1540,17 @@ export default function EditRecipeScreen({ route, navigation }) {
                   />
                 )}
                 
+                {unusedIngredients.length > 0 && (
+                  <View style={styles.unusedNotice}>
+                    <Ionicons name="alert-circle-outline" size={16} color={colors.warning} />
+                    <Text style={styles.unusedNoticeText}>
+                      Not used in any step: {unusedIngredients
+                        .map(ingredient => ingredient.structured?.ingredient?.name || ingredient.displayText || ingredient.originalText)
+                        .join(', ')}
+                    </Text>
+                  </View>
+                )}
+                
                 {!newIngredientEditing && (
                   <TouchableOpacity
                     style={styles.addIngredientButton}
@@ -1264,17 +1562,52 @@ export default function EditRecipeScreen({ route, navigation }) {
                 )}
               </View>
               
+              <View style={styles.equipmentContainer}>
+                <Text style={styles.sectionTitle}>Equipment</Text>
+                <Text style={styles.sectionSubtitle}>
+                  What you'll need to cook this recipe
+                </Text>
+
+                {(editedRecipe.equipment || []).map(item => (
+                  <View key={item.id} style={styles.ingredientRow}>
+                    <Text style={styles.ingredientText}>{formatEquipment(item)}</Text>
+                    <TouchableOpacity
+                      style={styles.actionButton}
+                      onPress={() => handleDeleteEquipment(item.id)}
+                    >
+                      <Ionicons name="trash-outline" size={18} color={colors.error} />
+                    </TouchableOpacity>
+                  </View>
+                ))}
+
+                <View style={styles.addEquipmentRow}>
+                  <TextInput
+                    style={styles.equipmentInput}
+                    value={newEquipmentText}
+                    onChangeText={setNewEquipmentText}
+                    onSubmitEditing={handleAddEquipment}
+                    placeholder="e.g. 9x13 baking dish"
+                    placeholderTextColor={colors.textSecondary}
+                    returnKeyType="done"
+                  />
+                  <TouchableOpacity style={styles.actionButton} onPress={handleAddEquipment}>
+                    <Ionicons name="add-circle" size={24} color={colors.primary} />
+                  </TouchableOpacity>
+                </View>
+              </View>
+
               <View style={styles.stepsContainer}>
                 <Text style={styles.sectionTitle}>Recipe Steps</Text>
                 <Text style={styles.sectionSubtitle}>
                   Review and customize your recipe flow. Drag to reorder steps.
                 </Text>
                 
-                {editedRecipe.steps.map((step, index) => (
+                {scheduledSteps.map((step, index) => (
                   <StepEditor
                     key={step.id}
                     step={step}
                     index={index}
+                    steps={scheduledSteps}
                     ingredients={ingredients}
                     onUpdate={handleStepUpdate}
                     onDelete={handleDeleteStep}
@@ -1302,6 +1635,12 @@ export default function EditRecipeScreen({ route, navigation }) {
           />
         </View>
       </ScrollView>
+
+      <SubstitutionSheet
+        ingredient={substitutingIngredient}
+        onApply={handleApplySubstitution}
+        onClose={() => setSubstitutingIngredient(null)}
+      />
     </View>
   );
 }
@@ -1336,6 +1675,37 @@ const styles = StyleSheet.create({
     ...typography.caption,
     color: colors.textSecondary,
   },
+  editToolbar: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: -15,
+    marginBottom: 20,
+  },
+  toolbarButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    backgroundColor: colors.surface,
+  },
+  toolbarButtonDisabled: {
+    borderColor: colors.border,
+  },
+  toolbarButtonText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+    flexShrink: 1,
+  },
+  toolbarButtonTextDisabled: {
+    color: colors.textSecondary,
+  },
   sectionTitle: {
     ...typography.h2,
     color: colors.text,
@@ -1376,6 +1746,42 @@ const styles = StyleSheet.create({
     borderRadius: 6,
     backgroundColor: colors.background,
   },
+  equipmentContainer: {
+    marginBottom: 30,
+  },
+  ingredientGroupHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  ingredientGroupInput: {
+    ...typography.body,
+    flex: 1,
+    color: colors.text,
+    fontWeight: '600',
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    paddingVertical: 4,
+  },
+  addEquipmentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 12,
+  },
+  equipmentInput: {
+    ...typography.body,
+    flex: 1,
+    color: colors.text,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+  },
   stepsContainer: {
     marginBottom: 20,
   },
@@ -1389,6 +1795,10 @@ const styles = StyleSheet.create({
   button: {
     flex: 1,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   headerButton: {
     padding: 8,
   },
@@ -1410,4 +1820,15 @@ const styles = StyleSheet.create({
     color: colors.primary,
     fontWeight: '500',
   },
+  unusedNotice: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 6,
+    marginTop: 8,
+  },
+  unusedNoticeText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    flex: 1,
+  },
 });
\ No newline at end of file
@@ -0,0 +1,311 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import Button from '../components/Button';
+import { usePantry } from '../contexts/PantryContext';
+import { resolveUnitId } from '../utils/measurementDisplay';
+import { formatPantryQuantity, isLowStock, getDaysUntilExpiry, describeExpiry } from '../utils/pantry';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+
+const EMPTY_FORM = {
+  name: '',
+  quantity: '',
+  unit: '',
+  expiresAt: '',
+  lowStockThreshold: '',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export default function PantryScreen() {
+  const { items, addItem, updateItem, removeItem } = usePantry();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleEditItem = (item) => {
+    setEditingId(item.id);
+    setForm({
+      name: item.name,
+      quantity: String(item.quantity),
+      unit: item.unitId || '',
+      expiresAt: item.expiresAt || '',
+      lowStockThreshold: item.lowStockThreshold === null ? '' : String(item.lowStockThreshold),
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = () => {
+    const quantity = parseFloat(form.quantity);
+    const unitId = form.unit.trim() ? resolveUnitId(form.unit) : null;
+    const expiresAt = form.expiresAt.trim() || null;
+    const lowStockThreshold = form.lowStockThreshold.trim() ? parseFloat(form.lowStockThreshold) : null;
+
+    if (!form.name.trim()) {
+      Alert.alert('Error', 'Please enter an ingredient name');
+      return;
+    }
+    if (isNaN(quantity) || quantity < 0) {
+      Alert.alert('Error', 'Please enter a valid quantity');
+      return;
+    }
+    if (form.unit.trim() && !unitId) {
+      Alert.alert('Error', `"${form.unit.trim()}" is not a unit we know. Try cup, gram, oz or piece.`);
+      return;
+    }
+    if (expiresAt && (!DATE_PATTERN.test(expiresAt) || isNaN(new Date(expiresAt).getTime()))) {
+      Alert.alert('Error', 'Please enter the expiry date as YYYY-MM-DD');
+      return;
+    }
+
+    if (editingId) {
+      updateItem(editingId, { quantity, unitId, expiresAt, lowStockThreshold });
+    } else {
+      addItem({ name: form.name, quantity, unit: unitId, expiresAt, lowStockThreshold });
+    }
+    handleCancelEdit();
+  };
+
+  const handleRemoveItem = (item) => {
+    Alert.alert(
+      'Remove Item?',
+      `Remove ${item.name} from your pantry?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            if (editingId === item.id) handleCancelEdit();
+            removeItem(item.id);
+          },
+        },
+      ]
+    );
+  };
+
+  const renderItem = (item) => {
+    const lowStock = isLowStock(item);
+    const expiry = describeExpiry(getDaysUntilExpiry(item));
+
+    return (
+      <TouchableOpacity
+        key={item.id}
+        style={[styles.item, editingId === item.id && styles.itemEditing]}
+        onPress={() => handleEditItem(item)}
+      >
+        <View style={styles.itemContent}>
+          <Text style={styles.itemName}>{item.name}</Text>
+          <Text style={styles.itemQuantity}>{formatPantryQuantity(item.quantity, item.unitId)}</Text>
+          <View style={styles.badges}>
+            {lowStock && <Text style={[styles.badge, styles.lowStockBadge]}>Low stock</Text>}
+            {expiry && <Text style={[styles.badge, styles.expiryBadge]}>{expiry}</Text>}
+          </View>
+        </View>
+        <TouchableOpacity onPress={() => handleRemoveItem(item)} style={styles.removeButton}>
+          <Ionicons name="trash-outline" size={20} color={colors.error} />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={styles.keyboardAvoid}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+          <Text style={styles.sectionTitle}>{editingId ? 'Edit Item' : 'Add Item'}</Text>
+          <View style={styles.form}>
+            <TextInput
+              style={[styles.input, editingId && styles.inputDisabled]}
+              value={form.name}
+              onChangeText={value => setField('name', value)}
+              placeholder="Ingredient (e.g. flour)"
+              placeholderTextColor={colors.textSecondary}
+              editable={!editingId}
+            />
+            <View style={styles.formRow}>
+              <TextInput
+                style={[styles.input, styles.formRowInput]}
+                value={form.quantity}
+                onChangeText={value => setField('quantity', value)}
+                placeholder="Quantity"
+                placeholderTextColor={colors.textSecondary}
+                keyboardType="decimal-pad"
+              />
+              <TextInput
+                style={[styles.input, styles.formRowInput]}
+                value={form.unit}
+                onChangeText={value => setField('unit', value)}
+                placeholder="Unit (optional)"
+                placeholderTextColor={colors.textSecondary}
+                autoCapitalize="none"
+              />
+            </View>
+            <View style={styles.formRow}>
+              <TextInput
+                style={[styles.input, styles.formRowInput]}
+                value={form.expiresAt}
+                onChangeText={value => setField('expiresAt', value)}
+                placeholder="Expires (YYYY-MM-DD)"
+                placeholderTextColor={colors.textSecondary}
+                autoCapitalize="none"
+              />
+              <TextInput
+                style={[styles.input, styles.formRowInput]}
+                value={form.lowStockThreshold}
+                onChangeText={value => setField('lowStockThreshold', value)}
+                placeholder="Low stock at"
+                placeholderTextColor={colors.textSecondary}
+                keyboardType="decimal-pad"
+              />
+            </View>
+            <View style={styles.formRow}>
+              {editingId && (
+                <Button
+                  title="Cancel"
+                  variant="secondary"
+                  onPress={handleCancelEdit}
+                  style={styles.formRowInput}
+                />
+              )}
+              <Button
+                title={editingId ? 'Save Item' : 'Add to Pantry'}
+                onPress={handleSave}
+                style={styles.formRowInput}
+              />
+            </View>
+          </View>
+
+          <Text style={styles.sectionTitle}>In Your Pantry</Text>
+          {items.length === 0 ? (
+            <Text style={styles.emptyText}>
+              Your pantry is empty. Items you add here are updated when you finish cooking a recipe.
+            </Text>
+          ) : (
+            [...items].sort((a, b) => a.name.localeCompare(b.name)).map(renderItem)
+          )}
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  keyboardAvoid: {
+    flex: 1,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 20,
+    paddingTop: 20,
+    paddingBottom: 20,
+  },
+  sectionTitle: {
+    ...typography.h2,
+    color: colors.text,
+    marginBottom: 12,
+  },
+  form: {
+    gap: 10,
+    marginBottom: 24,
+  },
+  formRow: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  formRowInput: {
+    flex: 1,
+  },
+  input: {
+    ...typography.body,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    color: colors.text,
+  },
+  inputDisabled: {
+    color: colors.textSecondary,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    padding: 12,
+    marginBottom: 8,
+  },
+  itemEditing: {
+    borderColor: colors.primary,
+  },
+  itemContent: {
+    flex: 1,
+  },
+  itemName: {
+    ...typography.body,
+    color: colors.text,
+    fontWeight: '600',
+  },
+  itemQuantity: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  badges: {
+    flexDirection: 'row',
+    gap: 6,
+    marginTop: 4,
+  },
+  badge: {
+    ...typography.caption,
+    fontWeight: '600',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  lowStockBadge: {
+    color: colors.warning,
+    backgroundColor: '#FFF3E0',
+  },
+  expiryBadge: {
+    color: colors.error,
+    backgroundColor: '#FFEBEE',
+  },
+  removeButton: {
+    padding: 8,
+  },
+});
@@ -1,19 +1,48 @@
 import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, ScrollView, StyleSheet } from 'react-native';
+import MeasurementSystemSelector from '../components/MeasurementSystemSelector';
+import DietaryRestrictionSelector from '../components/DietaryRestrictionSelector';
+import LanguageSelector from '../components/LanguageSelector';
+import { useLocale } from '../contexts/LocaleContext';
 import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
 import { commonStyles } from '../styles/common';
 
 export default function ProfileScreen() {
+  const { t } = useLocale();
+
   return (
-    <View style={[commonStyles.container, commonStyles.centerContent]}>
-      <Text style={styles.title}>Profile</Text>
-      <Text style={styles.subtitle}>Your chef profile will appear here</Text>
-    </View>
+    <ScrollView style={commonStyles.container} contentContainerStyle={styles.scrollContent}>
+      <Text style={styles.title}>{t('profile.title')}</Text>
+      <Text style={styles.subtitle}>{t('profile.subtitle')}</Text>
+
+      <View style={styles.preferenceSection}>
+        <Text style={styles.preferenceLabel}>{t('profile.language')}</Text>
+        <Text style={styles.preferenceHint}>{t('profile.languageHint')}</Text>
+        <LanguageSelector />
+      </View>
+
+      <View style={styles.preferenceSection}>
+        <Text style={styles.preferenceLabel}>{t('profile.measurements')}</Text>
+        <Text style={styles.preferenceHint}>{t('profile.measurementsHint')}</Text>
+        <MeasurementSystemSelector />
+      </View>
+
+      <View style={styles.preferenceSection}>
+        <Text style={styles.preferenceLabel}>{t('profile.dietaryRestrictions')}</Text>
+        <Text style={styles.preferenceHint}>{t('profile.dietaryRestrictionsHint')}</Text>
+        <DietaryRestrictionSelector />
+      </View>
+    </ScrollView>
   );
 }
 
 const styles = StyleSheet.create({
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    paddingVertical: 40,
+  },
   title: {
     ...typography.h1,
     color: colors.text,
@@ -24,5 +53,21 @@ const styles = StyleSheet.create({
     ...typography.body,
     color: colors.textSecondary,
     textAlign: 'center',
+    paddingHorizontal: 20,
+  },
+  preferenceSection: {
+    alignSelf: 'stretch',
+    marginTop: 32,
+    paddingHorizontal: 20,
+  },
+  preferenceLabel: {
+    ...typography.h3,
+    color: colors.text,
+    marginBottom: 4,
+  },
+  preferenceHint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: 12,
   },
-});
\ No newline at end of file
+});
@@ -0,0 +1,428 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import Button from '../components/Button';
+import { useRecipes } from '../contexts/RecipeContext';
+import { diffRecipes, describeSummary, CHANGE_TYPES } from '../utils/recipeDiff';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+
+const formatRevisionDate = (isoDate) => {
+  const date = new Date(isoDate);
+  return isNaN(date.getTime()) ? 'Unknown date' : date.toLocaleString();
+};
+
+const INGREDIENT_ICONS = {
+  [CHANGE_TYPES.ADDED]: { name: 'add-circle', color: colors.success },
+  [CHANGE_TYPES.REMOVED]: { name: 'remove-circle', color: colors.error },
+  [CHANGE_TYPES.CHANGED]: { name: 'create', color: colors.warning },
+};
+
+export default function RecipeHistoryScreen({ route, navigation }) {
+  const { recipeId } = route.params;
+  const { getRevisions, revertRecipe } = useRecipes();
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [baseId, setBaseId] = useState(null);
+  const [isReverting, setIsReverting] = useState(false);
+
+  const loadRevisions = useCallback(async () => {
+    setIsLoading(true);
+    const loaded = await getRevisions(recipeId);
+    setRevisions(loaded);
+
+    // Default comparison: newest revision against the one before it
+    if (loaded.length > 0) {
+      setSelectedId(loaded[0].id);
+      setBaseId(loaded[1]?.id || null);
+    }
+    setIsLoading(false);
+  }, [recipeId]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const selectedRevision = revisions.find(revision => revision.id === selectedId);
+  const baseRevision = revisions.find(revision => revision.id === baseId);
+
+  const diff = useMemo(() => {
+    if (!selectedRevision) return null;
+    return diffRecipes(baseRevision?.snapshot || null, selectedRevision.snapshot);
+  }, [selectedRevision, baseRevision]);
+
+  const handleSelectRevision = (revisionId) => {
+    const index = revisions.findIndex(revision => revision.id === revisionId);
+    setSelectedId(revisionId);
+    setBaseId(revisions[index + 1]?.id || null);
+  };
+
+  const handleSelectBase = (revisionId) => {
+    setBaseId(revisionId === baseId ? null : revisionId);
+  };
+
+  const handleRevert = () => {
+    if (!selectedRevision) return;
+
+    Alert.alert(
+      'Revert Recipe?',
+      `Restore the version from ${formatRevisionDate(selectedRevision.createdAt)}? Your current version stays in the history.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revert',
+          onPress: async () => {
+            setIsReverting(true);
+            try {
+              await revertRecipe(recipeId, selectedRevision.id);
+              // The edit screen still holds the old version, so return to the list
+              navigation.navigate('RecipesList');
+            } catch (error) {
+              console.error('Error reverting recipe:', error);
+              Alert.alert('Error', 'Failed to revert recipe. Please try again.');
+            } finally {
+              setIsReverting(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderRevision = (revision, index) => {
+    const isSelected = revision.id === selectedId;
+    const isBase = revision.id === baseId;
+
+    return (
+      <TouchableOpacity
+        key={revision.id}
+        style={[
+          styles.revisionItem,
+          isSelected && styles.revisionItemSelected,
+          isBase && styles.revisionItemBase,
+        ]}
+        onPress={() => handleSelectRevision(revision.id)}
+      >
+        <View style={styles.revisionInfo}>
+          <Text style={styles.revisionNote}>
+            {revision.note}{index === 0 ? ' (current)' : ''}
+          </Text>
+          <Text style={styles.revisionDate}>{formatRevisionDate(revision.createdAt)}</Text>
+          {revision.summary && (
+            <Text style={styles.revisionSummary}>{describeSummary(revision.summary)}</Text>
+          )}
+        </View>
+        {!isSelected && (
+          <TouchableOpacity
+            style={styles.compareButton}
+            onPress={() => handleSelectBase(revision.id)}
+          >
+            <Ionicons
+              name={isBase ? 'git-compare' : 'git-compare-outline'}
+              size={20}
+              color={isBase ? colors.secondary : colors.textSecondary}
+            />
+          </TouchableOpacity>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderIngredientChange = (change, index) => {
+    const icon = INGREDIENT_ICONS[change.type];
+
+    return (
+      <View key={`${change.id}-${index}`} style={styles.changeRow}>
+        <Ionicons name={icon.name} size={18} color={icon.color} style={styles.changeIcon} />
+        <View style={styles.changeContent}>
+          {change.type === CHANGE_TYPES.ADDED && (
+            <Text style={[styles.changeText, styles.insertText]}>{change.after.text}</Text>
+          )}
+          {change.type === CHANGE_TYPES.REMOVED && (
+            <Text style={[styles.changeText, styles.deleteText]}>{change.before.text}</Text>
+          )}
+          {change.type === CHANGE_TYPES.CHANGED && (
+            <>
+              <Text style={[styles.changeText, styles.deleteText]}>{change.before.text}</Text>
+              <Text style={[styles.changeText, styles.insertText]}>{change.after.text}</Text>
+              <Text style={styles.changeFields}>Changed: {change.fields.join(', ')}</Text>
+            </>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderStepChange = (change, index) => {
+    const stepLabel = change.type === CHANGE_TYPES.REMOVED
+      ? `Step ${change.previousIndex + 1} removed`
+      : change.type === CHANGE_TYPES.ADDED
+        ? `Step ${change.index + 1} added`
+        : change.type === CHANGE_TYPES.MOVED || change.moved
+          ? `Step ${change.previousIndex + 1} → ${change.index + 1}`
+          : `Step ${change.index + 1}`;
+
+    return (
+      <View key={`${change.id}-${index}`} style={styles.stepChange}>
+        <Text style={styles.stepLabel}>{stepLabel}</Text>
+        {change.type === CHANGE_TYPES.ADDED && (
+          <Text style={[styles.changeText, styles.insertText]}>{change.after}</Text>
+        )}
+        {change.type === CHANGE_TYPES.REMOVED && (
+          <Text style={[styles.changeText, styles.deleteText]}>{change.before}</Text>
+        )}
+        {change.type === CHANGE_TYPES.MOVED && (
+          <Text style={styles.changeText}>{change.after}</Text>
+        )}
+        {change.type === CHANGE_TYPES.CHANGED && (
+          <>
+            <Text style={styles.changeText}>
+              {(change.textDiff || [{ type: 'equal', text: change.after }]).map((part, partIndex) => (
+                <Text
+                  key={partIndex}
+                  style={part.type === 'insert' ? styles.insertText : part.type === 'delete' ? styles.deleteText : null}
+                >
+                  {part.text}
+                </Text>
+              ))}
+            </Text>
+            {change.timing && (
+              <Text style={styles.changeFields}>
+                Timing: {change.timing.before || 'none'} → {change.timing.after || 'none'}
+              </Text>
+            )}
+          </>
+        )}
+      </View>
+    );
+  };
+
+  const renderDiff = () => {
+    if (!diff) return null;
+
+    if (!diff.hasChanges) {
+      return <Text style={styles.emptyText}>These versions are identical.</Text>;
+    }
+
+    return (
+      <>
+        {(diff.title || diff.servings) && (
+          <View style={styles.diffSection}>
+            <Text style={styles.diffSectionTitle}>Details</Text>
+            {diff.title && (
+              <Text style={styles.changeText}>
+                Title: <Text style={styles.deleteText}>{diff.title.before}</Text> → <Text style={styles.insertText}>{diff.title.after}</Text>
+              </Text>
+            )}
+            {diff.servings && (
+              <Text style={styles.changeText}>
+                Servings: {diff.servings.before ?? 'none'} → {diff.servings.after ?? 'none'}
+              </Text>
+            )}
+          </View>
+        )}
+
+        {diff.ingredients.length > 0 && (
+          <View style={styles.diffSection}>
+            <Text style={styles.diffSectionTitle}>Ingredients</Text>
+            {diff.ingredients.map(renderIngredientChange)}
+          </View>
+        )}
+
+        {diff.steps.length > 0 && (
+          <View style={styles.diffSection}>
+            <Text style={styles.diffSectionTitle}>Steps</Text>
+            {diff.steps.map(renderStepChange)}
+          </View>
+        )}
+      </>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <Text style={styles.sectionTitle}>Revisions</Text>
+        {revisions.length === 0 ? (
+          <Text style={styles.emptyText}>
+            No history yet. A revision is saved every time you save this recipe.
+          </Text>
+        ) : (
+          <>
+            <Text style={styles.hint}>
+              Tap a revision to view it. Use the compare icon to choose the version it is compared against.
+            </Text>
+            {revisions.map(renderRevision)}
+          </>
+        )}
+
+        {selectedRevision && (
+          <View style={styles.diffContainer}>
+            <Text style={styles.sectionTitle}>Changes</Text>
+            <Text style={styles.hint}>
+              {baseRevision
+                ? `${formatRevisionDate(baseRevision.createdAt)} → ${formatRevisionDate(selectedRevision.createdAt)}`
+                : 'Compared against an empty recipe'}
+            </Text>
+            {renderDiff()}
+
+            {selectedRevision.id !== revisions[0]?.id && (
+              <Button
+                title={isReverting ? 'Reverting...' : 'Revert to This Version'}
+                onPress={isReverting ? undefined : handleRevert}
+                style={styles.revertButton}
+              />
+            )}
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 20,
+    paddingTop: 20,
+    paddingBottom: 20,
+  },
+  sectionTitle: {
+    ...typography.h2,
+    color: colors.text,
+    marginBottom: 8,
+  },
+  hint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: 12,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginBottom: 16,
+  },
+  revisionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.border,
+    padding: 12,
+    marginBottom: 8,
+  },
+  revisionItemSelected: {
+    borderColor: colors.primary,
+  },
+  revisionItemBase: {
+    borderColor: colors.secondary,
+  },
+  revisionInfo: {
+    flex: 1,
+  },
+  revisionNote: {
+    ...typography.body,
+    color: colors.text,
+    fontWeight: '600',
+  },
+  revisionDate: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  revisionSummary: {
+    ...typography.caption,
+    color: colors.text,
+    marginTop: 4,
+  },
+  compareButton: {
+    padding: 8,
+  },
+  diffContainer: {
+    marginTop: 24,
+  },
+  diffSection: {
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  diffSectionTitle: {
+    ...typography.h3,
+    color: colors.text,
+    marginBottom: 8,
+  },
+  changeRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 8,
+  },
+  changeIcon: {
+    marginRight: 8,
+    marginTop: 2,
+  },
+  changeContent: {
+    flex: 1,
+  },
+  changeText: {
+    ...typography.body,
+    color: colors.text,
+  },
+  changeFields: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  insertText: {
+    color: colors.success,
+    backgroundColor: '#E8F5E9',
+  },
+  deleteText: {
+    color: colors.error,
+    backgroundColor: '#FFEBEE',
+    textDecorationLine: 'line-through',
+  },
+  stepChange: {
+    marginBottom: 12,
+  },
+  stepLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  revertButton: {
+    marginTop: 8,
+  },
+});
@@ -13,10 +13,24 @@ import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
 import { commonStyles } from '../styles/common';
 import { useRecipes } from '../contexts/RecipeContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useCookingSession } from '../hooks/useCookingSession';
+import { interleaveRecipes } from '../utils/cookingSchedule';
+import {
+  findRecipeConflicts,
+  getConflictingRestrictions,
+  describeConflicts,
+} from '../utils/dietaryRestrictions';
 
 export default function RecipesScreen({ navigation, route }) {
   const { recipes, addRecipe, isLoading: recipesLoading } = useRecipes();
+  const { dietaryRestrictions } = usePreferences();
   const [isLoading, setIsLoading] = useState(false);
+  const { isActive, recipeName, endCookingSession } = useCookingSession();
+
+  // Picking a main and sides to cook in one interleaved session
+  const [isPickingMeal, setIsPickingMeal] = useState(false);
+  const [mealRecipeIds, setMealRecipeIds] = useState([]);
 
   useEffect(() => {
     // Handle new recipe from EditRecipe screen
@@ -48,54 +62,128 @@ export default function RecipesScreen({ navigation, route }) {
     });
   };
 
-  const renderRecipeCard = ({ item: recipe }) => (
-    <View style={styles.recipeCard}>
-      <View style={styles.recipeHeader}>
-        <Text style={styles.recipeTitle}>{recipe.title}</Text>
-      </View>
-      
-      <View style={styles.recipeInfo}>
-        <View style={styles.infoItem}>
-          <Ionicons name="time" size={16} color={colors.primary} />
-          <Text style={styles.infoText}>
-            {recipe.totalTime || 'No timing'}
-          </Text>
-        </View>
-        
-        <View style={styles.infoItem}>
-          <Ionicons name="list" size={16} color={colors.primary} />
-          <Text style={styles.infoText}>
-            {recipe.steps?.length || 0} steps
-          </Text>
+  const handleToggleMealPicking = () => {
+    setIsPickingMeal(current => !current);
+    setMealRecipeIds([]);
+  };
+
+  const handleToggleMealRecipe = (recipeId) => {
+    setMealRecipeIds(current => current.includes(recipeId)
+      ? current.filter(id => id !== recipeId)
+      : [...current, recipeId]);
+  };
+
+  const handleCookTogether = () => {
+    if (mealRecipeIds.length < 2) return;
+
+    // In the order they were picked, so the first pick counts as the main
+    const mealRecipes = mealRecipeIds
+      .map(id => recipes.find(recipe => recipe.id === id))
+      .filter(Boolean);
+    const startMeal = () => {
+      setIsPickingMeal(false);
+      setMealRecipeIds([]);
+      navigation.navigate('CookingFlow', { recipe: interleaveRecipes(mealRecipes) });
+    };
+
+    if (isActive) {
+      Alert.alert(
+        'Active Cooking Session',
+        `You're currently cooking "${recipeName}". Would you like to end that session and start cooking these together?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'End & Start New',
+            style: 'destructive',
+            onPress: () => {
+              endCookingSession(false); // End without saving to history
+              startMeal();
+            }
+          }
+        ]
+      );
+    } else {
+      startMeal();
+    }
+  };
+
+  const renderRecipeCard = ({ item: recipe }) => {
+    const conflicts = getConflictingRestrictions(findRecipeConflicts(recipe, dietaryRestrictions));
+
+    return (
+      <View style={styles.recipeCard}>
+        <View style={styles.recipeHeader}>
+          <Text style={styles.recipeTitle}>{recipe.title}</Text>
         </View>
+      
+        <View style={styles.recipeInfo}>
+          <View style={styles.infoItem}>
+            <Ionicons name="time" size={16} color={colors.primary} />
+            <Text style={styles.infoText}>
+              {recipe.totalTime || 'No timing'}
+            </Text>
+          </View>
         
-        {recipe.servings && (
           <View style={styles.infoItem}>
-            <Ionicons name="people" size={16} color={colors.primary} />
+            <Ionicons name="list" size={16} color={colors.primary} />
             <Text style={styles.infoText}>
-              {recipe.servings}
+              {recipe.steps?.length || 0} steps
             </Text>
           </View>
+        
+          {recipe.servings && (
+            <View style={styles.infoItem}>
+              <Ionicons name="people" size={16} color={colors.primary} />
+              <Text style={styles.infoText}>
+                {recipe.servings}
+              </Text>
+            </View>
+          )}
+        </View>
+
+        {conflicts.length > 0 && (
+          <View style={styles.dietaryWarning}>
+            <Ionicons name="warning" size={16} color={colors.warning} />
+            <Text style={styles.dietaryWarningText}>{describeConflicts(conflicts)}</Text>
+          </View>
         )}
-      </View>
       
-      <View style={styles.recipeActions}>
-        <TouchableOpacity 
-          onPress={() => handleEditRecipe(recipe)}
-          style={styles.actionButton}
-        >
-          <Text style={styles.actionButtonText}>Edit Recipe</Text>
-        </TouchableOpacity>
+        {isPickingMeal ? (
+          <View style={styles.recipeActions}>
+            <TouchableOpacity
+              onPress={() => handleToggleMealRecipe(recipe.id)}
+              style={[styles.actionButton, mealRecipeIds.includes(recipe.id) && styles.primaryActionButton]}
+            >
+              <Text style={[
+                styles.actionButtonText,
+                mealRecipeIds.includes(recipe.id) && styles.primaryActionButtonText
+              ]}>
+                {mealRecipeIds.includes(recipe.id)
+                  ? `Picked #${mealRecipeIds.indexOf(recipe.id) + 1}`
+                  : 'Add to Meal'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+        <View style={styles.recipeActions}>
+          <TouchableOpacity 
+            onPress={() => handleEditRecipe(recipe)}
+            style={styles.actionButton}
+          >
+            <Text style={styles.actionButtonText}>Edit Recipe</Text>
+          </TouchableOpacity>
         
-        <TouchableOpacity 
-          onPress={() => handleRecipePress(recipe)}
-          style={[styles.actionButton, styles.primaryActionButton]}
-        >
-          <Text style={[styles.actionButtonText, styles.primaryActionButtonText]}>Cook</Text>
-        </TouchableOpacity>
+          <TouchableOpacity 
+            onPress={() => handleRecipePress(recipe)}
+            style={[styles.actionButton, styles.primaryActionButton]}
+          >
+            <Text style={[styles.actionButtonText, styles.primaryActionButtonText]}>Cook</Text>
+          </TouchableOpacity>
+        </View>
+        )}
       </View>
-    </View>
-  );
+    );
+  };
 
   const renderEmptyState = () => (
     <View style={styles.emptyState}>
@@ -125,21 +213,63 @@ export default function RecipesScreen({ navigation, route }) {
           <>
             <View style={styles.header}>
               <Text style={styles.headerTitle}>Your Recipes</Text>
-              <TouchableOpacity 
-                onPress={handleAddRecipe}
-                style={styles.addButton}
-              >
-                <Ionicons name="add" size={24} color={colors.surface} />
-              </TouchableOpacity>
+              <View style={styles.headerActions}>
+                {recipes.length > 1 && (
+                  <TouchableOpacity
+                    onPress={handleToggleMealPicking}
+                    style={[styles.addButton, !isPickingMeal && styles.secondaryHeaderButton]}
+                  >
+                    <Ionicons
+                      name={isPickingMeal ? 'close' : 'layers-outline'}
+                      size={22}
+                      color={isPickingMeal ? colors.surface : colors.primary}
+                    />
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity 
+                  onPress={() => navigation.navigate('Pantry')}
+                  style={[styles.addButton, styles.secondaryHeaderButton]}
+                >
+                  <Ionicons name="basket-outline" size={22} color={colors.primary} />
+                </TouchableOpacity>
+                <TouchableOpacity 
+                  onPress={() => navigation.navigate('ShoppingList')}
+                  style={[styles.addButton, styles.secondaryHeaderButton]}
+                >
+                  <Ionicons name="cart-outline" size={22} color={colors.primary} />
+                </TouchableOpacity>
+                <TouchableOpacity 
+                  onPress={handleAddRecipe}
+                  style={styles.addButton}
+                >
+                  <Ionicons name="add" size={24} color={colors.surface} />
+                </TouchableOpacity>
+              </View>
             </View>
             
             <FlatList
               data={recipes}
               renderItem={renderRecipeCard}
+              extraData={[dietaryRestrictions, isPickingMeal, mealRecipeIds]}
               keyExtractor={(item) => item.id}
               style={styles.recipeList}
               showsVerticalScrollIndicator={false}
             />
+
+            {isPickingMeal && (
+              <View style={styles.mealBar}>
+                <Text style={styles.mealBarText}>
+                  {mealRecipeIds.length < 2
+                    ? 'Pick a main and its sides to cook together'
+                    : 'Steps are interleaved so everything is ready at once'}
+                </Text>
+                <Button
+                  title={`Cook ${mealRecipeIds.length} Together`}
+                  onPress={handleCookTogether}
+                  variant={mealRecipeIds.length < 2 ? 'secondary' : 'primary'}
+                />
+              </View>
+            )}
           </>
         )}
       </View>
@@ -163,6 +293,11 @@ const styles = StyleSheet.create({
     ...typography.h1,
     color: colors.text,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
   addButton: {
     backgroundColor: colors.primary,
     width: 44,
@@ -172,6 +307,11 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     ...commonStyles.shadow,
   },
+  secondaryHeaderButton: {
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
   recipeList: {
     flex: 1,
   },
@@ -207,6 +347,18 @@ const styles = StyleSheet.create({
     ...typography.caption,
     color: colors.textSecondary,
   },
+  dietaryWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 12,
+  },
+  dietaryWarningText: {
+    ...typography.caption,
+    color: colors.warning,
+    fontWeight: '600',
+    flex: 1,
+  },
   recipeActions: {
     flexDirection: 'row',
     gap: 12,
@@ -256,6 +408,17 @@ const styles = StyleSheet.create({
   emptyButton: {
     minWidth: 200,
   },
+  mealBar: {
+    paddingVertical: 16,
+    gap: 8,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  mealBarText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -0,0 +1,310 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useRecipes } from '../contexts/RecipeContext';
+import { useShoppingList } from '../contexts/ShoppingListContext';
+import { buildShoppingList } from '../utils/shoppingList';
+import { getRecipeServings } from '../utils/recipeScaling';
+import { colors } from '../styles/colors';
+import { typography } from '../styles/typography';
+
+export default function ShoppingListScreen() {
+  const { recipes } = useRecipes();
+  const {
+    selections,
+    checkedItems,
+    toggleRecipe,
+    setRecipeServings,
+    toggleItem,
+    clearCheckedItems,
+    isLoading,
+  } = useShoppingList();
+
+  // Selections for recipes that have since been deleted are ignored
+  const selectedEntries = useMemo(() => (
+    selections
+      .map(selection => ({
+        recipe: recipes.find(recipe => recipe.id === selection.recipeId),
+        servings: selection.servings,
+      }))
+      .filter(entry => entry.recipe)
+  ), [selections, recipes]);
+
+  const shoppingList = useMemo(
+    () => buildShoppingList(selectedEntries),
+    [selectedEntries]
+  );
+
+  const checkedCount = shoppingList.sections.reduce(
+    (total, section) => total + section.items.filter(item => checkedItems[item.key]).length,
+    0
+  );
+
+  const getSelection = (recipeId) => selections.find(selection => selection.recipeId === recipeId);
+
+  const handleServingsChange = (recipe, delta) => {
+    const selection = getSelection(recipe.id);
+    const current = selection?.servings || getRecipeServings(recipe) || 1;
+    setRecipeServings(recipe.id, Math.max(1, current + delta));
+  };
+
+  const handleClearChecked = () => {
+    Alert.alert(
+      'Uncheck All Items?',
+      'This clears every checked item on the list.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Uncheck All', onPress: clearCheckedItems },
+      ]
+    );
+  };
+
+  const renderRecipeOption = (recipe) => {
+    const selection = getSelection(recipe.id);
+    const isSelected = Boolean(selection);
+    const servings = selection?.servings || getRecipeServings(recipe) || 1;
+
+    return (
+      <View key={recipe.id} style={styles.recipeOption}>
+        <TouchableOpacity style={styles.recipeToggle} onPress={() => toggleRecipe(recipe.id)}>
+          <Ionicons
+            name={isSelected ? 'checkbox' : 'square-outline'}
+            size={22}
+            color={isSelected ? colors.primary : colors.textSecondary}
+          />
+          <Text style={styles.recipeName} numberOfLines={1}>{recipe.title}</Text>
+        </TouchableOpacity>
+
+        {isSelected && (
+          <View style={styles.servingsStepper}>
+            <TouchableOpacity
+              style={[styles.stepperButton, servings <= 1 && styles.stepperButtonDisabled]}
+              onPress={() => handleServingsChange(recipe, -1)}
+              disabled={servings <= 1}
+            >
+              <Ionicons name="remove" size={16} color={servings <= 1 ? colors.border : colors.primary} />
+            </TouchableOpacity>
+            <Text style={styles.servingsValue}>{servings}</Text>
+            <TouchableOpacity
+              style={styles.stepperButton}
+              onPress={() => handleServingsChange(recipe, 1)}
+            >
+              <Ionicons name="add" size={16} color={colors.primary} />
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderItem = (item) => {
+    const isChecked = Boolean(checkedItems[item.key]);
+    const amount = [item.amountText, item.hasUnmeasured ? 'as needed' : null]
+      .filter(Boolean)
+      .join(' + ');
+
+    return (
+      <TouchableOpacity key={item.key} style={styles.item} onPress={() => toggleItem(item.key)}>
+        <Ionicons
+          name={isChecked ? 'checkbox' : 'square-outline'}
+          size={22}
+          color={isChecked ? colors.success : colors.textSecondary}
+        />
+        <View style={styles.itemContent}>
+          <Text style={[styles.itemName, isChecked && styles.itemChecked]}>
+            {item.name}
+          </Text>
+          {amount ? (
+            <Text style={[styles.itemAmount, isChecked && styles.itemChecked]}>{amount}</Text>
+          ) : null}
+          {selectedEntries.length > 1 && (
+            <Text style={styles.itemRecipes}>{item.recipes.join(', ')}</Text>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+        <Text style={styles.emptyText}>Loading shopping list...</Text>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <Text style={styles.sectionTitle}>Recipes</Text>
+        <Text style={styles.sectionSubtitle}>
+          Choose the recipes you're shopping for and how many servings of each.
+        </Text>
+        {recipes.length === 0 ? (
+          <Text style={styles.emptyText}>Add a recipe to build a shopping list.</Text>
+        ) : (
+          recipes.map(renderRecipeOption)
+        )}
+
+        <View style={styles.listHeader}>
+          <Text style={styles.sectionTitle}>Shopping List</Text>
+          {checkedCount > 0 && (
+            <TouchableOpacity onPress={handleClearChecked}>
+              <Text style={styles.clearText}>Uncheck all</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {shoppingList.itemCount === 0 ? (
+          <Text style={styles.emptyText}>Select at least one recipe to see what to buy.</Text>
+        ) : (
+          <>
+            <Text style={styles.sectionSubtitle}>
+              {checkedCount} of {shoppingList.itemCount} items checked
+            </Text>
+            {shoppingList.sections.map(section => (
+              <View key={section.id} style={styles.categorySection}>
+                <Text style={styles.categoryTitle}>{section.name}</Text>
+                {section.items.map(renderItem)}
+              </View>
+            ))}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 20,
+    paddingTop: 20,
+    paddingBottom: 20,
+  },
+  sectionTitle: {
+    ...typography.h2,
+    color: colors.text,
+    marginBottom: 4,
+  },
+  sectionSubtitle: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: 12,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginBottom: 16,
+  },
+  recipeOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 8,
+  },
+  recipeToggle: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  recipeName: {
+    ...typography.body,
+    color: colors.text,
+    flexShrink: 1,
+  },
+  servingsStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  stepperButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.surface,
+  },
+  stepperButtonDisabled: {
+    borderColor: colors.border,
+  },
+  servingsValue: {
+    ...typography.body,
+    color: colors.text,
+    fontWeight: '600',
+    minWidth: 20,
+    textAlign: 'center',
+  },
+  listHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 24,
+  },
+  clearText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  categorySection: {
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  categoryTitle: {
+    ...typography.h3,
+    color: colors.text,
+    marginBottom: 8,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 10,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  itemContent: {
+    flex: 1,
+  },
+  itemName: {
+    ...typography.body,
+    color: colors.text,
+  },
+  itemAmount: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  itemRecipes: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+  },
+  itemChecked: {
+    textDecorationLine: 'line-through',
+    color: colors.textSecondary,
+  },
+});
@@ -13,9 +13,12 @@ import { colors } from '../styles/colors';
 import { typography } from '../styles/typography';
 import { commonStyles } from '../styles/common';
 import { useRecipes } from '../contexts/RecipeContext';
+import { usePantry } from '../contexts/PantryContext';
+import { formatPantryQuantity, describeExpiry } from '../utils/pantry';
 
 export default function WelcomeScreen({ navigation, route }) {
   const { recipes, addRecipe } = useRecipes();
+  const { lowStockItems, expiringItems } = usePantry();
 
   useEffect(() => {
     // Handle new recipe from EditRecipe screen
@@ -56,6 +59,36 @@ export default function WelcomeScreen({ navigation, route }) {
     });
   };
 
+  const handleOpenPantry = () => {
+    navigation.navigate('Recipes', {
+      screen: 'Pantry'
+    });
+  };
+
+  const renderPantryAlerts = () => {
+    if (lowStockItems.length === 0 && expiringItems.length === 0) return null;
+
+    return (
+      <TouchableOpacity style={styles.pantryCard} onPress={handleOpenPantry}>
+        <View style={styles.pantryHeader}>
+          <Ionicons name="basket" size={18} color={colors.warning} />
+          <Text style={styles.pantryTitle}>Pantry</Text>
+          <Ionicons name="chevron-forward" size={18} color={colors.textSecondary} />
+        </View>
+        {expiringItems.map(({ item, daysLeft }) => (
+          <Text key={`expiring-${item.id}`} style={styles.pantryText}>
+            {item.name} · {describeExpiry(daysLeft)}
+          </Text>
+        ))}
+        {lowStockItems.map(item => (
+          <Text key={`low-${item.id}`} style={styles.pantryText}>
+            {item.name} · {item.quantity > 0 ? `${formatPantryQuantity(item.quantity, item.unitId)} left` : 'Out of stock'}
+          </Text>
+        ))}
+      </TouchableOpacity>
+    );
+  };
+
   const renderRecipeCard = ({ item: recipe }) => (
     <View style={styles.recipeCard}>
       <View style={styles.recipeHeader}>
@@ -130,6 +163,8 @@ export default function WelcomeScreen({ navigation, route }) {
         <Text style={styles.welcomeTitle}>Welcome to Chef Flow</Text>
         <Text style={styles.welcomeSubtitle}>Your culinary companion</Text>
       </View>
+
+      {renderPantryAlerts()}
       
       <View style={styles.recipesSection}>
         <View style={styles.sectionHeader}>
@@ -209,6 +244,31 @@ const styles = StyleSheet.create({
     ...typography.body,
     color: colors.textSecondary,
   },
+  pantryCard: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: colors.warning,
+    padding: 16,
+    marginBottom: 20,
+    ...commonStyles.shadow,
+  },
+  pantryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  pantryTitle: {
+    ...typography.h3,
+    color: colors.text,
+    flex: 1,
+  },
+  pantryText: {
+    ...typography.caption,
+    color: colors.text,
+    marginTop: 2,
+  },
   recipesSection: {
     flex: 1,
   },
@@ -9,16 +9,84 @@ import {
   CATEGORIES, 
   UNITS, 
   PREPARATION_METHODS, 
-  INGREDIENTS, 
-  UNIT_CONVERSIONS 
+  INGREDIENTS
 } from '../data/ingredientDatabase.js';
 import TrainingDataService from './TrainingDataService.js';
+import {
+  getConversionTargets,
+  getUnitSystem,
+  isReadableQuantity,
+  pickReadableUnit
+} from '../utils/unitConversion.js';
+import {
+  buildLocalizedTermIndex,
+  getConnectorWords,
+  getLocalizedTerms
+} from '../utils/i18n.js';
+import {
+  AMOUNT_RANGE_PATTERN,
+  matchLeadingQuantity,
+  matchLeadingQuantityRange,
+  normalizeFractionCharacters
+} from '../utils/quantity.js';
+
+// Letters for word boundaries around localized words; \b treats "ö" or "ñ" as a boundary
+const WORD_LETTERS = 'A-Za-z\\u00C0-\\u024F';
+
+/**
+ * Escape special regex characters in a string
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a case-insensitive pattern matching any of the terms as whole words
+ */
+function buildTermPattern(terms) {
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  return new RegExp(`(?<![${WORD_LETTERS}])(${alternatives})(?![${WORD_LETTERS}])`, 'i');
+}
+
+// Unit spellings that are not a UNITS name or plural
+const UNIT_ALIASES = {
+  'tablespoon': 'tbsp',
+  'tablespoons': 'tbsp',
+  'teaspoon': 'tsp',
+  'teaspoons': 'tsp',
+  'ounce': 'oz',
+  'ounces': 'oz',
+  'pound': 'lb',
+  'pounds': 'lb',
+  'milliliter': 'ml',
+  'milliliters': 'ml',
+  'litre': 'liter',
+  'litres': 'liter',
+  'pt': 'pint',
+  'qt': 'quart',
+  'gal': 'gallon'
+};
 
 class EmbeddedIngredientDataSource {
   constructor() {
     // Pre-computed search indexes for performance
     this.searchIndex = this._buildSearchIndex();
     this.customIngredients = new Map(); // For user-added ingredients
+
+    // Unit words and preparations from the locale catalogs, so German or Spanish
+    // ingredient lines parse against the same catalog ids
+    // Every unit name, plural and alias, so "2 cups" and "3 tablespoons" find their unit
+    this.unitPattern = buildTermPattern(new Set([
+      ...Object.values(UNITS).flatMap(unit => [unit.id, unit.name, unit.plural]),
+      ...Object.keys(UNIT_ALIASES)
+    ]));
+    this.localizedUnits = buildLocalizedTermIndex('unit');
+    this.localizedUnitPattern = buildTermPattern(this.localizedUnits.keys());
+    this.localizedPreparations = [...buildLocalizedTermIndex('prep').keys()];
+    this.connectorPattern = new RegExp(`^(?:${getConnectorWords().map(escapeRegExp).join('|')})\\s+`, 'i');
   }
 
   /**
@@ -28,8 +96,11 @@ class EmbeddedIngredientDataSource {
     const index = new Map();
     
     Object.values(INGREDIENTS).forEach(ingredient => {
+      // Localized names ("Zwiebel", "cebolla") find the same ingredient
+      const terms = [...ingredient.searchTerms, ...getLocalizedTerms(ingredient.nameKey)];
+
       // Index all search terms
-      ingredient.searchTerms.forEach(term => {
+      terms.forEach(term => {
         const key = term.toLowerCase();
         if (!index.has(key)) {
           index.set(key, []);
@@ -38,7 +109,7 @@ class EmbeddedIngredientDataSource {
       });
       
       // Index partial matches
-      ingredient.searchTerms.forEach(term => {
+      terms.forEach(term => {
         for (let i = 1; i <= term.length; i++) {
           const partial = term.toLowerCase().substring(0, i);
           if (!index.has(partial)) {
@@ -65,9 +136,14 @@ class EmbeddedIngredientDataSource {
     const searchTerm = (query || '').toLowerCase().trim();
     const results = new Set();
     
-    // Exact matches first
+    // Exact matches first - the index also holds prefixes ("salt" of "salted butter"),
+    // so ingredients named by the whole term come before the rest
     if (this.searchIndex.has(searchTerm)) {
-      this.searchIndex.get(searchTerm).forEach(ingredient => results.add(ingredient));
+      const matches = this.searchIndex.get(searchTerm);
+      matches
+        .filter(ingredient => this._calculateIngredientMatchScore(searchTerm, ingredient) >= 90)
+        .forEach(ingredient => results.add(ingredient));
+      matches.forEach(ingredient => results.add(ingredient));
     }
     
     // Partial matches
@@ -95,6 +171,13 @@ class EmbeddedIngredientDataSource {
     return INGREDIENTS[id] || this.customIngredients.get(id) || null;
   }
 
+  /**
+   * Get every catalog and custom ingredient (used for similarity search)
+   */
+  async getAllIngredients() {
+    return [...Object.values(INGREDIENTS), ...this.customIngredients.values()];
+  }
+
   /**
    * Get all available units for a specific ingredient
    */
@@ -143,16 +226,33 @@ class EmbeddedIngredientDataSource {
       ingredient: null,
       preparation: null,
       originalText: text,
-      isStructured: false
+      isStructured: false,
+      quantityMax: null,
+      isToTaste: false,
+      isOptional: false,
+      alternatives: [],
+      linkedIngredients: []
     };
     
+    // Pull out "to taste" / "optional" markers so they don't end up in the name or preparation
+    const toTastePattern = /,?\s*(?:or\s+)?\b(?:to taste|as needed|as required)\b/i;
+    const optionalPattern = /^\s*optional\s*:?\s*|\s*\(\s*optional\s*\)|,?\s*\b(?:optional|if desired)\b/i;
+    if (toTastePattern.test(text)) {
+      result.isToTaste = true;
+      text = text.replace(toTastePattern, '').trim();
+    }
+    if (optionalPattern.test(text)) {
+      result.isOptional = true;
+      text = text.replace(optionalPattern, ' ').trim();
+    }
+    
     // Split by commas to separate components
     const parts = text.split(',').map(p => p.trim()).filter(p => p.length > 0);
     if (parts.length === 0) return result;
     
     // Patterns to identify different components
-    const quantityPattern = /^(\d+(?:[-–]\d+)?(?:\s+to\s+\d+)?(?:\/\d+)?(?:\.\d+)?(?:\s*\([^)]+\))?)/;
-    const unitPattern = new RegExp(`\\b(${Object.keys(UNITS).join('|')}(?:s)?)\\b`, 'i');
+    const quantityPattern = new RegExp(`^(${AMOUNT_RANGE_PATTERN}(?:\\s*\\([^)]+\\))?)`, 'i');
+    const unitPattern = this.unitPattern;
     const sizeDescriptors = /\b(large|medium|small|extra large|xl|lg|sm)\b/i;
     const parentheticalSizePattern = /\(([^)]*(?:ounce|oz|gram|g|pound|lb|ml|liter|l)[^)]*)\)/gi;
     const dividedPattern = /,?\s*divided\s*$/i;
@@ -161,6 +261,7 @@ class EmbeddedIngredientDataSource {
     let foundIngredientPart = null;
     let isDivided = false;
     let sizeInfo = null;
+    let packageSize = null;
     
     // Check for "divided" indicator
     if (dividedPattern.test(text)) {
@@ -184,9 +285,11 @@ class EmbeddedIngredientDataSource {
     }
     if (sizeMatches.length > 0) {
       sizeInfo = sizeMatches.join(', ');
+      // One amount in parentheses is the size of each item: "2 (5 ounce) chicken breasts"
+      packageSize = sizeMatches.length === 1 ? this._parsePackageSize(sizeMatches[0]) : null;
       // Remove parenthetical info from parts for cleaner processing
       remainingParts = remainingParts.map(part => 
-        part.replace(parentheticalSizePattern, '').trim()
+        part.replace(parentheticalSizePattern, '').replace(/\s{2,}/g, ' ').trim()
       ).filter(part => part.length > 0);
     }
     
@@ -195,17 +298,20 @@ class EmbeddedIngredientDataSource {
       const part = remainingParts[i];
       
       // Check for quantity + unit pattern (e.g., "2 cups", "1 lb")
-      const quantityUnitMatch = part.match(/^(\d+(?:[-–]\d+)?(?:\s+to\s+\d+)?(?:\/\d+)?(?:\.\d+)?(?:\s*\([^)]+\))?)\s+(.+)/);
+      const quantityUnitMatch = part.match(new RegExp(`${quantityPattern.source}\\s+(.+)`, 'i'));
       if (quantityUnitMatch) {
         const [, quantityText, remainder] = quantityUnitMatch;
-        const unitMatch = remainder.match(unitPattern);
+        const unitMatch = this._matchUnit(remainder, unitPattern);
         
         if (unitMatch) {
           result.quantity = this._parseQuantity(quantityText);
+          result.quantityMax = this._parseQuantityMax(quantityText);
           result.unit = this._findUnitByName(unitMatch[1]);
           
-          // Remove unit from remainder to get ingredient
-          const ingredientText = remainder.replace(unitPattern, '').trim();
+          // Remove unit (and "of"/"de") from remainder to get ingredient
+          const ingredientText = this._removeMatch(remainder, unitMatch)
+            .trim()
+            .replace(this.connectorPattern, '');
           if (ingredientText) {
             foundIngredientPart = ingredientText;
           }
@@ -218,6 +324,7 @@ class EmbeddedIngredientDataSource {
       const quantityMatch = part.match(quantityPattern);
       if (quantityMatch && !result.quantity) {
         result.quantity = this._parseQuantity(quantityMatch[1]);
+        result.quantityMax = this._parseQuantityMax(quantityMatch[1]);
         remainingParts[i] = part.replace(quantityPattern, '').trim();
         if (!remainingParts[i]) {
           remainingParts.splice(i, 1);
@@ -226,10 +333,10 @@ class EmbeddedIngredientDataSource {
       }
       
       // Check for standalone unit (e.g., "lbs" in "chicken, 2 lbs")
-      const unitMatch = part.match(unitPattern);
+      const unitMatch = this._matchUnit(part, unitPattern);
       if (unitMatch && !result.unit) {
         result.unit = this._findUnitByName(unitMatch[1]);
-        remainingParts[i] = part.replace(unitPattern, '').trim();
+        remainingParts[i] = this._removeMatch(part, unitMatch).trim();
         if (!remainingParts[i]) {
           remainingParts.splice(i, 1);
         }
@@ -292,12 +399,25 @@ class EmbeddedIngredientDataSource {
       };
     }
     
+    // Step 2b: Split alternatives ("milk or water") and pairs ("salt and pepper")
+    // A part after a comma that starts with "or" is an alternative too: "1 cup milk, or water"
+    const alternativeParts = [];
+    remainingParts = remainingParts.filter(part => {
+      const orMatch = part.match(/^or\s+(.+)$/i);
+      if (orMatch) alternativeParts.push(orMatch[1]);
+      return !orMatch;
+    });
+    if (result.ingredient && foundIngredientPart) {
+      const qualifiers = await this._splitCompoundIngredient(result, foundIngredientPart, alternativeParts);
+      remainingParts.unshift(...qualifiers);
+    }
+    
     // Step 3: Treat remaining parts as preparation/description
     let preparationParts = [];
     if (remainingParts.length > 0) {
       preparationParts.push(...remainingParts);
     }
-    if (sizeInfo) {
+    if (sizeInfo && !packageSize) {
       preparationParts.unshift(`(${sizeInfo})`);
     }
     
@@ -306,8 +426,10 @@ class EmbeddedIngredientDataSource {
       
       if (result.ingredient) {
         const prepMethods = await this.getPreparationMethodsForIngredient(result.ingredient.id);
-        result.preparation = prepMethods.find(prep => 
-          preparationText.toLowerCase().includes(prep.name.toLowerCase())
+        const lowerPreparation = preparationText.toLowerCase();
+        result.preparation = prepMethods.find(prep =>
+          [prep.name.toLowerCase(), ...getLocalizedTerms(prep.nameKey)]
+            .some(term => lowerPreparation.includes(term))
         ) || { id: 'custom', name: preparationText, requiresStep: this._requiresStep(preparationText) };
       } else {
         result.preparation = { id: 'custom', name: preparationText, requiresStep: this._requiresStep(preparationText) };
@@ -317,6 +439,7 @@ class EmbeddedIngredientDataSource {
     // Add metadata
     result.isDivided = isDivided;
     result.sizeInfo = sizeInfo;
+    result.packageSize = packageSize;
     
     // Set as structured if we found at least an ingredient
     result.isStructured = !!result.ingredient;
@@ -331,6 +454,79 @@ class EmbeddedIngredientDataSource {
     return result;
   }
   
+  /**
+   * Split a compound ingredient name into the result's primary ingredient and its
+   * alternates ("milk or water") or linked ingredients ("salt and pepper")
+   * "and" only splits when the whole phrase isn't a known ingredient and every side is,
+   * so "macaroni and cheese" stays one ingredient
+   * @returns {Array} Leading words dropped from linked names ("freshly ground"), kept as preparation
+   */
+  async _splitCompoundIngredient(result, ingredientText, extraAlternatives = []) {
+    const [primaryText, ...alternativeTexts] = ingredientText.split(/\s+or\s+/i);
+    const alternatives = [...alternativeTexts, ...extraAlternatives].filter(name => name.trim());
+    
+    if (alternatives.length > 0) {
+      result.ingredient = await this._resolveIngredientName(primaryText);
+      result.alternatives = await Promise.all(alternatives.map(name => this._resolveIngredientName(name)));
+    }
+    
+    const names = primaryText.split(/\s+(?:and|&)\s+/i).filter(name => name.trim());
+    if (names.length < 2 || await this._findCatalogIngredient(primaryText)) return [];
+    
+    const matches = await Promise.all(names.map(name => this._findCatalogIngredientInTail(name)));
+    if (!matches.every(Boolean)) return [];
+    
+    result.ingredient = matches[0].ingredient;
+    result.linkedIngredients = matches.slice(1).map(match => match.ingredient);
+    return matches.map(match => match.qualifier).filter(Boolean);
+  }
+
+  /**
+   * Find the catalog ingredient a name is - only an exact name or search term counts
+   * A search term match keeps the name as written, so "whole milk" isn't shown as "milk"
+   * @returns {Object|null} Ingredient, null if the name isn't in the catalog
+   */
+  async _findCatalogIngredient(text) {
+    const name = text.trim();
+    const lowerName = name.toLowerCase();
+    const ingredients = await this.searchIngredients(name, 5);
+    
+    const named = ingredients.find(ingredient => ingredient.name.toLowerCase() === lowerName);
+    if (named) return named;
+    
+    const termMatch = ingredients.find(ingredient =>
+      [...(ingredient.searchTerms || []), ...getLocalizedTerms(ingredient.nameKey)]
+        .some(term => term.toLowerCase() === lowerName)
+    );
+    return termMatch ? { ...termMatch, name } : null;
+  }
+
+  /**
+   * Find the catalog ingredient at the end of a name, dropping leading words until
+   * one matches exactly: "freshly ground black pepper" is black pepper, freshly ground
+   * @returns {Object|null} { ingredient, qualifier } - qualifier is the dropped words, or null
+   */
+  async _findCatalogIngredientInTail(text) {
+    const words = text.trim().split(/\s+/);
+    
+    for (let start = 0; start < words.length; start++) {
+      const ingredient = await this._findCatalogIngredient(words.slice(start).join(' '));
+      if (ingredient) {
+        return { ingredient, qualifier: start > 0 ? words.slice(0, start).join(' ') : null };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Resolve a name to a catalog ingredient, or a custom one with the words as written
+   */
+  async _resolveIngredientName(text) {
+    const name = text.trim();
+    return await this._findCatalogIngredient(name) || { id: 'custom', name, category: 'custom' };
+  }
+
   /**
    * Check if a text part looks like a preparation method
    */
@@ -344,7 +540,23 @@ class EmbeddedIngredientDataSource {
     ];
     
     const lowerText = text.toLowerCase();
-    return preparationWords.some(word => lowerText.includes(word));
+    return [...preparationWords, ...this.localizedPreparations].some(word => lowerText.includes(word));
+  }
+
+  /**
+   * Find the first unit word in a text
+   * English unit names come first, then unit words from the locale catalogs ("EL", "cucharadas")
+   * @returns {Array|null} RegExp match - [1] is the unit word
+   */
+  _matchUnit(text, unitPattern) {
+    return text.match(unitPattern) || text.match(this.localizedUnitPattern);
+  }
+
+  /**
+   * Remove a regex match from the text it was found in
+   */
+  _removeMatch(text, match) {
+    return text.slice(0, match.index) + text.slice(match.index + match[0].length);
   }
   
   /**
@@ -357,8 +569,8 @@ class EmbeddedIngredientDataSource {
     if (lowerText === ingredientName) return 100;
     if (lowerText.includes(ingredientName) || ingredientName.includes(lowerText)) return 80;
     
-    // Check search terms
-    for (const term of ingredient.searchTerms) {
+    // Check search terms, including localized names
+    for (const term of [...ingredient.searchTerms, ...getLocalizedTerms(ingredient.nameKey)]) {
       const lowerTerm = term.toLowerCase();
       if (lowerText === lowerTerm) return 90;
       if (lowerText.includes(lowerTerm) || lowerTerm.includes(lowerText)) return 60;
@@ -384,30 +596,33 @@ class EmbeddedIngredientDataSource {
   }
 
   /**
-   * Parse quantity string (handles fractions, ranges, parenthetical info)
+   * Parse quantity string with the shared quantity grammar
+   * Ranges and parenthetical sizes count by their first amount ("2-3" -> 2, "2 (5 oz)" -> 2)
    */
   _parseQuantity(quantityText) {
-    // Handle fractions
-    if (quantityText.includes('/')) {
-      const [whole, fraction] = quantityText.split(' ');
-      if (fraction && fraction.includes('/')) {
-        const [num, den] = fraction.split('/');
-        return parseFloat(whole || 0) + parseFloat(num) / parseFloat(den);
-      } else {
-        const [num, den] = quantityText.split('/');
-        return parseFloat(num) / parseFloat(den);
-      }
-    }
-    
-    // Handle ranges (take first number)
-    if (quantityText.includes('-') || quantityText.includes('to')) {
-      const rangeMatch = quantityText.match(/(\d+(?:\.\d+)?)/);
-      return rangeMatch ? parseFloat(rangeMatch[1]) : 1;
-    }
+    const leading = matchLeadingQuantity(quantityText);
+    return leading ? leading.value : 1;
+  }
+
+  /**
+   * Get the upper end of a quantity range ("2-3" -> 3, "1 to 1½" -> 1.5)
+   * Returns null for a single amount
+   */
+  _parseQuantityMax(quantityText) {
+    const range = matchLeadingQuantityRange(quantityText);
+    return range && range.max ? range.max.value : null;
+  }
+
+  /**
+   * Parse a per-item package size ("5 ounce", "14.5-oz", "1 lb")
+   * @returns {Object|null} { quantity, unit }, null unless it's one amount and a known unit
+   */
+  _parsePackageSize(sizeText) {
+    const leading = matchLeadingQuantity(sizeText);
+    if (!leading) return null;
     
-    // Handle parenthetical (extract main number)
-    const numberMatch = quantityText.match(/(\d+(?:\.\d+)?)/);
-    return numberMatch ? parseFloat(numberMatch[1]) : 1;
+    const unit = this._findUnitByName(leading.rest.replace(/^-\s*/, '').replace(/\.$/, ''));
+    return unit ? { quantity: leading.value, unit } : null;
   }
 
   /**
@@ -425,19 +640,14 @@ class EmbeddedIngredientDataSource {
     }
     
     // Handle common aliases
-    const aliases = {
-      'tablespoon': 'tbsp',
-      'tablespoons': 'tbsp',
-      'teaspoon': 'tsp',
-      'teaspoons': 'tsp',
-      'ounce': 'oz',
-      'ounces': 'oz',
-      'pound': 'lb',
-      'pounds': 'lb'
-    };
+    if (UNIT_ALIASES[normalizedText]) {
+      return UNITS[UNIT_ALIASES[normalizedText]];
+    }
     
-    if (aliases[normalizedText]) {
-      return UNITS[aliases[normalizedText]];
+    // Unit words from the locale catalogs ("Esslöffel", "cucharadas")
+    const localizedUnitId = this.localizedUnits.get(normalizedText);
+    if (localizedUnitId) {
+      return UNITS[localizedUnitId];
     }
     
     return null;
@@ -449,24 +659,66 @@ class EmbeddedIngredientDataSource {
   formatIngredientForDisplay(ingredient) {
     const parts = [];
     
-    if (ingredient.quantity !== null) {
-      parts.push(this._formatQuantity(ingredient.quantity));
+    const hasQuantity = ingredient.quantity !== null && ingredient.quantity !== undefined;
+    const isRange = hasQuantity && typeof ingredient.quantityMax === 'number';
+    
+    if (hasQuantity) {
+      parts.push(isRange
+        ? `${this._formatQuantity(ingredient.quantity)}-${this._formatQuantity(ingredient.quantityMax)}`
+        : this._formatQuantity(ingredient.quantity));
+    }
+    
+    // Per-item size goes between the count and the rest: "2 (5 oz) chicken breasts"
+    if (ingredient.packageSize?.unit) {
+      const { quantity, unit } = ingredient.packageSize;
+      parts.push(`(${this._formatQuantity(quantity)} ${quantity === 1 ? unit.name : unit.plural})`);
     }
     
     if (ingredient.unit) {
-      const unitName = ingredient.quantity === 1 ? ingredient.unit.name : ingredient.unit.plural;
+      const unitName = ingredient.quantity === 1 && !isRange ? ingredient.unit.name : ingredient.unit.plural;
       parts.push(unitName);
     }
     
-    parts.push(ingredient.ingredient.name);
+    // Linked ingredients share the amount ("salt and pepper"); alternates replace it ("milk or water")
+    const linkedNames = (ingredient.linkedIngredients || []).map(linked => linked.name);
+    const alternateNames = (ingredient.alternatives || []).map(alternate => alternate.name);
+    parts.push([this._formatIngredientName(ingredient, isRange), ...linkedNames].join(' and '));
+    if (alternateNames.length > 0) {
+      parts.push(`or ${alternateNames.join(' or ')}`);
+    }
     
     if (ingredient.preparation) {
       parts.push(`, ${ingredient.preparation.name}`);
     }
     
+    if (ingredient.isToTaste) {
+      parts.push(hasQuantity ? ', to taste' : 'to taste');
+    }
+    
+    if (ingredient.isOptional) {
+      parts.push('(optional)');
+    }
+    
     return parts.join(' ');
   }
 
+  /**
+   * Name of a counted ingredient in the plural when there's more than one: "2 eggs"
+   * Names kept as written (a matched search term) are left alone
+   */
+  _formatIngredientName(ingredient, isRange) {
+    const { name, id } = ingredient.ingredient;
+    const catalogIngredient = INGREDIENTS[id];
+    const count = isRange ? ingredient.quantityMax : ingredient.quantity;
+    // A size or "whole" describes each item, so the items are still counted: "3 large eggs"
+    const isCounted = !ingredient.unit || ingredient.unit.type === 'size' || ingredient.unit.id === 'whole';
+    
+    if (isCounted && count > 1 && catalogIngredient?.plural && catalogIngredient.name === name) {
+      return catalogIngredient.plural;
+    }
+    return name;
+  }
+
   /**
    * Format quantity for display (convert decimals to fractions when appropriate)
    */
@@ -497,24 +749,27 @@ class EmbeddedIngredientDataSource {
 
   /**
    * Suggest unit conversions for a given quantity and unit
+   * Follows multi-step conversion paths, and converts between volume and weight
+   * when the ingredient has a known density. The most readable target comes first.
    */
-  async suggestUnitConversions(quantity, unitId) {
+  async suggestUnitConversions(quantity, unitId, ingredient = null) {
     const unit = UNITS[unitId];
-    if (!unit || !UNIT_CONVERSIONS[unit.type]) {
+    if (!unit || typeof quantity !== 'number') {
       return [];
     }
     
-    const conversions = UNIT_CONVERSIONS[unit.type][unitId] || {};
+    const best = pickReadableUnit(quantity, unitId, { ingredient, includeSource: false });
     const suggestions = [];
     
-    for (const [targetUnitId, conversionFactor] of Object.entries(conversions)) {
-      const convertedQuantity = quantity * conversionFactor;
-      const targetUnit = UNITS[targetUnitId];
+    for (const target of getConversionTargets(quantity, unitId, ingredient)) {
+      const targetUnit = UNITS[target.unitId];
+      const convertedQuantity = this._roundConvertedQuantity(target.quantity, target.unitId);
       
-      if (targetUnit && this._isReasonableConversion(convertedQuantity)) {
+      if (targetUnit && this._isReasonableConversion(convertedQuantity, target.unitId)) {
         suggestions.push({
           quantity: convertedQuantity,
           unit: targetUnit,
+          isRecommended: best ? best.unitId === target.unitId : false,
           displayText: `${this._formatQuantity(convertedQuantity)} ${
             convertedQuantity === 1 ? targetUnit.name : targetUnit.plural
           }`
@@ -522,14 +777,30 @@ class EmbeddedIngredientDataSource {
       }
     }
     
-    return suggestions;
+    // Most readable conversion first
+    return suggestions.sort((a, b) => Number(b.isRecommended) - Number(a.isRecommended));
   }
 
   /**
-   * Check if a converted quantity makes sense for cooking
+   * Check if a converted quantity makes sense for cooking in the target unit
+   * e.g. 48 tsp is convertible but should be shown as 1 cup instead
    */
-  _isReasonableConversion(quantity) {
-    return quantity >= 0.125 && quantity <= 100;
+  _isReasonableConversion(quantity, unitId = null) {
+    if (!unitId) {
+      return quantity >= 0.125 && quantity <= 100;
+    }
+    return isReadableQuantity(quantity, unitId);
+  }
+
+  /**
+   * Round a converted quantity to what the unit is usually measured in
+   * Metric amounts are whole numbers, US amounts snap to common fractions in _formatQuantity
+   */
+  _roundConvertedQuantity(quantity, unitId) {
+    if (getUnitSystem(unitId) === 'metric' && quantity >= 10) {
+      return Math.round(quantity);
+    }
+    return Math.round(quantity * 1000) / 1000;
   }
 
   /**
@@ -598,6 +869,13 @@ class EmbeddedIngredientDataSource {
     
     let processed = text;
     
+    // Phase 0: Decimal commas ("1,5 kg" -> "1.5 kg") so they aren't split as separate parts
+    // Thousands separators ("1,000") are left alone
+    processed = processed.replace(/(\d),(\d{1,2})(?!\d)/g, '$1.$2');
+
+    // Unicode fractions as plain text ("1½cups" -> "1 1/2cups") so the phases below can read them
+    processed = normalizeFractionCharacters(processed);
+    
     // Phase 1: Handle mixed fractions FIRST (e.g., "21/2cups" -> "2 1/2 cups")
     // This must come before other number processing
     processed = processed.replace(/(\d+)(1\/\d+)/g, '$1 $2');
@@ -106,10 +106,11 @@ class IngredientService {
    * Suggest unit conversions for a given quantity and unit
    * @param {number} quantity - Amount
    * @param {string} unitId - Current unit ID
+   * @param {Object|string} ingredient - Ingredient or ingredient ID, enables volume/weight conversion
    * @returns {Promise<Array>} Array of conversion suggestions
    */
-  async suggestUnitConversions(quantity, unitId) {
-    return this.dataSource.suggestUnitConversions(quantity, unitId);
+  async suggestUnitConversions(quantity, unitId, ingredient = null) {
+    return this.dataSource.suggestUnitConversions(quantity, unitId, ingredient);
   }
 
   /**
@@ -320,7 +321,14 @@ class IngredientService {
   async fallbackSimilaritySearch(ingredientName, threshold, limit) {
     try {
       const allIngredients = await this.getAllIngredients();
-      return this.vectorService.fallbackTextSimilarity(ingredientName, allIngredients, threshold, limit);
+      const similarIngredients = this.vectorService.fallbackTextSimilarity(ingredientName, allIngredients, threshold, limit);
+
+      // Same shape as the vector results
+      return similarIngredients.map(result => ({
+        ...result.ingredient,
+        similarityScore: result.similarity,
+        matchType: 'text'
+      }));
     } catch (error) {
       console.error('Fallback similarity search failed:', error);
       return [];
@@ -27,6 +27,20 @@ function getIngredientName(ingredient) {
   return name;
 }
 
+// Every name a step may use for an ingredient: the primary name, the ones linked
+// to it ("salt and pepper") and its alternates ("milk or water")
+function getIngredientNames(ingredient) {
+  const primaryName = getIngredientName(ingredient);
+  if (!primaryName) return [];
+  
+  const structured = ingredient.structured || {};
+  const otherNames = [...(structured.linkedIngredients || []), ...(structured.alternatives || [])]
+    .map(other => other?.name)
+    .filter(name => name && typeof name === 'string');
+  
+  return [primaryName, ...otherNames];
+}
+
 // Extract ingredient name from text specification
 function extractIngredientNameFromSpec(ingredientSpec) {
   if (!ingredientSpec || typeof ingredientSpec !== 'string') return null;
@@ -103,10 +117,9 @@ export function updateIngredientTracking(steps, ingredientsList = []) {
         fullSpec = textSpec;
         
         // Try to find matching ingredient in list
-        const matchingIngredient = ingredientsList.find(ing => {
-          const name = getIngredientName(ing);
-          return name && name.toLowerCase() === ingredientName.toLowerCase();
-        });
+        const matchingIngredient = ingredientsList.find(ing =>
+          getIngredientNames(ing).some(name => name.toLowerCase() === ingredientName.toLowerCase())
+        );
         
         if (matchingIngredient) {
           ingredientId = matchingIngredient.id;
@@ -163,13 +176,19 @@ export function updateIngredientTracking(steps, ingredientsList = []) {
     
     // Find the original ingredient to get amount info
     let amount = null;
+    let maxAmount = null;
     let unit = null;
+    let isToTaste = false;
+    let isOptional = false;
     
     if (info.ingredientId) {
       const originalIngredient = ingredientsList.find(ing => ing.id === info.ingredientId);
       if (originalIngredient?.structured) {
         amount = originalIngredient.structured.quantity;
+        maxAmount = originalIngredient.structured.quantityMax ?? null;
         unit = originalIngredient.structured.unit;
+        isToTaste = !!originalIngredient.structured.isToTaste;
+        isOptional = !!originalIngredient.structured.isOptional;
       }
     }
     
@@ -177,7 +196,10 @@ export function updateIngredientTracking(steps, ingredientsList = []) {
       firstMentionStepId: info.firstStep,
       stepOrder: info.stepIndex,
       amount: amount,
+      maxAmount: maxAmount,
       unit: unit,
+      isToTaste: isToTaste,
+      isOptional: isOptional,
       ingredientName: ingredientName
     };
   });
@@ -198,12 +220,12 @@ export function findIngredientsInStep(stepContent, ingredientsList = []) {
   const foundIngredients = [];
   
   ingredientsList.forEach(ingredient => {
-    const ingredientName = getIngredientName(ingredient);
+    // Any of the names counts: a step may say "water" for "milk or water"
+    const mentioned = getIngredientNames(ingredient).some(ingredientName =>
+      new RegExp(`\\b${escapeRegExp(ingredientName)}\\b`, 'i').test(stepContent)
+    );
     
-    if (!ingredientName) return;
-    
-    const regex = new RegExp(`\\b${escapeRegExp(ingredientName)}\\b`, 'gi');
-    if (regex.test(stepContent)) {
+    if (mentioned) {
       foundIngredients.push(ingredient.id);
     }
   });
@@ -211,6 +233,46 @@ export function findIngredientsInStep(stepContent, ingredientsList = []) {
   return foundIngredients;
 }
 
+/**
+ * Find the ingredients no step uses
+ * Optional ingredients are left out - a recipe doesn't have to use them
+ * @param {Array} steps - Recipe steps
+ * @param {Array} ingredientsList - Main ingredients list
+ * @returns {Array} Ingredients that no step references or mentions
+ */
+export function findUnusedIngredients(steps = [], ingredientsList = []) {
+  const referencedIds = new Set();
+  const referencedNames = new Set();
+  
+  steps.forEach(step => {
+    (step.ingredients || []).forEach(ingredientRef => {
+      if (ingredientRef && typeof ingredientRef === 'object') {
+        if (ingredientRef.id) referencedIds.add(ingredientRef.id);
+      } else if (typeof ingredientRef === 'string' && ingredientRef.startsWith('ing-')) {
+        referencedIds.add(ingredientRef);
+      } else if (typeof ingredientRef === 'string') {
+        const name = extractIngredientNameFromSpec(ingredientRef);
+        if (name) referencedNames.add(name.toLowerCase());
+      }
+    });
+  });
+  
+  const stepText = steps.map(step => step.content || '').join('\n');
+  
+  return ingredientsList.filter(ingredient => {
+    if (ingredient.structured?.isOptional) return false;
+    if (referencedIds.has(ingredient.id)) return false;
+    
+    const ingredientNames = getIngredientNames(ingredient);
+    if (ingredientNames.length === 0) return false;
+    
+    return !ingredientNames.some(ingredientName =>
+      referencedNames.has(ingredientName.toLowerCase()) ||
+      new RegExp(`\\b${escapeRegExp(ingredientName)}\\b`, 'i').test(stepText)
+    );
+  });
+}
+
 /**
  * Generate steps from ingredients list
  * @param {Array} ingredientsList - Main ingredients list
@@ -280,5 +342,6 @@ export function generateStepsFromIngredients(ingredientsList, includeTracking =
 export default {
   updateIngredientTracking,
   findIngredientsInStep,
+  findUnusedIngredients,
   generateStepsFromIngredients
 };
\ No newline at end of file
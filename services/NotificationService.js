@@ -21,6 +21,8 @@ class NotificationService {
   constructor() {
     this.notificationListener = null;
     this.responseListener = null;
+    // Step reminder changes are chained so a slower, older plan can't store its IDs last
+    this.stepNotificationChain = Promise.resolve();
   }
 
   async initialize() {
@@ -35,9 +37,15 @@ class NotificationService {
       console.log('Constants not available in this environment');
     }
     
-    // Clear all pending notifications on startup
-    await Notifications.cancelAllScheduledNotificationsAsync();
-    console.log('Cleared all pending notifications');
+    // Clear pending timer notifications on startup, keeping "ready by" step reminders
+    const stepNotificationIds = await this.getStepNotificationIds();
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    await Promise.all(
+      scheduled
+        .filter(notification => !stepNotificationIds.includes(notification.identifier))
+        .map(notification => Notifications.cancelScheduledNotificationAsync(notification.identifier))
+    );
+    console.log('Cleared pending timer notifications');
     
     // Request permissions with more explicit options
     const { status: existingStatus } = await Notifications.getPermissionsAsync();
@@ -197,6 +205,98 @@ class NotificationService {
     return notificationId;
   }
 
+  /**
+   * Schedule a reminder for each step of a "ready by" plan, at the time it's due
+   * Replaces reminders from any earlier plan. Steps already due are skipped.
+   * @param {Object} schedule - Plan from planCookingSchedule
+   * @param {Object} recipe - Recipe the plan is for
+   * @returns {Promise<number>} Number of reminders scheduled
+   */
+  scheduleStepNotifications(schedule, recipe) {
+    return this.queueStepNotificationChange(() => this._scheduleStepNotifications(schedule, recipe));
+  }
+
+  /**
+   * Cancel the step reminders of the current plan
+   * Runs after any reschedule already under way, so its reminders are cancelled too
+   */
+  cancelStepNotifications() {
+    return this.queueStepNotificationChange(() => this._cancelStepNotifications());
+  }
+
+  /**
+   * Run a step reminder change once the previous one has finished
+   */
+  queueStepNotificationChange(run) {
+    // Keep the chain alive after a failed change so later ones still run
+    const result = this.stepNotificationChain.then(run);
+    this.stepNotificationChain = result.catch(error => {
+      console.error('Error updating step notifications:', error);
+    });
+    return result;
+  }
+
+  async _scheduleStepNotifications(schedule, recipe) {
+    await this._cancelStepNotifications();
+
+    const now = Date.now();
+    const notificationIds = [];
+
+    try {
+      for (const step of schedule.steps) {
+        if (step.startAt.getTime() <= now) continue;
+
+        const content = {
+          title: `Time to start: ${recipe.title}`,
+          body: `Step ${step.index + 1}: ${step.content}`,
+          sound: true,
+          priority: Notifications.AndroidNotificationPriority.HIGH,
+          data: {
+            recipeId: recipe.id,
+            stepIndex: step.index,
+          },
+        };
+
+        if (Platform.OS === 'android') {
+          content.channelId = 'timer-channel';
+        }
+
+        const notificationId = await Notifications.scheduleNotificationAsync({
+          content,
+          trigger: { type: 'date', date: step.startAt },
+        });
+        notificationIds.push(notificationId);
+      }
+    } catch (error) {
+      console.error('Error scheduling step notifications:', error);
+    } finally {
+      await AsyncStorage.setItem('stepScheduleNotifications', JSON.stringify(notificationIds));
+    }
+
+    console.log(`📅 Scheduled ${notificationIds.length} step reminders for ${recipe.title}`);
+    return notificationIds.length;
+  }
+
+  async getStepNotificationIds() {
+    try {
+      const stored = await AsyncStorage.getItem('stepScheduleNotifications');
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error getting step notification IDs:', error);
+      return [];
+    }
+  }
+
+  async _cancelStepNotifications() {
+    try {
+      const notificationIds = await this.getStepNotificationIds();
+      await Promise.all(notificationIds.map(id => Notifications.cancelScheduledNotificationAsync(id)));
+      await AsyncStorage.removeItem('stepScheduleNotifications');
+    } catch (error) {
+      console.error('Error cancelling step notifications:', error);
+    }
+  }
+
   async cancelTimerNotification(timerId) {
     const notificationId = await this.getNotificationId(timerId);
     if (notificationId) {
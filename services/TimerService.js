@@ -6,7 +6,7 @@ class TimerService {
     this.activeTimers = new Map();
     this.listeners = new Set();
     this.intervalId = null;
-    this.loadTimersFromStorage();
+    this.loaded = this.loadTimersFromStorage();
   }
 
   async loadTimersFromStorage() {
@@ -19,15 +19,16 @@ class TimerService {
         console.log('Loading timers from storage:', Object.keys(timersData).length);
         
         for (const [id, timerData] of Object.entries(timersData)) {
-          const elapsedTime = now - timerData.startTime;
-          const remainingTime = timerData.duration - elapsedTime;
+          // Paused timers kept their remaining time; running ones kept counting while the app was closed
+          const remainingTime = timerData.isRunning
+            ? timerData.duration - (now - timerData.startTime)
+            : timerData.remainingTime;
           
-          console.log(`Loading timer ${id}: elapsed=${elapsedTime}ms, remaining=${remainingTime}ms`);
+          console.log(`Loading timer ${id}: remaining=${remainingTime}ms`);
           
           this.activeTimers.set(id, {
             ...timerData,
             remainingTime,
-            isRunning: timerData.isRunning && remainingTime > 0,
             isOverflow: remainingTime <= 0
           });
         }
@@ -78,6 +79,11 @@ class TimerService {
     
     console.log('Creating timer:', { id, duration, remainingTime: duration });
     
+    // Restarting a timer replaces its pending notification
+    if (this.activeTimers.has(id)) {
+      await NotificationService.cancelTimerNotification(id);
+    }
+    
     this.activeTimers.set(id, timer);
     this.saveTimersToStorage();
     this.notifyListeners();
@@ -95,6 +101,7 @@ class TimerService {
   async pauseTimer(id) {
     const timer = this.activeTimers.get(id);
     if (timer && timer.isRunning) {
+      timer.remainingTime = timer.duration - (Date.now() - timer.startTime);
       timer.isRunning = false;
       this.saveTimersToStorage();
       this.notifyListeners();
@@ -122,7 +129,7 @@ class TimerService {
     }
   }
 
-  resetTimer(id) {
+  async resetTimer(id) {
     const timer = this.activeTimers.get(id);
     if (timer) {
       timer.remainingTime = timer.duration;
@@ -131,6 +138,9 @@ class TimerService {
       timer.isOverflow = false;
       this.saveTimersToStorage();
       this.notifyListeners();
+      
+      // A reset timer waits to be resumed, so it shouldn't notify
+      await NotificationService.cancelTimerNotification(id);
     }
   }
 
@@ -234,10 +244,16 @@ class TimerService {
 
   async clearAllTimers() {
     console.log('Clearing all timers');
+    // Wait for saved timers to load so they can't reappear afterwards
+    await this.loaded;
+    const timerIds = Array.from(this.activeTimers.keys());
     this.stopMainInterval();
     this.activeTimers.clear();
     await AsyncStorage.removeItem('activeTimers');
     this.notifyListeners();
+    
+    // Cancel scheduled notifications so finished sessions don't ring later
+    await Promise.all(timerIds.map(id => NotificationService.cancelTimerNotification(id)));
   }
 
   cleanup() {
@@ -110,6 +110,7 @@ class VectorService {
       // Calculate similarities with all ingredients
       for (const ingredient of ingredientsList) {
         const name = ingredient.structured?.ingredient?.name || 
+                    ingredient.name ||
                     ingredient.displayText || 
                     ingredient.originalText || 
                     ingredient;
@@ -149,6 +150,7 @@ class VectorService {
 
     for (const ingredient of ingredientsList) {
       const name = ingredient.structured?.ingredient?.name || 
+                  ingredient.name ||
                   ingredient.displayText || 
                   ingredient.originalText || 
                   ingredient;
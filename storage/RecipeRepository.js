@@ -0,0 +1,409 @@
+/**
+ * Recipe Repository
+ *
+ * Versioned persistence layer for recipes
+ * - One AsyncStorage record per recipe plus an ordered index, so a bad write
+ *   can only affect a single recipe instead of the whole collection
+ * - Stored schema version with an ordered migration pipeline that runs on load
+ * - Journaled writes: every change is staged in one key before it is applied,
+ *   and an interrupted change is replayed on the next load
+ * - Revision history per recipe, written in the same journaled change as the recipe
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { runMigrations, CURRENT_SCHEMA_VERSION } from '../utils/recipeMigration';
+
+// Storage keys
+const STORAGE_KEYS = {
+  INDEX: 'chef-flow-recipes-index',
+  RECORD_PREFIX: 'chef-flow-recipe:',
+  JOURNAL: 'chef-flow-recipes-journal',
+  HISTORY_PREFIX: 'chef-flow-recipe-history:',
+  LEGACY: 'chef-flow-recipes' // Single-array format used before the repository existed
+};
+
+// Oldest revisions are dropped beyond this many per recipe
+const MAX_REVISIONS = 50;
+
+class RecipeRepository {
+  constructor() {
+    // Writes are chained so journal entries never interleave
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Build the storage key for a recipe record
+   */
+  recordKey(recipeId) {
+    return `${STORAGE_KEYS.RECORD_PREFIX}${recipeId}`;
+  }
+
+  /**
+   * Build the storage key for a recipe's revision history
+   */
+  historyKey(recipeId) {
+    return `${STORAGE_KEYS.HISTORY_PREFIX}${recipeId}`;
+  }
+
+  /**
+   * Load all recipes, migrating stored data to the current schema version
+   * @returns {Promise<Object>} { recipes, isFirstRun, migrated }
+   */
+  async loadAll() {
+    await this.recoverJournal();
+
+    let index = await this.readIndex();
+
+    if (!index) {
+      const legacy = await this.loadLegacy([]);
+      if (legacy) return legacy;
+
+      // No index and no legacy data - pick up any records left without an index
+      index = await this.rebuildIndex();
+      if (index.recipeIds.length === 0) {
+        return { recipes: [], isFirstRun: true, migrated: 0 };
+      }
+    }
+
+    const keys = index.recipeIds.map(id => this.recordKey(id));
+    const entries = keys.length > 0 ? await AsyncStorage.multiGet(keys) : [];
+
+    const recipesByVersion = new Map();
+    const loadedIds = [];
+
+    entries.forEach(([key, value]) => {
+      const record = this.parseRecord(key, value);
+      if (!record) return;
+
+      const version = record.schemaVersion || 0;
+      if (!recipesByVersion.has(version)) recipesByVersion.set(version, []);
+      recipesByVersion.get(version).push(record.recipe);
+      loadedIds.push(record.recipe.id);
+    });
+
+    // Migrate each group of records from the version it was written with
+    const migratedIds = new Set();
+    const migratedById = new Map();
+
+    recipesByVersion.forEach((recipes, version) => {
+      if (version >= CURRENT_SCHEMA_VERSION) {
+        recipes.forEach(recipe => migratedById.set(recipe.id, recipe));
+        return;
+      }
+
+      // Records that fail to migrate are used as stored and keep their stored
+      // version, so the migration runs again on the next load
+      const { recipes: migrated, failed } = this.migrate(recipes, version);
+      migrated.forEach(recipe => {
+        migratedById.set(recipe.id, recipe);
+        if (!failed.has(recipe)) migratedIds.add(recipe.id);
+      });
+    });
+
+    const recipes = loadedIds
+      .map(id => migratedById.get(id))
+      .filter(Boolean);
+
+    // Persist migrated records and drop index entries whose records are unreadable
+    const needsIndexRepair = loadedIds.length !== index.recipeIds.length;
+    if (migratedIds.size > 0 || needsIndexRepair || index.schemaVersion !== CURRENT_SCHEMA_VERSION) {
+      await this.commit({
+        records: recipes.filter(recipe => migratedIds.has(recipe.id)),
+        recipeIds: recipes.map(recipe => recipe.id)
+      });
+    }
+
+    // Legacy recipes that failed to migrate before are kept in the legacy key and retried
+    const legacy = await this.loadLegacy(recipes);
+    if (legacy) {
+      return { ...legacy, migrated: migratedIds.size + legacy.migrated };
+    }
+
+    return { recipes, isFirstRun: false, migrated: migratedIds.size };
+  }
+
+  /**
+   * Import recipes stored in the legacy single-array key
+   * Migrated recipes get their own records; any that fail to migrate stay in the
+   * legacy key so the next load tries them again
+   * @param {Array} currentRecipes - Recipes already loaded from records, kept first
+   * @returns {Promise<Object|null>} Load result, or null if there is no legacy data
+   */
+  async loadLegacy(currentRecipes) {
+    let legacyRecipes = null;
+
+    try {
+      const saved = await AsyncStorage.getItem(STORAGE_KEYS.LEGACY);
+      legacyRecipes = saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.error('Legacy recipe data is unreadable:', error);
+      // Leave the legacy key in place so the data can still be recovered by hand
+      return { recipes: currentRecipes, isFirstRun: false, migrated: 0 };
+    }
+
+    if (!Array.isArray(legacyRecipes)) {
+      return null;
+    }
+
+    const { recipes: migrated, failed } = this.migrate(legacyRecipes, 0);
+
+    // A recipe that already has a record was saved since - the record wins
+    const currentIds = new Set(currentRecipes.map(recipe => recipe.id));
+    const moved = migrated.filter(recipe => !failed.has(recipe) && !currentIds.has(recipe.id));
+    const recipes = [...currentRecipes, ...moved];
+
+    if (failed.size > 0) {
+      console.error(`${failed.size} legacy recipes could not be migrated; keeping them in legacy storage`);
+    }
+
+    await this.commit({
+      records: moved,
+      recipeIds: recipes.map(recipe => recipe.id),
+      removeKeys: failed.size > 0 ? [] : [STORAGE_KEYS.LEGACY],
+      values: failed.size > 0 ? [[STORAGE_KEYS.LEGACY, JSON.stringify([...failed])]] : []
+    });
+
+    console.log(`Moved ${moved.length} recipes from legacy storage`);
+    return { recipes, isFirstRun: false, migrated: moved.length };
+  }
+
+  /**
+   * Run the migration pipeline one recipe at a time, so a bad record can't block the rest
+   * @returns {Object} { recipes, failed } - recipes in order, with failed ones left unmigrated;
+   *   failed is the set of unmigrated recipes
+   */
+  migrate(recipes, fromVersion) {
+    const migrated = [];
+    const failed = new Set();
+
+    recipes.forEach(recipe => {
+      try {
+        migrated.push(...runMigrations([recipe], fromVersion).recipes);
+      } catch (error) {
+        console.error(`Migration of recipe ${recipe?.id} from schema v${fromVersion} failed:`, error);
+        migrated.push(recipe);
+        failed.add(recipe);
+      }
+    });
+
+    const migratedCount = recipes.length - failed.size;
+    if (migratedCount > 0) {
+      console.log(`Migrated ${migratedCount} recipes from schema v${fromVersion} to v${CURRENT_SCHEMA_VERSION}`);
+    }
+    return { recipes: migrated, failed };
+  }
+
+  /**
+   * Read and validate the recipe index
+   */
+  async readIndex() {
+    try {
+      const saved = await AsyncStorage.getItem(STORAGE_KEYS.INDEX);
+      if (!saved) return null;
+
+      const index = JSON.parse(saved);
+      if (!index || !Array.isArray(index.recipeIds)) {
+        throw new Error('Recipe index has no recipe IDs');
+      }
+      return index;
+    } catch (error) {
+      console.error('Recipe index is unreadable, rebuilding from records:', error);
+      return this.rebuildIndex();
+    }
+  }
+
+  /**
+   * Rebuild the index from the recipe records that exist in storage
+   */
+  async rebuildIndex() {
+    const allKeys = await AsyncStorage.getAllKeys();
+    const recordKeys = allKeys.filter(key => key.startsWith(STORAGE_KEYS.RECORD_PREFIX));
+
+    return {
+      schemaVersion: 0,
+      recipeIds: recordKeys.map(key => key.slice(STORAGE_KEYS.RECORD_PREFIX.length))
+    };
+  }
+
+  /**
+   * Parse a stored recipe record, skipping (not failing on) corrupt entries
+   */
+  parseRecord(key, value) {
+    if (!value) {
+      console.warn(`Recipe record ${key} is missing`);
+      return null;
+    }
+
+    try {
+      const record = JSON.parse(value);
+      if (!record || !record.recipe || !record.recipe.id) {
+        throw new Error('Record has no recipe');
+      }
+      return record;
+    } catch (error) {
+      console.error(`Skipping corrupt recipe record ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Load the revision history of a recipe
+   * @param {string} recipeId - Recipe ID
+   * @returns {Promise<Array>} Revisions, newest first: { id, createdAt, note, summary, snapshot }
+   */
+  async loadRevisions(recipeId) {
+    // Wait for pending writes so a revision saved a moment ago is included
+    await this.writeChain;
+    return this.readHistory(recipeId);
+  }
+
+  /**
+   * Save a single recipe (insert or update)
+   * @param {Object} recipe - Recipe to save
+   * @param {Array} recipeIds - Full ordered list of recipe IDs after the change
+   * @param {Object} revision - Optional revision to record: { revision, baseline }
+   *   baseline is a revision for the previous version, kept only if the recipe has no history yet
+   */
+  async saveRecipe(recipe, recipeIds, revision = null) {
+    return this.commit({
+      records: [recipe],
+      recipeIds,
+      revisions: revision ? [{ recipeId: recipe.id, ...revision }] : []
+    });
+  }
+
+  /**
+   * Delete a single recipe
+   * @param {string} recipeId - Recipe to delete
+   * @param {Array} recipeIds - Full ordered list of recipe IDs after the change
+   */
+  async deleteRecipe(recipeId, recipeIds) {
+    return this.commit({
+      records: [],
+      recipeIds,
+      removeKeys: [this.recordKey(recipeId), this.historyKey(recipeId)]
+    });
+  }
+
+  /**
+   * Replace the whole collection (used for bulk operations)
+   * @param {Array} recipes - All recipes in display order
+   */
+  async saveAll(recipes) {
+    const index = await this.readIndex();
+    const keptIds = new Set(recipes.map(recipe => recipe.id));
+    const removedKeys = (index?.recipeIds || [])
+      .filter(id => !keptIds.has(id))
+      .flatMap(id => [this.recordKey(id), this.historyKey(id)]);
+
+    return this.commit({
+      records: recipes,
+      recipeIds: recipes.map(recipe => recipe.id),
+      removeKeys: removedKeys
+    });
+  }
+
+  /**
+   * Apply a change atomically
+   * The full change is written to the journal key first (a single write), then applied.
+   * If the app stops between the two, recoverJournal() finishes the change on next load.
+   * @param {Object} change - { records, recipeIds, removeKeys, revisions, values }
+   *   values are other [key, value] pairs to write in the same change
+   */
+  commit({ records = [], recipeIds, removeKeys = [], revisions = [], values = [] }) {
+    const run = async () => {
+      const now = new Date().toISOString();
+
+      const sets = records.map(recipe => [
+        this.recordKey(recipe.id),
+        JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION, updatedAt: now, recipe })
+      ]);
+
+      // Histories are read inside the write chain so concurrent saves can't drop a revision
+      for (const { recipeId, revision, baseline } of revisions) {
+        const history = await this.readHistory(recipeId);
+        if (history.length === 0 && baseline) {
+          history.unshift(baseline);
+        }
+        history.unshift(revision);
+        sets.push([this.historyKey(recipeId), JSON.stringify(history.slice(0, MAX_REVISIONS))]);
+      }
+
+      sets.push(...values);
+      sets.push([
+        STORAGE_KEYS.INDEX,
+        JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION, updatedAt: now, recipeIds })
+      ]);
+
+      const journal = { createdAt: now, sets, removeKeys };
+      await AsyncStorage.setItem(STORAGE_KEYS.JOURNAL, JSON.stringify(journal));
+      await this.applyJournal(journal);
+    };
+
+    // Keep the chain alive after a failed write so later writes still run
+    const result = this.writeChain.then(run);
+    this.writeChain = result.catch(error => {
+      console.error('Error saving recipes:', error);
+    });
+    return result;
+  }
+
+  /**
+   * Read a stored revision history, treating unreadable data as empty
+   */
+  async readHistory(recipeId) {
+    try {
+      const saved = await AsyncStorage.getItem(this.historyKey(recipeId));
+      const history = saved ? JSON.parse(saved) : [];
+      return Array.isArray(history) ? history : [];
+    } catch (error) {
+      console.error(`Resetting unreadable revision history for recipe ${recipeId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Apply a journaled change and clear the journal
+   */
+  async applyJournal(journal) {
+    if (journal.sets.length > 0) {
+      await AsyncStorage.multiSet(journal.sets);
+    }
+    if (journal.removeKeys.length > 0) {
+      await AsyncStorage.multiRemove(journal.removeKeys);
+    }
+    await AsyncStorage.removeItem(STORAGE_KEYS.JOURNAL);
+  }
+
+  /**
+   * Finish a change that was interrupted before it was fully applied
+   */
+  async recoverJournal() {
+    try {
+      const saved = await AsyncStorage.getItem(STORAGE_KEYS.JOURNAL);
+      if (!saved) return;
+
+      const journal = JSON.parse(saved);
+      console.log('Replaying interrupted recipe write from', journal.createdAt);
+      await this.applyJournal(journal);
+    } catch (error) {
+      // A journal that cannot be parsed was never fully written, so storage is unchanged
+      console.error('Discarding incomplete recipe journal:', error);
+      await AsyncStorage.removeItem(STORAGE_KEYS.JOURNAL);
+    }
+  }
+}
+
+// Singleton instance
+let repositoryInstance = null;
+
+export const getRecipeRepository = () => {
+  if (!repositoryInstance) {
+    repositoryInstance = new RecipeRepository();
+  }
+  return repositoryInstance;
+};
+
+export { STORAGE_KEYS as RECIPE_STORAGE_KEYS };
+
+export default RecipeRepository;
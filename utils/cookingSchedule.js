@@ -0,0 +1,447 @@
+/**
+ * Cooking Schedule Utilities
+ *
+ * Plans a recipe backwards from the time it should be on the table. Each step's
+ * time is split into active time (hands busy: chopping, stirring) and passive
+ * time (simmering, baking, resting). There is one cook, so active time never
+ * overlaps, but passive time runs alongside whatever comes next - the onions
+ * get chopped while the oven preheats.
+ *
+ * Steps can carry their own scheduling fields - dependsOn (IDs of the steps they
+ * wait for), isPassive and durationMinutes - set by parseRecipe and editable in
+ * the step editor. Steps without them fall back to estimates from their text.
+ */
+
+// One duration in a sentence: "20 minutes", "5-7 mins", "1.5 hours", "1 to 2 hrs"
+const DURATION_PATTERN = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(hours?|hrs?|minutes?|mins?|seconds?|secs?)\b/gi;
+
+// The cook can walk away while these happen
+const PASSIVE_PATTERN = /\b(simmer|bake|roast|braise|rest|chill|refrigerate|freeze|marinate|rise|proof|soak|steep|cool|set aside|let (?:it |them )?(?:stand|sit|rest|cool)|preheat|bring .+ to (?:a )?boil|slow[- ]cook|stew|poach|steam|broil|boil|until set)\b/i;
+
+// Getting the oven or a pot of water ready - nothing needs to wait for it until it's used
+const SETUP_PATTERN = /\b(preheat|heat (?:the )?oven|bring (?:a )?(?:large )?(?:pot|saucepan) of (?:salted )?water to (?:a )?boil)\b/i;
+
+// Steps that need the oven once it's been preheated
+const OVEN_PATTERN = /\b(oven|bake|roast|broil)\b/i;
+
+// "Meanwhile, make the sauce" runs alongside the step before it
+const PARALLEL_PATTERN = /^\s*(meanwhile|while|in the meantime|at the same time)\b/i;
+
+// Fallbacks for steps without a written duration, in minutes
+export const DEFAULT_ACTIVE_MINUTES = 5;
+export const DEFAULT_SETUP_MINUTES = 10;
+
+/**
+ * Add up the durations in a piece of text
+ * Ranges use the upper bound so the food is ready on time rather than early
+ * @param {string} text - Step or sentence text
+ * @returns {number} Minutes (0 when none are mentioned)
+ */
+export function parseDurationMinutes(text) {
+  if (!text || typeof text !== 'string') return 0;
+
+  let minutes = 0;
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    const value = parseFloat(match[2] || match[1]);
+    const unit = match[3].toLowerCase();
+    if (unit.startsWith('h')) {
+      minutes += value * 60;
+    } else if (unit.startsWith('s')) {
+      minutes += value / 60;
+    } else {
+      minutes += value;
+    }
+  }
+  return Math.ceil(minutes);
+}
+
+/**
+ * Check whether a sentence describes passive time
+ * @param {string} text - Sentence
+ * @returns {boolean}
+ */
+export function isPassiveText(text) {
+  return PASSIVE_PATTERN.test(text || '');
+}
+
+/**
+ * Split a step into active and passive minutes
+ * Each sentence's durations count as passive when the sentence uses a passive
+ * verb ("Simmer 20 minutes"), active otherwise ("Stir for 2 minutes").
+ * @param {Object} step - Recipe step ({ content, timing })
+ * @returns {Object} { activeMinutes, passiveMinutes, durationMinutes, isPassive, isSetup }
+ */
+export function estimateStepTiming(step) {
+  const content = step?.content || '';
+  const isSetup = SETUP_PATTERN.test(content);
+  let activeMinutes = 0;
+  let passiveMinutes = 0;
+
+  content.split(/(?<=[.!?;])\s+/).forEach(sentence => {
+    const minutes = parseDurationMinutes(sentence);
+    if (minutes === 0) return;
+    if (isPassiveText(sentence)) {
+      passiveMinutes += minutes;
+    } else {
+      activeMinutes += minutes;
+    }
+  });
+
+  // Fall back to the timing the parser extracted when the content has none
+  if (activeMinutes === 0 && passiveMinutes === 0) {
+    const timingMinutes = parseDurationMinutes(step?.timing);
+    if (timingMinutes > 0 && isPassiveText(content)) {
+      passiveMinutes = timingMinutes;
+    } else if (timingMinutes > 0) {
+      activeMinutes = timingMinutes;
+    } else if (isSetup) {
+      passiveMinutes = DEFAULT_SETUP_MINUTES;
+    } else {
+      activeMinutes = DEFAULT_ACTIVE_MINUTES;
+    }
+  }
+
+  return {
+    activeMinutes,
+    passiveMinutes,
+    durationMinutes: activeMinutes + passiveMinutes,
+    isPassive: activeMinutes === 0,
+    isSetup
+  };
+}
+
+/**
+ * Work out which earlier steps each step has to wait for
+ * Steps follow the step before them, except that setup steps (preheating) only
+ * hold up the first step that uses the oven, and "meanwhile" steps wait for
+ * whatever the step before them waited for.
+ * @param {Array} steps - Recipe steps
+ * @returns {Array} For each step, the indices of the steps it depends on
+ */
+export function inferStepDependencies(steps = []) {
+  const dependencies = [];
+  const pendingSetups = [];
+  let frontier = [];     // Steps the next step waits for (several after a "meanwhile")
+  let frontierDeps = []; // What those steps waited for
+
+  steps.forEach((step, index) => {
+    const content = step?.content || '';
+
+    if (SETUP_PATTERN.test(content)) {
+      dependencies.push([]);
+      pendingSetups.push(index);
+      return;
+    }
+
+    let dependsOn;
+    if (frontier.length > 0 && PARALLEL_PATTERN.test(content)) {
+      dependsOn = [...frontierDeps];
+      frontier.push(index);
+    } else {
+      dependsOn = [...frontier];
+      frontierDeps = dependsOn;
+      frontier = [index];
+    }
+
+    if (pendingSetups.length > 0 && OVEN_PATTERN.test(content)) {
+      dependsOn.push(...pendingSetups.splice(0));
+    }
+
+    dependencies.push(dependsOn);
+  });
+
+  // Setup nobody used still has to be done before the end
+  if (pendingSetups.length > 0 && frontier.length > 0) {
+    dependencies[frontier[frontier.length - 1]].push(...pendingSetups);
+  }
+
+  return dependencies;
+}
+
+/**
+ * Get a step's active and passive minutes, from its own fields when set
+ * A step that isn't hands-off but whose text also has passive time ("Brown the
+ * onions 8 minutes, then simmer 20 minutes") keeps its hands-on part as written.
+ * @param {Object} step - Recipe step
+ * @returns {Object} { activeMinutes, passiveMinutes, durationMinutes, isPassive, isSetup }
+ */
+export function getStepTiming(step) {
+  const estimate = estimateStepTiming(step);
+  if (typeof step?.durationMinutes !== 'number' || isNaN(step.durationMinutes)) return estimate;
+
+  const durationMinutes = Math.max(0, step.durationMinutes);
+  let activeMinutes = durationMinutes;
+  if (step.isPassive) {
+    activeMinutes = 0;
+  } else if (estimate.activeMinutes > 0 && estimate.passiveMinutes > 0) {
+    activeMinutes = Math.min(durationMinutes, estimate.activeMinutes);
+  }
+
+  return {
+    activeMinutes,
+    passiveMinutes: durationMinutes - activeMinutes,
+    durationMinutes,
+    isPassive: activeMinutes === 0,
+    isSetup: estimate.isSetup
+  };
+}
+
+/**
+ * Get the steps each step waits for, from its dependsOn when set
+ * @param {Array} steps - Recipe steps
+ * @returns {Array} For each step, the indices of the steps it depends on
+ */
+export function getStepDependencies(steps = []) {
+  const inferred = inferStepDependencies(steps);
+  const indexById = new Map(steps.map((step, index) => [step?.id, index]));
+
+  return steps.map((step, index) => {
+    if (!Array.isArray(step?.dependsOn)) return inferred[index];
+    // Edited dependencies may point at deleted steps
+    return step.dependsOn
+      .map(id => indexById.get(id))
+      .filter(dep => dep !== undefined && dep !== index);
+  });
+}
+
+/**
+ * Fill in the scheduling fields a step doesn't have yet
+ * @param {Array} steps - Recipe steps
+ * @returns {Array} Steps with dependsOn (step IDs), isPassive and durationMinutes
+ */
+export function withSchedulingDefaults(steps = []) {
+  const inferred = inferStepDependencies(steps);
+
+  return steps.map((step, index) => {
+    const timing = estimateStepTiming(step);
+    return {
+      ...step,
+      dependsOn: Array.isArray(step.dependsOn) ? step.dependsOn : inferred[index].map(dep => steps[dep].id),
+      isPassive: typeof step.isPassive === 'boolean' ? step.isPassive : timing.isPassive,
+      durationMinutes: typeof step.durationMinutes === 'number' ? step.durationMinutes : timing.durationMinutes
+    };
+  });
+}
+
+/**
+ * Order steps so each comes after the steps it depends on, keeping recipe order
+ * where dependencies allow. A dependency loop (possible after hand edits) is
+ * broken at its earliest step.
+ */
+function getDependencyOrder(dependencies) {
+  const order = [];
+  const placed = new Set();
+
+  while (order.length < dependencies.length) {
+    let next = dependencies.findIndex((deps, index) =>
+      !placed.has(index) && deps.every(dep => placed.has(dep))
+    );
+    if (next === -1) {
+      next = dependencies.findIndex((deps, index) => !placed.has(index));
+    }
+    order.push(next);
+    placed.add(next);
+  }
+
+  return order;
+}
+
+/**
+ * Find the longest chain of dependent steps - the least time the recipe can take
+ * with unlimited hands
+ * @param {Array} steps - Recipe steps
+ * @returns {Object} { totalMinutes, stepIds } with stepIds in the order they run
+ */
+export function calculateCriticalPath(steps = []) {
+  const timings = steps.map(getStepTiming);
+  const dependencies = getStepDependencies(steps);
+  const finishes = [];
+  const previous = [];
+
+  getDependencyOrder(dependencies).forEach(index => {
+    let start = 0;
+    previous[index] = null;
+    dependencies[index].forEach(dep => {
+      if (finishes[dep] !== undefined && finishes[dep] > start) {
+        start = finishes[dep];
+        previous[index] = dep;
+      }
+    });
+    finishes[index] = start + timings[index].durationMinutes;
+  });
+
+  if (steps.length === 0) return { totalMinutes: 0, stepIds: [] };
+
+  let last = finishes.indexOf(Math.max(...finishes));
+  const path = [];
+  while (last !== null && last !== undefined) {
+    path.unshift(steps[last].id);
+    last = previous[last];
+  }
+
+  return { totalMinutes: Math.max(...finishes), stepIds: path };
+}
+
+/**
+ * Plan when to start each step so the recipe is ready at a given time
+ * @param {Object} recipe - Recipe with steps
+ * @param {Date|number} readyAt - When the food should be ready (defaults to as soon as possible)
+ * @param {Object} options - { now }
+ * @returns {Object} {
+ *   readyAt, startAt (Dates), totalMinutes, activeMinutes, isLate (readyAt is too soon to make it),
+ *   steps: [{ stepId, index, content, startAt, endAt, offsetMinutes, activeMinutes, passiveMinutes,
+ *             durationMinutes, isPassive, dependsOn }] in the order they start
+ * }
+ */
+export function planCookingSchedule(recipe, readyAt = null, { now = new Date() } = {}) {
+  const steps = recipe?.steps || [];
+  const timings = steps.map(getStepTiming);
+  const dependencies = getStepDependencies(steps);
+  const order = getDependencyOrder(dependencies);
+
+  // Forward pass: start each step once what it depends on is done and the cook's hands are free
+  const starts = [];
+  const ends = [];
+  let cookFreeAt = 0;
+  order.forEach(index => {
+    const ready = Math.max(0, ...dependencies[index].map(dep => ends[dep] ?? 0));
+    const start = timings[index].activeMinutes > 0 ? Math.max(ready, cookFreeAt) : ready;
+    starts[index] = start;
+    ends[index] = start + timings[index].durationMinutes;
+    if (timings[index].activeMinutes > 0) {
+      cookFreeAt = start + timings[index].activeMinutes;
+    }
+  });
+  const totalMinutes = Math.max(0, ...ends);
+
+  // Backward pass: hands-off steps start as late as possible, so the oven isn't
+  // preheated half an hour before anything goes in
+  [...order].reverse().forEach(index => {
+    if (timings[index].activeMinutes > 0) return;
+    const dependentStarts = dependencies
+      .map((deps, other) => (deps.includes(index) ? starts[other] : null))
+      .filter(start => start !== null);
+    const latestEnd = dependentStarts.length > 0 ? Math.min(...dependentStarts) : totalMinutes;
+    starts[index] = Math.max(starts[index], latestEnd - timings[index].durationMinutes);
+    ends[index] = starts[index] + timings[index].durationMinutes;
+  });
+
+  const nowTime = new Date(now).getTime();
+  const targetTime = readyAt ? new Date(readyAt).getTime() : nowTime + totalMinutes * 60000;
+  const startTime = targetTime - totalMinutes * 60000;
+
+  return {
+    readyAt: new Date(targetTime),
+    startAt: new Date(startTime),
+    totalMinutes,
+    activeMinutes: timings.reduce((sum, timing) => sum + timing.activeMinutes, 0),
+    isLate: startTime < nowTime - 60000,
+    steps: steps
+      .map((step, index) => ({
+        stepId: step.id,
+        index,
+        content: step.content,
+        startAt: new Date(startTime + starts[index] * 60000),
+        endAt: new Date(startTime + ends[index] * 60000),
+        offsetMinutes: starts[index],
+        ...timings[index],
+        dependsOn: dependencies[index]
+      }))
+      .sort((a, b) => a.offsetMinutes - b.offsetMinutes || a.index - b.index)
+  };
+}
+
+/**
+ * Merge several recipes into one recipe whose steps interleave, for cooking a
+ * main and its sides together
+ * Each recipe is planned on its own and lined up so they all finish at the same
+ * time; steps are then taken in order of when they're due, keeping each recipe's
+ * own step order. Steps are tagged with the recipe they came from.
+ * @param {Array} recipes - Recipes to cook together
+ * @returns {Object} Combined recipe: { id, title, isMultiRecipe, recipes, ingredients, steps }
+ *   where each step also has recipeId, recipeTitle, recipeIndex and sourceStepIndex
+ */
+export function interleaveRecipes(recipes = []) {
+  const plans = recipes.map(recipe => planCookingSchedule(recipe));
+  const longest = Math.max(0, ...plans.map(plan => plan.totalMinutes));
+
+  // Minutes from the start of the whole meal that each step is due
+  const queues = recipes.map((recipe, recipeIndex) => {
+    const lead = longest - plans[recipeIndex].totalMinutes;
+    const offsets = {};
+    plans[recipeIndex].steps.forEach(step => {
+      offsets[step.index] = lead + step.offsetMinutes;
+    });
+    return (recipe.steps || []).map((step, index) => ({ step, index, offset: offsets[index] }));
+  });
+
+  const steps = [];
+  while (queues.some(queue => queue.length > 0)) {
+    let next = -1;
+    queues.forEach((queue, recipeIndex) => {
+      if (queue.length === 0) return;
+      if (next === -1 || queue[0].offset < queues[next][0].offset) next = recipeIndex;
+    });
+
+    const { step, index } = queues[next].shift();
+    const recipe = recipes[next];
+    steps.push({
+      ...step,
+      id: `${recipe.id}:${step.id || index}`,
+      ...(Array.isArray(step.dependsOn) && { dependsOn: step.dependsOn.map(id => `${recipe.id}:${id}`) }),
+      recipeId: recipe.id,
+      recipeTitle: recipe.title,
+      recipeIndex: next,
+      sourceStepIndex: index
+    });
+  }
+
+  return {
+    id: `multi_${recipes.map(recipe => recipe.id).join('+')}`,
+    title: recipes.map(recipe => recipe.title).join(' + '),
+    isMultiRecipe: true,
+    recipes,
+    ingredients: recipes.flatMap(recipe => recipe.ingredients || []),
+    steps
+  };
+}
+
+/**
+ * Get the earliest time a recipe can be ready if started now
+ * @param {Object} recipe - Recipe with steps
+ * @param {Date|number} now - Current time
+ * @returns {Date}
+ */
+export function getEarliestReadyTime(recipe, now = new Date()) {
+  return planCookingSchedule(recipe, null, { now }).readyAt;
+}
+
+/**
+ * Format a schedule time for display ("6:30 PM")
+ * @param {Date} date - Time
+ * @returns {string}
+ */
+export function formatScheduleTime(date) {
+  return new Date(date).toLocaleTimeString([], {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+}
+
+export default {
+  DEFAULT_ACTIVE_MINUTES,
+  DEFAULT_SETUP_MINUTES,
+  parseDurationMinutes,
+  isPassiveText,
+  estimateStepTiming,
+  inferStepDependencies,
+  getStepTiming,
+  getStepDependencies,
+  withSchedulingDefaults,
+  calculateCriticalPath,
+  planCookingSchedule,
+  interleaveRecipes,
+  getEarliestReadyTime,
+  formatScheduleTime
+};
@@ -142,6 +142,103 @@ export function formatTimerDisplay(seconds) {
   }
 }
 
+/**
+ * Build the timer ID for a step, or for one sentence of a step
+ * @param {number} stepIndex - Step index (0-based)
+ * @param {number} sentenceIndex - Sentence index within the step (optional)
+ * @returns {string} - Timer ID ("step-2-sentence-0")
+ */
+export function createTimerId(stepIndex, sentenceIndex = null) {
+  return sentenceIndex === null || sentenceIndex === undefined
+    ? `step-${stepIndex}`
+    : `step-${stepIndex}-sentence-${sentenceIndex}`;
+}
+
+/**
+ * Convert a TimerService timer into the cooking session's timer shape
+ * TimerService works in milliseconds and keeps counting past zero; session timers
+ * are in seconds with the time past zero reported as overtime
+ * @param {Object} timer - TimerService timer
+ * @returns {Object} - { id, name, recipeId, stepIndex, sentenceIndex, duration, remainingTime,
+ *   overtime, isActive, isPaused, isExpired, expiresAt }
+ */
+export function toSessionTimer(timer) {
+  const isExpired = timer.isOverflow || timer.remainingTime <= 0;
+  
+  return {
+    id: timer.id,
+    name: timer.name,
+    recipeId: timer.recipeData?.recipeId ?? null,
+    stepIndex: timer.recipeData?.stepIndex ?? null,
+    sentenceIndex: timer.recipeData?.sentenceIndex ?? null,
+    duration: Math.round(timer.duration / 1000),
+    remainingTime: isExpired ? 0 : Math.ceil(timer.remainingTime / 1000),
+    overtime: isExpired ? Math.floor(-timer.remainingTime / 1000) : 0,
+    isActive: timer.isRunning && !isExpired,
+    isPaused: !timer.isRunning && !isExpired,
+    isExpired,
+    expiresAt: timer.isRunning ? timer.startTime + timer.duration : null
+  };
+}
+
+/**
+ * Pick the timer to show when there's only room for one
+ * Running timers that finish first, then expired timers, then paused ones
+ * @param {Array} timers - Session timers
+ * @returns {Object|null} - Timer
+ */
+export function getPrimaryTimer(timers = []) {
+  const rank = timer => (timer.isActive ? 0 : timer.isExpired ? 1 : 2);
+  
+  return [...timers].sort((a, b) =>
+    rank(a) - rank(b) || a.remainingTime - b.remainingTime
+  )[0] || null;
+}
+
+/**
+ * Format a session timer for display, expired timers count up ("-1:05")
+ * @param {Object} timer - Session timer
+ * @returns {string} - Formatted time
+ */
+export function formatSessionTimer(timer) {
+  if (!timer) return '';
+  return timer.isExpired
+    ? `-${formatTimerDisplay(timer.overtime)}`
+    : formatTimerDisplay(timer.remainingTime);
+}
+
+/**
+ * Get progress for each recipe in a session
+ * A single recipe session has one entry; an interleaved session (see interleaveRecipes)
+ * has one per dish, counting the merged steps tagged with that dish
+ * @param {Object} recipe - Session recipe (fullRecipe)
+ * @param {Array} completedSteps - Completed step indices in the session
+ * @param {Array} timers - Session timers
+ * @returns {Array} - [{ recipeId, recipeName, totalSteps, completedSteps, isComplete, timers }]
+ */
+export function getRecipeProgress(recipe, completedSteps = [], timers = []) {
+  if (!recipe) return [];
+
+  const dishes = recipe.isMultiRecipe ? recipe.recipes : [recipe];
+
+  return dishes.map(dish => {
+    const stepIndices = (recipe.steps || [])
+      .map((step, index) => ({ step, index }))
+      .filter(({ step }) => !recipe.isMultiRecipe || step.recipeId === dish.id)
+      .map(({ index }) => index);
+    const completedCount = stepIndices.filter(index => completedSteps.includes(index)).length;
+
+    return {
+      recipeId: dish.id,
+      recipeName: dish.title,
+      totalSteps: stepIndices.length,
+      completedSteps: completedCount,
+      isComplete: stepIndices.length > 0 && completedCount === stepIndices.length,
+      timers: timers.filter(timer => stepIndices.includes(timer.stepIndex))
+    };
+  });
+}
+
 /**
  * Save session to history
  * @param {Object} sessionData - Completed session data
@@ -162,7 +259,12 @@ export async function saveSessionToHistory(sessionData) {
       startedAt: sessionData.startedAt,
       completedAt: sessionData.completedAt || Date.now(),
       duration: calculateSessionDuration(sessionData),
-      wasCompleted: sessionData.status === 'completed'
+      wasCompleted: sessionData.status === 'completed',
+      // Per dish when several recipes were cooked together
+      recipes: sessionData.fullRecipe?.isMultiRecipe
+        ? getRecipeProgress(sessionData.fullRecipe, sessionData.completedSteps)
+            .map(({ timers, ...progress }) => progress)
+        : null
     };
     
     history.unshift(sessionSummary);
@@ -311,8 +413,9 @@ export function createSessionSummary(sessionData) {
     totalSteps: sessionData.totalSteps,
     progress: Math.round(progress * 100),
     duration: formatDuration(duration),
-    hasActiveTimer: sessionData.timer?.isActive || false,
-    timerDisplay: sessionData.timer?.isActive ? 
-      formatTimerDisplay(calculateTimerRemaining(sessionData.timer)) : null
+    hasActiveTimer: (sessionData.timers || []).some(timer => timer.isActive),
+    timerCount: sessionData.timers?.length || 0,
+    timerDisplay: sessionData.timers?.length ?
+      formatSessionTimer(getPrimaryTimer(sessionData.timers)) : null
   };
 }
\ No newline at end of file
@@ -0,0 +1,588 @@
+/**
+ * Cooklang Import / Export
+ *
+ * Converts between chef-flow recipe objects and Cooklang (.cook) text.
+ * Cooklang marks ingredients (@flour{2%cups}), cookware (#pan{}) and timers
+ * (~{10%minutes}) inline in each step, which maps onto chef-flow's
+ * step-linked ingredients, ingredient tracker and detected step timings.
+ *
+ * Format reference: https://cooklang.org/docs/spec/
+ */
+
+import ingredientService from '../services/ingredientServiceInstance.js';
+import { UNITS } from '../data/ingredientDatabase.js';
+import { QUANTITY_RANGE_PATTERN, UNIT_WORDS_PATTERN, parseQuantityToken } from './recipeScaling.js';
+import { matchLeadingQuantityRange } from './quantity.js';
+import { resolveUnitId } from './measurementDisplay.js';
+import { extractStepTemperatures } from './temperature.js';
+import { extractRecipeEquipment } from './equipment.js';
+
+// Multi-word components need braces: @ground black pepper{} / #baking sheet{}
+// Single-word components end at whitespace or punctuation: @salt / #pot
+const COMPONENT_REGEX = /([@#~])(?:([^@#~{}\n]*?)\{([^}]*)\}|([^\s@#~{}.,;:!?()[\]]+))(?:\(([^)]*)\))?/g;
+
+// Shared unit words plus the metric abbreviations common in Cooklang files
+const UNIT_WORDS = `${UNIT_WORDS_PATTERN}|g|l`;
+
+const TIME_REGEX = /(\d+(?:\.\d+)?(?:-\d+)?)\s*(minutes?|mins?|hours?|hrs?|seconds?|secs?)\b/gi;
+
+/**
+ * Escape special regex characters in a string
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a Cooklang amount ("2%cups", "1/2", "") into quantity and units
+ */
+function parseAmount(amountText) {
+  if (amountText === undefined || amountText === null) {
+    return { quantity: null, units: '' };
+  }
+
+  const [quantityPart, ...unitParts] = amountText.split('%');
+  const quantity = quantityPart.trim() || null;
+
+  return {
+    quantity,
+    units: unitParts.join('%').trim()
+  };
+}
+
+/**
+ * Build Cooklang amount braces from a quantity and unit
+ */
+function formatAmount(quantity, units) {
+  const quantityText = quantity === null || quantity === undefined ? '' : String(quantity).trim();
+  const unitsText = (units || '').trim();
+
+  if (!quantityText) return '{}';
+  return unitsText ? `{${quantityText}%${unitsText}}` : `{${quantityText}}`;
+}
+
+/**
+ * Convert a Cooklang timer to minutes (hours and seconds included)
+ */
+function timerToMinutes(timer) {
+  const value = parseQuantityToken(String(timer.quantity || '').split('-')[0]);
+  if (isNaN(value)) return 0;
+
+  const units = (timer.units || '').toLowerCase();
+  if (/^h/.test(units)) return value * 60;
+  if (/^s/.test(units)) return value / 60;
+  return value;
+}
+
+/**
+ * Format minutes the way recipes store times ("45 minutes")
+ */
+function formatMinutes(minutes) {
+  const rounded = Math.max(1, Math.round(minutes));
+  return `${rounded} ${rounded === 1 ? 'minute' : 'minutes'}`;
+}
+
+/**
+ * Strip Cooklang comments: line comments (-- ...) and block comments ([- ... -])
+ */
+function stripComments(text) {
+  return text
+    .replace(/\[-[\s\S]*?-\]/g, '')
+    .replace(/--.*$/gm, '');
+}
+
+/**
+ * Read metadata from YAML front matter and ">> key: value" lines
+ * @returns {Object} { metadata, body }
+ */
+function extractMetadata(text) {
+  const metadata = {};
+  let body = text;
+
+  const frontMatter = body.match(/^\s*---\s*\n([\s\S]*?)\n---\s*(?:\n|$)/);
+  if (frontMatter) {
+    frontMatter[1].split('\n').forEach(line => {
+      const match = line.match(/^\s*([^:#]+?)\s*:\s*(.*)$/);
+      if (match) {
+        metadata[match[1].trim().toLowerCase()] = match[2].trim().replace(/^["']|["']$/g, '');
+      }
+    });
+    body = body.slice(frontMatter[0].length);
+  }
+
+  body = body.replace(/^\s*>>\s*([^:]+?)\s*:\s*(.*)$/gm, (match, key, value) => {
+    metadata[key.trim().toLowerCase()] = value.trim();
+    return '';
+  });
+
+  return { metadata, body };
+}
+
+/**
+ * Parse Cooklang text into a neutral structure
+ * @param {string} text - Cooklang source
+ * @returns {Object} { metadata, steps: [{ text, ingredients, cookware, timers }], notes }
+ *   each ingredient records the offset of its name in the step text
+ */
+export function parseCooklang(text) {
+  if (!text || typeof text !== 'string') {
+    return { metadata: {}, steps: [], notes: [] };
+  }
+
+  const { metadata, body } = extractMetadata(text.replace(/\r\n/g, '\n'));
+  const notes = [];
+
+  const blocks = stripComments(body)
+    .split(/\n\s*\n/)
+    .map(block => block
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => {
+        if (!line) return false;
+        // Notes ("> ...") and section headers ("= Dough") are not steps
+        if (/^>(?!>)/.test(line)) {
+          notes.push(line.replace(/^>\s*/, ''));
+          return false;
+        }
+        return !/^=+/.test(line);
+      })
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+    )
+    .filter(Boolean);
+
+  const steps = blocks.map(block => {
+    const ingredients = [];
+    const cookware = [];
+    const timers = [];
+
+    // Replace each component with plain text while recording it
+    // shift tracks how far earlier replacements moved the text, so offsets point into the plain text
+    let shift = 0;
+    const plainText = block.replace(COMPONENT_REGEX, (match, marker, bracedName, amount, bareName, note, offset) => {
+      const name = (bracedName !== undefined ? bracedName : bareName || '').trim();
+      const { quantity, units } = parseAmount(amount);
+      let replacement = name;
+
+      if (marker === '@') {
+        ingredients.push({ name, quantity, units, preparation: note ? note.trim() : null, offset: offset + shift });
+      } else if (marker === '#') {
+        cookware.push({ name, quantity });
+      } else {
+        timers.push({ name: name || null, quantity, units });
+        replacement = [quantity, units].filter(Boolean).join(' ') || name;
+      }
+
+      shift += replacement.length - match.length;
+      return replacement;
+    });
+
+    return { text: plainText, ingredients, cookware, timers };
+  });
+
+  return { metadata, steps, notes };
+}
+
+/**
+ * Build the ingredient line used for structured parsing ("2 cups flour, sifted")
+ */
+function buildIngredientLine(ingredient) {
+  const amount = [ingredient.quantity, ingredient.units].filter(Boolean).join(' ');
+  const line = amount ? `${amount} ${ingredient.name}` : ingredient.name;
+  return ingredient.preparation ? `${line}, ${ingredient.preparation}` : line;
+}
+
+/**
+ * Build a recipe ingredient straight from a Cooklang name, amount and units
+ * Only the name and note go through the ingredient parser, to find the catalog
+ * ingredient and preparation; the amount and units are kept as the file wrote them
+ */
+async function buildIngredient(ingredient) {
+  const id = `ingredient_${Date.now()}_${Math.random()}`;
+  const originalText = buildIngredientLine(ingredient);
+
+  const range = ingredient.quantity ? matchLeadingQuantityRange(ingredient.quantity) : null;
+  const hasAmount = !!range && !range.rest;
+  const unitId = resolveUnitId(ingredient.units);
+  const unit = unitId
+    ? UNITS[unitId]
+    : ingredient.units ? { id: 'custom', name: ingredient.units, plural: ingredient.units } : null;
+
+  try {
+    const parsed = await ingredientService.parseIngredientText(
+      buildIngredientLine({ name: ingredient.name, preparation: ingredient.preparation })
+    );
+    const structured = {
+      ...parsed,
+      quantity: hasAmount ? range.min.value : null,
+      quantityMax: hasAmount && range.max ? range.max.value : null,
+      unit: unit || parsed.unit,
+      originalText,
+      isStructured: !!parsed.ingredient,
+      isDivided: !!ingredient.isDivided
+    };
+
+    return {
+      id,
+      originalText,
+      structured,
+      displayText: structured.isStructured
+        ? ingredientService.formatIngredientForDisplay(structured)
+        : originalText
+    };
+  } catch (error) {
+    return { id, originalText, structured: null, displayText: originalText };
+  }
+}
+
+/**
+ * Merge repeated ingredient mentions into one ingredient list entry
+ * Amounts with the same unit are added together, e.g. salt used in two steps
+ */
+function collectIngredients(steps) {
+  const collected = new Map();
+
+  steps.forEach(step => {
+    step.ingredients.forEach(ingredient => {
+      const key = ingredient.name.toLowerCase();
+      const existing = collected.get(key);
+
+      if (!existing) {
+        collected.set(key, { ...ingredient, mentions: 1 });
+        return;
+      }
+
+      existing.mentions += 1;
+      if (!existing.quantity) {
+        existing.quantity = ingredient.quantity;
+        existing.units = ingredient.units;
+      } else if (ingredient.quantity && existing.units === ingredient.units) {
+        const total = parseQuantityToken(existing.quantity) + parseQuantityToken(ingredient.quantity);
+        if (!isNaN(total)) {
+          existing.quantity = String(Math.round(total * 1000) / 1000);
+          existing.isDivided = true;
+        }
+      }
+    });
+  });
+
+  return Array.from(collected.values());
+}
+
+/**
+ * Import a Cooklang recipe as a chef-flow recipe
+ * @param {string} text - Cooklang source
+ * @param {string} fallbackTitle - Title to use when the file has no title metadata
+ * @returns {Promise<Object>} { recipe, originalContent } ready for EditRecipeScreen
+ */
+export async function importCooklang(text, fallbackTitle = 'Imported Recipe') {
+  const { metadata, steps, notes } = parseCooklang(text);
+
+  if (steps.length === 0) {
+    throw new Error('The Cooklang recipe has no steps');
+  }
+
+  const collected = collectIngredients(steps);
+  const ingredientsList = [];
+  for (const ingredient of collected) {
+    ingredientsList.push(await buildIngredient(ingredient));
+  }
+  const ingredientsText = ingredientsList.map(ingredient => ingredient.displayText).join('\n');
+
+  // Link each collected ingredient to its built entry (same order)
+  const idsByName = new Map();
+  collected.forEach((ingredient, index) => {
+    idsByName.set(ingredient.name.toLowerCase(), ingredientsList[index]);
+  });
+
+  const firstMentions = new Map();
+  const ingredientTracker = {};
+
+  const recipeSteps = steps.map((step, stepIndex) => {
+    const stepId = `step_${stepIndex}`;
+
+    // Each reference's text is the span its @ingredient became in the step text
+    const ingredientRefs = step.ingredients.map(ingredient => {
+      const key = ingredient.name.toLowerCase();
+      const parsed = idsByName.get(key);
+      const fullText = parsed ? (parsed.displayText || parsed.originalText) : buildIngredientLine(ingredient);
+
+      if (firstMentions.has(key)) {
+        return {
+          id: parsed ? parsed.id : null,
+          text: ingredient.name,
+          fullText,
+          isFirstMention: false,
+          firstMentionStepId: firstMentions.get(key)
+        };
+      }
+
+      firstMentions.set(key, stepId);
+      const amountText = [ingredient.quantity, ingredient.units].filter(Boolean).join(' ');
+      const firstText = amountText ? `${amountText} ${ingredient.name}` : ingredient.name;
+
+      ingredientTracker[parsed ? parsed.id : key] = {
+        firstMentionStepId: stepId,
+        stepOrder: stepIndex,
+        amount: parsed?.structured ? parsed.structured.quantity : ingredient.quantity,
+        unit: parsed?.structured ? parsed.structured.unit : ingredient.units || null,
+        fullText
+      };
+
+      return {
+        id: parsed ? parsed.id : null,
+        text: firstText,
+        fullText,
+        isFirstMention: true,
+        firstMentionStepId: stepId
+      };
+    });
+
+    // Show the amount in the step text on first mention, as parsed recipes do
+    // Spliced from the end so the offsets of earlier mentions still hold
+    let content = step.text;
+    for (let index = step.ingredients.length - 1; index >= 0; index--) {
+      const { name, offset } = step.ingredients[index];
+      content = content.slice(0, offset) + ingredientRefs[index].text + content.slice(offset + name.length);
+    }
+
+    // A step's timing is the sum of its timers, in minutes
+    const timerMinutes = step.timers.reduce((total, timer) => total + timerToMinutes(timer), 0);
+
+    return {
+      id: stepId,
+      content,
+      timing: timerMinutes > 0 ? formatMinutes(timerMinutes) : null,
+      ingredients: ingredientRefs,
+      ingredientTracking: {
+        hasTrackedIngredients: true,
+        trackingVersion: '2.0'
+      },
+      ...extractStepTemperatures(content),
+      ...(step.cookware.length > 0 && { cookware: step.cookware.map(item => item.name) })
+    };
+  });
+
+  const totalMinutes = steps.reduce((total, step) =>
+    total + step.timers.reduce((sum, timer) => sum + timerToMinutes(timer), 0), 0);
+
+  const servingsMatch = String(metadata.servings || metadata.serves || '').match(/(\d+)/);
+  const stepsText = recipeSteps.map((step, index) => `${index + 1}. ${step.content}`).join('\n');
+
+  return {
+    recipe: {
+      id: Date.now().toString(),
+      title: metadata.title || fallbackTitle,
+      originalContent: stepsText,
+      steps: recipeSteps,
+      totalTime: totalMinutes > 0 ? formatMinutes(totalMinutes) : null,
+      servings: servingsMatch ? parseInt(servingsMatch[1]) : null,
+      createdAt: new Date().toISOString(),
+      ingredients: ingredientsList,
+      ingredientTracker,
+      equipment: extractRecipeEquipment(recipeSteps),
+      ...(notes.length > 0 && { notes: notes.join('\n') }),
+      source: {
+        type: 'cooklang',
+        url: metadata.source || null,
+        importedAt: new Date().toISOString()
+      }
+    },
+    originalContent: {
+      ingredients: ingredientsText,
+      steps: stepsText
+    }
+  };
+}
+
+/**
+ * Resolve a step ingredient reference to { name, mention, quantity, units, preparation, isFirstMention }
+ * mention is the name as the reference's text writes it ("eggs" for the egg ingredient)
+ */
+function resolveStepIngredient(ref, ingredients) {
+  const findById = id => ingredients.find(ing => ing && ing.id === id);
+
+  let ingredient = null;
+  let isFirstMention = true;
+  let mention = null;
+
+  if (typeof ref === 'string') {
+    ingredient = findById(ref);
+    if (!ingredient) {
+      return { ...splitIngredientText(ref), isFirstMention };
+    }
+  } else if (ref && typeof ref === 'object') {
+    ingredient = ref.id ? findById(ref.id) : null;
+    isFirstMention = ref.isFirstMention !== false;
+    mention = ref.text ? splitIngredientText(ref.text).name : null;
+    if (!ingredient) {
+      return { ...splitIngredientText(ref.fullText || ref.text || ''), mention, isFirstMention };
+    }
+  } else {
+    return null;
+  }
+
+  const structured = ingredient.structured;
+  if (structured?.ingredient?.name) {
+    const quantity = structured.quantity;
+    const unit = structured.unit;
+    return {
+      name: structured.ingredient.name,
+      quantity: quantity === null || quantity === undefined ? null : quantity,
+      units: unit ? (quantity === 1 ? unit.name || unit.value : unit.plural || unit.name || unit.value) : '',
+      preparation: structured.preparation?.name || null,
+      mention,
+      isFirstMention
+    };
+  }
+
+  return { ...splitIngredientText(ingredient.displayText || ingredient.originalText || ''), mention, isFirstMention };
+}
+
+/**
+ * Split unstructured ingredient text ("125 g plain flour, sifted") into its parts
+ */
+function splitIngredientText(text) {
+  const match = text.trim().match(
+    new RegExp(`^(${QUANTITY_RANGE_PATTERN})\\s+(?:(${UNIT_WORDS})\\s+)?(.+)$`, 'i')
+  );
+  if (!match) {
+    return { name: text.trim(), quantity: null, units: '', preparation: null };
+  }
+
+  const [name, ...preparation] = match[3].split(',');
+  return {
+    name: name.trim(),
+    quantity: match[1],
+    units: match[2] || '',
+    preparation: preparation.join(',').trim() || null
+  };
+}
+
+/**
+ * Build the Cooklang marker for an ingredient ("@salt", "@flour{2%cups}(sifted)")
+ */
+function ingredientMarker(ingredient) {
+  const bare = /^[^\s.,;:!?()[\]]+$/.test(ingredient.name);
+  const quantity = typeof ingredient.quantity === 'number'
+    ? Math.round(ingredient.quantity * 1000) / 1000
+    : ingredient.quantity;
+  const amount = ingredient.isFirstMention ? formatAmount(quantity, ingredient.units) : '{}';
+  const note = ingredient.isFirstMention && ingredient.preparation ? `(${ingredient.preparation})` : '';
+
+  return bare && amount === '{}' && !note
+    ? `@${ingredient.name}`
+    : `@${ingredient.name}${amount}${note}`;
+}
+
+/**
+ * Build the pattern for a name in step text, swallowing an amount written in front of it
+ * ("2 cups flour") since the amount moves into the marker's braces
+ */
+function mentionPattern(name) {
+  return new RegExp(
+    `(?:${QUANTITY_RANGE_PATTERN}\\s+(?:(?:${UNIT_WORDS})\\s+)?)?\\b${escapeRegExp(name)}\\b`,
+    'i'
+  );
+}
+
+/**
+ * Replace the first mention of a name in step text with a placeholder for its marker
+ * Placeholders stop shorter names ("sugar") from matching inside marked ones ("brown sugar")
+ * @param {string} content - Step text
+ * @param {RegExp} pattern - Pattern matching the mention
+ * @param {string} marker - Cooklang marker text
+ * @param {Array} markers - Collected markers, indexed by placeholder
+ * @returns {string} Updated step text
+ */
+function placeMarker(content, pattern, marker, markers) {
+  const placeholder = `\u0000${markers.length}\u0000`;
+  markers.push(marker);
+
+  if (pattern.test(content)) {
+    return content.replace(pattern, placeholder);
+  }
+
+  // Keep the link even when the step text never names the component
+  return `${content} (${placeholder})`;
+}
+
+/**
+ * Export a chef-flow recipe as Cooklang text
+ * @param {Object} recipe - chef-flow recipe
+ * @returns {string} Cooklang source
+ */
+export function exportCooklang(recipe) {
+  if (!recipe) return '';
+
+  const ingredients = Array.isArray(recipe.ingredients) ? recipe.ingredients : [];
+  const lines = ['---'];
+
+  lines.push(`title: ${recipe.title || 'Untitled Recipe'}`);
+  if (recipe.servings) lines.push(`servings: ${recipe.servings}`);
+  if (recipe.totalTime) lines.push(`time: ${recipe.totalTime}`);
+  if (recipe.source?.url) lines.push(`source: ${recipe.source.url}`);
+  lines.push('---', '');
+
+  (recipe.steps || []).forEach(step => {
+    if (!step || !step.content) return;
+
+    let content = step.content.replace(/[@#~]/g, '');
+    const markers = [];
+
+    // Longest names first so "brown sugar" is marked before "sugar"
+    const stepIngredients = (step.ingredients || [])
+      .map(ref => resolveStepIngredient(ref, ingredients))
+      .filter(ingredient => ingredient && ingredient.name)
+      .sort((a, b) => (b.mention || b.name).length - (a.mention || a.name).length);
+
+    stepIngredients.forEach(ingredient => {
+      // Mark the name the step text uses ("eggs"), falling back to the ingredient's own name
+      const name = [ingredient.mention, ingredient.name]
+        .find(candidate => candidate && mentionPattern(candidate).test(content)) || ingredient.name;
+      content = placeMarker(content, mentionPattern(name), ingredientMarker({ ...ingredient, name }), markers);
+    });
+
+    (step.cookware || []).forEach(name => {
+      const marker = /\s/.test(name) ? `#${name}{}` : `#${name}`;
+      const pattern = new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i');
+      content = placeMarker(content, pattern, marker, markers);
+    });
+
+    // Every written duration becomes a timer, matching how the cooking flow detects them
+    content = content
+      .replace(TIME_REGEX, (match, quantity, units) => `~{${quantity}%${units}}`)
+      .replace(/\u0000(\d+)\u0000/g, (match, index) => markers[parseInt(index)]);
+
+    lines.push(content, '');
+  });
+
+  if (recipe.notes) {
+    recipe.notes.split('\n').forEach(note => lines.push(`> ${note}`));
+    lines.push('');
+  }
+
+  return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * Check whether text looks like Cooklang rather than HTML or JSON
+ * @param {string} text - Input text
+ * @returns {boolean} True if Cooklang markup is present
+ */
+export function looksLikeCooklang(text) {
+  if (!text || typeof text !== 'string') return false;
+  const trimmed = text.trim();
+  if (trimmed.startsWith('<') || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return false;
+  }
+  return /@[^\s@#~{}]+(?:\{[^}]*\})?|~\{[^}]*\}|^>>\s*\w+\s*:/m.test(trimmed);
+}
+
+export default {
+  parseCooklang,
+  importCooklang,
+  exportCooklang,
+  looksLikeCooklang
+};
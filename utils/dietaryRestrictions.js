@@ -0,0 +1,165 @@
+/**
+ * Dietary Restriction Utilities
+ *
+ * Checks ingredients and recipes against the user's allergens and diets.
+ * Catalog ingredients use their allergens/dietaryTags; anything else falls
+ * back to the keyword lists on ALLERGENS and DIETS.
+ */
+
+import { ALLERGENS, DIETS } from '../data/ingredientDatabase.js';
+import { findKnownIngredient } from './shoppingList.js';
+
+export const CONFLICT_TYPES = {
+  ALLERGEN: 'allergen',
+  DIET: 'diet'
+};
+
+export const EMPTY_RESTRICTIONS = {
+  allergens: [],
+  diets: []
+};
+
+/**
+ * Check whether any keyword appears in a name as a whole word (plurals included)
+ */
+function matchesKeyword(name, keywords = []) {
+  return keywords.some(keyword =>
+    new RegExp(`\\b${keyword}(?:s|es)?\\b`, 'i').test(name)
+  );
+}
+
+/**
+ * Check if the user has declared any restrictions
+ * @param {Object} restrictions - { allergens, diets }
+ * @returns {boolean}
+ */
+export function hasRestrictions(restrictions) {
+  return (restrictions?.allergens?.length || 0) + (restrictions?.diets?.length || 0) > 0;
+}
+
+/**
+ * Get the allergens an ingredient contains
+ * @param {Object} baseIngredient - structured.ingredient (or anything with a name)
+ * @returns {Array} ALLERGENS keys
+ */
+export function getIngredientAllergens(baseIngredient) {
+  const known = findKnownIngredient(baseIngredient);
+  if (known?.allergens) return known.allergens;
+
+  const name = (baseIngredient?.name || '').toLowerCase();
+  if (!name) return [];
+
+  return Object.values(ALLERGENS)
+    .filter(allergen =>
+      matchesKeyword(name, allergen.keywords) &&
+      !(allergen.excludeKeywords || []).some(excluded => name.includes(excluded))
+    )
+    .map(allergen => allergen.id);
+}
+
+/**
+ * Check whether an ingredient fits a diet
+ * @param {Object} baseIngredient - structured.ingredient
+ * @param {string} dietId - DIETS key
+ * @returns {boolean} false only when the ingredient is known (or looks) not to fit
+ */
+export function isCompatibleWithDiet(baseIngredient, dietId) {
+  const diet = DIETS[dietId];
+  if (!diet) return true;
+
+  const known = findKnownIngredient(baseIngredient);
+  if (known?.dietaryTags) return known.dietaryTags.includes(dietId);
+
+  const name = (baseIngredient?.name || '').toLowerCase();
+  if (!name) return true;
+
+  const allergens = getIngredientAllergens(baseIngredient);
+  return !allergens.some(allergenId => diet.excludesAllergens.includes(allergenId)) &&
+    !matchesKeyword(name, diet.excludesKeywords);
+}
+
+/**
+ * Find the user's restrictions an ingredient conflicts with
+ * @param {Object} baseIngredient - structured.ingredient
+ * @param {Object} restrictions - { allergens, diets }
+ * @returns {Array} [{ type, id, name }]
+ */
+export function findIngredientConflicts(baseIngredient, restrictions) {
+  if (!baseIngredient?.name || !hasRestrictions(restrictions)) return [];
+
+  const allergens = getIngredientAllergens(baseIngredient);
+  const allergenConflicts = (restrictions.allergens || [])
+    .filter(allergenId => allergens.includes(allergenId) && ALLERGENS[allergenId])
+    .map(allergenId => ({ type: CONFLICT_TYPES.ALLERGEN, id: allergenId, name: ALLERGENS[allergenId].name }));
+
+  const dietConflicts = (restrictions.diets || [])
+    .filter(dietId => DIETS[dietId] && !isCompatibleWithDiet(baseIngredient, dietId))
+    .map(dietId => ({ type: CONFLICT_TYPES.DIET, id: dietId, name: DIETS[dietId].name }));
+
+  return [...allergenConflicts, ...dietConflicts];
+}
+
+/**
+ * Find every ingredient in a recipe that conflicts with the user's restrictions
+ * @param {Object} recipe - Recipe with parsed ingredients
+ * @param {Object} restrictions - { allergens, diets }
+ * @returns {Array} [{ ingredientId, text, conflicts }]
+ */
+export function findRecipeConflicts(recipe, restrictions) {
+  if (!hasRestrictions(restrictions)) return [];
+
+  return (recipe?.ingredients || [])
+    .map(ingredient => {
+      // Unparsed lines still carry the ingredient in their text
+      const baseIngredient = ingredient.structured?.ingredient?.name
+        ? ingredient.structured.ingredient
+        : { name: ingredient.originalText || ingredient.displayText || '' };
+
+      return {
+        ingredientId: ingredient.id,
+        text: ingredient.displayText || ingredient.originalText || baseIngredient.name,
+        conflicts: findIngredientConflicts(baseIngredient, restrictions)
+      };
+    })
+    .filter(result => result.conflicts.length > 0);
+}
+
+/**
+ * Describe a list of conflicts ("Contains Gluten · Not Vegan")
+ * @param {Array} conflicts - From findIngredientConflicts
+ * @returns {string} Description
+ */
+export function describeConflicts(conflicts) {
+  return conflicts
+    .map(conflict => conflict.type === CONFLICT_TYPES.ALLERGEN
+      ? `Contains ${conflict.name}`
+      : `Not ${conflict.name}`)
+    .join(' · ');
+}
+
+/**
+ * Collapse a recipe's conflicts into one entry per restriction
+ * @param {Array} recipeConflicts - From findRecipeConflicts
+ * @returns {Array} [{ type, id, name }] without duplicates, allergens first
+ */
+export function getConflictingRestrictions(recipeConflicts) {
+  const unique = new Map();
+  recipeConflicts.forEach(({ conflicts }) => {
+    conflicts.forEach(conflict => unique.set(`${conflict.type}:${conflict.id}`, conflict));
+  });
+  return [...unique.values()].sort((a, b) =>
+    (a.type === CONFLICT_TYPES.ALLERGEN ? 0 : 1) - (b.type === CONFLICT_TYPES.ALLERGEN ? 0 : 1)
+  );
+}
+
+export default {
+  CONFLICT_TYPES,
+  EMPTY_RESTRICTIONS,
+  hasRestrictions,
+  getIngredientAllergens,
+  isCompatibleWithDiet,
+  findIngredientConflicts,
+  findRecipeConflicts,
+  describeConflicts,
+  getConflictingRestrictions
+};
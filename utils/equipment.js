@@ -0,0 +1,136 @@
+/**
+ * Equipment Utilities
+ *
+ * Finds the cookware a recipe needs in its step text ("medium skillet",
+ * "9x13 baking dish", "instant-read thermometer"), keeping sizes where the
+ * recipe gives them. Steps record the names they mention in `cookware`, the
+ * same field Cooklang imports fill from #pan{} markers.
+ */
+
+// Names we recognize in step text - longer names win, so "baking dish" beats "dish"
+const EQUIPMENT_NAMES = [
+  'skillet', 'cast iron skillet', 'frying pan', 'fry pan', 'sauté pan', 'saute pan', 'saucepan',
+  'pot', 'stockpot', 'dutch oven', 'wok', 'grill pan', 'griddle', 'pan',
+  'baking dish', 'casserole dish', 'gratin dish', 'pie dish', 'pie plate', 'baking pan', 'cake pan',
+  'springform pan', 'loaf pan', 'bundt pan', 'tart pan', 'muffin tin', 'muffin pan', 'ramekin',
+  'baking sheet', 'sheet pan', 'cookie sheet', 'roasting pan', 'roasting tin', 'wire rack', 'cooling rack',
+  'mixing bowl', 'bowl', 'whisk', 'spatula', 'wooden spoon', 'slotted spoon', 'ladle', 'tongs',
+  'colander', 'sieve', 'fine-mesh sieve', 'strainer', 'grater', 'box grater', 'zester', 'microplane',
+  'peeler', 'rolling pin', 'cutting board', 'chopping board', 'mandoline', 'mortar and pestle',
+  'blender', 'immersion blender', 'stick blender', 'food processor', 'stand mixer', 'hand mixer',
+  'electric mixer', 'slow cooker', 'pressure cooker', 'instant pot', 'air fryer', 'steamer basket',
+  'thermometer', 'instant-read thermometer', 'meat thermometer', 'candy thermometer', 'deep-fry thermometer',
+  'pastry brush', 'piping bag', 'parchment paper', 'baking paper', 'aluminum foil', 'kitchen twine'
+].sort((a, b) => b.length - a.length);
+
+// "9x13-inch", "9 by 13", "10-inch", "5-quart", "2 litre", "12-cup", "small", "extra-large"
+const DIMENSION = '\\d+(?:\\.\\d+)?(?:\\s*(?:x|×|by)\\s*\\d+(?:\\.\\d+)?){1,2}(?:\\s*-?\\s*(?:inch(?:es)?|in\\b\\.?|cm|"))?';
+const MEASURED_SIZE = '\\d+(?:\\.\\d+)?\\s*-?\\s*(?:inch(?:es)?|in\\b\\.?|cm|"|quarts?|qt\\b\\.?|litres?|liters?|l\\b|cups?)';
+const WORD_SIZE = '(?:extra[-\\s])?(?:small|medium|large|big)';
+const SIZE_PATTERN = `(${DIMENSION}|${MEASURED_SIZE}|${WORD_SIZE})`;
+
+// Words that can sit between the size and the name ("large heavy-bottomed pot")
+const DESCRIPTORS = '(?:heavy(?:-bottomed)?|deep|shallow|non-?stick|ovenproof|oven-?safe|rimmed|greased|lightly greased|prepared|clean|large|medium|small)';
+
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const EQUIPMENT_REGEX = new RegExp(
+  `(?:${SIZE_PATTERN}\\s*-?\\s*)?(?:${DESCRIPTORS}\\s+)*\\b(${EQUIPMENT_NAMES.map(escapeRegExp).join('|')})(?:e?s)?\\b`,
+  'gi'
+);
+
+/**
+ * Find the equipment mentioned in a piece of text
+ * @param {string} text - Step text
+ * @returns {Array} [{ name, size }] - size is null when the text doesn't give one
+ */
+export function extractEquipment(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const found = [];
+  const pattern = new RegExp(EQUIPMENT_REGEX.source, EQUIPMENT_REGEX.flags);
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, size, name] = match;
+    found.push({
+      name: name.toLowerCase(),
+      size: size ? size.trim().replace(/\s*-$/, '').toLowerCase() : null
+    });
+  }
+
+  return found;
+}
+
+/**
+ * Read an equipment entry typed by the user ("9x13 baking dish")
+ * The name is kept as typed, so "12-inch paella pan" doesn't shrink to "pan"
+ * @param {string} text - Equipment text
+ * @returns {Object|null} { name, size }, null for empty text
+ */
+export function parseEquipmentText(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+
+  const sized = trimmed.match(new RegExp(`^${SIZE_PATTERN}\\s*-?\\s+(.+)$`, 'i'));
+  return sized
+    ? { name: sized[2].trim(), size: sized[1].trim().toLowerCase() }
+    : { name: trimmed, size: null };
+}
+
+/**
+ * Format an equipment entry for display
+ * @param {Object} item - { name, size }
+ * @returns {string} "9x13 baking dish"
+ */
+export function formatEquipment(item) {
+  if (!item) return '';
+  return item.size ? `${item.size} ${item.name}` : item.name;
+}
+
+/**
+ * Get the names of the equipment a step mentions, for the step's cookware field
+ * @param {string} content - Step text
+ * @returns {Array} Unique names, in order of mention
+ */
+export function extractStepCookware(content) {
+  return [...new Set(extractEquipment(content).map(item => item.name))];
+}
+
+/**
+ * Build a recipe's equipment list from its steps
+ * Reads the step text and any cookware the steps already list (Cooklang imports).
+ * One entry per name and size; an unsized mention is dropped when the same item
+ * appears with a size elsewhere.
+ * @param {Array} steps - Recipe steps
+ * @returns {Array} [{ id, name, size }]
+ */
+export function extractRecipeEquipment(steps = []) {
+  const items = new Map();
+
+  steps.forEach(step => {
+    const mentions = [
+      ...extractEquipment(step.content),
+      ...(step.cookware || []).map(parseEquipmentText).filter(Boolean)
+    ];
+
+    mentions.forEach(item => {
+      const key = `${item.name}|${item.size || ''}`;
+      if (!items.has(key)) items.set(key, item);
+    });
+  });
+
+  const sizedNames = new Set([...items.values()].filter(item => item.size).map(item => item.name));
+
+  return [...items.values()]
+    .filter(item => item.size || !sizedNames.has(item.name))
+    .map((item, index) => ({ id: `equipment_${index}`, ...item }));
+}
+
+export default {
+  extractEquipment,
+  parseEquipmentText,
+  formatEquipment,
+  extractStepCookware,
+  extractRecipeEquipment
+};
@@ -0,0 +1,198 @@
+/**
+ * Localization Utilities
+ *
+ * Resolves message keys and the nameKey fields in data/ingredientDatabase.js
+ * against the catalogs in locales/, with per-locale plural rules. Missing
+ * translations fall back to English, then to the entity's own name.
+ * Also exposes every localized spelling so ingredient lines written in any
+ * supported language parse against the same catalog ids.
+ */
+
+import LOCALES from '../locales/index.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+// Plural category for a count, following CLDR: English and German only use
+// "one" for exactly 1 (so "1.5 cups"); Spanish also has "many" for millions
+export const PLURAL_RULES = {
+  en: count => (count === 1 ? 'one' : 'other'),
+  de: count => (count === 1 ? 'one' : 'other'),
+  es: count => {
+    if (count === 1) return 'one';
+    if (count !== 0 && count % 1000000 === 0) return 'many';
+    return 'other';
+  }
+};
+
+/**
+ * Pick the supported locale for a language tag ("de-AT" -> "de")
+ * @param {string} code - BCP 47 language tag
+ * @returns {string} Supported locale code, DEFAULT_LOCALE when unsupported
+ */
+export function resolveLocale(code) {
+  if (!code || typeof code !== 'string') return DEFAULT_LOCALE;
+  const language = code.toLowerCase().split(/[-_]/)[0];
+  return LOCALES[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Get the device's locale, if the runtime exposes it
+ * @returns {string} Supported locale code
+ */
+export function getDeviceLocale() {
+  try {
+    return resolveLocale(Intl.DateTimeFormat().resolvedOptions().locale);
+  } catch (error) {
+    return DEFAULT_LOCALE;
+  }
+}
+
+/**
+ * Get the plural category for a count in a locale
+ * @param {string} locale - Locale code
+ * @param {number} count - Count
+ * @returns {string} 'one', 'many' or 'other'
+ */
+export function getPluralCategory(locale, count) {
+  const rule = PLURAL_RULES[resolveLocale(locale)] || PLURAL_RULES[DEFAULT_LOCALE];
+  return typeof count === 'number' && !isNaN(count) ? rule(count) : 'other';
+}
+
+/**
+ * Fill {placeholders} in a message
+ */
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  );
+}
+
+/**
+ * Pick the plural form of a message for a count
+ */
+function selectPluralForm(message, locale, count) {
+  if (typeof message === 'string') return message;
+  return message[getPluralCategory(locale, count)] || message.other || message.one;
+}
+
+/**
+ * Look up a message in a locale, then English
+ */
+function findMessage(locale, key) {
+  const catalog = LOCALES[resolveLocale(locale)];
+  return catalog.messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+}
+
+/**
+ * Translate a message key
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key ("profile.title", "unit.cup")
+ * @param {Object} params - Values for {placeholders}; params.count also picks the plural form
+ * @param {string} fallback - Used when no catalog has the key (defaults to the key)
+ * @returns {string} Translated message
+ */
+export function translate(locale, key, params = {}, fallback = key) {
+  const message = findMessage(locale, key);
+  if (message === undefined) return interpolate(fallback, params);
+
+  const count = params.count ?? 1;
+  return interpolate(selectPluralForm(message, locale, count), params);
+}
+
+/**
+ * Get the localized name of a catalog entity (category, unit, ingredient, ...)
+ * @param {string} locale - Locale code
+ * @param {Object} entity - Anything with nameKey and name (and plural for countables)
+ * @param {number} count - How many, for the plural form
+ * @returns {string} Localized name, the entity's English name when untranslated
+ */
+export function translateName(locale, entity, count = 1) {
+  if (!entity) return '';
+
+  const englishName = getPluralCategory(DEFAULT_LOCALE, count) === 'one'
+    ? entity.name
+    : entity.plural || entity.name;
+  if (!entity.nameKey) return englishName;
+
+  const message = findMessage(locale, entity.nameKey);
+  return message === undefined ? englishName : selectPluralForm(message, locale, count);
+}
+
+/**
+ * Get every localized spelling of a nameKey, across all locales
+ * Includes plural forms and parsing aliases, lowercased and without duplicates
+ * @param {string} nameKey - e.g. "ingredient.olive_oil"
+ * @returns {Array} Terms
+ */
+export function getLocalizedTerms(nameKey) {
+  if (!nameKey) return [];
+
+  const terms = new Set();
+  Object.values(LOCALES).forEach(catalog => {
+    const message = catalog.messages[nameKey];
+    if (typeof message === 'string') {
+      terms.add(message.toLowerCase());
+    } else if (message) {
+      Object.values(message).forEach(form => terms.add(form.toLowerCase()));
+    }
+    (catalog.aliases[nameKey] || []).forEach(alias => terms.add(alias.toLowerCase()));
+  });
+
+  return [...terms];
+}
+
+/**
+ * Map every localized spelling in a nameKey namespace to its id
+ * @param {string} namespace - nameKey prefix without the dot ("unit", "prep")
+ * @returns {Map} term -> id ("esslöffel" -> "tbsp")
+ */
+export function buildLocalizedTermIndex(namespace) {
+  const prefix = `${namespace}.`;
+  const keys = new Set();
+  Object.values(LOCALES).forEach(catalog => {
+    [...Object.keys(catalog.messages), ...Object.keys(catalog.aliases)]
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => keys.add(key));
+  });
+
+  const index = new Map();
+  keys.forEach(key => {
+    getLocalizedTerms(key).forEach(term => {
+      if (!index.has(term)) index.set(term, key.slice(prefix.length));
+    });
+  });
+  return index;
+}
+
+/**
+ * Get the connector words of every locale ("de", "of")
+ * @returns {Array} Lowercase words
+ */
+export function getConnectorWords() {
+  return [...new Set(Object.values(LOCALES).flatMap(catalog => catalog.connectors || []))];
+}
+
+/**
+ * Get the locales the user can pick from
+ * @returns {Array} [{ code, name }]
+ */
+export function getAvailableLocales() {
+  return Object.values(LOCALES).map(({ code, name }) => ({ code, name }));
+}
+
+export default {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  PLURAL_RULES,
+  resolveLocale,
+  getDeviceLocale,
+  getPluralCategory,
+  translate,
+  translateName,
+  getLocalizedTerms,
+  buildLocalizedTermIndex,
+  getConnectorWords,
+  getAvailableLocales
+};
@@ -0,0 +1,188 @@
+/**
+ * Ingredient Group Utilities
+ *
+ * Splits an ingredient list into named groups at header lines ("For the sauce:",
+ * "Topping:", "## Dough"). The recipe keeps its groups in order as
+ * `ingredientGroups`, each ingredient records the `groupId` it sits under, and
+ * steps that mention a group ("pour the sauce over") record it in
+ * `ingredientGroupIds`.
+ */
+
+import { matchLeadingQuantity } from './quantity.js';
+
+// Headers are short; anything longer is an ingredient line with a colon in it
+const MAX_HEADER_LENGTH = 40;
+
+// Markdown and plain-text decorations around a header: "## Sauce", "**Sauce**", "[Sauce]", "-- Sauce --"
+const DECORATED_HEADER_PATTERNS = [
+  /^#+\s*(.+)$/,
+  /^\*\*(.+)\*\*$/,
+  /^__(.+)__$/,
+  /^\[(.+)\]$/,
+  /^[-=]{2,}\s*(.+?)\s*[-=]{2,}$/
+];
+
+// "For the sauce", "Ingredients for the topping", "For glaze"
+const FOR_HEADER_PATTERN = /^(?:ingredients?\s+)?for\s+(?:the\s+)?(.+)$/i;
+
+// A header that only opens the list ("Ingredients:") - it doesn't start a group
+const GENERIC_HEADER_PATTERN = /^(?:ingredients?|you(?:'ll)? need|shopping list)$/i;
+
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read an ingredient list header line
+ * @param {string} line - One line of the ingredient list
+ * @returns {Object|null} { name } - name is null for a generic "Ingredients:" header;
+ *   null when the line is an ingredient
+ */
+export function parseIngredientGroupHeader(line) {
+  let text = (line || '').trim();
+  if (!text || text.length > MAX_HEADER_LENGTH) return null;
+
+  let isDecorated = false;
+  for (const pattern of DECORATED_HEADER_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      text = match[1].trim();
+      isDecorated = true;
+      break;
+    }
+  }
+
+  const hasColon = text.endsWith(':');
+  text = text.replace(/:$/, '').trim();
+  if (!text) return null;
+
+  if (GENERIC_HEADER_PATTERN.test(text)) return { name: null };
+
+  // Ingredient lines never start with "for"
+  const forMatch = text.match(FOR_HEADER_PATTERN);
+  if (forMatch) return { name: formatGroupName(forMatch[1]) };
+
+  // "Sauce:" is a header, "2 cups flour:" isn't
+  if ((hasColon || isDecorated) && !matchLeadingQuantity(text)) {
+    return { name: formatGroupName(text) };
+  }
+
+  return null;
+}
+
+/**
+ * Tidy a group name for display ("the sauce" -> "Sauce")
+ */
+function formatGroupName(name) {
+  const trimmed = name.trim().replace(/^the\s+/i, '').replace(/:$/, '');
+  return trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+}
+
+/**
+ * Split ingredient list text into its groups and ingredient lines
+ * @param {string} ingredientsText - Ingredient list, one per line
+ * @returns {Object} { groups: [{ id, name }], lines: [{ text, groupId }] }
+ *   groupId is null for lines before the first group
+ */
+export function splitIngredientSections(ingredientsText) {
+  const groups = [];
+  const lines = [];
+  let groupId = null;
+
+  (ingredientsText || '').split('\n').forEach(rawLine => {
+    const text = rawLine.trim();
+    if (!text) return;
+
+    const header = parseIngredientGroupHeader(text);
+    if (!header) {
+      lines.push({ text, groupId });
+      return;
+    }
+
+    if (header.name) {
+      groupId = `group_${groups.length}`;
+      groups.push({ id: groupId, name: header.name });
+    } else {
+      groupId = null;
+    }
+  });
+
+  return { groups, lines };
+}
+
+/**
+ * Find the groups a step refers to ("Pour the sauce over the chicken")
+ * A group counts only as "the <name>" or "your <name>", so "tomato sauce" isn't the sauce group
+ * @param {string} content - Step text
+ * @param {Array} groups - Recipe ingredient groups
+ * @returns {Array} Group IDs, in list order
+ */
+export function findStepGroupReferences(content, groups = []) {
+  if (!content || typeof content !== 'string') return [];
+
+  return groups
+    .filter(group => group.name &&
+      new RegExp(`\\b(?:the|your)\\s+${escapeRegExp(group.name)}\\b`, 'i').test(content))
+    .map(group => group.id);
+}
+
+/**
+ * Record the groups each step refers to
+ * @param {Array} steps - Recipe steps
+ * @param {Array} groups - Recipe ingredient groups
+ * @returns {Array} Steps, with ingredientGroupIds on the ones that mention a group
+ */
+export function withStepGroupReferences(steps = [], groups = []) {
+  if (groups.length === 0) return steps;
+
+  return steps.map(step => {
+    const ingredientGroupIds = findStepGroupReferences(step.content, groups);
+    return ingredientGroupIds.length > 0 ? { ...step, ingredientGroupIds } : step;
+  });
+}
+
+/**
+ * Get the groups a step refers to, reading them from the text for steps parsed
+ * before group references were stored
+ * @param {Object} step - Recipe step
+ * @param {Array} groups - Recipe ingredient groups
+ * @returns {Array} Groups, in list order
+ */
+export function getStepGroups(step, groups = []) {
+  if (!step || groups.length === 0) return [];
+
+  const ids = Array.isArray(step.ingredientGroupIds)
+    ? step.ingredientGroupIds
+    : findStepGroupReferences(step.content, groups);
+  return groups.filter(group => ids.includes(group.id));
+}
+
+/**
+ * Arrange ingredients under their groups for display
+ * Ungrouped ingredients come first, then each group in order
+ * @param {Array} ingredients - Recipe ingredients
+ * @param {Array} groups - Recipe ingredient groups
+ * @param {Object} options - { includeEmpty } to keep groups with no ingredients (for editing)
+ * @returns {Array} [{ group, ingredients }] - group is null for the ungrouped ingredients
+ */
+export function groupIngredients(ingredients = [], groups = [], options = {}) {
+  const { includeEmpty = false } = options;
+  const knownIds = new Set(groups.map(group => group.id));
+
+  const sections = [
+    { group: null, ingredients: ingredients.filter(ingredient => !knownIds.has(ingredient.groupId)) },
+    ...groups.map(group => ({
+      group,
+      ingredients: ingredients.filter(ingredient => ingredient.groupId === group.id)
+    }))
+  ];
+
+  return sections.filter(section => section.ingredients.length > 0 || (includeEmpty && section.group));
+}
+
+export default {
+  parseIngredientGroupHeader,
+  splitIngredientSections,
+  findStepGroupReferences,
+  withStepGroupReferences,
+  getStepGroups,
+  groupIngredients
+};
@@ -0,0 +1,322 @@
+/**
+ * Measurement Display Utilities
+ *
+ * Recipes keep their structured quantities exactly as parsed. These helpers
+ * only change how amounts are shown, based on the user's measurement system.
+ */
+
+import { UNITS, INGREDIENTS } from '../data/ingredientDatabase.js';
+import {
+  convertQuantity,
+  getIngredientDensity,
+  getUnitSystem,
+  pickReadableUnit
+} from './unitConversion.js';
+import {
+  QUANTITY_PATTERN,
+  QUANTITY_RANGE_PATTERN,
+  UNIT_WORDS_PATTERN,
+  parseQuantityToken,
+  formatScaledQuantity
+} from './recipeScaling.js';
+import { TEMPERATURE_SCALES, convertTemperaturesInText } from './temperature.js';
+import ingredientService from '../services/ingredientServiceInstance.js';
+
+export const MEASUREMENT_SYSTEMS = {
+  AS_WRITTEN: 'as_written',
+  METRIC: 'metric',
+  US: 'us'
+};
+
+export const MEASUREMENT_SYSTEM_OPTIONS = [
+  { value: MEASUREMENT_SYSTEMS.AS_WRITTEN, label: 'As written', labelKey: 'measurement.asWritten' },
+  { value: MEASUREMENT_SYSTEMS.METRIC, label: 'Metric', labelKey: 'measurement.metric' },
+  { value: MEASUREMENT_SYSTEMS.US, label: 'US', labelKey: 'measurement.us' }
+];
+
+// Unit spellings found in recipe text that are not a UNITS name or plural
+const UNIT_ALIASES = {
+  tbs: 'tbsp',
+  tablespoon: 'tbsp',
+  tablespoons: 'tbsp',
+  teaspoon: 'tsp',
+  teaspoons: 'tsp',
+  ounce: 'oz',
+  ounces: 'oz',
+  pound: 'lb',
+  pounds: 'lb',
+  g: 'gram',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  l: 'liter',
+  litre: 'liter',
+  litres: 'liter',
+  milliliter: 'ml',
+  milliliters: 'ml',
+  millilitre: 'ml',
+  millilitres: 'ml'
+};
+
+// Metric spellings are added to the shared unit words so European recipes are recognised too
+const MEASURE_WORDS_PATTERN = `${UNIT_WORDS_PATTERN}|g|l|kilograms?|litres?|millilit(?:er|re)s?`;
+
+// Liquids stay in volume when shown in metric; everything else with a density is weighed
+const LIQUID_PATTERN = /\b(milk|oil|water|stock|broth|juice|extract|vinegar|sauce|cream|wine)\b/i;
+
+/**
+ * Resolve a unit word or structured unit to a UNITS id
+ * @param {string|Object} unit - Unit text ("tablespoons") or structured unit object
+ * @returns {string|null} Unit ID or null if unknown
+ */
+export function resolveUnitId(unit) {
+  if (!unit) return null;
+
+  if (typeof unit === 'object') {
+    const id = unit.id || unit.value;
+    if (id && UNITS[id]) return id;
+    return resolveUnitId(unit.name || unit.plural);
+  }
+
+  const word = unit.toLowerCase().trim();
+  if (UNITS[word]) return word;
+
+  const match = Object.values(UNITS).find(u =>
+    u.name.toLowerCase() === word || u.plural.toLowerCase() === word
+  );
+  if (match) return match.id;
+
+  return UNIT_ALIASES[word] || null;
+}
+
+/**
+ * Get the whole amount a structured ingredient stands for
+ * A count of packages is multiplied out: "2 (5 oz) chicken breasts" is 10 oz
+ * @param {Object} structured - Structured ingredient (quantity, unit, packageSize)
+ * @returns {Object|null} { quantity, unitId } - unitId is null for a count of whole items
+ */
+export function getTotalQuantity(structured) {
+  if (!structured || typeof structured.quantity !== 'number' || isNaN(structured.quantity)) return null;
+
+  const packageUnitId = resolveUnitId(structured.packageSize?.unit);
+  if (packageUnitId && typeof structured.packageSize.quantity === 'number') {
+    return { quantity: structured.quantity * structured.packageSize.quantity, unitId: packageUnitId };
+  }
+
+  return { quantity: structured.quantity, unitId: resolveUnitId(structured.unit) };
+}
+
+/**
+ * Find the database ingredient that carries density data for a parsed ingredient
+ */
+function resolveDensityIngredient(baseIngredient) {
+  if (!baseIngredient) return null;
+  if (getIngredientDensity(baseIngredient)) return baseIngredient;
+
+  const name = (baseIngredient.name || '').toLowerCase();
+  if (!name) return null;
+
+  return Object.values(INGREDIENTS).find(known =>
+    known.name === name || (known.searchTerms || []).includes(name)
+  ) || null;
+}
+
+/**
+ * Format an amount the way the target unit is usually measured
+ * Metric amounts are rounded to sensible precision, US amounts use kitchen fractions
+ * @param {number} quantity - Amount
+ * @param {string} unitId - Unit ID
+ * @returns {string} Display text
+ */
+export function formatDisplayQuantity(quantity, unitId) {
+  if (getUnitSystem(unitId) === MEASUREMENT_SYSTEMS.METRIC) {
+    if (quantity >= 10) return Math.round(quantity).toString();
+    return parseFloat(quantity.toFixed(quantity >= 1 ? 1 : 2)).toString();
+  }
+
+  // Converted US amounts snap to the nearest eighth (or whole number for large amounts)
+  const step = quantity >= 10 ? 1 : 0.125;
+  const snapped = Math.max(step, Math.round(quantity / step) * step);
+  return formatScaledQuantity(snapped);
+}
+
+/**
+ * Get the unit word for a displayed amount
+ * Reads the amount as shown, so 1.0567 quarts shown as "1" is "1 quart"; a range reads by its top end
+ * @param {string} displayQuantity - Amount text as displayed ("1", "1 1/2", "1-2")
+ * @param {string} unitId - Unit ID
+ */
+export function unitWordFor(displayQuantity, unitId) {
+  const unit = UNITS[unitId];
+  const shown = parseQuantityToken(String(displayQuantity).split(/\s*(?:[-–]|to)\s*/).pop());
+  return shown > 0 && shown <= 1 ? unit.name : unit.plural;
+}
+
+/**
+ * Convert a structured quantity into the user's measurement system
+ * @param {Object} structured - Structured ingredient (quantity, unit, ingredient)
+ * @param {string} system - One of MEASUREMENT_SYSTEMS
+ * @returns {Object|null} { quantity, maxQuantity, unit, displayQuantity } or null to show as written
+ *   maxQuantity is the top of a range ("2-3 cups"), null for a single amount
+ */
+export function convertStructuredQuantity(structured, system) {
+  if (!structured || !structured.isStructured || !system || system === MEASUREMENT_SYSTEMS.AS_WRITTEN) {
+    return null;
+  }
+
+  const { quantity, unit, ingredient: baseIngredient } = structured;
+  if (typeof quantity !== 'number' || !unit) return null;
+
+  const unitId = resolveUnitId(unit);
+  if (!unitId || !getUnitSystem(unitId)) return null;
+
+  const densityIngredient = resolveDensityIngredient(baseIngredient);
+  const weighInMetric = system === MEASUREMENT_SYSTEMS.METRIC &&
+                        UNITS[unitId].type === 'volume' &&
+                        densityIngredient &&
+                        !LIQUID_PATTERN.test(baseIngredient?.name || '');
+
+  // Already in the requested system and nothing better to show
+  if (getUnitSystem(unitId) === system && !weighInMetric) return null;
+
+  const best = pickReadableUnit(quantity, unitId, {
+    ingredient: densityIngredient,
+    system,
+    preferredType: weighInMetric ? 'weight' : null
+  });
+  if (!best || best.unitId === unitId) return null;
+
+  // Conversions are linear, so the top of a range converts by the same ratio
+  const maxQuantity = typeof structured.quantityMax === 'number' && quantity > 0
+    ? best.quantity * structured.quantityMax / quantity
+    : null;
+  const displayQuantity = formatDisplayQuantity(best.quantity, best.unitId);
+
+  return {
+    quantity: best.quantity,
+    maxQuantity,
+    unit: UNITS[best.unitId],
+    displayQuantity: maxQuantity !== null
+      ? `${displayQuantity}-${formatDisplayQuantity(maxQuantity, best.unitId)}`
+      : displayQuantity
+  };
+}
+
+/**
+ * Convert the per-item package size of a structured ingredient ("2 (5 oz) ...")
+ * into the user's measurement system
+ * @param {Object} structured - Structured ingredient with packageSize
+ * @param {string} system - One of MEASUREMENT_SYSTEMS
+ * @returns {Object|null} { quantity, unit, displayQuantity } or null to show as written
+ */
+export function convertPackageSize(structured, system) {
+  if (!structured?.packageSize) return null;
+
+  return convertStructuredQuantity({
+    isStructured: structured.isStructured,
+    quantity: structured.packageSize.quantity,
+    unit: structured.packageSize.unit,
+    ingredient: structured.ingredient
+  }, system);
+}
+
+/**
+ * Get the display text for an ingredient line in the user's measurement system
+ * @param {Object} ingredient - Ingredient with displayText/originalText/structured
+ * @param {string} system - One of MEASUREMENT_SYSTEMS
+ * @returns {string} Ingredient text to display
+ */
+export function formatIngredientForSystem(ingredient, system) {
+  if (!ingredient) return '';
+
+  let text = ingredient.displayText || ingredient.originalText || '';
+
+  // The package size is the parenthetical after the count
+  const packageSize = convertPackageSize(ingredient.structured, system);
+  if (packageSize) {
+    text = text.replace(/\([^)]*\)/, `(${packageSize.displayQuantity} ${unitWordFor(packageSize.displayQuantity, packageSize.unit.id)})`);
+  }
+
+  const converted = convertStructuredQuantity(ingredient.structured, system);
+  if (!converted) return text;
+
+  const amountText = `${converted.displayQuantity} ${unitWordFor(converted.displayQuantity, converted.unit.id)}`;
+
+  // Keep the written wording and only swap the leading amount and unit
+  const leadingRegex = new RegExp(`^\\s*${QUANTITY_RANGE_PATTERN}\\s+(?:${MEASURE_WORDS_PATTERN})\\b`, 'i');
+  if (leadingRegex.test(text)) {
+    return text.replace(leadingRegex, amountText);
+  }
+
+  const rest = ingredientService.formatIngredientForDisplay({
+    ...ingredient.structured,
+    quantity: null,
+    unit: null
+  });
+  return `${amountText} ${rest}`;
+}
+
+/**
+ * Get the temperature scale that goes with a measurement system
+ * @param {string} system - One of MEASUREMENT_SYSTEMS
+ * @returns {string|null} TEMPERATURE_SCALES value, null to keep temperatures as written
+ */
+export function getTemperatureScale(system) {
+  if (system === MEASUREMENT_SYSTEMS.METRIC) return TEMPERATURE_SCALES.CELSIUS;
+  if (system === MEASUREMENT_SYSTEMS.US) return TEMPERATURE_SCALES.FAHRENHEIT;
+  return null;
+}
+
+/**
+ * Convert every measurement and temperature written in free text (step content) to the user's system
+ * "Whisk in 2 cups milk" -> "Whisk in 475 ml milk", "Bake at 350°F" -> "Bake at 175°C"
+ * @param {string} text - Text containing measurements
+ * @param {string} system - One of MEASUREMENT_SYSTEMS
+ * @returns {string} Text with converted measurements
+ */
+export function convertMeasurementsInText(text, system) {
+  if (!text || typeof text !== 'string' || !system || system === MEASUREMENT_SYSTEMS.AS_WRITTEN) {
+    return text;
+  }
+
+  const regex = new RegExp(
+    `(${QUANTITY_PATTERN})(?:(\\s*(?:[-–]|to)\\s*)(${QUANTITY_PATTERN}))?\\s+(${MEASURE_WORDS_PATTERN})\\b`,
+    'gi'
+  );
+
+  const converted = text.replace(regex, (match, first, separator, second, unitWord) => {
+    const unitId = resolveUnitId(unitWord);
+    if (!unitId || !getUnitSystem(unitId) || getUnitSystem(unitId) === system) {
+      return match;
+    }
+
+    const firstValue = parseQuantityToken(first);
+    const best = pickReadableUnit(firstValue, unitId, { system });
+    if (!best || isNaN(firstValue)) return match;
+
+    let amountText = formatDisplayQuantity(best.quantity, best.unitId);
+    if (second) {
+      const secondValue = convertQuantity(parseQuantityToken(second), unitId, best.unitId);
+      if (secondValue !== null) {
+        amountText += `${separator}${formatDisplayQuantity(secondValue, best.unitId)}`;
+      }
+    }
+
+    return `${amountText} ${unitWordFor(amountText, best.unitId)}`;
+  });
+
+  return convertTemperaturesInText(converted, getTemperatureScale(system));
+}
+
+export default {
+  MEASUREMENT_SYSTEMS,
+  MEASUREMENT_SYSTEM_OPTIONS,
+  resolveUnitId,
+  getTotalQuantity,
+  formatDisplayQuantity,
+  unitWordFor,
+  convertStructuredQuantity,
+  convertPackageSize,
+  formatIngredientForSystem,
+  getTemperatureScale,
+  convertMeasurementsInText
+};
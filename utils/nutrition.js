@@ -0,0 +1,152 @@
+/**
+ * Nutrition Utilities
+ *
+ * Turns a parsed recipe into nutrition totals and per-serving values using the
+ * per-100 g facts in the ingredient database. Quantities are converted to grams
+ * through unit conversion (with ingredient density) or the ingredient's
+ * unitWeights for counts like "2 cloves" or "1 medium onion".
+ */
+
+import { NUTRIENTS } from '../data/ingredientDatabase.js';
+import { convertQuantity } from './unitConversion.js';
+import { getTotalQuantity } from './measurementDisplay.js';
+import { getRecipeServings } from './recipeScaling.js';
+import { findKnownIngredient } from './shoppingList.js';
+
+// Why an ingredient line could not be counted
+export const UNRESOLVED_REASONS = {
+  NOT_PARSED: 'not_parsed',         // Free-text line without a structured ingredient
+  NO_QUANTITY: 'no_quantity',       // "salt to taste"
+  UNKNOWN_INGREDIENT: 'unknown',    // Not in the ingredient database, or no nutrition facts
+  UNKNOWN_WEIGHT: 'unknown_weight'  // Unit can't be turned into grams for this ingredient
+};
+
+const UNRESOLVED_DESCRIPTIONS = {
+  [UNRESOLVED_REASONS.NOT_PARSED]: 'Not recognized',
+  [UNRESOLVED_REASONS.NO_QUANTITY]: 'No amount given',
+  [UNRESOLVED_REASONS.UNKNOWN_INGREDIENT]: 'No nutrition data',
+  [UNRESOLVED_REASONS.UNKNOWN_WEIGHT]: "Can't work out the weight"
+};
+
+const emptyNutrients = () =>
+  Object.keys(NUTRIENTS).reduce((totals, nutrientId) => ({ ...totals, [nutrientId]: 0 }), {});
+
+/**
+ * Work out the weight of a structured ingredient in grams
+ * @param {Object} structured - ingredient.structured
+ * @param {Object} known - INGREDIENTS entry for the ingredient
+ * @returns {number|null} Grams, or null if the unit can't be converted
+ */
+export function getIngredientGrams(structured, known) {
+  // Packages count by their size: "2 (5 oz) chicken breasts" weighs 10 oz
+  const total = getTotalQuantity(structured);
+  if (!total) return null;
+  const { quantity, unitId } = total;
+  const unitWeights = known?.unitWeights || {};
+
+  // No unit means a count of whole items ("2 carrots")
+  const weightUnit = unitId || 'piece';
+  if (unitWeights[weightUnit]) {
+    return quantity * unitWeights[weightUnit];
+  }
+  if (!unitId) return null;
+
+  return convertQuantity(quantity, unitId, 'gram', known);
+}
+
+/**
+ * Calculate a recipe's nutrition
+ * @param {Object} recipe - Recipe with parsed ingredients (may be scaled)
+ * @param {number} servings - Servings the recipe makes (defaults to the recipe's own count)
+ * @returns {Object} { totals, perServing, per100g, servings, totalGrams, resolved, unresolved }
+ *   perServing is null when the recipe has no serving count. unresolved lists
+ *   { id, text, reason } for lines left out of the totals.
+ */
+export function calculateRecipeNutrition(recipe, servings = null) {
+  const totals = emptyNutrients();
+  const resolved = [];
+  const unresolved = [];
+  let totalGrams = 0;
+
+  (recipe?.ingredients || []).forEach(ingredient => {
+    const structured = ingredient.structured;
+    const text = ingredient.displayText || ingredient.originalText || '';
+    const flag = (reason) => unresolved.push({ id: ingredient.id, text, reason });
+
+    if (!structured?.isStructured || !structured.ingredient?.name) {
+      flag(UNRESOLVED_REASONS.NOT_PARSED);
+      return;
+    }
+    if (typeof structured.quantity !== 'number' || isNaN(structured.quantity)) {
+      flag(UNRESOLVED_REASONS.NO_QUANTITY);
+      return;
+    }
+
+    const known = findKnownIngredient(structured.ingredient);
+    if (!known?.nutrition) {
+      flag(UNRESOLVED_REASONS.UNKNOWN_INGREDIENT);
+      return;
+    }
+
+    const grams = getIngredientGrams(structured, known);
+    if (grams === null) {
+      flag(UNRESOLVED_REASONS.UNKNOWN_WEIGHT);
+      return;
+    }
+
+    Object.keys(totals).forEach(nutrientId => {
+      totals[nutrientId] += (known.nutrition[nutrientId] || 0) * grams / 100;
+    });
+    totalGrams += grams;
+    resolved.push({ id: ingredient.id, text, ingredientId: known.id, grams });
+  });
+
+  const servingCount = servings || recipe?.scaling?.targetServings || getRecipeServings(recipe);
+  const divide = (divisor) => Object.keys(totals).reduce((values, nutrientId) => ({
+    ...values,
+    [nutrientId]: totals[nutrientId] / divisor
+  }), {});
+
+  return {
+    totals,
+    perServing: servingCount ? divide(servingCount) : null,
+    per100g: totalGrams > 0 ? divide(totalGrams / 100) : null,
+    servings: servingCount,
+    totalGrams,
+    resolved,
+    unresolved
+  };
+}
+
+/**
+ * Format a nutrient amount for display ("320 kcal", "12.5 g", "480 mg")
+ * @param {number} value - Amount
+ * @param {string} nutrientId - NUTRIENTS key
+ * @returns {string} Display text
+ */
+export function formatNutrientValue(value, nutrientId) {
+  const nutrient = NUTRIENTS[nutrientId];
+  // Grams read better with a decimal below 10; calories and milligrams never need one
+  const rounded = nutrient?.unit === 'g' && value < 10
+    ? Math.round(value * 10) / 10
+    : Math.round(value);
+
+  return nutrient ? `${rounded} ${nutrient.unit}` : String(rounded);
+}
+
+/**
+ * Describe why an ingredient line was left out of the nutrition totals
+ * @param {string} reason - UNRESOLVED_REASONS value
+ * @returns {string} Short description
+ */
+export function describeUnresolvedReason(reason) {
+  return UNRESOLVED_DESCRIPTIONS[reason] || 'Not counted';
+}
+
+export default {
+  UNRESOLVED_REASONS,
+  getIngredientGrams,
+  calculateRecipeNutrition,
+  formatNutrientValue,
+  describeUnresolvedReason
+};
@@ -0,0 +1,241 @@
+/**
+ * Pantry Utilities
+ *
+ * Pure helpers for the pantry inventory: building items, planning how much a
+ * cooked recipe uses up (converting recipe units into the units the pantry is
+ * stocked in) and finding items that are running low or about to expire.
+ */
+
+import { UNITS } from '../data/ingredientDatabase.js';
+import { convertQuantity } from './unitConversion.js';
+import { resolveUnitId, formatDisplayQuantity, getTotalQuantity, unitWordFor } from './measurementDisplay.js';
+import { formatScaledQuantity } from './recipeScaling.js';
+import { findKnownIngredient, getIngredientKey } from './shoppingList.js';
+
+// Items expiring within this many days are surfaced
+export const EXPIRING_SOON_DAYS = 3;
+
+export const DEDUCTION_STATUS = {
+  OK: 'ok',                       // Enough stock, will be deducted
+  INSUFFICIENT: 'insufficient',   // Will be deducted down to zero
+  UNCONVERTIBLE: 'unconvertible', // Recipe unit can't be converted to the pantry unit
+  NOT_STOCKED: 'not_stocked'      // Ingredient isn't in the pantry
+};
+
+/**
+ * Create a pantry item
+ * @param {Object} fields - { name, ingredient, quantity, unit, expiresAt, lowStockThreshold }
+ *   ingredient is an optional structured.ingredient; unit may be a unit ID or word
+ * @returns {Object} Pantry item
+ */
+export function createPantryItem({ name, ingredient = null, quantity, unit = null, expiresAt = null, lowStockThreshold = null }) {
+  const baseIngredient = ingredient || { name };
+  const known = findKnownIngredient(baseIngredient);
+
+  return {
+    id: `pantry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    ingredientKey: getIngredientKey(baseIngredient),
+    ingredientId: known?.id || null,
+    name: known?.name || (baseIngredient.name || name || '').trim(),
+    quantity: Number(quantity) || 0,
+    unitId: resolveUnitId(unit),
+    expiresAt,
+    lowStockThreshold: lowStockThreshold === null || lowStockThreshold === '' ? null : Number(lowStockThreshold),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Format a pantry quantity for display ("1.5 kg", "3 pieces", "2")
+ * @param {number} quantity - Amount
+ * @param {string} unitId - Unit ID (may be null)
+ * @returns {string} Display text
+ */
+export function formatPantryQuantity(quantity, unitId) {
+  const unit = UNITS[unitId];
+  // Display helpers round tiny amounts up to the smallest fraction, so empty stock is spelled out
+  if (quantity <= 0) return unit ? `0 ${unit.plural}` : '0';
+  if (!unit) return formatScaledQuantity(quantity);
+
+  const quantityText = formatDisplayQuantity(quantity, unitId);
+  return `${quantityText} ${unitWordFor(quantityText, unitId)}`;
+}
+
+/**
+ * Convert a recipe amount into a pantry item's unit
+ * @returns {number|null} Amount in the pantry unit, or null if the units don't convert
+ */
+function toPantryUnit(quantity, recipeUnitId, pantryItem, density) {
+  if (recipeUnitId === pantryItem.unitId) return quantity;
+  // Count-style ingredients ("2 lemons") and items stocked without a unit match each other
+  if (!recipeUnitId || !pantryItem.unitId) {
+    const countUnit = recipeUnitId || pantryItem.unitId;
+    return UNITS[countUnit]?.type === 'count' ? quantity : null;
+  }
+  return convertQuantity(quantity, recipeUnitId, pantryItem.unitId, density);
+}
+
+/**
+ * Work out what cooking a recipe takes out of the pantry
+ * @param {Object} recipe - Recipe as cooked (already scaled to the servings made)
+ * @param {Array} pantryItems - Current pantry items
+ * @returns {Array} Deductions: { key, ingredientName, recipeText, pantryItemId, pantryName,
+ *   quantity, unitId, remaining, status }
+ */
+export function planPantryDeduction(recipe, pantryItems = []) {
+  const deductions = new Map();
+
+  (recipe?.ingredients || []).forEach(ingredient => {
+    const structured = ingredient.structured;
+    const baseIngredient = structured?.ingredient;
+    if (!structured?.isStructured || !baseIngredient?.name) return;
+    if (typeof structured.quantity !== 'number' || isNaN(structured.quantity)) return;
+
+    const key = getIngredientKey(baseIngredient);
+    const recipeText = ingredient.displayText || ingredient.originalText || baseIngredient.name;
+    const pantryItem = pantryItems.find(item => item.ingredientKey === key);
+
+    if (!pantryItem) {
+      deductions.set(key, {
+        key,
+        ingredientName: baseIngredient.name,
+        recipeText,
+        pantryItemId: null,
+        status: DEDUCTION_STATUS.NOT_STOCKED
+      });
+      return;
+    }
+
+    // "2 (5 oz) chicken breasts" uses 10 oz, whatever unit the pantry counts it in
+    const density = findKnownIngredient(baseIngredient) || baseIngredient;
+    const total = getTotalQuantity(structured);
+    const amount = toPantryUnit(total.quantity, total.unitId, pantryItem, density);
+
+    // The same ingredient can appear on several lines - combine them into one deduction
+    const existing = deductions.get(key);
+    if (amount === null) {
+      if (!existing) {
+        deductions.set(key, {
+          key,
+          ingredientName: baseIngredient.name,
+          recipeText,
+          pantryItemId: pantryItem.id,
+          pantryName: pantryItem.name,
+          status: DEDUCTION_STATUS.UNCONVERTIBLE
+        });
+      }
+      return;
+    }
+
+    const quantity = (existing?.quantity || 0) + amount;
+    deductions.set(key, {
+      key,
+      ingredientName: baseIngredient.name,
+      recipeText: existing?.quantity ? `${existing.recipeText}; ${recipeText}` : recipeText,
+      pantryItemId: pantryItem.id,
+      pantryName: pantryItem.name,
+      quantity,
+      unitId: pantryItem.unitId,
+      remaining: Math.max(0, pantryItem.quantity - quantity),
+      status: quantity > pantryItem.quantity ? DEDUCTION_STATUS.INSUFFICIENT : DEDUCTION_STATUS.OK
+    });
+  });
+
+  return [...deductions.values()];
+}
+
+/**
+ * Apply reviewed deductions to the pantry
+ * @param {Array} pantryItems - Current pantry items
+ * @param {Array} deductions - Deductions from planPantryDeduction that the user kept
+ * @returns {Array} Updated pantry items
+ */
+export function applyPantryDeduction(pantryItems, deductions) {
+  const byItemId = new Map();
+  deductions.forEach(deduction => {
+    if (!deduction.pantryItemId || typeof deduction.quantity !== 'number') return;
+    byItemId.set(deduction.pantryItemId, (byItemId.get(deduction.pantryItemId) || 0) + deduction.quantity);
+  });
+
+  const now = new Date().toISOString();
+  return pantryItems.map(item => (
+    byItemId.has(item.id)
+      ? { ...item, quantity: Math.max(0, item.quantity - byItemId.get(item.id)), updatedAt: now }
+      : item
+  ));
+}
+
+/**
+ * Check if a pantry item is out of stock or at/below its low-stock threshold
+ */
+export function isLowStock(item) {
+  if (item.quantity <= 0) return true;
+  return typeof item.lowStockThreshold === 'number' && item.quantity <= item.lowStockThreshold;
+}
+
+/**
+ * Get the whole days until a pantry item expires (negative once expired)
+ * @returns {number|null} Days, or null if the item has no valid expiry date
+ */
+export function getDaysUntilExpiry(item, now = new Date()) {
+  if (!item.expiresAt) return null;
+
+  const expiry = new Date(item.expiresAt);
+  if (isNaN(expiry.getTime())) return null;
+
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const startOfExpiry = new Date(expiry.getFullYear(), expiry.getMonth(), expiry.getDate());
+  return Math.round((startOfExpiry - startOfToday) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Describe how soon an item expires ("Expires tomorrow")
+ * @param {number|null} daysLeft - Result of getDaysUntilExpiry
+ * @returns {string|null} Description, or null without an expiry date
+ */
+export function describeExpiry(daysLeft) {
+  if (daysLeft === null) return null;
+  if (daysLeft < 0) return 'Expired';
+  if (daysLeft === 0) return 'Expires today';
+  if (daysLeft === 1) return 'Expires tomorrow';
+  return `Expires in ${daysLeft} days`;
+}
+
+/**
+ * Get items that are low on stock
+ * @param {Array} pantryItems - Pantry items
+ * @returns {Array} Low-stock items, emptiest first
+ */
+export function getLowStockItems(pantryItems = []) {
+  return pantryItems
+    .filter(isLowStock)
+    .sort((a, b) => a.quantity - b.quantity);
+}
+
+/**
+ * Get items that have expired or expire soon
+ * @param {Array} pantryItems - Pantry items
+ * @param {number} withinDays - How many days ahead to look
+ * @param {Date} now - Current date (for testing)
+ * @returns {Array} [{ item, daysLeft }] soonest first
+ */
+export function getExpiringItems(pantryItems = [], withinDays = EXPIRING_SOON_DAYS, now = new Date()) {
+  return pantryItems
+    .map(item => ({ item, daysLeft: getDaysUntilExpiry(item, now) }))
+    .filter(({ item, daysLeft }) => daysLeft !== null && daysLeft <= withinDays && item.quantity > 0)
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+export default {
+  EXPIRING_SOON_DAYS,
+  DEDUCTION_STATUS,
+  createPantryItem,
+  formatPantryQuantity,
+  planPantryDeduction,
+  applyPantryDeduction,
+  isLowStock,
+  getDaysUntilExpiry,
+  describeExpiry,
+  getLowStockItems,
+  getExpiringItems
+};
@@ -0,0 +1,258 @@
+/**
+ * Quantity Grammar
+ *
+ * One grammar for the amounts in ingredient lines and step text, shared by the
+ * recipe parser and the ingredient data source. It reads whole numbers,
+ * decimals, fractions, mixed numbers ("1 1/2", "1-1/2"), Unicode fractions
+ * ("1½", "⅓") and word quantities ("one and a half", "a dozen", "a couple of",
+ * "a pinch"), and evaluates them as exact rationals so "⅓" stays one third
+ * until it is shown or multiplied.
+ */
+
+// Unicode vulgar fractions as [numerator, denominator]
+export const UNICODE_FRACTIONS = {
+  '½': [1, 2], '⅓': [1, 3], '⅔': [2, 3], '¼': [1, 4], '¾': [3, 4],
+  '⅕': [1, 5], '⅖': [2, 5], '⅗': [3, 5], '⅘': [4, 5], '⅙': [1, 6],
+  '⅚': [5, 6], '⅐': [1, 7], '⅛': [1, 8], '⅜': [3, 8], '⅝': [5, 8],
+  '⅞': [7, 8], '⅑': [1, 9], '⅒': [1, 10]
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+// Words that multiply what comes before them: "two thirds", "half a dozen", "a couple"
+const MULTIPLIER_WORDS = {
+  half: [1, 2], halves: [1, 2], third: [1, 3], thirds: [1, 3],
+  quarter: [1, 4], quarters: [1, 4], dozen: [12, 1], couple: [2, 1], few: [3, 1]
+};
+
+const FRACTION_CHARACTERS = Object.keys(UNICODE_FRACTIONS).join('');
+const SLASH = '[\\/⁄]';
+const NUMBER_WORD = `(?:${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+const FRACTION_WORD = '(?:halves|half|thirds?|quarters?)';
+// Word quantities end at a word break that isn't a hyphen, so "half-and-half" stays an ingredient
+const WORD_END = '(?![\\w-])';
+
+const anyOf = (forms) => `(?:${forms.map(form => `(?:${form})`).join('|')})`;
+
+// Digits only - the forms step text uses ("1½", "1 1/2", "⅓", "0.5")
+export const NUMERIC_AMOUNT_PATTERN = anyOf([
+  `\\d+(?:\\s+|-)?[${FRACTION_CHARACTERS}]`,
+  `[${FRACTION_CHARACTERS}]`,
+  `\\d+(?:\\s+|-)\\d+${SLASH}\\d+`,
+  `\\d+${SLASH}\\d+`,
+  '\\d+(?:\\.\\d+)?'
+]);
+
+// Words an ingredient line may start with ("one and a half", "half a dozen", "a couple of", "a")
+export const WORD_AMOUNT_PATTERN = anyOf([
+  `${NUMBER_WORD}\\s+and\\s+(?:a|an|one)[-\\s]${FRACTION_WORD}`,
+  `half\\s+(?:a|an)\\s+dozen`,
+  `${NUMBER_WORD}\\s+dozen(?:\\s+of)?`,
+  `(?:a\\s+)?couple(?:\\s+of)?`,
+  `a\\s+few`,
+  `${NUMBER_WORD}[-\\s]${FRACTION_WORD}`,
+  `half(?:\\s+(?:a|an))?`,
+  NUMBER_WORD
+].map(form => `\\b${form}${WORD_END}`));
+
+// Any single amount, digits first
+export const AMOUNT_PATTERN = `(?:${NUMERIC_AMOUNT_PATTERN}|${WORD_AMOUNT_PATTERN})`;
+
+// An amount or a range of amounts ("2-3", "1½ to 2", "one to two")
+export const AMOUNT_RANGE_PATTERN = `${AMOUNT_PATTERN}(?:\\s*(?:[-–]|to)\\s*${AMOUNT_PATTERN})?`;
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? Math.abs(a) : greatestCommonDivisor(b, a % b);
+}
+
+/**
+ * Create a rational number in lowest terms
+ * @param {number} numerator - Whole number
+ * @param {number} denominator - Whole number, not zero
+ * @returns {Object} { numerator, denominator }
+ */
+export function createRational(numerator, denominator = 1) {
+  const divisor = greatestCommonDivisor(numerator, denominator) || 1;
+  const sign = denominator < 0 ? -1 : 1;
+  return { numerator: sign * numerator / divisor, denominator: sign * denominator / divisor };
+}
+
+/**
+ * Add two rationals
+ */
+export function addRationals(a, b) {
+  return createRational(a.numerator * b.denominator + b.numerator * a.denominator, a.denominator * b.denominator);
+}
+
+/**
+ * Multiply two rationals
+ */
+export function multiplyRationals(a, b) {
+  return createRational(a.numerator * b.numerator, a.denominator * b.denominator);
+}
+
+/**
+ * Get the number a rational stands for
+ * @param {Object} rational - { numerator, denominator }
+ * @returns {number}
+ */
+export function rationalToNumber(rational) {
+  return rational.numerator / rational.denominator;
+}
+
+/**
+ * Format a rational as a cooking amount
+ * @param {Object} rational - { numerator, denominator }
+ * @returns {string} "1 1/2", "1/3", "2"
+ */
+export function formatRational(rational) {
+  const whole = Math.floor(rational.numerator / rational.denominator);
+  const remainder = rational.numerator - whole * rational.denominator;
+  if (remainder === 0) return String(whole);
+  const fraction = `${remainder}/${rational.denominator}`;
+  return whole > 0 ? `${whole} ${fraction}` : fraction;
+}
+
+/**
+ * Rewrite Unicode fractions as plain text ("1½" -> "1 1/2", "⅓" -> "1/3")
+ * so older patterns that only know digits and slashes can read them
+ * @param {string} text - Any text
+ * @returns {string} Text with Unicode fractions spelled out
+ */
+export function normalizeFractionCharacters(text) {
+  if (!text || typeof text !== 'string') return text;
+
+  return text
+    .replace(/⁄/g, '/')
+    .replace(new RegExp(`(?:(\\d+)(?:\\s+|-)?)?([${FRACTION_CHARACTERS}])`, 'g'), (match, whole, character) => {
+      const [numerator, denominator] = UNICODE_FRACTIONS[character];
+      return whole ? `${whole} ${numerator}/${denominator}` : `${numerator}/${denominator}`;
+    });
+}
+
+/**
+ * Evaluate a numeric amount ("1 1/2", "1-1/2", "0.5")
+ */
+function evaluateNumericAmount(text) {
+  const mixedMatch = text.match(/^(\d+)(?:\s+|-)(\d+)\/(\d+)$/);
+  if (mixedMatch) {
+    return addRationals(
+      createRational(parseInt(mixedMatch[1])),
+      createRational(parseInt(mixedMatch[2]), parseInt(mixedMatch[3]))
+    );
+  }
+
+  const fractionMatch = text.match(/^(\d+)\/(\d+)$/);
+  if (fractionMatch) {
+    return parseInt(fractionMatch[2]) === 0 ? null : createRational(parseInt(fractionMatch[1]), parseInt(fractionMatch[2]));
+  }
+
+  const decimalMatch = text.match(/^(\d+)(?:\.(\d+))?$/);
+  if (decimalMatch) {
+    const digits = decimalMatch[2] || '';
+    return createRational(parseInt(decimalMatch[1] + digits), 10 ** digits.length);
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate a word amount: "and" adds, every other word multiplies
+ * ("one and a half" = 1 + 1 × ½, "half a dozen" = ½ × 1 × 12)
+ */
+function evaluateWordAmount(text) {
+  return text.split(/\s+and\s+/).reduce((total, part) => {
+    if (!total) return null;
+
+    const words = part.split(/[-\s]+/).filter(word => word && word !== 'of');
+    let product = createRational(1);
+    for (const word of words) {
+      if (NUMBER_WORDS[word] !== undefined) {
+        product = multiplyRationals(product, createRational(NUMBER_WORDS[word]));
+      } else if (MULTIPLIER_WORDS[word]) {
+        product = multiplyRationals(product, createRational(...MULTIPLIER_WORDS[word]));
+      } else {
+        return null;
+      }
+    }
+    return addRationals(total, product);
+  }, createRational(0));
+}
+
+/**
+ * Parse one amount written in any form the grammar knows
+ * @param {string} text - The amount on its own ("1½", "one and a half", "a dozen")
+ * @returns {Object|null} { rational, value, text }, null if the text isn't an amount
+ */
+export function parseQuantity(text) {
+  if (text === null || text === undefined) return null;
+
+  const trimmed = String(text).trim();
+  if (!new RegExp(`^(?:${AMOUNT_PATTERN})$`, 'i').test(trimmed)) return null;
+
+  const normalized = normalizeFractionCharacters(trimmed).toLowerCase().replace(/\s+/g, ' ');
+  const rational = /^[\d.]/.test(normalized)
+    ? evaluateNumericAmount(normalized)
+    : evaluateWordAmount(normalized);
+
+  return rational ? { rational, value: rationalToNumber(rational), text: trimmed } : null;
+}
+
+/**
+ * Read the amount at the start of a piece of text
+ * @param {string} text - Ingredient line or part of one ("1½ cups flour")
+ * @returns {Object|null} { rational, value, text, rest }
+ */
+export function matchLeadingQuantity(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const match = text.match(new RegExp(`^\\s*(${AMOUNT_PATTERN})`, 'i'));
+  if (!match) return null;
+
+  const parsed = parseQuantity(match[1]);
+  return parsed ? { ...parsed, rest: text.slice(match[0].length).trim() } : null;
+}
+
+/**
+ * Read the amount or range of amounts at the start of a piece of text
+ * @param {string} text - Ingredient line or part of one ("2-3 cloves garlic", "1½ to 2 cups")
+ * @returns {Object|null} { min, max, text, rest } - min/max are parseQuantity results,
+ *   max is null for a single amount; text is the whole range as written
+ */
+export function matchLeadingQuantityRange(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const match = text.match(new RegExp(`^\\s*(${AMOUNT_PATTERN})(?:\\s*(?:[-–]|to)\\s*(${AMOUNT_PATTERN}))?`, 'i'));
+  if (!match) return null;
+
+  const min = parseQuantity(match[1]);
+  if (!min) return null;
+  const max = match[2] ? parseQuantity(match[2]) : null;
+
+  return {
+    min,
+    max: max && max.value > min.value ? max : null,
+    text: match[0].trim(),
+    rest: text.slice(match[0].length).trim()
+  };
+}
+
+export default {
+  UNICODE_FRACTIONS,
+  NUMERIC_AMOUNT_PATTERN,
+  WORD_AMOUNT_PATTERN,
+  AMOUNT_PATTERN,
+  AMOUNT_RANGE_PATTERN,
+  createRational,
+  addRationals,
+  multiplyRationals,
+  rationalToNumber,
+  formatRational,
+  normalizeFractionCharacters,
+  parseQuantity,
+  matchLeadingQuantity,
+  matchLeadingQuantityRange
+};
@@ -0,0 +1,290 @@
+/**
+ * Recipe Diff Utilities
+ *
+ * Compares two versions of a recipe for the revision history.
+ * Ingredients are reported as added, removed or changed (quantity, unit,
+ * name, preparation), steps as added, removed, edited or moved, with a
+ * word-level diff of edited step text.
+ */
+
+export const CHANGE_TYPES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  MOVED: 'moved'
+};
+
+/**
+ * Get the fields of an ingredient that matter when comparing versions
+ */
+function describeIngredient(ingredient) {
+  const structured = ingredient?.structured || {};
+  const unit = structured.unit;
+
+  return {
+    text: ingredient?.displayText || ingredient?.originalText || '',
+    quantity: structured.quantity ?? null,
+    unit: unit ? (unit.id || unit.value || unit.name || null) : null,
+    name: structured.ingredient?.name || null,
+    preparation: structured.preparation?.name || null
+  };
+}
+
+/**
+ * Build a lookup key used to pair ingredients whose IDs changed (e.g. after re-parsing)
+ */
+function ingredientNameKey(ingredient) {
+  const name = ingredient?.structured?.ingredient?.name || ingredient?.displayText || ingredient?.originalText || '';
+  return name.toLowerCase().trim();
+}
+
+/**
+ * Split text into words and the whitespace between them, so joining the parts restores the text
+ */
+function tokenize(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Word-level diff of two strings using the longest common subsequence
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @returns {Array} [{ type: 'equal'|'insert'|'delete', text }] with adjacent parts merged
+ */
+export function diffText(oldText, newText) {
+  const oldTokens = tokenize(oldText);
+  const newTokens = tokenize(newText);
+  const rows = oldTokens.length;
+  const cols = newTokens.length;
+
+  // lcs[i][j] = length of the common subsequence of oldTokens[i..] and newTokens[j..]
+  const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = oldTokens[i] === newTokens[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldTokens[i] === newTokens[j]) {
+      push('equal', oldTokens[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', oldTokens[i]);
+      i++;
+    } else {
+      push('insert', newTokens[j]);
+      j++;
+    }
+  }
+  while (i < rows) push('delete', oldTokens[i++]);
+  while (j < cols) push('insert', newTokens[j++]);
+
+  return parts;
+}
+
+/**
+ * Compare the ingredient lists of two recipe versions
+ * @param {Array} oldIngredients - Previous ingredients
+ * @param {Array} newIngredients - Current ingredients
+ * @returns {Array} Ingredient changes in current-list order, removed ingredients last
+ */
+export function diffIngredients(oldIngredients = [], newIngredients = []) {
+  const changes = [];
+  const unmatchedOld = new Map((oldIngredients || []).map(ingredient => [ingredient.id, ingredient]));
+
+  const findPrevious = (ingredient) => {
+    if (ingredient.id && unmatchedOld.has(ingredient.id)) {
+      return unmatchedOld.get(ingredient.id);
+    }
+    const key = ingredientNameKey(ingredient);
+    for (const candidate of unmatchedOld.values()) {
+      if (key && ingredientNameKey(candidate) === key) return candidate;
+    }
+    return null;
+  };
+
+  (newIngredients || []).forEach(ingredient => {
+    const previous = findPrevious(ingredient);
+
+    if (!previous) {
+      changes.push({ type: CHANGE_TYPES.ADDED, id: ingredient.id, after: describeIngredient(ingredient) });
+      return;
+    }
+    unmatchedOld.delete(previous.id);
+
+    const before = describeIngredient(previous);
+    const after = describeIngredient(ingredient);
+    const fields = ['quantity', 'unit', 'name', 'preparation', 'text']
+      .filter(field => before[field] !== after[field]);
+
+    if (fields.length > 0) {
+      changes.push({ type: CHANGE_TYPES.CHANGED, id: ingredient.id, before, after, fields });
+    }
+  });
+
+  unmatchedOld.forEach(ingredient => {
+    changes.push({ type: CHANGE_TYPES.REMOVED, id: ingredient.id, before: describeIngredient(ingredient) });
+  });
+
+  return changes;
+}
+
+/**
+ * Compare the steps of two recipe versions
+ * @param {Array} oldSteps - Previous steps
+ * @param {Array} newSteps - Current steps
+ * @returns {Array} Step changes; edited steps include a word-level textDiff
+ */
+export function diffSteps(oldSteps = [], newSteps = []) {
+  const changes = [];
+  const oldList = oldSteps || [];
+  const newList = newSteps || [];
+  const oldById = new Map(oldList.map((step, index) => [step.id, { step, index }]));
+  const newIds = new Set(newList.map(step => step.id));
+
+  // Position among the steps both versions share, so one insertion doesn't mark every later step as moved
+  const sharedOldOrder = oldList.filter(step => newIds.has(step.id)).map(step => step.id);
+  const sharedNewOrder = newList.filter(step => oldById.has(step.id)).map(step => step.id);
+
+  newList.forEach((step, index) => {
+    const previous = oldById.get(step.id);
+
+    if (!previous) {
+      changes.push({ type: CHANGE_TYPES.ADDED, id: step.id, index, after: step.content || '' });
+      return;
+    }
+
+    const textChanged = (previous.step.content || '') !== (step.content || '');
+    const timingChanged = (previous.step.timing || '') !== (step.timing || '');
+    const moved = sharedOldOrder.indexOf(step.id) !== sharedNewOrder.indexOf(step.id);
+
+    if (textChanged || timingChanged) {
+      changes.push({
+        type: CHANGE_TYPES.CHANGED,
+        id: step.id,
+        index,
+        previousIndex: previous.index,
+        moved,
+        before: previous.step.content || '',
+        after: step.content || '',
+        timing: timingChanged ? { before: previous.step.timing || null, after: step.timing || null } : null,
+        textDiff: textChanged ? diffText(previous.step.content, step.content) : null
+      });
+    } else if (moved) {
+      changes.push({
+        type: CHANGE_TYPES.MOVED,
+        id: step.id,
+        index,
+        previousIndex: previous.index,
+        after: step.content || ''
+      });
+    }
+  });
+
+  oldList.forEach((step, index) => {
+    if (!newIds.has(step.id)) {
+      changes.push({ type: CHANGE_TYPES.REMOVED, id: step.id, previousIndex: index, before: step.content || '' });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compare two versions of a recipe
+ * @param {Object} oldRecipe - Previous version (null for a new recipe)
+ * @param {Object} newRecipe - Current version
+ * @returns {Object} { title, servings, ingredients, steps, hasChanges }
+ */
+export function diffRecipes(oldRecipe, newRecipe) {
+  const before = oldRecipe || {};
+  const after = newRecipe || {};
+
+  const title = (before.title || '') !== (after.title || '')
+    ? { before: before.title || '', after: after.title || '' }
+    : null;
+
+  const servings = String(before.servings ?? '') !== String(after.servings ?? '')
+    ? { before: before.servings ?? null, after: after.servings ?? null }
+    : null;
+
+  const ingredients = diffIngredients(before.ingredients, after.ingredients);
+  const steps = diffSteps(before.steps, after.steps);
+
+  return {
+    title,
+    servings,
+    ingredients,
+    steps,
+    hasChanges: Boolean(title || servings || ingredients.length > 0 || steps.length > 0)
+  };
+}
+
+/**
+ * Count the changes in a diff, for revision list summaries
+ * @param {Object} diff - Result of diffRecipes
+ * @returns {Object} { ingredientsAdded, ingredientsRemoved, ingredientsChanged, stepsAdded, stepsRemoved, stepsChanged, stepsMoved, details }
+ */
+export function summarizeDiff(diff) {
+  const count = (list, type) => list.filter(change => change.type === type).length;
+
+  return {
+    ingredientsAdded: count(diff.ingredients, CHANGE_TYPES.ADDED),
+    ingredientsRemoved: count(diff.ingredients, CHANGE_TYPES.REMOVED),
+    ingredientsChanged: count(diff.ingredients, CHANGE_TYPES.CHANGED),
+    stepsAdded: count(diff.steps, CHANGE_TYPES.ADDED),
+    stepsRemoved: count(diff.steps, CHANGE_TYPES.REMOVED),
+    stepsChanged: count(diff.steps, CHANGE_TYPES.CHANGED),
+    stepsMoved: count(diff.steps, CHANGE_TYPES.MOVED),
+    details: Boolean(diff.title || diff.servings)
+  };
+}
+
+/**
+ * Describe a diff summary in a short sentence ("2 ingredients changed, 1 step added")
+ * @param {Object} summary - Result of summarizeDiff
+ * @returns {string} Description
+ */
+export function describeSummary(summary) {
+  if (!summary) return '';
+
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const parts = [];
+
+  if (summary.ingredientsAdded) parts.push(`${plural(summary.ingredientsAdded, 'ingredient')} added`);
+  if (summary.ingredientsRemoved) parts.push(`${plural(summary.ingredientsRemoved, 'ingredient')} removed`);
+  if (summary.ingredientsChanged) parts.push(`${plural(summary.ingredientsChanged, 'ingredient')} changed`);
+  if (summary.stepsAdded) parts.push(`${plural(summary.stepsAdded, 'step')} added`);
+  if (summary.stepsRemoved) parts.push(`${plural(summary.stepsRemoved, 'step')} removed`);
+  if (summary.stepsChanged) parts.push(`${plural(summary.stepsChanged, 'step')} edited`);
+  if (summary.stepsMoved) parts.push(`${plural(summary.stepsMoved, 'step')} moved`);
+  if (summary.details) parts.push('details changed');
+
+  return parts.length > 0 ? parts.join(', ') : 'No changes';
+}
+
+export default {
+  CHANGE_TYPES,
+  diffText,
+  diffIngredients,
+  diffSteps,
+  diffRecipes,
+  summarizeDiff,
+  describeSummary
+};
@@ -0,0 +1,298 @@
+/**
+ * Recipe Importer
+ *
+ * Imports recipes published with schema.org Recipe structured data.
+ * Accepts either a raw JSON-LD blob or a saved HTML page that embeds one,
+ * and runs the result through the normal recipe parser.
+ */
+
+import { parseRecipe } from './recipeParser.js';
+
+const JSON_LD_SCRIPT_REGEX = /<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'",
+  '&nbsp;': ' ',
+  // Unicode fractions, so "1&frac12;" reads as one and a half, not 11/2
+  '&frac12;': '½',
+  '&frac14;': '¼',
+  '&frac34;': '¾',
+  '&deg;': '°'
+};
+
+/**
+ * Decode HTML entities and strip tags from a text value
+ * Recipe sites often put HTML inside JSON-LD strings
+ */
+function cleanText(value) {
+  if (value === null || value === undefined) return '';
+
+  return String(value)
+    // Line breaks and the ends of paragraphs, list items and blocks start a new line
+    .replace(/<br\s*\/?>|<\/(?:p|li|div)\s*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&[a-z0-9#]+;/gi, entity => HTML_ENTITIES[entity.toLowerCase()] ?? entity)
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Check if a JSON-LD node has a given @type (types may be a string or an array)
+ */
+function hasType(node, type) {
+  if (!node || typeof node !== 'object') return false;
+  const nodeType = node['@type'];
+  return Array.isArray(nodeType) ? nodeType.includes(type) : nodeType === type;
+}
+
+/**
+ * Extract every JSON-LD block embedded in an HTML document
+ * @param {string} html - HTML page source
+ * @returns {Array} Parsed JSON-LD values (invalid blocks are skipped)
+ */
+export function extractJsonLdBlocks(html) {
+  const blocks = [];
+  if (!html || typeof html !== 'string') return blocks;
+
+  let match;
+  JSON_LD_SCRIPT_REGEX.lastIndex = 0;
+  while ((match = JSON_LD_SCRIPT_REGEX.exec(html)) !== null) {
+    try {
+      blocks.push(JSON.parse(match[1].trim()));
+    } catch (error) {
+      console.warn('Skipping invalid JSON-LD block:', error.message);
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Find the first schema.org Recipe node in a JSON-LD value
+ * Handles top-level arrays, @graph containers and nested objects
+ * @param {*} data - Parsed JSON-LD
+ * @returns {Object|null} Recipe node
+ */
+export function findRecipeNode(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  if (Array.isArray(data)) {
+    for (const item of data) {
+      const recipe = findRecipeNode(item);
+      if (recipe) return recipe;
+    }
+    return null;
+  }
+
+  if (hasType(data, 'Recipe')) return data;
+
+  if (data['@graph']) {
+    return findRecipeNode(data['@graph']);
+  }
+
+  // Some sites wrap the recipe, e.g. in a WebPage's mainEntity
+  for (const value of Object.values(data)) {
+    if (value && typeof value === 'object') {
+      const recipe = findRecipeNode(value);
+      if (recipe) return recipe;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse an ISO 8601 duration ("PT1H30M", "P0DT45M") into minutes
+ * @param {string} duration - ISO 8601 duration
+ * @returns {number|null} Minutes, or null if not a valid duration
+ */
+export function parseIsoDuration(duration) {
+  if (!duration || typeof duration !== 'string') return null;
+
+  const match = duration.trim().match(
+    /^P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i
+  );
+  if (!match) return null;
+
+  const [, weeks, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+  const total = weeks * 10080 + days * 1440 + hours * 60 + minutes + seconds / 60;
+
+  return Math.round(total);
+}
+
+/**
+ * Format minutes the way recipes store times ("45 minutes")
+ */
+function formatMinutes(minutes) {
+  if (!minutes) return null;
+  return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+}
+
+/**
+ * Parse recipeYield into a serving count
+ * recipeYield may be a number, a string ("4 servings") or an array of both
+ * @param {*} recipeYield - schema.org recipeYield value
+ * @returns {number|null} Serving count
+ */
+export function parseRecipeYield(recipeYield) {
+  if (recipeYield === null || recipeYield === undefined) return null;
+
+  if (Array.isArray(recipeYield)) {
+    for (const value of recipeYield) {
+      const servings = parseRecipeYield(value);
+      if (servings) return servings;
+    }
+    return null;
+  }
+
+  if (typeof recipeYield === 'number') {
+    return recipeYield > 0 ? Math.round(recipeYield) : null;
+  }
+
+  const match = String(recipeYield).match(/(\d+)/);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Flatten recipeInstructions into a list of step texts
+ * Supports plain strings, arrays of strings, HowToStep, HowToSection and ItemList
+ * @param {*} instructions - schema.org recipeInstructions value
+ * @returns {Array<string>} Step texts in order
+ */
+export function flattenInstructions(instructions) {
+  if (!instructions) return [];
+
+  if (typeof instructions === 'string') {
+    // A single block of text - split into lines or paragraphs
+    return cleanText(instructions)
+      .split(/\n+/)
+      .map(line => line.replace(/^\s*\d+[.)]\s*/, '').trim())
+      .filter(Boolean);
+  }
+
+  if (Array.isArray(instructions)) {
+    return instructions.flatMap(item => flattenInstructions(item));
+  }
+
+  if (typeof instructions === 'object') {
+    if (hasType(instructions, 'HowToSection') || hasType(instructions, 'ItemList')) {
+      return flattenInstructions(instructions.itemListElement);
+    }
+
+    // HowToStep, HowToDirection or an untyped step object
+    const text = instructions.text || instructions.name || instructions.description;
+    if (text) return flattenInstructions(String(text));
+
+    if (instructions.itemListElement) {
+      return flattenInstructions(instructions.itemListElement);
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Pull the fields we use out of a schema.org Recipe node
+ * @param {Object} recipeNode - Recipe node from JSON-LD
+ * @returns {Object} { title, ingredients, steps, servings, prepTime, cookTime, totalTime }
+ */
+export function extractRecipeData(recipeNode) {
+  // Older markup uses the deprecated "ingredients" property
+  const rawIngredients = recipeNode.recipeIngredient || recipeNode.ingredients || [];
+  const ingredients = (Array.isArray(rawIngredients) ? rawIngredients : [rawIngredients])
+    .map(cleanText)
+    .filter(Boolean);
+
+  const prepMinutes = parseIsoDuration(recipeNode.prepTime);
+  const cookMinutes = parseIsoDuration(recipeNode.cookTime);
+  const totalMinutes = parseIsoDuration(recipeNode.totalTime) ||
+                       ((prepMinutes || 0) + (cookMinutes || 0)) || null;
+
+  return {
+    title: cleanText(recipeNode.name) || 'Imported Recipe',
+    ingredients,
+    steps: flattenInstructions(recipeNode.recipeInstructions),
+    servings: parseRecipeYield(recipeNode.recipeYield),
+    prepTime: prepMinutes,
+    cookTime: cookMinutes,
+    totalTime: totalMinutes,
+    sourceUrl: typeof recipeNode.url === 'string' ? recipeNode.url : null
+  };
+}
+
+/**
+ * Import a recipe from a JSON-LD blob or a saved HTML page
+ * @param {string} input - JSON-LD text or HTML source
+ * @returns {Promise<Object>} { recipe, originalContent } ready for EditRecipeScreen
+ */
+export async function importRecipe(input) {
+  if (!input || !input.trim()) {
+    throw new Error('Nothing to import');
+  }
+
+  const trimmed = input.trim();
+  let jsonLd;
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      jsonLd = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error('The recipe data is not valid JSON');
+    }
+  } else {
+    jsonLd = extractJsonLdBlocks(trimmed);
+  }
+
+  const recipeNode = findRecipeNode(jsonLd);
+  if (!recipeNode) {
+    throw new Error('No schema.org Recipe was found');
+  }
+
+  const data = extractRecipeData(recipeNode);
+  if (data.ingredients.length === 0 && data.steps.length === 0) {
+    throw new Error('The recipe has no ingredients or instructions');
+  }
+
+  // Number the steps so the parser keeps each instruction as its own step
+  const ingredientsText = data.ingredients.join('\n');
+  const stepsText = data.steps.map((step, index) => `${index + 1}. ${step}`).join('\n');
+
+  const parsedRecipe = await parseRecipe(data.title, stepsText, ingredientsText);
+
+  return {
+    recipe: {
+      ...parsedRecipe,
+      servings: data.servings || parsedRecipe.servings,
+      prepTime: formatMinutes(data.prepTime),
+      cookTime: formatMinutes(data.cookTime),
+      totalTime: formatMinutes(data.totalTime) || parsedRecipe.totalTime,
+      source: {
+        type: 'schema.org',
+        url: data.sourceUrl,
+        importedAt: new Date().toISOString()
+      }
+    },
+    originalContent: {
+      ingredients: ingredientsText,
+      steps: stepsText
+    }
+  };
+}
+
+export default {
+  importRecipe,
+  extractJsonLdBlocks,
+  findRecipeNode,
+  extractRecipeData,
+  flattenInstructions,
+  parseIsoDuration,
+  parseRecipeYield
+};
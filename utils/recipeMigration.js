@@ -5,6 +5,13 @@
  */
 
 import { updateIngredientTracking } from '../services/IngredientTrackingService';
+import { withSchedulingDefaults } from './cookingSchedule';
+import { withStepTemperatures } from './temperature';
+import { extractRecipeEquipment } from './equipment';
+import { AMOUNT_PATTERN, matchLeadingQuantity } from './quantity';
+import { resolveUnitId } from './measurementDisplay';
+import { UNITS } from '../data/ingredientDatabase';
+import { parseIngredientGroupHeader, withStepGroupReferences } from './ingredientGroups';
 
 /**
  * Migrate a single recipe to the new ingredient tracking format
@@ -291,9 +298,191 @@ export function getMigrationStats(recipes) {
   return stats;
 }
 
+/**
+ * Normalize the core fields every stored recipe must have
+ * @param {Object} recipe - Recipe to normalize
+ * @returns {Object} Recipe with id, title, steps and ingredients
+ */
+function normalizeRecipeFields(recipe) {
+  return {
+    ...recipe,
+    id: recipe.id ? String(recipe.id) : `recipe_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    title: recipe.title || 'Untitled Recipe',
+    steps: Array.isArray(recipe.steps) ? recipe.steps : [],
+    ingredients: Array.isArray(recipe.ingredients) ? recipe.ingredients : [],
+    createdAt: recipe.createdAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Move a parenthetical package size ("2 (5 ounce) chicken breasts") out of the
+ * preparation and into structured.packageSize
+ * @param {Object} ingredient - Recipe ingredient
+ * @returns {Object} Ingredient with packageSize, unchanged if it has no package size
+ */
+function withPackageSize(ingredient) {
+  const structured = ingredient?.structured;
+  if (!structured || structured.packageSize !== undefined) return ingredient;
+
+  const text = ingredient.originalText || ingredient.displayText || '';
+  const sizeMatch = text.match(new RegExp(`^\\s*${AMOUNT_PATTERN}\\s*\\(([^)]+)\\)`, 'i'));
+  const size = sizeMatch ? matchLeadingQuantity(sizeMatch[1]) : null;
+  const unitId = size ? resolveUnitId(size.rest.replace(/^-\s*/, '').replace(/\.$/, '')) : null;
+  if (!unitId) return { ...ingredient, structured: { ...structured, packageSize: null } };
+
+  // Older parses tucked the size into the preparation: "skinless, boneless (5 ounce)"
+  let { preparation } = structured;
+  if (preparation?.name?.includes(`(${sizeMatch[1]})`)) {
+    const name = preparation.name.replace(`(${sizeMatch[1]})`, '').replace(/^[\s,]+|[\s,]+$/g, '');
+    preparation = name ? { ...preparation, name } : null;
+  }
+
+  return {
+    ...ingredient,
+    structured: {
+      ...structured,
+      preparation,
+      packageSize: { quantity: size.value, unit: UNITS[unitId] }
+    }
+  };
+}
+
+/**
+ * Turn header lines that were parsed as ingredients ("For the sauce:") into
+ * ingredient groups, and put the ingredients after each header in its group
+ * @param {Object} recipe - Recipe to migrate
+ * @returns {Object} Recipe with ingredientGroups
+ */
+function withIngredientGroups(recipe) {
+  if (Array.isArray(recipe.ingredientGroups)) return recipe;
+
+  const ingredientGroups = [];
+  const ingredients = [];
+  let groupId = null;
+
+  recipe.ingredients.forEach(ingredient => {
+    const header = parseIngredientGroupHeader(ingredient.originalText || ingredient.displayText);
+    if (!header) {
+      ingredients.push(groupId ? { ...ingredient, groupId } : ingredient);
+      return;
+    }
+
+    groupId = header.name ? `group_${ingredientGroups.length}` : null;
+    if (groupId) ingredientGroups.push({ id: groupId, name: header.name });
+  });
+
+  return {
+    ...recipe,
+    ingredients,
+    ingredientGroups,
+    steps: withStepGroupReferences(recipe.steps, ingredientGroups)
+  };
+}
+
+/**
+ * Ordered schema migrations for stored recipes
+ * Each migration takes the recipes at the previous version and returns them at its version.
+ * Add new migrations to the end - never reorder or change released ones.
+ */
+export const RECIPE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize core recipe fields',
+    migrate: (recipes) => recipes.map(normalizeRecipeFields)
+  },
+  {
+    version: 2,
+    description: 'Add ingredient amount tracking',
+    migrate: (recipes) => {
+      const pending = recipes.filter(needsMigration);
+      if (pending.length === 0) return recipes;
+
+      const { recipes: migrated, results } = migrateRecipesBatch(pending);
+      // Failing the migration keeps the recipes at their stored version, so it runs again next load
+      if (results.failed > 0) {
+        throw new Error(`Ingredient tracking migration failed for ${results.failed} recipes: ` +
+          results.errors.map(error => `${error.recipeTitle}: ${error.error}`).join('; '));
+      }
+
+      const migratedById = new Map(migrated.map(recipe => [recipe.id, recipe]));
+      return recipes.map(recipe => migratedById.get(recipe.id) || recipe);
+    }
+  },
+  {
+    version: 3,
+    description: 'Add step dependencies and active/passive durations',
+    migrate: (recipes) => recipes.map(recipe => ({
+      ...recipe,
+      steps: withSchedulingDefaults(recipe.steps)
+    }))
+  },
+  {
+    version: 4,
+    description: 'Add step temperatures and heat levels',
+    migrate: (recipes) => recipes.map(recipe => ({
+      ...recipe,
+      steps: withStepTemperatures(recipe.steps)
+    }))
+  },
+  {
+    version: 5,
+    description: 'Add recipe equipment lists',
+    migrate: (recipes) => recipes.map(recipe => (Array.isArray(recipe.equipment)
+      ? recipe
+      : { ...recipe, equipment: extractRecipeEquipment(recipe.steps) }))
+  },
+  {
+    version: 6,
+    description: 'Add package sizes to counted ingredients',
+    migrate: (recipes) => recipes.map(recipe => ({
+      ...recipe,
+      ingredients: recipe.ingredients.map(withPackageSize)
+    }))
+  },
+  {
+    version: 7,
+    description: 'Add ingredient groups',
+    migrate: (recipes) => recipes.map(withIngredientGroups)
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = RECIPE_MIGRATIONS[RECIPE_MIGRATIONS.length - 1].version;
+
+/**
+ * Run every migration newer than a stored schema version
+ * @param {Array} recipes - Recipes stored at fromVersion
+ * @param {number} fromVersion - Schema version the recipes were stored with (0 for legacy data)
+ * @returns {Object} { recipes, fromVersion, toVersion, applied: [descriptions] }
+ */
+export function runMigrations(recipes, fromVersion = 0) {
+  if (!Array.isArray(recipes)) {
+    throw new Error('Recipes must be an array');
+  }
+
+  const applied = [];
+  let current = recipes;
+
+  RECIPE_MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      current = migration.migrate(current);
+      applied.push(migration.description);
+    });
+
+  return {
+    recipes: current,
+    fromVersion,
+    toVersion: CURRENT_SCHEMA_VERSION,
+    applied
+  };
+}
+
 export default {
   migrateRecipeToTracking,
   migrateRecipesBatch,
   needsMigration,
-  getMigrationStats
+  getMigrationStats,
+  runMigrations,
+  RECIPE_MIGRATIONS,
+  CURRENT_SCHEMA_VERSION
 };
\ No newline at end of file
@@ -15,8 +15,9 @@ const INGREDIENT_FORMS = [
   'halves', 'quarters', 'pieces', 'slices', 'chunks', 'strips', 'wedges'
 ];
 
-// Common measurements and quantities (supports ranges like 2-3, 2 to 3, 2-3/4, and parenthetical sizes like 2 (5 ounce))
-const MEASUREMENT_REGEX = /(\d+(?:[-–]\d+)?(?:\s+to\s+\d+)?(?:\/\d+)?(?:\.\d+)?(?:\s*\([^)]+\))?)\s*(cups?|tbsp?|tsp?|tablespoons?|teaspoons?|oz|ounces?|lbs?|pounds?|grams?|kg|ml|liters?|gallons?|quarts?|pints?|cloves?|pieces?|whole|medium|large|small|cans?|packages?|boxes?|containers?)/gi;
+// Common measurements and quantities (any amount the quantity grammar reads, ranges like 2-3 and 2 to 3,
+// and parenthetical sizes like 2 (5 ounce))
+const MEASUREMENT_REGEX = new RegExp(`(${AMOUNT_RANGE_PATTERN}(?:\\s*\\([^)]+\\))?)\\s*(cups?|tbsp?|tsp?|tablespoons?|teaspoons?|oz|ounces?|lbs?|pounds?|grams?|kg|ml|liters?|gallons?|quarts?|pints?|cloves?|pieces?|whole|medium|large|small|cans?|packages?|boxes?|containers?)`, 'gi');
 
 // Time extraction patterns
 const TIME_REGEX = /(\d+(?:-\d+)?)\s*(minutes?|mins?|hours?|hrs?|seconds?|secs?)/gi;
@@ -28,6 +29,12 @@ const REPETITION_REGEX = /(repeat|continue|for each|do this|again)\s*(\d+)?\s*(t
 const DIVIDED_REGEX = /,?\s*(divided|split)\s*$/gi;
 
 import ingredientService from '../services/ingredientServiceInstance.js';
+import { findIngredientsInStep } from '../services/IngredientTrackingService.js';
+import { AMOUNT_RANGE_PATTERN, matchLeadingQuantityRange } from './quantity.js';
+import { withSchedulingDefaults, calculateCriticalPath } from './cookingSchedule.js';
+import { withStepTemperatures } from './temperature.js';
+import { extractStepCookware, extractRecipeEquipment } from './equipment.js';
+import { splitIngredientSections, withStepGroupReferences } from './ingredientGroups.js';
 
 /**
  * Escape special regex characters in a string
@@ -39,41 +46,41 @@ function escapeRegExp(string) {
 /**
  * Process ingredients text into structured ingredient objects
  * @param {string} ingredientsText - Raw ingredients text from input field
- * @returns {Promise<Array>} Array of structured ingredient objects
+ * @returns {Promise<Array>} Array of structured ingredient objects; ingredients under a
+ *   group header carry its groupId (see splitIngredientSections)
  */
 export async function processIngredients(ingredientsText) {
   if (!ingredientsText || !ingredientsText.trim()) {
     return [];
   }
   
-  const lines = ingredientsText
-    .trim()
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line.length > 0);
+  // Header lines ("For the sauce:") start a group instead of being parsed as ingredients
+  const { lines } = splitIngredientSections(ingredientsText);
   
   const structuredIngredients = [];
   
-  for (const line of lines) {
+  for (const { text: line, groupId } of lines) {
+    let ingredient;
     try {
       const structured = await ingredientService.parseIngredientText(line);
-      structuredIngredients.push({
+      ingredient = {
         id: `ingredient_${Date.now()}_${Math.random()}`,
         originalText: line,
         structured: structured,
         displayText: structured.isStructured 
           ? ingredientService.formatIngredientForDisplay(structured)
           : line
-      });
+      };
     } catch (error) {
       // Fallback to original text if parsing fails
-      structuredIngredients.push({
+      ingredient = {
         id: `ingredient_${Date.now()}_${Math.random()}`,
         originalText: line,
         structured: null,
         displayText: line
-      });
+      };
     }
+    structuredIngredients.push(groupId ? { ...ingredient, groupId } : ingredient);
   }
   
   return structuredIngredients;
@@ -101,8 +108,9 @@ export async function parseRecipe(title, content, ingredientsText = '') {
   // Remove multiple blank lines
   cleanContent = cleanContent.replace(/\n\s*\n\s*\n/g, '\n\n');
   
-  // Process ingredients from input field
+  // Process ingredients from input field, and the groups they sit under
   const ingredientsList = await processIngredients(ingredientsText);
+  const { groups: ingredientGroups } = splitIngredientSections(ingredientsText);
   
   // Extract ingredients and their actions (for prep steps only)
   const ingredientMap = extractIngredientsForPrepSteps(ingredientsText);
@@ -139,19 +147,36 @@ export async function parseRecipe(title, content, ingredientsText = '') {
   // Build ingredient tracker for the recipe
   const ingredientTracker = buildIngredientTracker(stepsWithUpdatedContent, ingredientsList);
   
+  // Infer what each step waits for, whether it's hands-off and how long it takes
+  const scheduledSteps = withSchedulingDefaults(stepsWithUpdatedContent);
+
+  // Oven/internal temperatures and stovetop heat levels
+  const stepsWithTemperatures = withStepTemperatures(scheduledSteps);
+
+  // Cookware each step mentions, collected into the recipe's equipment list
+  const stepsWithCookware = stepsWithTemperatures.map(step => {
+    const cookware = extractStepCookware(step.content);
+    return cookware.length > 0 ? { ...step, cookware } : step;
+  });
+
+  // Steps that use a whole group ("pour the sauce over")
+  const stepsWithGroups = withStepGroupReferences(stepsWithCookware, ingredientGroups);
+  
   // Extract timing information
-  const totalTime = calculateTotalTime(stepsWithUpdatedContent);
+  const totalTime = calculateTotalTime(scheduledSteps);
 
   return {
     id: Date.now().toString(),
     title: title.trim(),
     originalContent: content,
-    steps: stepsWithUpdatedContent,
+    steps: stepsWithGroups,
     totalTime: totalTime,
     servings: extractServings(cleanContent),
     createdAt: new Date().toISOString(),
     ingredients: ingredientsList,
+    ingredientGroups,
     ingredientTracker,
+    equipment: extractRecipeEquipment(stepsWithCookware),
   };
 }
 
@@ -277,19 +302,8 @@ function processStep(stepContent, index, ingredientMap, ingredientsList = []) {
   let processedContent = stepContent;
   const stepIngredients = [];
   
-  // Find ingredients mentioned in this step and link to ingredient IDs
-  ingredientsList.forEach(ingredient => {
-    const ingredientName = ingredient.structured?.ingredient?.name || 
-                          extractIngredientNameFromSpec(ingredient.displayText || ingredient.originalText);
-    
-    if (!ingredientName) return;
-    
-    const regex = new RegExp(`\\b${escapeRegExp(ingredientName)}\\b`, 'gi');
-    if (regex.test(processedContent)) {
-      // Add ingredient ID reference instead of text
-      stepIngredients.push(ingredient.id);
-    }
-  });
+  // Find ingredients mentioned in this step (by any of their names) and link to ingredient IDs
+  stepIngredients.push(...findIngredientsInStep(processedContent, ingredientsList));
   
   // Also check for ingredients from the ingredient map (for backward compatibility)
   Object.keys(ingredientMap).forEach(ingredientName => {
@@ -462,34 +476,31 @@ function distributeDividedIngredients(steps, ingredientMap) {
 
 /**
  * Calculate divided amount for each step
+ * Both ends of a range are divided ("2-3 cups" over two steps -> "1-1.50 cups")
  */
 function calculateDividedAmount(totalQuantity, stepCount) {
-  // Parse the quantity to handle fractions and decimals
-  const numericPart = totalQuantity.match(/(\d+(?:\.\d+)?(?:\/\d+)?)/);
+  const range = matchLeadingQuantityRange(totalQuantity);
   
-  if (numericPart) {
-    let amount = parseFloat(numericPart[1]);
-    
-    // Handle fractions like "1/2"
-    if (numericPart[1].includes('/')) {
-      const [num, den] = numericPart[1].split('/').map(Number);
-      amount = num / den;
-    }
-    
-    const dividedAmount = amount / stepCount;
-    
-    // Format the result nicely
-    if (dividedAmount % 1 === 0) {
-      // Whole number
-      return totalQuantity.replace(numericPart[1], dividedAmount.toString());
-    } else if (dividedAmount >= 1) {
-      // Decimal
-      return totalQuantity.replace(numericPart[1], dividedAmount.toFixed(2));
-    } else {
+  if (range) {
+    const formatShare = (amount) => {
+      const dividedAmount = amount / stepCount;
+      
+      // Format the result nicely
+      if (dividedAmount % 1 === 0) {
+        // Whole number
+        return dividedAmount.toString();
+      } else if (dividedAmount >= 1) {
+        // Decimal
+        return dividedAmount.toFixed(2);
+      }
       // Convert to fraction for small amounts
-      const fraction = convertToFraction(dividedAmount);
-      return totalQuantity.replace(numericPart[1], fraction);
-    }
+      return convertToFraction(dividedAmount);
+    };
+    
+    const share = range.max
+      ? `${formatShare(range.min.value)}-${formatShare(range.max.value)}`
+      : formatShare(range.min.value);
+    return totalQuantity.replace(range.text, share);
   }
   
   // Fallback: just indicate it's divided
@@ -499,7 +510,7 @@ function calculateDividedAmount(totalQuantity, stepCount) {
 /**
  * Convert decimal to common cooking fraction
  */
-function convertToFraction(decimal) {
+export function convertToFraction(decimal) {
   const commonFractions = [
     [0.125, '1/8'], [0.25, '1/4'], [0.333, '1/3'], [0.375, '3/8'],
     [0.5, '1/2'], [0.625, '5/8'], [0.667, '2/3'], [0.75, '3/4'], [0.875, '7/8']
@@ -667,19 +678,11 @@ function extractIngredientNameFromSpec(ingredientSpec) {
 
 /**
  * Calculate total recipe time
+ * Steps that can run side by side overlap, so this is the longest chain of
+ * dependent steps rather than the sum of every step
  */
 function calculateTotalTime(steps) {
-  let totalMinutes = 0;
-  
-  steps.forEach(step => {
-    if (step.timing) {
-      const timeMatch = step.timing.match(/(\d+)/);
-      if (timeMatch) {
-        totalMinutes += parseInt(timeMatch[1]);
-      }
-    }
-  });
-  
+  const { totalMinutes } = calculateCriticalPath(steps);
   return totalMinutes > 0 ? `${totalMinutes} minutes` : null;
 }
 
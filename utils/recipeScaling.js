@@ -0,0 +1,387 @@
+/**
+ * Recipe Scaling Utilities
+ *
+ * Rescales a parsed recipe to a target serving count, keeping the
+ * ingredient list, step content, divided amounts and ingredient tracker in sync
+ */
+
+import ingredientService from '../services/ingredientServiceInstance.js';
+import { UNITS } from '../data/ingredientDatabase.js';
+import { convertToFraction } from './recipeParser.js';
+import { NUMERIC_AMOUNT_PATTERN, parseQuantity } from './quantity.js';
+
+// A single amount: whole numbers, decimals, fractions and mixed numbers ("1 1/2", "1½")
+export const QUANTITY_PATTERN = NUMERIC_AMOUNT_PATTERN;
+
+// An amount or a range of amounts ("2-3", "5 to 10")
+export const QUANTITY_RANGE_PATTERN = `${QUANTITY_PATTERN}(?:\\s*(?:[-–]|to)\\s*${QUANTITY_PATTERN})?`;
+
+// Unit words that may sit between an amount and an ingredient name in step text
+export const UNIT_WORDS_PATTERN = 'cups?|tbsp?|tsp?|tablespoons?|teaspoons?|oz|ounces?|lbs?|pounds?|grams?|kg|ml|liters?|gallons?|quarts?|pints?|cloves?|pieces?|sprigs?|pinch(?:es)?|whole|medium|large|small|cans?|packages?|boxes?|containers?';
+
+/**
+ * Escape special regex characters in a string
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get the numeric serving count of a recipe
+ * Handles both parsed numbers (12) and display strings ("2 servings")
+ * @param {Object} recipe - Recipe object
+ * @returns {number|null} Serving count or null if unknown
+ */
+export function getRecipeServings(recipe) {
+  if (!recipe) return null;
+
+  const servings = recipe.scaling?.baseServings ?? recipe.servings;
+
+  if (typeof servings === 'number') {
+    return servings > 0 ? servings : null;
+  }
+
+  if (typeof servings === 'string') {
+    const match = servings.match(/(\d+)/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a single amount token ("2", "0.5", "1/2", "1 1/2", "1½") into a number
+ * @param {string} token - Amount text
+ * @returns {number} Numeric value (NaN if not parseable)
+ */
+export function parseQuantityToken(token) {
+  const parsed = parseQuantity(token);
+  return parsed ? parsed.value : parseFloat(token);
+}
+
+/**
+ * Format a scaled amount for display using common cooking fractions
+ * @param {number} value - Numeric amount
+ * @returns {string} Display text, e.g. "1 1/2", "3/4", "2.25"
+ */
+export function formatScaledQuantity(value) {
+  if (typeof value !== 'number' || isNaN(value)) return '';
+
+  const rounded = Math.round(value * 1000) / 1000;
+  let whole = Math.floor(rounded);
+  let decimal = rounded - whole;
+
+  // Snap amounts that are within rounding distance of a whole number
+  if (decimal > 0.98) {
+    whole += 1;
+    decimal = 0;
+  }
+  if (decimal < 0.02 && whole > 0) {
+    return whole.toString();
+  }
+
+  const fraction = convertToFraction(decimal);
+  if (fraction.includes('/')) {
+    return whole > 0 ? `${whole} ${fraction}` : fraction;
+  }
+
+  // No common fraction matches - fall back to a trimmed decimal
+  return parseFloat(rounded.toFixed(2)).toString();
+}
+
+/**
+ * Multiply every amount found in an amount string ("2", "2-3", "1 1/2")
+ * @param {string} amountText - Amount text
+ * @param {number} factor - Scale factor
+ * @returns {string} Amount text with every number scaled
+ */
+export function scaleAmountString(amountText, factor) {
+  if (!amountText || typeof amountText !== 'string') return amountText;
+
+  const regex = new RegExp(QUANTITY_PATTERN, 'g');
+  return amountText.replace(regex, token => {
+    const value = parseQuantityToken(token);
+    return isNaN(value) ? token : formatScaledQuantity(value * factor);
+  });
+}
+
+/**
+ * Scale the amount at the start of an ingredient line
+ * "2 (5 ounce) chicken breasts" -> "4 (5 ounce) chicken breasts"
+ * "1 tablespoon olive oil" -> "2 tablespoons olive oil"
+ * @param {string} text - Ingredient text
+ * @param {number} factor - Scale factor
+ * @param {Object} structuredUnit - Unit from the structured ingredient (optional)
+ * @returns {string} Ingredient text with leading amount scaled
+ */
+function scaleLeadingQuantity(text, factor, structuredUnit = null) {
+  if (!text || typeof text !== 'string') return text;
+
+  const regex = new RegExp(`^(${QUANTITY_RANGE_PATTERN})(\\s+(?:${UNIT_WORDS_PATTERN})\\b)?`, 'i');
+  return text.replace(regex, (match, amount, unitPart) => {
+    const scaledAmount = scaleAmountString(amount, factor);
+    if (!unitPart) return scaledAmount;
+
+    const firstAmount = parseQuantityToken(scaledAmount.split(/\s*(?:[-–]|to)\s*/)[0]);
+    return `${scaledAmount} ${inflectUnit(unitPart.trim(), firstAmount, structuredUnit)}`;
+  });
+}
+
+/**
+ * Scale a structured quantity (number or range string)
+ */
+function scaleQuantityValue(quantity, factor) {
+  if (quantity === null || quantity === undefined) return quantity;
+
+  if (typeof quantity === 'number') {
+    return Math.round(quantity * factor * 1000) / 1000;
+  }
+
+  if (typeof quantity === 'string') {
+    return scaleAmountString(quantity, factor);
+  }
+
+  return quantity;
+}
+
+/**
+ * Pick singular or plural unit word for a new amount
+ * @param {string} unitWord - Unit word as written
+ * @param {number} amount - New amount
+ * @param {Object} structuredUnit - Unit from the structured ingredient (optional)
+ * @returns {string} Unit word matching the amount
+ */
+function inflectUnit(unitWord, amount, structuredUnit = null) {
+  const lowerWord = unitWord.toLowerCase();
+  const candidates = structuredUnit ? [structuredUnit, ...Object.values(UNITS)] : Object.values(UNITS);
+
+  const unit = candidates.find(u =>
+    (u.name || '').toLowerCase() === lowerWord ||
+    (u.plural || '').toLowerCase() === lowerWord
+  );
+
+  if (!unit || !unit.name || !unit.plural) {
+    return unitWord;
+  }
+
+  // Fractions of a unit read as singular ("1/2 cup")
+  return amount <= 1 ? unit.name : unit.plural;
+}
+
+/**
+ * Scale a single ingredient from the recipe's ingredient list
+ * @param {Object} ingredient - Ingredient with originalText/structured/displayText
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled ingredient
+ */
+export function scaleIngredient(ingredient, factor) {
+  if (!ingredient || factor === 1) return ingredient;
+
+  const { structured } = ingredient;
+
+  if (!structured) {
+    return {
+      ...ingredient,
+      displayText: scaleLeadingQuantity(ingredient.displayText || ingredient.originalText, factor)
+    };
+  }
+
+  const scaledStructured = {
+    ...structured,
+    quantity: scaleQuantityValue(structured.quantity, factor),
+    quantityMax: scaleQuantityValue(structured.quantityMax, factor)
+  };
+
+  // Keep the wording as written and only swap the amount; fall back to the
+  // ingredient service when the text has no leading amount to rewrite
+  const sourceText = ingredient.displayText || ingredient.originalText || '';
+  const hasLeadingAmount = new RegExp(`^${QUANTITY_PATTERN}`).test(sourceText.trim());
+
+  let displayText;
+  if (!hasLeadingAmount && structured.isStructured && scaledStructured.ingredient &&
+      typeof scaledStructured.quantity === 'number') {
+    displayText = ingredientService.formatIngredientForDisplay(scaledStructured);
+  } else {
+    displayText = scaleLeadingQuantity(sourceText.trim(), factor, structured.unit);
+  }
+
+  return {
+    ...ingredient,
+    structured: scaledStructured,
+    displayText
+  };
+}
+
+/**
+ * Build a regex that matches "<amount> [unit] <ingredient name>" for any recipe ingredient
+ */
+function buildAmountRegex(ingredients) {
+  const names = ingredients
+    .map(ing => ing.structured?.ingredient?.name)
+    .filter(name => name && name.length > 2)
+    .sort((a, b) => b.length - a.length) // Longest first so "brown sugar" wins over "sugar"
+    .map(escapeRegExp);
+
+  if (names.length === 0) return null;
+
+  return new RegExp(
+    `(${QUANTITY_RANGE_PATTERN})(\\s+(?:${UNIT_WORDS_PATTERN}))?\\s+(${names.join('|')})\\b`,
+    'gi'
+  );
+}
+
+/**
+ * Rewrite every ingredient amount embedded in a piece of text
+ * @param {string} text - Step content or ingredient reference text
+ * @param {RegExp} amountRegex - Regex from buildAmountRegex
+ * @param {Array} ingredients - Original (unscaled) ingredient list
+ * @param {number} factor - Scale factor
+ * @returns {string} Text with scaled amounts
+ */
+function scaleAmountsInText(text, amountRegex, ingredients, factor) {
+  if (!text || typeof text !== 'string' || !amountRegex) return text;
+
+  return text.replace(amountRegex, (match, amount, unitPart, name) => {
+    const scaledAmount = scaleAmountString(amount, factor);
+
+    let scaledUnit = '';
+    if (unitPart) {
+      const ingredient = ingredients.find(ing =>
+        ing.structured?.ingredient?.name?.toLowerCase() === name.toLowerCase()
+      );
+      const firstAmount = parseQuantityToken(scaledAmount.split(/\s*(?:[-–]|to)\s*/)[0]);
+      scaledUnit = ' ' + inflectUnit(unitPart.trim(), firstAmount, ingredient?.structured?.unit);
+    }
+
+    return `${scaledAmount}${scaledUnit} ${name}`;
+  });
+}
+
+/**
+ * Scale the ingredient tracker built by parseRecipe/updateIngredientTracking
+ */
+function scaleIngredientTracker(tracker, scaledIngredients, factor) {
+  if (!tracker || typeof tracker !== 'object') return tracker;
+
+  const scaledTracker = {};
+
+  Object.entries(tracker).forEach(([key, entry]) => {
+    const scaledIngredient = scaledIngredients.find(ing => ing.id === key);
+
+    scaledTracker[key] = {
+      ...entry,
+      amount: scaleQuantityValue(entry.amount, factor),
+      ...(entry.fullText !== undefined && {
+        fullText: scaledIngredient
+          ? scaledIngredient.displayText
+          : scaleLeadingQuantity(entry.fullText, factor)
+      })
+    };
+  });
+
+  return scaledTracker;
+}
+
+/**
+ * Scale a step ingredient reference (ID string, text spec or tracking object)
+ */
+function scaleStepIngredientRef(ref, scaledIngredients, factor) {
+  if (!ref) return ref;
+
+  if (typeof ref === 'string') {
+    // ID references resolve against the scaled ingredient list at render time
+    if (scaledIngredients.some(ing => ing.id === ref)) {
+      return ref;
+    }
+    return scaleLeadingQuantity(ref, factor);
+  }
+
+  if (typeof ref === 'object') {
+    const scaledIngredient = ref.id ? scaledIngredients.find(ing => ing.id === ref.id) : null;
+
+    return {
+      ...ref,
+      text: ref.isFirstMention
+        ? scaleLeadingQuantity(ref.text, factor, scaledIngredient?.structured?.unit)
+        : ref.text,
+      fullText: scaledIngredient
+        ? scaledIngredient.displayText
+        : scaleLeadingQuantity(ref.fullText, factor)
+    };
+  }
+
+  return ref;
+}
+
+/**
+ * Scale a recipe to a target number of servings
+ * Callers keep the unscaled recipe and scale from it each time, so repeated scaling
+ * does not drift; a scaled copy only records its serving counts, not the original
+ * @param {Object} recipe - Parsed recipe (original, or a scaled copy to rescale from its current amounts)
+ * @param {number} targetServings - Desired serving count
+ * @param {Object} options - { baseServings } to override an unknown serving count
+ * @returns {Object} Scaled copy of the recipe
+ */
+export function scaleRecipe(recipe, targetServings, options = {}) {
+  if (!recipe) return recipe;
+
+  // A scaled copy is rescaled from the servings it was scaled to
+  const baseServings = recipe.scaling?.baseServings || options.baseServings || getRecipeServings(recipe);
+  const currentServings = recipe.scaling?.targetServings || baseServings;
+
+  if (!currentServings || !targetServings || targetServings <= 0) {
+    console.warn('Cannot scale recipe without a valid serving count:', { baseServings, targetServings });
+    return recipe;
+  }
+
+  if (targetServings === currentServings) {
+    return recipe;
+  }
+
+  const factor = targetServings / currentServings;
+  const ingredients = Array.isArray(recipe.ingredients) ? recipe.ingredients : [];
+
+  try {
+    const scaledIngredients = ingredients.map(ingredient => scaleIngredient(ingredient, factor));
+    const amountRegex = buildAmountRegex(ingredients);
+
+    const scaledSteps = (recipe.steps || []).map(step => {
+      if (!step) return step;
+
+      return {
+        ...step,
+        content: scaleAmountsInText(step.content, amountRegex, ingredients, factor),
+        ingredients: Array.isArray(step.ingredients)
+          ? step.ingredients.map(ref =>
+              scaleStepIngredientRef(ref, scaledIngredients, factor)
+            )
+          : step.ingredients
+      };
+    });
+
+    return {
+      ...recipe,
+      servings: targetServings,
+      ingredients: scaledIngredients,
+      steps: scaledSteps,
+      ingredientTracker: scaleIngredientTracker(recipe.ingredientTracker, scaledIngredients, factor),
+      scaling: {
+        baseServings,
+        targetServings,
+        factor: targetServings / baseServings
+      }
+    };
+  } catch (error) {
+    console.error('Failed to scale recipe:', error);
+    return recipe;
+  }
+}
+
+export default {
+  scaleRecipe,
+  scaleIngredient,
+  getRecipeServings,
+  formatScaledQuantity,
+  scaleAmountString,
+  parseQuantityToken
+};
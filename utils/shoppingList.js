@@ -0,0 +1,221 @@
+/**
+ * Shopping List Utilities
+ *
+ * Builds one consolidated shopping list from several recipes. Ingredients are
+ * merged by ingredient id (or name for custom ingredients), compatible units
+ * are converted before summing, and items are grouped by ingredient category.
+ * Lines the parser couldn't structure are kept in an "Other" section.
+ */
+
+import { CATEGORIES, INGREDIENTS, UNITS } from '../data/ingredientDatabase.js';
+import { convertQuantity, getUnitSystem, isReadableQuantity, pickReadableUnit } from './unitConversion.js';
+import { getRecipeServings, scaleIngredient, formatScaledQuantity } from './recipeScaling.js';
+import { formatDisplayQuantity, getTotalQuantity, unitWordFor } from './measurementDisplay.js';
+
+export const OTHER_SECTION = { id: 'other', nameKey: 'category.other', name: 'Other' };
+
+// Category names used by hand-written recipes that map onto CATEGORIES
+const CATEGORY_ALIASES = {
+  vegetable: 'vegetables',
+  fruit: 'fruits',
+  meat: 'proteins',
+  poultry: 'proteins',
+  fish: 'proteins',
+  seafood: 'proteins',
+  protein: 'proteins',
+  cheese: 'dairy',
+  grain: 'grains',
+  spice: 'spices',
+  herb: 'spices',
+  seasoning: 'spices',
+  condiment: 'condiments',
+  sauce: 'condiments',
+  oil: 'oils',
+  fat: 'oils',
+  nut: 'nuts',
+  seed: 'nuts',
+  baking: 'pantry'
+};
+
+/**
+ * Find the database entry for a parsed ingredient, by id or by name
+ * @param {Object} baseIngredient - structured.ingredient
+ * @returns {Object|null} INGREDIENTS entry
+ */
+export function findKnownIngredient(baseIngredient) {
+  if (!baseIngredient) return null;
+  if (baseIngredient.id && INGREDIENTS[baseIngredient.id]) {
+    return INGREDIENTS[baseIngredient.id];
+  }
+
+  const name = (baseIngredient.name || '').toLowerCase().trim();
+  if (!name) return null;
+
+  return Object.values(INGREDIENTS).find(known =>
+    known.name === name || known.plural === name || (known.searchTerms || []).includes(name)
+  ) || null;
+}
+
+/**
+ * Work out which CATEGORIES section an ingredient belongs in
+ * @param {Object} baseIngredient - structured.ingredient
+ * @returns {string} Category ID, or OTHER_SECTION.id
+ */
+export function getShoppingCategory(baseIngredient) {
+  const known = findKnownIngredient(baseIngredient);
+  if (known && CATEGORIES[known.category]) return known.category;
+
+  const category = (baseIngredient?.category || '').toLowerCase();
+  if (CATEGORIES[category]) return category;
+  if (CATEGORY_ALIASES[category]) return CATEGORY_ALIASES[category];
+
+  return OTHER_SECTION.id;
+}
+
+/**
+ * Build the key that identifies an ingredient across recipes
+ * Database ingredients are keyed by id, custom ones by their name
+ * @param {Object} baseIngredient - structured.ingredient
+ * @returns {string} Ingredient key
+ */
+export function getIngredientKey(baseIngredient) {
+  const known = findKnownIngredient(baseIngredient);
+  if (known) return `ingredient:${known.id}`;
+
+  const name = (baseIngredient?.name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return `name:${name}`;
+}
+
+/**
+ * Add an amount to an item, converting into an amount it already has when the units are compatible
+ * Amounts that can't be converted (e.g. cloves and cups without a density) are kept side by side
+ */
+function addAmount(amounts, quantity, unitId, ingredient) {
+  for (const amount of amounts) {
+    if (amount.unitId === unitId) {
+      amount.quantity += quantity;
+      return;
+    }
+    if (amount.unitId && unitId) {
+      const converted = convertQuantity(quantity, unitId, amount.unitId, ingredient);
+      if (converted !== null) {
+        amount.quantity += converted;
+        return;
+      }
+    }
+  }
+
+  amounts.push({ quantity, unitId });
+}
+
+/**
+ * Format a summed amount, moving it to a more readable unit in the same system
+ * only when the sum no longer reads well ("48 tsp" -> "1 cup")
+ */
+function formatAmount({ quantity, unitId }) {
+  if (!unitId || !UNITS[unitId]) {
+    return formatScaledQuantity(quantity);
+  }
+
+  const system = getUnitSystem(unitId);
+  const best = system && !isReadableQuantity(quantity, unitId)
+    ? pickReadableUnit(quantity, unitId, { system }) || { quantity, unitId }
+    : { quantity, unitId };
+
+  const quantityText = system ? formatDisplayQuantity(best.quantity, best.unitId) : formatScaledQuantity(best.quantity);
+  return `${quantityText} ${unitWordFor(quantityText, best.unitId)}`;
+}
+
+/**
+ * Build a consolidated shopping list
+ * @param {Array} entries - [{ recipe, servings }] where servings overrides the recipe's own count
+ * @returns {Object} { sections: [{ id, name, items }], itemCount }
+ *   Items are { key, name, amountText, hasUnmeasured, recipes, lines }
+ */
+export function buildShoppingList(entries = []) {
+  const items = new Map();
+  const otherItems = new Map();
+
+  entries.forEach(({ recipe, servings }) => {
+    if (!recipe || !Array.isArray(recipe.ingredients)) return;
+
+    const baseServings = getRecipeServings(recipe);
+    const factor = servings && baseServings ? servings / baseServings : 1;
+
+    recipe.ingredients.forEach(original => {
+      const ingredient = scaleIngredient(original, factor);
+      const structured = ingredient.structured;
+      const baseIngredient = structured?.ingredient;
+      const text = (ingredient.displayText || ingredient.originalText || '').trim();
+
+      // Unstructured lines are listed as written
+      if (!structured || !structured.isStructured || !baseIngredient?.name) {
+        if (!text) return;
+        const key = `line:${text.toLowerCase()}`;
+        const existing = otherItems.get(key) || { key, name: text, amountText: '', hasUnmeasured: false, recipes: [], lines: [] };
+        if (!existing.recipes.includes(recipe.title)) existing.recipes.push(recipe.title);
+        existing.lines.push(text);
+        otherItems.set(key, existing);
+        return;
+      }
+
+      const key = getIngredientKey(baseIngredient);
+      const known = findKnownIngredient(baseIngredient);
+      const item = items.get(key) || {
+        key,
+        name: known?.name || baseIngredient.name,
+        category: getShoppingCategory(baseIngredient),
+        amounts: [],
+        hasUnmeasured: false,
+        recipes: [],
+        lines: []
+      };
+
+      // Package counts are added up by their total size: "2 (5 oz) chicken breasts" is 10 oz
+      const total = getTotalQuantity(structured);
+      if (total) {
+        addAmount(item.amounts, total.quantity, total.unitId, known || baseIngredient);
+      } else {
+        // "salt to taste" - still needed, just without an amount
+        item.hasUnmeasured = true;
+      }
+
+      if (!item.recipes.includes(recipe.title)) item.recipes.push(recipe.title);
+      item.lines.push(text);
+      items.set(key, item);
+    });
+  });
+
+  const sectionOrder = [...Object.keys(CATEGORIES), OTHER_SECTION.id];
+  const sections = new Map(sectionOrder.map(id => [
+    id,
+    { ...(CATEGORIES[id] || OTHER_SECTION), items: [] }
+  ]));
+
+  items.forEach(item => {
+    const { amounts, category, ...rest } = item;
+    const amountText = amounts.map(formatAmount).join(' + ');
+    sections.get(category).items.push({ ...rest, amountText });
+  });
+  otherItems.forEach(item => sections.get(OTHER_SECTION.id).items.push(item));
+
+  const result = [...sections.values()]
+    .filter(section => section.items.length > 0)
+    .map(section => ({
+      ...section,
+      items: section.items.sort((a, b) => a.name.localeCompare(b.name))
+    }));
+
+  return {
+    sections: result,
+    itemCount: result.reduce((total, section) => total + section.items.length, 0)
+  };
+}
+
+export default {
+  OTHER_SECTION,
+  findKnownIngredient,
+  getIngredientKey,
+  getShoppingCategory,
+  buildShoppingList
+};
@@ -0,0 +1,305 @@
+/**
+ * Ingredient Substitution Utilities
+ *
+ * Suggests substitutes for a recipe ingredient with quantities worked out from
+ * the ingredient line ("1 cup buttermilk" -> "1 cup milk + 1 tbsp lemon juice"),
+ * and applies a chosen substitute to a recipe's ingredients and step text.
+ * Curated SUBSTITUTIONS come first; IngredientService similarity search is the
+ * fallback for ingredients the table doesn't cover.
+ */
+
+import { INGREDIENTS, SUBSTITUTIONS, UNITS } from '../data/ingredientDatabase.js';
+import { convertQuantity, isReadableQuantity, pickReadableUnit } from './unitConversion.js';
+import { resolveUnitId } from './measurementDisplay.js';
+import { formatScaledQuantity, QUANTITY_RANGE_PATTERN, UNIT_WORDS_PATTERN } from './recipeScaling.js';
+import { findKnownIngredient } from './shoppingList.js';
+import { findIngredientConflicts } from './dietaryRestrictions.js';
+
+export const SUBSTITUTION_SOURCES = {
+  CURATED: 'curated',
+  SIMILAR: 'similar'
+};
+
+const SIMILAR_THRESHOLD = 0.3;
+
+/**
+ * Escape special regex characters in a string
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the structured.ingredient for a substitution part
+ */
+function getPartIngredient(part) {
+  const known = part.ingredientId ? INGREDIENTS[part.ingredientId] : null;
+  if (known) {
+    return { id: known.id, name: known.name, category: known.category };
+  }
+  return { id: 'custom', name: part.name, category: 'custom' };
+}
+
+/**
+ * Work out how much of a part to use for the original ingredient line
+ * @returns {Object} { quantity, unitId } - quantity is null when it can't be worked out
+ */
+function resolvePartAmount(part, structured, known) {
+  const originalUnitId = resolveUnitId(structured?.unit);
+  const originalQuantity = structured?.quantity;
+
+  if (typeof originalQuantity !== 'number' || isNaN(originalQuantity)) {
+    return { quantity: null, unitId: part.unit || originalUnitId };
+  }
+
+  let quantity;
+  let unitId;
+  if (part.ratio !== undefined) {
+    quantity = originalQuantity * part.ratio;
+    unitId = originalUnitId;
+  } else {
+    let baseAmount;
+    if (part.per.unit) {
+      baseAmount = originalUnitId === part.per.unit
+        ? originalQuantity
+        : convertQuantity(originalQuantity, originalUnitId, part.per.unit, known);
+    } else {
+      // Per whole item: "2 eggs", "1 medium onion"
+      const unitType = UNITS[originalUnitId]?.type;
+      baseAmount = !originalUnitId || unitType === 'count' || unitType === 'size' ? originalQuantity : null;
+    }
+
+    if (baseAmount === null) {
+      return { quantity: null, unitId: part.unit };
+    }
+    quantity = part.quantity * baseAmount / part.per.quantity;
+    unitId = part.unit;
+  }
+
+  // "1/4 tbsp" reads better as "3/4 tsp"
+  if (unitId && !isReadableQuantity(quantity, unitId)) {
+    const readable = pickReadableUnit(quantity, unitId, {
+      ingredient: part.ingredientId ? INGREDIENTS[part.ingredientId] : null
+    });
+    if (readable) {
+      return { quantity: readable.quantity, unitId: readable.unitId };
+    }
+  }
+
+  return { quantity, unitId };
+}
+
+/**
+ * Format a resolved part ("1 tbsp lemon juice", "2 eggs", "oat milk")
+ */
+function formatPart(quantity, unitId, ingredient) {
+  const unit = UNITS[unitId];
+  const known = INGREDIENTS[ingredient.id];
+  const parts = [];
+
+  if (quantity !== null) parts.push(formatScaledQuantity(quantity));
+  if (unit) parts.push(quantity !== null && quantity > 1 ? unit.plural : unit.name);
+  parts.push(!unit && quantity > 1 && known ? known.plural : ingredient.name);
+
+  return parts.join(' ');
+}
+
+/**
+ * Get the curated substitutions for an ingredient
+ * @param {Object} baseIngredient - structured.ingredient
+ * @returns {Array} Substitutions: { id, note, source, parts }
+ */
+export function getCuratedSubstitutions(baseIngredient) {
+  const known = findKnownIngredient(baseIngredient);
+  return (SUBSTITUTIONS[known?.id] || []).map(substitution => ({
+    ...substitution,
+    source: SUBSTITUTION_SOURCES.CURATED
+  }));
+}
+
+/**
+ * Work out a substitution's amounts for a specific ingredient line
+ * @param {Object} ingredient - Recipe ingredient being replaced
+ * @param {Object} substitution - From getCuratedSubstitutions / findSubstitutions
+ * @returns {Object} substitution plus resolvedParts [{ quantity, unit, ingredient, text }],
+ *   text ("1 cup milk + 1 tbsp lemon juice") and hasUnknownAmount
+ */
+export function resolveSubstitution(ingredient, substitution) {
+  const structured = ingredient?.structured;
+  const known = findKnownIngredient(structured?.ingredient);
+
+  const resolvedParts = substitution.parts.map(part => {
+    const partIngredient = getPartIngredient(part);
+    const { quantity, unitId } = resolvePartAmount(part, structured, known);
+    return {
+      quantity,
+      unit: UNITS[unitId] || null,
+      ingredient: partIngredient,
+      text: formatPart(quantity, unitId, partIngredient)
+    };
+  });
+
+  return {
+    ...substitution,
+    resolvedParts,
+    text: resolvedParts.map(part => part.text).join(' + '),
+    hasUnknownAmount: resolvedParts.some(part => part.quantity === null)
+  };
+}
+
+/**
+ * Find substitutes for a recipe ingredient
+ * @param {Object} ingredient - Recipe ingredient
+ * @param {Object} options - { restrictions, ingredientService, limit }
+ *   restrictions flag substitutes that conflict with the user's diet; ingredientService
+ *   provides findSimilarIngredients for ingredients without curated substitutions
+ * @returns {Promise<Array>} Resolved substitutions with conflicts, safe ones first
+ */
+export async function findSubstitutions(ingredient, options = {}) {
+  const { restrictions = null, ingredientService = null, limit = 5 } = options;
+  const baseIngredient = ingredient?.structured?.ingredient;
+  if (!baseIngredient?.name) return [];
+
+  let substitutions = getCuratedSubstitutions(baseIngredient);
+
+  if (substitutions.length === 0 && ingredientService) {
+    try {
+      const known = findKnownIngredient(baseIngredient);
+      const results = await ingredientService.findSimilarIngredients(
+        baseIngredient.name,
+        SIMILAR_THRESHOLD,
+        limit
+      );
+
+      substitutions = results
+        .filter(candidate =>
+          typeof candidate.name === 'string' &&
+          candidate.name.toLowerCase() !== baseIngredient.name.toLowerCase() &&
+          candidate.id !== known?.id &&
+          (!known || !candidate.category || candidate.category === known.category)
+        )
+        .map(candidate => ({
+          id: `similar_${candidate.id || candidate.name}`,
+          note: 'Similar ingredient - check the amount',
+          source: SUBSTITUTION_SOURCES.SIMILAR,
+          parts: [{ ingredientId: candidate.id, name: candidate.name, ratio: 1 }]
+        }));
+    } catch (error) {
+      console.warn('Error finding similar ingredients:', error);
+    }
+  }
+
+  const resolved = substitutions.slice(0, limit).map(substitution => {
+    const result = resolveSubstitution(ingredient, substitution);
+    const conflicts = new Map();
+    result.resolvedParts.forEach(part => {
+      findIngredientConflicts(part.ingredient, restrictions).forEach(conflict => {
+        conflicts.set(`${conflict.type}:${conflict.id}`, conflict);
+      });
+    });
+    return { ...result, conflicts: [...conflicts.values()] };
+  });
+
+  // Keep curated order, but put substitutes that fit the user's diet first
+  return resolved.sort((a, b) => (a.conflicts.length > 0) - (b.conflicts.length > 0));
+}
+
+/**
+ * Rewrite mentions of an ingredient in step text
+ * "Whisk in 1 cup buttermilk" -> "Whisk in 1 cup milk and 1 tbsp lemon juice";
+ * bare mentions ("the buttermilk") become the substitute names
+ */
+function rewriteMentions(content, ingredientName, resolved) {
+  if (!content || !ingredientName) return content;
+
+  const withAmounts = resolved.resolvedParts.map(part => part.text).join(' and ');
+  const namesOnly = resolved.resolvedParts.map(part => part.ingredient.name).join(' and ');
+  const mentionRegex = new RegExp(
+    `(?:(${QUANTITY_RANGE_PATTERN})\\s+(?:(?:${UNIT_WORDS_PATTERN})\\s+)?(?:of\\s+)?)?\\b${escapeRegExp(ingredientName)}(?:s|es)?\\b`,
+    'gi'
+  );
+
+  return content.replace(mentionRegex, (match, amount) => (amount ? withAmounts : namesOnly));
+}
+
+/**
+ * Replace an ingredient in a recipe with a substitution
+ * The first substitute keeps the original ingredient ID so step references stay linked
+ * @param {Object} recipe - Recipe
+ * @param {string} ingredientId - ID of the ingredient to replace
+ * @param {Object} substitution - Substitution (resolved or not)
+ * @returns {Object} Updated recipe
+ */
+export function applySubstitution(recipe, ingredientId, substitution) {
+  const ingredients = recipe?.ingredients || [];
+  const index = ingredients.findIndex(ingredient => ingredient.id === ingredientId);
+  if (index === -1) return recipe;
+
+  const original = ingredients[index];
+  const resolved = resolveSubstitution(original, substitution);
+  const originalText = original.displayText || original.originalText;
+
+  const replacements = resolved.resolvedParts.map((part, partIndex) => ({
+    id: partIndex === 0 ? original.id : `${original.id}_sub${partIndex}`,
+    originalText: part.text,
+    displayText: part.text,
+    structured: {
+      quantity: part.quantity,
+      unit: part.unit,
+      ingredient: part.ingredient,
+      preparation: null,
+      isDivided: false,
+      isStructured: true
+    },
+    substitutedFrom: originalText,
+    // Substitutes stay in the original's group ("For the sauce")
+    ...(original.groupId ? { groupId: original.groupId } : {})
+  }));
+  const addedIds = replacements.slice(1).map(replacement => replacement.id);
+  const ingredientName = original.structured?.ingredient?.name;
+
+  const steps = (recipe.steps || []).map(step => {
+    if (!step) return step;
+
+    const refs = Array.isArray(step.ingredients)
+      ? step.ingredients.flatMap(ref => {
+          if (ref === ingredientId) return [ref, ...addedIds];
+          if (ref && typeof ref === 'object' && ref.id === ingredientId) {
+            // Each part gets its own ref (the milk and the lemon juice in milk + lemon juice),
+            // linked where the original was
+            return replacements.map(replacement => ({
+              ...ref,
+              id: replacement.id,
+              text: ref.isFirstMention ? replacement.displayText : replacement.structured.ingredient?.name || replacement.displayText,
+              fullText: replacement.displayText
+            }));
+          }
+          return [ref];
+        })
+      : step.ingredients;
+
+    return {
+      ...step,
+      content: rewriteMentions(step.content, ingredientName, resolved),
+      ingredients: refs
+    };
+  });
+
+  return {
+    ...recipe,
+    ingredients: [
+      ...ingredients.slice(0, index),
+      ...replacements,
+      ...ingredients.slice(index + 1)
+    ],
+    steps
+  };
+}
+
+export default {
+  SUBSTITUTION_SOURCES,
+  getCuratedSubstitutions,
+  resolveSubstitution,
+  findSubstitutions,
+  applySubstitution
+};
@@ -0,0 +1,279 @@
+/**
+ * Temperature Utilities
+ *
+ * Finds temperatures in step text - oven and internal temperatures in °F, °C or
+ * gas marks, and stovetop heat levels ("medium-low heat") - and converts them
+ * between scales for display. A temperature written with its equivalent
+ * ("165 degrees F (74 degrees C)") counts as one temperature.
+ */
+
+export const TEMPERATURE_SCALES = {
+  FAHRENHEIT: 'F',
+  CELSIUS: 'C',
+  GAS_MARK: 'gas'
+};
+
+export const TEMPERATURE_KINDS = {
+  OVEN: 'oven',
+  INTERNAL: 'internal', // Doneness, read with a thermometer
+  OIL: 'oil',           // Frying
+  OTHER: 'other'
+};
+
+export const HEAT_LEVELS = ['low', 'medium-low', 'medium', 'medium-high', 'high'];
+
+// UK gas marks and their usual oven temperatures
+const GAS_MARKS = {
+  0.25: { fahrenheit: 225, celsius: 110 },
+  0.5: { fahrenheit: 250, celsius: 120 },
+  1: { fahrenheit: 275, celsius: 140 },
+  2: { fahrenheit: 300, celsius: 150 },
+  3: { fahrenheit: 325, celsius: 170 },
+  4: { fahrenheit: 350, celsius: 180 },
+  5: { fahrenheit: 375, celsius: 190 },
+  6: { fahrenheit: 400, celsius: 200 },
+  7: { fahrenheit: 425, celsius: 220 },
+  8: { fahrenheit: 450, celsius: 230 },
+  9: { fahrenheit: 475, celsius: 240 }
+};
+
+// "350°F", "350 degrees F", "180 °C", "180C", "400 degrees" - a bare letter needs two digits,
+// so "2 C sugar" (cups) isn't read as a temperature
+const DEGREES_PATTERN = '(?:\\s?[°º˚]|\\s*degrees?\\b|\\s*deg\\b\\.?)';
+const SCALE_PATTERN = '(fahrenheit|celsius|centigrade|f|c)\\b';
+// The number can't continue a longer one, so "1200 degrees" isn't read as 200
+const DEGREE_TEMPERATURE = `(?<![\\d.])(\\d{2,3}(?:\\.\\d+)?)(?:${DEGREES_PATTERN}(?:\\s*${SCALE_PATTERN})?|\\s?${SCALE_PATTERN})`;
+const GAS_MARK_TEMPERATURE = '\\bgas(?:\\s+mark)?\\s*(\\d\\s*\\/\\s*\\d|[¼½]|\\d)';
+const TEMPERATURE_PATTERN = `(?:${DEGREE_TEMPERATURE}|${GAS_MARK_TEMPERATURE})`;
+
+// Joins a temperature to its equivalent: "350°F (180°C)", "180°C/350°F/gas 4", "180C or gas 4"
+const EQUIVALENT_PATTERN = new RegExp(`^\\s*(?:\\(|\\/|,?\\s*or\\b|,)\\s*${TEMPERATURE_PATTERN}(?:\\s*(?:fan|convection))?(?:\\s*\\))?`, 'i');
+
+const HEAT_LEVEL_PATTERN = /\b(low|medium[-\s]low|medium|medium[-\s]high|high)(?:\s+to\s+(?:low|medium[-\s]low|medium|medium[-\s]high|high))?\s+(?:heat|flame)\b/i;
+
+const INTERNAL_CONTEXT = /\b(internal|thermometer|registers?|reads?|inserted|thickest|doneness)\b/i;
+const OIL_CONTEXT = /\b(oil|fry|fryer|deep[-\s]fry|frying|shortening)\b/i;
+const OVEN_CONTEXT = /\b(oven|preheat|bake|roast|broil)\b/i;
+
+/**
+ * Convert Fahrenheit to Celsius
+ * @param {number} fahrenheit
+ * @returns {number}
+ */
+export function fahrenheitToCelsius(fahrenheit) {
+  return (fahrenheit - 32) * 5 / 9;
+}
+
+/**
+ * Convert Celsius to Fahrenheit
+ * @param {number} celsius
+ * @returns {number}
+ */
+export function celsiusToFahrenheit(celsius) {
+  return celsius * 9 / 5 + 32;
+}
+
+/**
+ * Read one matched temperature into { fahrenheit, celsius, scale, gasMark }
+ */
+function readTemperatureMatch(match, offset) {
+  const [value, degreeScale, letterScale, gasMark] = match.slice(offset, offset + 4);
+
+  if (gasMark !== undefined) {
+    const mark = gasMark === '¼' ? 0.25
+      : gasMark === '½' ? 0.5
+      : gasMark.includes('/') ? gasMark.split('/').reduce((numerator, denominator) => parseFloat(numerator) / parseFloat(denominator))
+      : parseFloat(gasMark);
+    const known = GAS_MARKS[mark];
+    return known ? { ...known, scale: TEMPERATURE_SCALES.GAS_MARK, gasMark: mark } : null;
+  }
+
+  const number = parseFloat(value);
+  const scaleWord = (degreeScale || letterScale || '').toLowerCase();
+  // Recipes that leave the scale out are nearly always American
+  const scale = scaleWord.startsWith('c') ? TEMPERATURE_SCALES.CELSIUS : TEMPERATURE_SCALES.FAHRENHEIT;
+
+  return scale === TEMPERATURE_SCALES.CELSIUS
+    ? { fahrenheit: celsiusToFahrenheit(number), celsius: number, scale, gasMark: null }
+    : { fahrenheit: number, celsius: fahrenheitToCelsius(number), scale, gasMark: null };
+}
+
+/**
+ * Decide what a temperature is for from the sentence around it
+ */
+function classifyTemperature(sentence, fahrenheit) {
+  if (INTERNAL_CONTEXT.test(sentence)) return TEMPERATURE_KINDS.INTERNAL;
+  if (OIL_CONTEXT.test(sentence)) return TEMPERATURE_KINDS.OIL;
+  if (OVEN_CONTEXT.test(sentence)) return TEMPERATURE_KINDS.OVEN;
+  // Doneness temperatures sit below boiling; ovens start well above it
+  return fahrenheit < 212 ? TEMPERATURE_KINDS.INTERNAL : TEMPERATURE_KINDS.OTHER;
+}
+
+/**
+ * Find every temperature mentioned in a piece of text
+ * @param {string} text - Step text
+ * @returns {Array} [{ kind, fahrenheit, celsius, scale, gasMark, text, index }]
+ *   scale is how it was written; text/index locate the whole mention, equivalents included
+ */
+export function extractTemperatures(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const temperatures = [];
+  const pattern = new RegExp(TEMPERATURE_PATTERN, 'gi');
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const temperature = readTemperatureMatch(match, 1);
+    if (!temperature) continue;
+
+    // Swallow the equivalents written after it, keeping the recipe's own numbers
+    // so "180°C/350°F" shows as 350°F rather than a converted 356°F
+    let end = match.index + match[0].length;
+    const fanMatch = text.slice(end).match(/^\s*(?:fan|convection)\b/i);
+    if (fanMatch) end += fanMatch[0].length;
+    let equivalent;
+    while ((equivalent = text.slice(end).match(EQUIVALENT_PATTERN)) !== null) {
+      end += equivalent[0].length;
+      const written = readTemperatureMatch(equivalent, 1);
+      if (written?.scale === TEMPERATURE_SCALES.FAHRENHEIT) temperature.fahrenheit = written.fahrenheit;
+      if (written?.scale === TEMPERATURE_SCALES.CELSIUS) temperature.celsius = written.celsius;
+      if (written?.scale === TEMPERATURE_SCALES.GAS_MARK) temperature.gasMark = written.gasMark;
+    }
+    pattern.lastIndex = end;
+
+    // The sentence around the mention tells us what it's for
+    const sentenceStart = text.lastIndexOf('.', match.index) + 1;
+    const sentenceEnd = text.indexOf('.', end);
+    const sentence = text.slice(sentenceStart, sentenceEnd === -1 ? text.length : sentenceEnd);
+
+    temperatures.push({
+      kind: classifyTemperature(sentence, temperature.fahrenheit),
+      fahrenheit: Math.round(temperature.fahrenheit),
+      celsius: Math.round(temperature.celsius),
+      scale: temperature.scale,
+      gasMark: temperature.gasMark,
+      text: text.slice(match.index, end),
+      index: match.index
+    });
+  }
+
+  return temperatures;
+}
+
+/**
+ * Find the stovetop heat level in a piece of text
+ * @param {string} text - Step text
+ * @returns {string|null} One of HEAT_LEVELS ("medium-low"), null if none
+ */
+export function extractHeatLevel(text) {
+  const match = (text || '').match(HEAT_LEVEL_PATTERN);
+  return match ? match[1].toLowerCase().replace(/\s+/, '-') : null;
+}
+
+/**
+ * Get the structured temperature data for a step's text
+ * @param {string} content - Step text
+ * @returns {Object} { temperatures, heatLevel } - temperatures without the text position
+ */
+export function extractStepTemperatures(content) {
+  return {
+    temperatures: extractTemperatures(content).map(({ index, ...temperature }) => temperature),
+    heatLevel: extractHeatLevel(content)
+  };
+}
+
+/**
+ * Fill in the temperature data for steps that don't have it yet
+ * @param {Array} steps - Recipe steps
+ * @returns {Array} Steps with temperatures and heatLevel
+ */
+export function withStepTemperatures(steps = []) {
+  return steps.map(step => (Array.isArray(step.temperatures)
+    ? step
+    : { ...step, ...extractStepTemperatures(step.content) }));
+}
+
+/**
+ * Get a step's temperatures, reading them from the text for steps parsed before
+ * temperatures were stored
+ * @param {Object} step - Recipe step
+ * @returns {Array} Temperatures
+ */
+export function getStepTemperatures(step) {
+  if (!step) return [];
+  return Array.isArray(step.temperatures)
+    ? step.temperatures
+    : extractStepTemperatures(step.content).temperatures;
+}
+
+/**
+ * Format a temperature in a scale
+ * Converted oven temperatures round to the nearest 5 degrees
+ * @param {Object} temperature - Extracted temperature
+ * @param {string} scale - TEMPERATURE_SCALES value, or null for the scale it was written in
+ * @returns {string} "350°F", "180°C", "gas mark 4"
+ */
+export function formatTemperature(temperature, scale = null) {
+  if (!temperature) return '';
+  const target = scale || temperature.scale;
+
+  if (target === TEMPERATURE_SCALES.GAS_MARK) {
+    return temperature.gasMark ? `gas mark ${temperature.gasMark}` : `${temperature.celsius}°C`;
+  }
+  // Oven dials go in steps of 5 degrees
+  const round = value => temperature.kind === TEMPERATURE_KINDS.OVEN ? Math.round(value / 5) * 5 : value;
+  return target === TEMPERATURE_SCALES.CELSIUS
+    ? `${round(temperature.celsius)}°C`
+    : `${round(temperature.fahrenheit)}°F`;
+}
+
+/**
+ * Rewrite the temperatures in a piece of text in one scale
+ * A temperature written with its equivalents becomes a single value
+ * @param {string} text - Step text
+ * @param {string} scale - TEMPERATURE_SCALES.FAHRENHEIT or CELSIUS
+ * @returns {string} Text with converted temperatures
+ */
+export function convertTemperaturesInText(text, scale) {
+  if (!text || typeof text !== 'string' || !scale) return text;
+
+  let result = '';
+  let position = 0;
+  extractTemperatures(text).forEach(temperature => {
+    result += text.slice(position, temperature.index) + formatTemperature(temperature, scale);
+    position = temperature.index + temperature.text.length;
+  });
+
+  return result + text.slice(position);
+}
+
+/**
+ * Find the next oven temperature at or after a step, for the "preheat" cue
+ * @param {Array} steps - Recipe steps
+ * @param {number} fromIndex - Current step index
+ * @returns {Object|null} { stepIndex, temperature }
+ */
+export function findUpcomingOvenTemperature(steps = [], fromIndex = 0) {
+  for (let index = Math.max(0, fromIndex); index < steps.length; index++) {
+    const temperature = getStepTemperatures(steps[index])
+      .find(candidate => candidate.kind === TEMPERATURE_KINDS.OVEN);
+    if (temperature) return { stepIndex: index, temperature };
+  }
+  return null;
+}
+
+export default {
+  TEMPERATURE_SCALES,
+  TEMPERATURE_KINDS,
+  HEAT_LEVELS,
+  fahrenheitToCelsius,
+  celsiusToFahrenheit,
+  extractTemperatures,
+  extractHeatLevel,
+  extractStepTemperatures,
+  withStepTemperatures,
+  getStepTemperatures,
+  formatTemperature,
+  convertTemperaturesInText,
+  findUpcomingOvenTemperature
+};
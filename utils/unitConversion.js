@@ -0,0 +1,266 @@
+/**
+ * Unit Conversion Utilities
+ *
+ * Treats UNIT_CONVERSIONS as a graph so any two units of the same type can be
+ * converted through intermediate units, and bridges volume and weight through
+ * per-ingredient densities
+ */
+
+import {
+  UNITS,
+  INGREDIENTS,
+  UNIT_CONVERSIONS,
+  DENSITY_BASE_UNITS,
+  UNIT_SYSTEMS,
+  READABLE_UNIT_RANGES
+} from '../data/ingredientDatabase.js';
+
+/**
+ * Build an adjacency map from UNIT_CONVERSIONS, adding the inverse of every edge
+ * so conversions only need to be declared in one direction
+ */
+function buildConversionGraph() {
+  const graph = new Map();
+
+  const addEdge = (from, to, factor) => {
+    if (!graph.has(from)) graph.set(from, new Map());
+    if (!graph.get(from).has(to)) {
+      graph.get(from).set(to, factor);
+    }
+  };
+
+  Object.values(UNIT_CONVERSIONS).forEach(typeConversions => {
+    Object.entries(typeConversions).forEach(([from, targets]) => {
+      Object.entries(targets).forEach(([to, factor]) => {
+        addEdge(from, to, factor);
+        addEdge(to, from, 1 / factor);
+      });
+    });
+  });
+
+  return graph;
+}
+
+const conversionGraph = buildConversionGraph();
+const factorCache = new Map();
+
+/**
+ * Find the conversion factor between two units of the same type
+ * Walks the conversion graph breadth-first so the shortest chain of edges is used
+ * @param {string} fromUnitId - Source unit ID
+ * @param {string} toUnitId - Target unit ID
+ * @returns {number|null} Multiplier from source to target, or null if no path exists
+ */
+export function getConversionFactor(fromUnitId, toUnitId) {
+  if (!fromUnitId || !toUnitId) return null;
+  if (fromUnitId === toUnitId) return 1;
+
+  const cacheKey = `${fromUnitId}->${toUnitId}`;
+  if (factorCache.has(cacheKey)) {
+    return factorCache.get(cacheKey);
+  }
+
+  const visited = new Set([fromUnitId]);
+  const queue = [{ unitId: fromUnitId, factor: 1 }];
+  let result = null;
+
+  while (queue.length > 0) {
+    const { unitId, factor } = queue.shift();
+    const edges = conversionGraph.get(unitId);
+    if (!edges) continue;
+
+    for (const [nextUnitId, edgeFactor] of edges) {
+      if (visited.has(nextUnitId)) continue;
+
+      const nextFactor = factor * edgeFactor;
+      if (nextUnitId === toUnitId) {
+        result = nextFactor;
+        break;
+      }
+
+      visited.add(nextUnitId);
+      queue.push({ unitId: nextUnitId, factor: nextFactor });
+    }
+
+    if (result !== null) break;
+  }
+
+  factorCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Look up the density (grams per ml) of an ingredient
+ * @param {Object|string} ingredient - Ingredient object or ingredient ID
+ * @returns {number|null} Density or null if unknown
+ */
+export function getIngredientDensity(ingredient) {
+  if (!ingredient) return null;
+
+  if (typeof ingredient === 'object' && typeof ingredient.density === 'number') {
+    return ingredient.density;
+  }
+
+  const ingredientId = typeof ingredient === 'string' ? ingredient : ingredient.id;
+  const known = ingredientId ? INGREDIENTS[ingredientId] : null;
+
+  return known && typeof known.density === 'number' ? known.density : null;
+}
+
+/**
+ * Convert a quantity between two units
+ * Volume and weight can be converted into each other when the ingredient has a density
+ * @param {number} quantity - Amount in the source unit
+ * @param {string} fromUnitId - Source unit ID
+ * @param {string} toUnitId - Target unit ID
+ * @param {Object|string} ingredient - Ingredient object or ID (needed for volume/weight)
+ * @returns {number|null} Converted amount, or null if the units cannot be converted
+ */
+export function convertQuantity(quantity, fromUnitId, toUnitId, ingredient = null) {
+  if (typeof quantity !== 'number' || isNaN(quantity)) return null;
+
+  const fromUnit = UNITS[fromUnitId];
+  const toUnit = UNITS[toUnitId];
+  if (!fromUnit || !toUnit) return null;
+
+  if (fromUnit.type === toUnit.type) {
+    const factor = getConversionFactor(fromUnitId, toUnitId);
+    return factor === null ? null : quantity * factor;
+  }
+
+  // Cross-type conversion: source -> ml -> (density) -> grams -> target
+  const fromBase = DENSITY_BASE_UNITS[fromUnit.type];
+  const toBase = DENSITY_BASE_UNITS[toUnit.type];
+  const density = getIngredientDensity(ingredient);
+  if (!fromBase || !toBase || !density) return null;
+
+  const toFromBase = getConversionFactor(fromUnitId, fromBase);
+  const fromToBase = getConversionFactor(toBase, toUnitId);
+  if (toFromBase === null || fromToBase === null) return null;
+
+  const baseQuantity = quantity * toFromBase;
+  const bridged = fromUnit.type === 'volume'
+    ? baseQuantity * density
+    : baseQuantity / density;
+
+  return bridged * fromToBase;
+}
+
+/**
+ * Get the measurement system a unit belongs to
+ * @param {string} unitId - Unit ID
+ * @returns {string|null} 'metric', 'us' or null for count/size/container units
+ */
+export function getUnitSystem(unitId) {
+  for (const [system, unitIds] of Object.entries(UNIT_SYSTEMS)) {
+    if (unitIds.includes(unitId)) return system;
+  }
+  return null;
+}
+
+/**
+ * Check if a quantity reads naturally in a given unit
+ * @param {number} quantity - Amount
+ * @param {string} unitId - Unit ID
+ * @returns {boolean} True if the amount sits in the unit's readable range
+ */
+export function isReadableQuantity(quantity, unitId) {
+  const range = READABLE_UNIT_RANGES[unitId];
+  if (!range) {
+    return quantity >= 0.125 && quantity <= 100;
+  }
+  return quantity >= range.min && quantity <= range.max;
+}
+
+/**
+ * Score how easy a quantity is to measure in a unit (lower is better)
+ * Prefers amounts in the readable range that land on common kitchen fractions
+ */
+function readabilityScore(quantity, unitId) {
+  const range = READABLE_UNIT_RANGES[unitId] || { min: 0.125, max: 100 };
+  let score = 0;
+
+  if (quantity < range.min) {
+    score += 10 + range.min / quantity;
+  } else if (quantity > range.max) {
+    score += 10 + quantity / range.max;
+  }
+
+  // Large metric amounts are rounded to whole numbers anyway, US amounts should land on eighths
+  if (getUnitSystem(unitId) !== 'metric' || quantity < 10) {
+    const step = getUnitSystem(unitId) === 'metric' ? 1 : 0.125;
+    score += Math.abs(quantity / step - Math.round(quantity / step));
+  }
+
+  return score;
+}
+
+/**
+ * Get every unit a quantity can be converted to
+ * @param {number} quantity - Amount in the source unit
+ * @param {string} unitId - Source unit ID
+ * @param {Object|string} ingredient - Ingredient object or ID (enables volume/weight)
+ * @returns {Array} [{ unitId, quantity }] for every reachable unit
+ */
+export function getConversionTargets(quantity, unitId, ingredient = null) {
+  const fromUnit = UNITS[unitId];
+  if (!fromUnit) return [];
+
+  const targets = [];
+
+  Object.values(UNITS).forEach(targetUnit => {
+    if (targetUnit.id === unitId) return;
+
+    const converted = convertQuantity(quantity, unitId, targetUnit.id, ingredient);
+    if (converted !== null) {
+      targets.push({ unitId: targetUnit.id, quantity: converted });
+    }
+  });
+
+  return targets;
+}
+
+/**
+ * Choose the most readable unit to express a quantity in
+ * @param {number} quantity - Amount in the source unit
+ * @param {string} unitId - Source unit ID
+ * @param {Object} options - { ingredient, system: 'metric'|'us', includeSource, preferredType }
+ * @returns {Object|null} { unitId, quantity } or null if nothing is convertible
+ */
+export function pickReadableUnit(quantity, unitId, options = {}) {
+  const { ingredient = null, system = null, includeSource = true, preferredType = null } = options;
+
+  let candidates = getConversionTargets(quantity, unitId, ingredient);
+  if (includeSource && UNITS[unitId]) {
+    candidates.push({ unitId, quantity });
+  }
+
+  if (system) {
+    candidates = candidates.filter(candidate => getUnitSystem(candidate.unitId) === system);
+  }
+
+  if (candidates.length === 0) return null;
+
+  const keepType = preferredType || UNITS[unitId]?.type;
+
+  return candidates
+    .map(candidate => ({
+      ...candidate,
+      // Keep the preferred kind of measure (volume/weight) unless another reads much better
+      score: readabilityScore(candidate.quantity, candidate.unitId) +
+             (UNITS[candidate.unitId].type === keepType ? 0 : 0.5)
+    }))
+    // On a tie the larger unit wins (1 lb stays 1 lb, not 16 oz)
+    .sort((a, b) => a.score - b.score || a.quantity - b.quantity)
+    .map(({ score, ...candidate }) => candidate)[0];
+}
+
+export default {
+  getConversionFactor,
+  getIngredientDensity,
+  convertQuantity,
+  getUnitSystem,
+  isReadableQuantity,
+  getConversionTargets,
+  pickReadableUnit
+};